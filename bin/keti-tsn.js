@@ -14,10 +14,11 @@
  *   keti-tsn list
  *   keti-tsn encode config.yaml -o config.cbor
  *   keti-tsn decode response.cbor -o response.yaml
+ *   keti-tsn sid generate vendor.yang --range 60000:1000
  */
 
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path, { dirname, join } from 'path';
 import fs from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,11 +33,22 @@ const packageJson = JSON.parse(
 const DEFAULT_DEVICE = '/dev/ttyACM0';
 const DEFAULT_TRANSPORT = 'serial';
 const DEFAULT_WIFI_PORT = 5683;
+const DEFAULT_COAPS_PORT = 5684;
+const DEFAULT_WS_PORT = 80;
+const DATASTORES = ['running', 'startup', 'candidate', 'operational', 'intended'];
+const OUTPUT_FORMATS = ['rfc7951', 'instance-id', 'json', 'xml', 'diag'];
+
+// Commands whose first argument is an action ("keti-tsn sid generate <file>")
+const ACTION_COMMANDS = ['sid', 'catalog'];
+
+// Modules registering additional transports, separated like PATH
+const TRANSPORT_MODULES_ENV = 'KETI_TSN_TRANSPORT_MODULES';
 
 /**
  * Show help message
+ * @param {string[]} transportTypes - Registered transport types
  */
-function showHelp() {
+function showHelp(transportTypes) {
   console.log(`
 keti-tsn v${packageJson.version}
 
@@ -49,23 +61,79 @@ Commands:
   checksum              Query YANG catalog checksum from device
   download              Download YANG catalog from device
   list                  List cached YANG catalogs (offline)
-  encode <file>         Encode YAML to CBOR (offline)
-  decode <file>         Decode CBOR to YAML (offline)
+  catalog import <file> Install a catalog from a .tar.gz or directory (offline)
+  catalog export <checksum>
+                        Write a cached catalog to <checksum>.tar.gz (offline)
+  catalog info <checksum>
+                        Show modules, SID ranges and compiled cache (offline)
+  catalog delete <checksum>
+                        Delete a cached catalog (offline)
+  catalog prune         Remove tarballs and stale compiled caches (offline)
+  catalog default [<checksum>|none]
+                        Show or set the catalog used by encode/decode (offline)
+  catalog mirrors       Show download mirrors and proxy (offline)
+  encode <file>         Encode YAML/JSON/XML to CBOR (offline)
+  decode <file>         Decode CBOR to YAML/JSON/XML (offline)
   get                   Get full configuration from device
   fetch <file>          Fetch configuration values from device
+  watch <file>          Observe configuration values and print changes
   patch <file>          Apply configuration patch to device
+  validate <file>       Check values, must/when and leafrefs of a file (offline)
+  delete <file>         Delete list entries or leaves on device
+  put <file>            Replace full configuration on device
   post <file>           Invoke RPC operation (e.g., save-config)
+  sid generate <file>   Assign SIDs to a YANG module and write its .sid file (offline)
 
 Transport Options:
-  --transport <type>    Transport type: serial | wifi | eth (default: ${DEFAULT_TRANSPORT})
+  --transport <type>    Transport type: ${transportTypes.join(' | ')} (default: ${DEFAULT_TRANSPORT})
+  --transport-module <file>
+                        Import a module that registers more transport types
+                        (repeatable; also ${TRANSPORT_MODULES_ENV})
   -d, --device <path>   Serial device path (default: ${DEFAULT_DEVICE})
-  --host <address>      Target IP address (required for wifi/eth transport)
-  --port <number>       Target UDP port (default: ${DEFAULT_WIFI_PORT})
+  --host <address>      Target IP address (required for network transports)
+  --port <number>       Target port (default: ${DEFAULT_WIFI_PORT}, coaps: ${DEFAULT_COAPS_PORT}, ws: ${DEFAULT_WS_PORT})
+
+CoAP Transmission Options (RFC 7252 §4.8, retransmission on wifi/eth/coaps only):
+  --ack-timeout <ms>    ACK_TIMEOUT before first retransmission (default: 2000)
+  --ack-random-factor <n>
+                        ACK_RANDOM_FACTOR (default: 1.5)
+  --max-retransmit <n>  MAX_RETRANSMIT (default: 4)
+  --nstart <n>          Maximum concurrent outstanding requests (default: 1)
+
+Security Options:
+  --oscore <file>       OSCORE (RFC 8613) security context JSON file
+  --credentials <file>  DTLS PSK identity and key JSON file (required for coaps)
 
 General Options:
   -o, --output <file>   Output file
   -c, --cache <dir>     YANG cache directory
+  --catalog <checksum>  Cached catalog to use (checksum or unique prefix);
+                        device commands otherwise use the catalog matching
+                        the device's checksum, queried once and remembered
   --sort-mode <mode>    CBOR key sort mode: velocity | rfc8949 (default: velocity)
+  -y, --yes             Skip confirmation prompt (put, catalog delete)
+  --snapshot <file>     Snapshot file saved before put (default: snapshot-<time>.yaml)
+  --format <format>     Output format for get/fetch/watch/decode: ${OUTPUT_FORMATS.join(' | ')}
+                        (default: rfc7951; instance-id output can be passed to patch,
+                        json is RFC 7951 JSON, xml is NETCONF XML, diag is CBOR
+                        diagnostic notation annotated with SIDs and YANG paths;
+                        .json/.xml input files are read by extension)
+  --show-cbor           Print the CBOR sent and received by patch/post as
+                        annotated diagnostic notation
+  --check-device        Look up leafref targets missing from a patch on the
+                        device; dangling references abort the patch
+  --validate            Evaluate must/when on the running configuration
+                        merged with the patch before sending (patch)
+  --config-only         Leave state (config false) data out of get/fetch output
+  --with-defaults       Fill in YANG default values of absent leaves (get/fetch)
+  --checksum <hex>      Catalog checksum for catalog import, when the file
+                        name does not carry it
+  --range <start>:<size>
+                        SID assignment range for sid generate
+  --update <file>       Existing .sid file to update (sid generate): its items
+                        keep their SIDs, new items get free SIDs of its ranges
+  --datastore <name>    Datastore for get/fetch: ${DATASTORES.join(' | ')}
+                        (default: device default, running)
   -v, --verbose         Verbose output
   -V, --version         Show version
   -h, --help            Show help
@@ -75,6 +143,24 @@ Examples:
   keti-tsn checksum                              # Query checksum
   keti-tsn checksum -d /dev/ttyUSB0              # Specific device
   keti-tsn patch config.yaml                     # Apply patch
+  keti-tsn watch query.yaml                      # Print changes until Ctrl+C
+  keti-tsn delete paths.yaml                     # Delete listed paths
+  keti-tsn put known-good.yaml --yes             # Replace full configuration
+  keti-tsn get --datastore startup -o saved.yaml # Read what is saved to flash
+  keti-tsn get --config-only --format instance-id -o copy.yaml
+                                                 # Copy config to another switch:
+  keti-tsn patch copy.yaml -d /dev/ttyACM1       #   patch accepts it as-is
+  keti-tsn get --format json -o running.json     # RFC 7951 JSON for scripts
+  keti-tsn patch config.json                     # JSON input (by extension)
+  keti-tsn decode reply.cbor --format xml        # NETCONF XML (also accepted by encode/patch)
+  keti-tsn get --format diag                     # Raw CBOR with SID/YANG path comments
+  keti-tsn patch config.yaml --show-cbor         # Show the iPATCH payload before sending
+  keti-tsn patch ports.yaml --check-device       # Fail if a referenced interface is missing
+  keti-tsn validate gcl.yaml                     # Check must/when without a device
+  keti-tsn patch gcl.yaml --validate             # ... or merged with the running config
+  keti-tsn get --config-only -o backup.yaml      # Configuration without state data (for put)
+  keti-tsn get --with-defaults                   # Show effective values, defaults included
+  keti-tsn get --catalog 5151                    # Use a specific cached catalog
 
   # WiFi transport (via ESP32 proxy)
   keti-tsn checksum --transport wifi --host 192.168.1.100
@@ -85,28 +171,101 @@ Examples:
   keti-tsn checksum --transport eth --host 192.168.1.10
   keti-tsn patch config.yaml --transport eth --host 192.168.1.10
   keti-tsn get -o backup.yaml --transport eth --host 192.168.1.10
+  keti-tsn get --transport eth --host 192.168.1.10 --ack-timeout 1000 --max-retransmit 6
+  keti-tsn fetch query.yaml --transport eth --host 192.168.1.10 --oscore oscore-context.json
+
+  # CoAPS transport (CoAP over DTLS 1.2 PSK, port 5684)
+  keti-tsn checksum --transport coaps --host 192.168.1.10 --credentials psk.json
+  keti-tsn patch config.yaml --transport coaps --host 192.168.1.10 --credentials psk.json
+
+  # TCP / WebSocket transport (CoAP over TCP and WebSockets, RFC 8323)
+  keti-tsn get -o backup.yaml --transport tcp --host 192.168.1.10
+  keti-tsn fetch query.yaml --transport ws --host gateway.example.com --port 8080
 
   # Offline commands
   keti-tsn list                                  # List cached catalogs
+  keti-tsn catalog export 5151bae07677b1501f9cf52637f2a38f   # -> USB stick
+  keti-tsn catalog import 5151bae07677b1501f9cf52637f2a38f.tar.gz
+  keti-tsn catalog info 5151                     # Modules and SID ranges
+  keti-tsn catalog default 5151                  # Catalog for encode/decode
+  keti-tsn catalog prune                         # Free disk space
   keti-tsn encode config.yaml -o out.cbor
   keti-tsn decode response.cbor -o out.yaml
+  keti-tsn sid generate vendor.yang --range 60000:1000      # -> vendor@<revision>.sid
+  keti-tsn sid generate vendor.yang --update vendor@2024-03-01.sid
 `);
 }
 
+/**
+ * Import the modules that register additional transports
+ * (--transport-module <file> and KETI_TSN_TRANSPORT_MODULES), before the
+ * transport options are checked. A module registers through the transport
+ * index itself, or exports a default function that receives its exports:
+ *   export default ({ registerTransport, CoapTransport }) => registerTransport(...)
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<object>} Transport index module
+ */
+async function loadTransports(args) {
+  const transports = await import('../tsc2cbor/lib/transport/index.js');
+
+  const files = (process.env[TRANSPORT_MODULES_ENV] || '').split(path.delimiter).filter(Boolean);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--transport-module' && args[i + 1]) {
+      files.push(args[++i]);
+    }
+  }
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(path.resolve(file)).href);
+      if (typeof module.default === 'function') {
+        await module.default(transports);
+      }
+    } catch (err) {
+      console.error(`Error: Cannot load transport module ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  return transports;
+}
+
 /**
  * Parse command line options
+ * @param {string[]} args - Command line arguments
+ * @param {object} transports - Transport index module (registered types)
  */
-function parseArgs(args) {
+function parseArgs(args, transports) {
+  const transportTypes = transports.getTransportTypes();
+
   const options = {
     command: null,
+    action: null,
     file: null,
     transport: DEFAULT_TRANSPORT,
+    transportModules: [],
     device: DEFAULT_DEVICE,
     host: null,
-    port: DEFAULT_WIFI_PORT,
+    port: null,
     output: null,
     cache: null,
+    catalog: null,
     sortMode: 'velocity',
+    transmission: {},
+    oscore: null,
+    credentials: null,
+    yes: false,
+    snapshot: null,
+    datastore: null,
+    format: 'rfc7951',
+    showCbor: false,
+    checkDevice: false,
+    validate: false,
+    configOnly: false,
+    withDefaults: false,
+    checksum: null,
+    range: null,
+    update: null,
     verbose: false
   };
 
@@ -115,31 +274,73 @@ function parseArgs(args) {
     const arg = args[i];
 
     if (arg === '-h' || arg === '--help') {
-      showHelp();
+      showHelp(transportTypes);
       process.exit(0);
     } else if (arg === '-V' || arg === '--version') {
       console.log(packageJson.version);
       process.exit(0);
     } else if (arg === '--transport') {
       options.transport = args[++i];
+    } else if (arg === '--transport-module') {
+      options.transportModules.push(args[++i]);
     } else if (arg === '-d' || arg === '--device') {
       options.device = args[++i];
     } else if (arg === '--host') {
       options.host = args[++i];
     } else if (arg === '--port') {
       options.port = parseInt(args[++i], 10);
+    } else if (arg === '--ack-timeout') {
+      options.transmission.ackTimeout = parseInt(args[++i], 10);
+    } else if (arg === '--ack-random-factor') {
+      options.transmission.ackRandomFactor = parseFloat(args[++i]);
+    } else if (arg === '--max-retransmit') {
+      options.transmission.maxRetransmit = parseInt(args[++i], 10);
+    } else if (arg === '--nstart') {
+      options.transmission.nstart = parseInt(args[++i], 10);
+    } else if (arg === '--oscore') {
+      options.oscore = args[++i];
+    } else if (arg === '--credentials') {
+      options.credentials = args[++i];
     } else if (arg === '-o' || arg === '--output') {
       options.output = args[++i];
     } else if (arg === '-c' || arg === '--cache') {
       options.cache = args[++i];
+    } else if (arg === '--catalog') {
+      options.catalog = args[++i];
     } else if (arg === '--sort-mode') {
       options.sortMode = args[++i];
+    } else if (arg === '-y' || arg === '--yes') {
+      options.yes = true;
+    } else if (arg === '--snapshot') {
+      options.snapshot = args[++i];
+    } else if (arg === '--datastore') {
+      options.datastore = args[++i];
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--show-cbor') {
+      options.showCbor = true;
+    } else if (arg === '--check-device') {
+      options.checkDevice = true;
+    } else if (arg === '--validate') {
+      options.validate = true;
+    } else if (arg === '--config-only') {
+      options.configOnly = true;
+    } else if (arg === '--with-defaults') {
+      options.withDefaults = true;
+    } else if (arg === '--checksum') {
+      options.checksum = args[++i];
+    } else if (arg === '--range') {
+      options.range = args[++i];
+    } else if (arg === '--update') {
+      options.update = args[++i];
     } else if (arg === '-v' || arg === '--verbose') {
       options.verbose = true;
     } else if (!arg.startsWith('-')) {
       // Positional arguments
       if (!options.command) {
         options.command = arg;
+      } else if (ACTION_COMMANDS.includes(options.command) && !options.action) {
+        options.action = arg;
       } else if (!options.file) {
         options.file = arg;
       }
@@ -148,17 +349,39 @@ function parseArgs(args) {
   }
 
   // Validate transport options
-  if ((options.transport === 'wifi' || options.transport === 'eth') && !options.host) {
+  if (!transportTypes.includes(options.transport)) {
+    console.error(`Error: Unknown transport type: ${options.transport}`);
+    console.log(`Available transports: ${transportTypes.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (transports.transportNeedsHost(options.transport) && !options.host) {
     console.error(`Error: --host is required when using ${options.transport} transport`);
     process.exit(1);
   }
 
-  if (options.transport !== 'serial' && options.transport !== 'wifi' && options.transport !== 'eth') {
-    console.error(`Error: Unknown transport type: ${options.transport}`);
-    console.log('Available transports: serial, wifi, eth');
+  if (options.transport === 'coaps' && !options.credentials) {
+    console.error('Error: --credentials is required when using coaps transport');
+    process.exit(1);
+  }
+
+  if (options.datastore && !DATASTORES.includes(options.datastore)) {
+    console.error(`Error: Unknown datastore: ${options.datastore}`);
+    console.log(`Available datastores: ${DATASTORES.join(', ')}`);
     process.exit(1);
   }
 
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown output format: ${options.format}`);
+    console.log(`Available formats: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (options.port === null) {
+    const defaultPorts = { coaps: DEFAULT_COAPS_PORT, ws: DEFAULT_WS_PORT };
+    options.port = defaultPorts[options.transport] || DEFAULT_WIFI_PORT;
+  }
+
   return options;
 }
 
@@ -168,17 +391,19 @@ function parseArgs(args) {
 async function main() {
   const args = process.argv.slice(2);
 
+  const transports = await loadTransports(args);
+
   // Show help if no arguments
   if (args.length === 0) {
-    showHelp();
+    showHelp(transports.getTransportTypes());
     process.exit(0);
   }
 
-  const options = parseArgs(args);
+  const options = parseArgs(args, transports);
 
   // Show help if no command
   if (!options.command) {
-    showHelp();
+    showHelp(transports.getTransportTypes());
     process.exit(0);
   }
 
@@ -241,6 +466,17 @@ async function main() {
         break;
       }
 
+      case 'watch': {
+        const { watchCommand } = await import('../lib/commands/watch.js');
+        if (!options.file) {
+          console.error('Error: Input file required');
+          console.log('Usage: keti-tsn watch <file>');
+          process.exit(1);
+        }
+        await watchCommand(options.file, options);
+        break;
+      }
+
       case 'patch': {
         const { patchCommand } = await import('../lib/commands/patch.js');
         if (!options.file) {
@@ -252,6 +488,39 @@ async function main() {
         break;
       }
 
+      case 'validate': {
+        const { validateCommand } = await import('../lib/commands/validate.js');
+        if (!options.file) {
+          console.error('Error: Input file required');
+          console.log('Usage: keti-tsn validate <file>');
+          process.exit(1);
+        }
+        await validateCommand(options.file, options);
+        break;
+      }
+
+      case 'delete': {
+        const { deleteCommand } = await import('../lib/commands/delete.js');
+        if (!options.file) {
+          console.error('Error: Input file required');
+          console.log('Usage: keti-tsn delete <file>');
+          process.exit(1);
+        }
+        await deleteCommand(options.file, options);
+        break;
+      }
+
+      case 'put': {
+        const { putCommand } = await import('../lib/commands/put.js');
+        if (!options.file) {
+          console.error('Error: Input file required');
+          console.log('Usage: keti-tsn put <file> [--yes] [--snapshot file]');
+          process.exit(1);
+        }
+        await putCommand(options.file, options);
+        break;
+      }
+
       case 'post': {
         const { postCommand } = await import('../lib/commands/post.js');
         if (!options.file) {
@@ -263,6 +532,29 @@ async function main() {
         break;
       }
 
+      case 'catalog': {
+        const { catalogCommand } = await import('../lib/commands/catalog.js');
+        if (!options.action) {
+          console.error('Error: Action required');
+          console.log('Usage: keti-tsn catalog import <file.tar.gz|dir> | export <checksum> | info <checksum>\n' +
+            '       | delete <checksum> [--yes] | prune | default [<checksum>|none] | mirrors');
+          process.exit(1);
+        }
+        await catalogCommand(options.action, options.file, options);
+        break;
+      }
+
+      case 'sid': {
+        const { sidCommand } = await import('../lib/commands/sid.js');
+        if (!options.action) {
+          console.error('Error: Action required');
+          console.log('Usage: keti-tsn sid generate <module.yang> --range <start>:<size> [--update file.sid]');
+          process.exit(1);
+        }
+        await sidCommand(options.action, options.file, options);
+        break;
+      }
+
       default:
         console.error(`Unknown command: ${options.command}`);
         console.log('Run "keti-tsn --help" for usage information.');
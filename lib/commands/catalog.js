@@ -0,0 +1,288 @@
+/**
+ * Catalog command - YANG catalog management (offline)
+ *
+ * Commands:
+ *   keti-tsn catalog import <file.tar.gz|dir> [--checksum <hex>]
+ *   keti-tsn catalog export <checksum> [-o file.tar.gz]
+ *   keti-tsn catalog info <checksum>
+ *   keti-tsn catalog delete <checksum> [--yes]
+ *   keti-tsn catalog prune
+ *   keti-tsn catalog default [<checksum>|none]
+ *   keti-tsn catalog mirrors
+ *
+ * import/export are for machines without internet access: a catalog
+ * downloaded elsewhere (or exported from another PC's cache) is installed
+ * into .yang-cache. The default catalog is used by offline commands
+ * (encode, decode, validate) when neither -c nor --catalog is given.
+ * Downloads use the "mirrors" of .yang-cache/settings.json or the
+ * KETI_TSN_MIRRORS environment variable instead of the built-in URLs.
+ */
+
+import readline from 'readline';
+import { YangCatalogManager } from '../../tsc2cbor/lib/yang-catalog/yang-catalog.js';
+import { getProxyForUrl } from '../../tsc2cbor/lib/yang-catalog/http-download.js';
+
+/**
+ * Ask the user for confirmation on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>}
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Find a cached catalog by checksum or unique prefix
+ */
+function requireCatalog(yangCatalog, checksum, usage) {
+  if (!checksum) {
+    throw new Error(`Catalog checksum required (${usage}); see "keti-tsn list"`);
+  }
+  const catalog = yangCatalog.findCatalog(checksum);
+  if (!catalog) {
+    throw new Error(`Catalog not found: ${checksum} (see "keti-tsn list")`);
+  }
+  return catalog;
+}
+
+/**
+ * Catalog commands
+ * @param {string} action - Subcommand (import, export, info, delete, prune, default, mirrors)
+ * @param {string} target - Archive/directory (import), checksum, or "none" (default)
+ * @param {object} options - Command options
+ * @param {string} [options.checksum] - Checksum of an imported catalog
+ * @param {string} [options.output] - Output archive (export)
+ * @param {boolean} [options.yes] - Delete without confirmation
+ * @param {boolean} [options.verbose] - Verbose output
+ */
+export async function catalogCommand(action, target, options) {
+  switch (action) {
+    case 'import':
+      await catalogImportCommand(target, options);
+      break;
+    case 'export':
+      await catalogExportCommand(target, options);
+      break;
+    case 'info':
+      await catalogInfoCommand(target, options);
+      break;
+    case 'delete':
+      await catalogDeleteCommand(target, options);
+      break;
+    case 'prune':
+      await catalogPruneCommand(options);
+      break;
+    case 'default':
+      await catalogDefaultCommand(target, options);
+      break;
+    case 'mirrors':
+      await catalogMirrorsCommand(options);
+      break;
+    default:
+      console.error(`Unknown action: ${action}`);
+      console.log('Available actions: import, export, info, delete, prune, default, mirrors');
+      process.exit(1);
+  }
+}
+
+/**
+ * Install a catalog archive or directory into the YANG cache
+ */
+async function catalogImportCommand(source, options) {
+  if (!source) {
+    throw new Error('Catalog file or directory required (keti-tsn catalog import <file.tar.gz|dir>)');
+  }
+
+  const yangCatalog = new YangCatalogManager();
+  const catalog = yangCatalog.importCatalog(source, { checksum: options.checksum });
+
+  for (const warning of catalog.warnings) {
+    console.warn(`Warning: ${warning}`);
+  }
+  if (options.verbose && catalog.skipped.length > 0) {
+    console.log(`Skipped (not catalog files): ${catalog.skipped.join(', ')}`);
+  }
+
+  console.log(catalog.alreadyInstalled ? '\nYANG catalog already available!' : '\nYANG catalog imported!');
+  console.log(`  Checksum: ${catalog.checksum}`);
+  console.log(`  Path: ${catalog.path}`);
+  console.log(`  YANG files: ${catalog.count.yang}`);
+  console.log(`  SID files: ${catalog.count.sid}`);
+}
+
+/**
+ * Write a cached catalog to a tar.gz archive
+ */
+async function catalogExportCommand(checksum, options) {
+  if (!checksum) {
+    throw new Error('Catalog checksum required (keti-tsn catalog export <checksum>); see "keti-tsn list"');
+  }
+
+  const yangCatalog = new YangCatalogManager();
+  const catalog = yangCatalog.findCatalog(checksum);
+  if (!catalog) {
+    throw new Error(`Catalog not found: ${checksum} (see "keti-tsn list")`);
+  }
+
+  const output = options.output || `${catalog.checksum}.tar.gz`;
+  const exported = yangCatalog.exportCatalog(catalog.checksum, output);
+
+  console.log(`Exported: ${exported.checksum} -> ${output}`);
+  console.log(`  YANG files: ${exported.count.yang}`);
+  console.log(`  SID files: ${exported.count.sid}`);
+  console.log(`  Size: ${exported.size} bytes`);
+}
+
+/**
+ * Show the modules, SID ranges and compiled cache of a cached catalog
+ */
+async function catalogInfoCommand(checksum, options) {
+  const yangCatalog = new YangCatalogManager();
+  const found = requireCatalog(yangCatalog, checksum, 'keti-tsn catalog info <checksum>');
+  const catalog = await yangCatalog.describeCatalog(found.checksum);
+
+  console.log(`Catalog: ${catalog.checksum}${catalog.isDefault ? ' (default)' : ''}`);
+  console.log(`  Path: ${catalog.path}`);
+  console.log(`  YANG files: ${catalog.count.yang}`);
+  console.log(`  SID files: ${catalog.count.sid}`);
+  console.log(`  Size: ${formatSize(catalog.size)}`);
+
+  const cache = catalog.compiledCache;
+  if (!cache.exists) {
+    console.log('  Compiled cache: not built (built by the next encode/decode)');
+  } else if (cache.upToDate) {
+    console.log(`  Compiled cache: up to date (version ${cache.version}, ${formatSize(cache.size)})`);
+  } else {
+    const reason = cache.reason === 'version' ? `version ${cache.version}` : 'sources changed';
+    console.log(`  Compiled cache: stale (${reason}, ${formatSize(cache.size)}); rebuilt on next use`);
+  }
+
+  if (catalog.devices.length > 0) {
+    console.log(`  Devices: ${catalog.devices.join(', ')}`);
+  }
+
+  console.log(`\nModules (${catalog.modules.length}):`);
+  for (const module of catalog.modules) {
+    const name = `${module.name}${module.revision ? `@${module.revision}` : ''}`;
+    const kind = module.submodule ? ' (submodule)' : '';
+    let sid = module.submodule ? '' : 'no SID file';
+    if (module.sid) {
+      const ranges = module.sid.ranges.length > 0
+        ? module.sid.ranges.map(range => `${range.entryPoint}-${range.entryPoint + range.size - 1}`).join(', ')
+        : (module.sid.items > 0 ? `${module.sid.min}-${module.sid.max}` : '-');
+      sid = `SID ${ranges}, ${module.sid.items} items`;
+    }
+    console.log(`  ${(name + kind).padEnd(60)} ${sid}`);
+  }
+
+  if (options.verbose) {
+    console.log(`\nCompiled cache file: ${cache.file}`);
+  }
+}
+
+/**
+ * Delete a cached catalog with its compiled cache
+ */
+async function catalogDeleteCommand(checksum, options) {
+  const yangCatalog = new YangCatalogManager();
+  const catalog = requireCatalog(yangCatalog, checksum, 'keti-tsn catalog delete <checksum>');
+
+  console.log(`Catalog: ${catalog.checksum}`);
+  console.log(`  YANG files: ${catalog.count.yang}`);
+  console.log(`  SID files: ${catalog.count.sid}`);
+
+  // Require explicit confirmation
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Refusing to delete the catalog without confirmation. Re-run with --yes');
+    }
+    const accepted = await confirm('Delete this catalog? [y/N] ');
+    if (!accepted) {
+      console.log('Aborted.');
+      return;
+    }
+  }
+
+  yangCatalog.deleteCatalog(catalog.checksum);
+  console.log(`Deleted: ${catalog.checksum}`);
+}
+
+/**
+ * Remove tarballs, stale compiled caches and interrupted imports
+ */
+async function catalogPruneCommand(options) {
+  const yangCatalog = new YangCatalogManager();
+  const removed = await yangCatalog.pruneCache();
+
+  if (removed.length === 0) {
+    console.log('Nothing to prune.');
+    return;
+  }
+
+  for (const entry of removed) {
+    const name = options.verbose ? entry.path : entry.path.slice(yangCatalog.cacheDir.length + 1);
+    console.log(`  Removed ${name} (${entry.reason}, ${formatSize(entry.size)})`);
+  }
+  const total = removed.reduce((sum, entry) => sum + entry.size, 0);
+  console.log(`Pruned ${removed.length} entr${removed.length === 1 ? 'y' : 'ies'}, ${formatSize(total)} freed`);
+}
+
+/**
+ * Show, set or clear the catalog used by offline commands
+ */
+async function catalogDefaultCommand(checksum) {
+  const yangCatalog = new YangCatalogManager();
+
+  if (!checksum) {
+    const current = yangCatalog.getDefaultCatalog();
+    if (!current) {
+      console.log('No default catalog (offline commands use the first cached catalog)');
+    } else if (!yangCatalog.getCatalogInfo(current)) {
+      console.log(`Default catalog: ${current} (not cached)`);
+    } else {
+      console.log(`Default catalog: ${current}`);
+    }
+    return;
+  }
+
+  if (checksum === 'none') {
+    yangCatalog.setDefaultCatalog(null);
+    console.log('Default catalog cleared');
+    return;
+  }
+
+  const catalog = requireCatalog(yangCatalog, checksum, 'keti-tsn catalog default <checksum>');
+  yangCatalog.setDefaultCatalog(catalog.checksum);
+  console.log(`Default catalog: ${catalog.checksum}`);
+}
+
+/**
+ * Show the download mirrors and the proxy used for each
+ */
+async function catalogMirrorsCommand() {
+  const yangCatalog = new YangCatalogManager();
+  const { mirrors, source } = yangCatalog.getMirrors();
+
+  console.log(`Catalog mirrors (${source}):`);
+  for (const mirror of mirrors) {
+    const proxy = getProxyForUrl(mirror);
+    console.log(`  ${mirror}`);
+    console.log(`    Proxy: ${proxy ? `${proxy.protocol}//${proxy.host}` : 'none'}`);
+  }
+}
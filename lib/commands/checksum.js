@@ -1,6 +1,8 @@
 /**
  * Checksum command - Query YANG catalog checksum from device
  * Supports both Serial and WiFi transports.
+ * The checksum is remembered for the device, so other device commands
+ * pick its catalog without asking again (e.g. after a firmware update).
  */
 
 import path from 'path';
@@ -21,15 +23,21 @@ const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor/lib');
 export async function checksumCommand(options) {
   const transportType = options.transport || 'serial';
 
-  const { createTransport } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
+  const { createTransport, transportNeedsHost } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
   const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/yang-catalog/yang-catalog.js`);
+  const { deviceKey } = await import(`${TSC2CBOR_LIB}/yang-catalog/catalog-selector.js`);
 
-  const transport = createTransport(transportType, { verbose: options.verbose });
+  const transport = createTransport(transportType, {
+    verbose: options.verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
   const yangCatalog = new YangCatalogManager();
 
   try {
     // Connect based on transport type
-    if (transportType === 'wifi' || transportType === 'eth') {
+    if (transportNeedsHost(transportType)) {
       console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
       await transport.connect({ host: options.host, port: options.port });
     } else {
@@ -45,6 +53,7 @@ export async function checksumCommand(options) {
 
     const checksum = await yangCatalog.queryChecksumFromDevice(transport);
     console.log(`\nYANG Catalog Checksum: ${checksum}`);
+    yangCatalog.rememberDeviceChecksum(deviceKey(options), checksum);
 
     // Check if already cached
     const catalogInfo = yangCatalog.getCatalogInfo(checksum);
@@ -1,7 +1,7 @@
 /**
  * Decode CBOR to YAML command (offline)
  *
- * Converts CBOR binary to YAML configuration using RFC 9254 Delta-SID decoding.
+ * Converts CBOR binary to YAML (or RFC 7951 JSON / NETCONF XML) configuration using RFC 9254 Delta-SID decoding.
  */
 
 import path from 'path';
@@ -12,33 +12,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor');
 
 /**
- * Find YANG cache directory
- * @param {string|null} cacheOption - User-specified cache path
- * @returns {Promise<string>} Path to YANG cache directory
- */
-async function findYangCache(cacheOption) {
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
-    }
-    return cacheOption;
-  }
-
-  const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/lib/yang-catalog/yang-catalog.js`);
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
-
-  if (catalogs.length === 0) {
-    throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
-    );
-  }
-
-  return catalogs[0].path;
-}
-
-/**
- * Decode CBOR to YAML
+ * Decode CBOR to YAML (or RFC 7951 JSON / NETCONF XML / annotated CBOR diagnostic
+ * notation with --format json|xml|diag)
  * @param {string} input - Input CBOR file path
  * @param {object} options - Command options
  */
@@ -49,14 +24,16 @@ export async function decodeCommand(input, options) {
     throw new Error(`Input file not found: ${input}`);
   }
 
-  const outputFile = options.output || input.replace(/\.cbor$/i, '.yaml');
+  const extension = { json: '.json', xml: '.xml', diag: '.diag.txt' }[options.format] || '.yaml';
+  const outputFile = options.output || input.replace(/\.cbor$/i, extension);
 
   if (verbose) {
     console.log(`Input:  ${input}`);
     console.log(`Output: ${outputFile}`);
   }
 
-  const yangCacheDir = await findYangCache(options.cache);
+  const { findYangCache } = await import(`${TSC2CBOR_LIB}/lib/yang-catalog/catalog-selector.js`);
+  const yangCacheDir = await findYangCache(options);
   if (verbose) {
     console.log(`Cache:  ${yangCacheDir}`);
   }
@@ -66,7 +43,8 @@ export async function decodeCommand(input, options) {
 
   const result = await converter.convertFile(input, {
     outputFile,
-    verbose
+    verbose,
+    outputFormat: options.format || 'rfc7951'
   });
 
   console.log(`\nDecoded: ${input} -> ${outputFile}`);
@@ -0,0 +1,154 @@
+/**
+ * Delete configuration command (CoAP DELETE)
+ *
+ * Removes list entries or leaves on device using CoAP DELETE.
+ * Takes instance-identifier paths, e.g.:
+ *   - "/ietf-interfaces:interfaces/interface[name='L3V1']"
+ * Supports both Serial and WiFi transports.
+ *
+ * Note: Paths are deleted sequentially (one DELETE per path) so that
+ * each result can be reported individually.
+ */
+
+import fs from 'fs';
+
+// Static imports for better performance (no dynamic import overhead)
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
+import { loadYangInputs } from '../../tsc2cbor/lib/common/input-loader.js';
+import { isInstanceIdentifierFormat, extractSidsFromInstanceIdentifier } from '../../tsc2cbor/lib/encoder/transformer-instance-id.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
+import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
+import { loadDataFile } from '../../tsc2cbor/lib/common/data-format.js';
+
+/**
+ * Delete configuration nodes on device
+ * @param {string} file - Input YAML file (instance-identifier paths)
+ * @param {object} options - Command options
+ */
+export async function deleteCommand(file, options) {
+  const verbose = options.verbose || false;
+  const transportType = options.transport || 'serial';
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Input file not found: ${file}`);
+  }
+
+  // Find YANG cache
+  const yangCacheDir = await findYangCache(options, { device: true });
+  const { sidInfo } = await loadYangInputs(yangCacheDir, verbose);
+
+  // Parse YAML or JSON file
+  let parsedData = loadDataFile(file);
+
+  // Support string array format (same as fetch)
+  // Convert: ["/path1", "/path2"] → [{ "/path1": null }, { "/path2": null }]
+  if (Array.isArray(parsedData) && parsedData.length > 0 && typeof parsedData[0] === 'string') {
+    parsedData = parsedData.map(path => ({ [path]: null }));
+  }
+
+  if (!isInstanceIdentifierFormat(parsedData)) {
+    throw new Error(
+      'DELETE requires instance-identifier format.\n' +
+      'Example:\n' +
+      '  - "/ietf-interfaces:interfaces/interface[name=\'L3V1\']"'
+    );
+  }
+
+  const deleteItems = parsedData;
+
+  if (verbose) {
+    console.log(`Found ${deleteItems.length} delete operation(s)`);
+  }
+
+  // Create decoder for error response decoding
+  const decoder = new Cbor2TscConverter(yangCacheDir);
+
+  // Create transport and connect
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
+
+  try {
+    // Connect based on transport type
+    if (transportNeedsHost(transportType)) {
+      if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
+      await transport.connect({ host: options.host, port: options.port });
+    } else {
+      if (verbose) console.log(`Connecting to ${options.device}...`);
+      await transport.connect({ device: options.device });
+    }
+    if (verbose) console.log('Connected.\n');
+
+    await transport.waitForReady(5000);
+
+    // Process each path sequentially
+    let successCount = 0;
+    let failCount = 0;
+
+    for (let i = 0; i < deleteItems.length; i++) {
+      const item = deleteItems[i];
+      const itemPath = Object.keys(item)[0];
+
+      console.log(`[${i + 1}/${deleteItems.length}] Deleting: ${itemPath}`);
+
+      try {
+        // Resolve SID and list keys for this path
+        const [target] = extractSidsFromInstanceIdentifier([item], sidInfo, { verbose });
+
+        if (target === undefined) {
+          console.error(`  Failed: No SID found for path`);
+          failCount++;
+          continue;
+        }
+
+        // Send DELETE request
+        const response = await transport.sendDeleteRequest(target);
+
+        if (!response.isSuccess()) {
+          console.error(`  Failed: CoAP code ${response.code}`);
+
+          // Try to decode error response payload if present
+          if (response.payload && response.payload.length > 0) {
+            try {
+              const errorResult = await decoder.convertBuffer(response.payload, {
+                verbose: false,
+                outputFormat: 'rfc7951'
+              });
+              console.error(`  Error details: ${errorResult.yaml}`);
+            } catch (decodeErr) {
+              // If decoding fails, show raw hex
+              console.error(`  Error payload (${response.payload.length} bytes): ${response.payload.toString('hex')}`);
+            }
+          }
+
+          failCount++;
+          continue;
+        }
+
+        console.log(`  Deleted`);
+        successCount++;
+
+      } catch (err) {
+        console.error(`  Error: ${err.message}`);
+        failCount++;
+        continue;
+      }
+    }
+
+    // Summary
+    console.log(`\n--- Summary ---`);
+    console.log(`Total: ${deleteItems.length}, Success: ${successCount}, Failed: ${failCount}`);
+
+    if (failCount > 0 && successCount === 0) {
+      throw new Error('All DELETE operations failed');
+    }
+
+  } finally {
+    if (transport.getConnectionStatus()) {
+      await transport.disconnect();
+    }
+  }
+}
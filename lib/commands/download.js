@@ -22,19 +22,28 @@ const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor/lib');
 export async function downloadCommand(options) {
   const transportType = options.transport || 'serial';
 
-  const { createTransport } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
+  const { createTransport, transportNeedsHost } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
   const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/yang-catalog/yang-catalog.js`);
+  const { deviceKey } = await import(`${TSC2CBOR_LIB}/yang-catalog/catalog-selector.js`);
 
   const yangCatalog = new YangCatalogManager();
   let checksum = options.checksum;
 
-  // If no checksum provided, query from device
-  if (!checksum) {
-    const transport = createTransport(transportType, { verbose: options.verbose });
+  // The device stays connected until its catalog is checked against it
+  let transport = null;
+
+  try {
+    // If no checksum provided, query from device
+    if (!checksum) {
+      transport = createTransport(transportType, {
+        verbose: options.verbose,
+        transmission: options.transmission,
+        oscore: options.oscore,
+        credentials: options.credentials
+      });
 
-    try {
       // Connect based on transport type
-      if (transportType === 'wifi' || transportType === 'eth') {
+      if (transportNeedsHost(transportType)) {
         console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
         await transport.connect({ host: options.host, port: options.port });
       } else {
@@ -48,36 +57,34 @@ export async function downloadCommand(options) {
       console.log('Board ready.\n');
 
       checksum = await yangCatalog.queryChecksumFromDevice(transport);
+      yangCatalog.rememberDeviceChecksum(deviceKey(options), checksum);
+    }
 
-    } catch (error) {
-      throw error;
-    } finally {
-      if (transport.getConnectionStatus()) {
-        await transport.disconnect();
-      }
+    // Check if already cached
+    let catalogInfo = yangCatalog.getCatalogInfo(checksum);
+    if (catalogInfo) {
+      console.log(`\nYANG catalog already available!`);
+      console.log(`  Checksum: ${checksum}`);
+      console.log(`  Path: ${catalogInfo.path}`);
+      console.log(`  YANG files: ${catalogInfo.count.yang}`);
+      console.log(`  SID files: ${catalogInfo.count.sid}`);
+      return;
     }
-  }
 
-  // Check if already cached
-  let catalogInfo = yangCatalog.getCatalogInfo(checksum);
-  if (catalogInfo) {
-    console.log(`\nYANG catalog already available!`);
+    // Download, check against the device and extract catalog
+    console.log(`\nDownloading catalog: ${checksum}`);
+    const tarPath = await yangCatalog.downloadCatalog(checksum, { transport });
+    const catalogDir = await yangCatalog.extractCatalog(tarPath);
+
+    catalogInfo = yangCatalog.getCatalogInfo(checksum);
+    console.log(`\nYANG catalog ready!`);
     console.log(`  Checksum: ${checksum}`);
-    console.log(`  Path: ${catalogInfo.path}`);
+    console.log(`  Path: ${catalogDir}`);
     console.log(`  YANG files: ${catalogInfo.count.yang}`);
     console.log(`  SID files: ${catalogInfo.count.sid}`);
-    return;
+  } finally {
+    if (transport && transport.getConnectionStatus()) {
+      await transport.disconnect();
+    }
   }
-
-  // Download and extract catalog
-  console.log(`\nDownloading catalog: ${checksum}`);
-  const tarPath = await yangCatalog.downloadCatalog(checksum);
-  const catalogDir = await yangCatalog.extractCatalog(tarPath);
-
-  catalogInfo = yangCatalog.getCatalogInfo(checksum);
-  console.log(`\nYANG catalog ready!`);
-  console.log(`  Checksum: ${checksum}`);
-  console.log(`  Path: ${catalogDir}`);
-  console.log(`  YANG files: ${catalogInfo.count.yang}`);
-  console.log(`  SID files: ${catalogInfo.count.sid}`);
 }
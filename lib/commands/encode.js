@@ -2,6 +2,7 @@
  * Encode YAML to CBOR command (offline)
  *
  * Converts YAML configuration to CBOR binary format using RFC 9254 Delta-SID encoding.
+ * Accepts instance-identifier items or RFC 7951 trees (YAML or JSON), or NETCONF XML.
  */
 
 import path from 'path';
@@ -11,35 +12,6 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor');
 
-/**
- * Find YANG cache directory
- * @param {string|null} cacheOption - User-specified cache path
- * @returns {Promise<string>} Path to YANG cache directory
- */
-async function findYangCache(cacheOption) {
-  // 1. Use explicitly specified cache directory
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
-    }
-    return cacheOption;
-  }
-
-  // 2. Auto-detect from cached catalogs
-  const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/lib/yang-catalog/yang-catalog.js`);
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
-
-  if (catalogs.length === 0) {
-    throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
-    );
-  }
-
-  // Use first available catalog
-  return catalogs[0].path;
-}
-
 /**
  * Encode YAML to CBOR
  * @param {string} input - Input YAML file path
@@ -57,7 +29,7 @@ export async function encodeCommand(input, options) {
   }
 
   // Determine output file path
-  const outputFile = options.output || input.replace(/\.(yaml|yml)$/i, '.cbor');
+  const outputFile = options.output || input.replace(/\.(yaml|yml|json|xml)$/i, '.cbor');
 
   if (verbose) {
     console.log(`Input:  ${input}`);
@@ -65,7 +37,8 @@ export async function encodeCommand(input, options) {
   }
 
   // Find YANG cache directory
-  const yangCacheDir = await findYangCache(options.cache);
+  const { findYangCache } = await import(`${TSC2CBOR_LIB}/lib/yang-catalog/catalog-selector.js`);
+  const yangCacheDir = await findYangCache(options);
   if (verbose) {
     console.log(`Cache:  ${yangCacheDir}`);
   }
@@ -3,6 +3,7 @@
  *
  * Queries specific configuration values from device using CoAP iFETCH.
  * Uses instance-identifier format (YAML) and converts to SID array for the request.
+ * --config-only and --with-defaults shape the output as for get.
  * Supports both Serial and WiFi transports.
  *
  * Note: iFETCH requires SID array format, not Delta-SID Map.
@@ -10,39 +11,75 @@
 
 import path from 'path';
 import fs from 'fs';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
 
 // Static imports for better performance (no dynamic import overhead)
-import { YangCatalogManager } from '../../tsc2cbor/lib/yang-catalog/yang-catalog.js';
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
 import { loadYangInputs } from '../../tsc2cbor/lib/common/input-loader.js';
 import { isInstanceIdentifierFormat, extractSidsFromInstanceIdentifier } from '../../tsc2cbor/lib/encoder/transformer-instance-id.js';
-import { createTransport } from '../../tsc2cbor/lib/transport/index.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
 import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
+import { loadDataFile } from '../../tsc2cbor/lib/common/data-format.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
- * Find YANG cache directory
+ * Build iFETCH query entries from an instance-identifier YAML file
+ * Shared with the watch command, which observes the same queries.
+ * @param {string} file - Input YAML file (instance-identifier format)
+ * @param {object} sidInfo - SID information from loadYangInputs
+ * @param {object} options - { verbose }
+ * @returns {Array} SID entries: number or [SID, key1, key2, ...]
  */
-async function findYangCache(cacheOption) {
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
+export function loadFetchQueries(file, sidInfo, options = {}) {
+  const verbose = options.verbose || false;
+
+  // Parse YAML or JSON file
+  let parsedData = loadDataFile(file);
+
+  // Support string array format for fetch (without trailing colon)
+  // Convert: ["/path1", "/path2"] → [{ "/path1": null }, { "/path2": null }]
+  if (Array.isArray(parsedData) && parsedData.length > 0 && typeof parsedData[0] === 'string') {
+    if (verbose) {
+      console.log('Detected string array format, converting to instance-identifier format...');
     }
-    return cacheOption;
+    parsedData = parsedData.map(path => ({ [path]: null }));
   }
 
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
-
-  if (catalogs.length === 0) {
+  // iFETCH requires SID array, not Delta-SID Map
+  if (!isInstanceIdentifierFormat(parsedData)) {
     throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
+      'iFETCH requires instance-identifier format.\n' +
+      'Example: - "/ietf-interfaces:interfaces/interface[name=\'1\']"\n' +
+      'Each entry should be a path string starting with "/"'
     );
   }
 
-  return catalogs[0].path;
+  if (verbose) {
+    console.log('\nDetected instance-identifier format');
+    console.log('Extracting SIDs for iFETCH...');
+  }
+
+  // Extract SID entries from instance-identifier paths
+  // Each entry is either a number (SID) or [SID, key1, key2, ...] for list entries
+  const entries = extractSidsFromInstanceIdentifier(parsedData, sidInfo, { verbose });
+
+  if (entries.length === 0) {
+    throw new Error('No valid SIDs found in instance-identifier paths');
+  }
+
+  if (verbose) {
+    console.log(`  Total queries: ${entries.length}`);
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const queryStr = Array.isArray(entry)
+        ? `[${entry.map(v => typeof v === 'string' ? `"${v}"` : v).join(', ')}]`
+        : entry;
+      console.log(`  [${i + 1}] ${queryStr}`);
+    }
+  }
+
+  return entries;
 }
 
 /**
@@ -60,7 +97,7 @@ export async function fetchCommand(file, options) {
   }
 
   // Find YANG cache
-  const yangCacheDir = await findYangCache(options.cache);
+  const yangCacheDir = await findYangCache(options, { device: true });
 
   // Load YANG/SID inputs
   if (verbose) {
@@ -69,63 +106,19 @@ export async function fetchCommand(file, options) {
 
   const { sidInfo, typeTable } = await loadYangInputs(yangCacheDir, verbose);
 
-  // Parse YAML file
-  const yamlContent = fs.readFileSync(file, 'utf8');
-  let parsedData = yaml.load(yamlContent);
-
-  // Support string array format for fetch (without trailing colon)
-  // Convert: ["/path1", "/path2"] → [{ "/path1": null }, { "/path2": null }]
-  if (Array.isArray(parsedData) && parsedData.length > 0 && typeof parsedData[0] === 'string') {
-    if (verbose) {
-      console.log('Detected string array format, converting to instance-identifier format...');
-    }
-    parsedData = parsedData.map(path => ({ [path]: null }));
-  }
-
-  // iFETCH requires SID array, not Delta-SID Map
-  let query;
-
-  if (isInstanceIdentifierFormat(parsedData)) {
-    if (verbose) {
-      console.log('\nDetected instance-identifier format');
-      console.log('Extracting SIDs for iFETCH...');
-    }
-
-    // Extract SID entries from instance-identifier paths
-    // Each entry is either a number (SID) or [SID, key1, key2, ...] for list entries
-    const entries = extractSidsFromInstanceIdentifier(parsedData, sidInfo, { verbose });
-
-    if (entries.length === 0) {
-      throw new Error('No valid SIDs found in instance-identifier paths');
-    }
-
-    if (verbose) {
-      console.log(`  Total queries: ${entries.length}`);
-      for (let i = 0; i < entries.length; i++) {
-        const entry = entries[i];
-        const queryStr = Array.isArray(entry)
-          ? `[${entry.map(v => typeof v === 'string' ? `"${v}"` : v).join(', ')}]`
-          : entry;
-        console.log(`  [${i + 1}] ${queryStr}`);
-      }
-    }
-
-    // Store entries for later use
-    var queries = entries;
-  } else {
-    throw new Error(
-      'iFETCH requires instance-identifier format.\n' +
-      'Example: - "/ietf-interfaces:interfaces/interface[name=\'1\']"\n' +
-      'Each entry should be a path string starting with "/"'
-    );
-  }
+  const queries = loadFetchQueries(file, sidInfo, { verbose });
 
   // Create transport and connect
-  const transport = createTransport(transportType, { verbose });
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
 
   try {
     // Connect based on transport type
-    if (transportType === 'wifi' || transportType === 'eth') {
+    if (transportNeedsHost(transportType)) {
       if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
       await transport.connect({ host: options.host, port: options.port });
     } else {
@@ -141,11 +134,12 @@ export async function fetchCommand(file, options) {
     const decoder = new Cbor2TscConverter(yangCacheDir);
 
     if (verbose) {
-      console.log(`\nSending iFETCH request with ${queries.length} queries...`);
+      const from = options.datastore ? ` from ${options.datastore} datastore` : '';
+      console.log(`\nSending iFETCH request with ${queries.length} queries${from}...`);
     }
 
     // Send all queries at once
-    const response = await transport.sendiFetchRequest(queries);
+    const response = await transport.sendiFetchRequest(queries, { datastore: options.datastore });
 
     if (!response.isSuccess()) {
       throw new Error(`iFETCH failed: CoAP code ${response.code}`);
@@ -154,10 +148,13 @@ export async function fetchCommand(file, options) {
     const cborPayload = response.payload;
     if (verbose) console.log(`  Received ${cborPayload.length} bytes`);
 
-    // Decode response (may contain multiple CBOR values)
+    // Decode response (one CBOR value per query; the queries' keys restore list entries)
     const result = await decoder.convertBuffer(cborPayload, {
       verbose: false,
-      outputFormat: format
+      outputFormat: format,
+      queries,
+      configOnly: options.configOnly,
+      withDefaults: options.withDefaults
     });
 
     const combinedResult = result.yaml;
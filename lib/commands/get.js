@@ -2,6 +2,8 @@
  * Get full configuration command
  *
  * Retrieves full device configuration via CoAP GET request.
+ * --config-only leaves out state (config false) data, --with-defaults
+ * fills in the default values of leaves the device did not return.
  * Supports both Serial and WiFi transports.
  */
 
@@ -13,30 +15,6 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor/lib');
 const TSC2CBOR = path.resolve(__dirname, '../../tsc2cbor');
 
-/**
- * Find YANG cache directory
- */
-async function findYangCache(cacheOption) {
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
-    }
-    return cacheOption;
-  }
-
-  const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/yang-catalog/yang-catalog.js`);
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
-
-  if (catalogs.length === 0) {
-    throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
-    );
-  }
-
-  return catalogs[0].path;
-}
-
 /**
  * Get full configuration from device
  * @param {object} options - Command options
@@ -46,14 +24,23 @@ export async function getCommand(options) {
   const format = options.format || 'rfc7951';
   const transportType = options.transport || 'serial';
 
-  const { createTransport } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
+  const { createTransport, transportNeedsHost } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
   const { Cbor2TscConverter } = await import(`${TSC2CBOR}/cbor2tsc.js`);
+  const { findYangCache } = await import(`${TSC2CBOR_LIB}/yang-catalog/catalog-selector.js`);
 
-  const transport = createTransport(transportType, { verbose });
+  // Find YANG cache (may query the device's catalog checksum first)
+  const yangCacheDir = await findYangCache(options, { device: true });
+
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
 
   try {
     // Connect based on transport type
-    if (transportType === 'wifi' || transportType === 'eth') {
+    if (transportNeedsHost(transportType)) {
       console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
       await transport.connect({ host: options.host, port: options.port });
     } else {
@@ -66,8 +53,12 @@ export async function getCommand(options) {
     await transport.waitForReady(5000);
 
     // Send GET request
-    console.log('Fetching full configuration...');
-    const response = await transport.sendGetRequest();
+    if (options.datastore) {
+      console.log(`Fetching ${options.datastore} datastore...`);
+    } else {
+      console.log('Fetching full configuration...');
+    }
+    const response = await transport.sendGetRequest({ datastore: options.datastore });
 
     if (!response.isSuccess()) {
       throw new Error(`GET request failed: CoAP code ${response.code}`);
@@ -77,13 +68,14 @@ export async function getCommand(options) {
     const cborPayload = response.payload;
     console.log(`Received ${cborPayload.length} bytes`);
 
-    // Find YANG cache and decode
-    const yangCacheDir = await findYangCache(options.cache);
+    // Decode
     const converter = new Cbor2TscConverter(yangCacheDir);
 
     const result = await converter.convertBuffer(cborPayload, {
       verbose,
-      outputFormat: format
+      outputFormat: format,
+      configOnly: options.configOnly,
+      withDefaults: options.withDefaults
     });
 
     // Output result
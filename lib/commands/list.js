@@ -25,9 +25,11 @@ export async function listCommand(options) {
     return;
   }
 
+  const defaultChecksum = yangCatalog.getDefaultCatalog();
+
   console.log('Cached YANG Catalogs:\n');
   for (const catalog of catalogs) {
-    console.log(`  ${catalog.checksum}`);
+    console.log(`  ${catalog.checksum}${catalog.checksum === defaultChecksum ? ' (default)' : ''}`);
     console.log(`    Path: ${catalog.path}`);
     console.log(`    YANG files: ${catalog.count.yang}`);
     console.log(`    SID files: ${catalog.count.sid}`);
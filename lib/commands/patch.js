@@ -2,53 +2,152 @@
  * Patch configuration command (iPATCH)
  *
  * Modifies configuration values on device using CoAP iPATCH.
- * Supports instance-identifier format.
+ * Supports instance-identifier format and RFC 7951 trees (split per node).
  * Supports both Serial and WiFi transports.
  *
+ * Leafref values are checked before sending: targets must be in the same
+ * patch or, with --check-device, on the device (fetched with iFETCH).
+ * With --validate, YANG must/when conditions are evaluated on the running
+ * configuration merged with the patch.
+ * Patches writing state (config false) nodes are refused; list entries
+ * without their mandatory leaves are looked up on the device and reported
+ * if they would be created.
+ *
  * Note: Multiple paths are sent sequentially (one iPATCH per path)
  * because the target device may not support batch updates in a single request.
  */
 
 import path from 'path';
 import fs from 'fs';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
 
 // Static imports for better performance (no dynamic import overhead)
-import { YangCatalogManager } from '../../tsc2cbor/lib/yang-catalog/yang-catalog.js';
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
 import { Tsc2CborConverter } from '../../tsc2cbor/tsc2cbor.js';
 import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
-import { createTransport } from '../../tsc2cbor/lib/transport/index.js';
-import { isInstanceIdentifierFormat } from '../../tsc2cbor/lib/encoder/transformer-instance-id.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
+import { DataFormat, serializeData } from '../../tsc2cbor/lib/common/data-format.js';
+import { extractSidsFromInstanceIdentifier } from '../../tsc2cbor/lib/encoder/transformer-instance-id.js';
+import { checkLeafrefs, leafrefFetchPaths, formatDanglingReferences } from '../../tsc2cbor/lib/encoder/leafref-validator.js';
+import { applyInstanceItems, validateMustWhen, formatViolations } from '../../tsc2cbor/lib/encoder/must-when-validator.js';
+import { findConfigFalseNodes, findMissingMandatory, formatMissingMandatory } from '../../tsc2cbor/lib/common/schema-properties.js';
+import { ResponseCode } from '../../tsc2cbor/lib/coap/coap.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
- * Find YANG cache directory
+ * Print a CBOR payload as diagnostic notation annotated with SIDs and YANG paths
+ * @param {Cbor2TscConverter} decoder - Decoder with the YANG cache
+ * @param {Buffer} payload - CBOR payload
+ * @param {string} label - Header label
+ */
+async function printCborDiagnostic(decoder, payload, label) {
+  console.log(`  --- ${label} (${payload.length} bytes) ---`);
+  try {
+    const result = await decoder.convertBuffer(payload, { verbose: false, outputFormat: 'diag' });
+    console.log(result.yaml);
+  } catch (err) {
+    console.log(`  ${err.message}: ${payload.toString('hex')}`);
+  }
+}
+
+/**
+ * Fetch the lists that dangling leafref targets would live in
+ * @param {object} transport - Connected transport
+ * @param {Tsc2CborConverter} encoder - Encoder with the YANG cache loaded
+ * @param {Cbor2TscConverter} decoder - Decoder for the responses
+ * @param {Array<string>} paths - Instance-identifiers from leafrefFetchPaths()
+ * @param {boolean} verbose - Verbose output
+ * @returns {Promise<Array<object>>} RFC 7951 trees (missing nodes are skipped)
  */
-async function findYangCache(cacheOption) {
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
+async function fetchLeafrefTargets(transport, encoder, decoder, paths, verbose) {
+  const trees = [];
+
+  // One iFETCH per path: a missing list must not hide the others
+  for (const fetchPath of paths) {
+    if (verbose) console.log(`  Fetching leafref targets: ${fetchPath}`);
+
+    const queries = extractSidsFromInstanceIdentifier([{ [fetchPath]: null }], encoder.sidInfo);
+    const response = await transport.sendiFetchRequest(queries);
+
+    if (response.code === ResponseCode.NOT_FOUND) continue;
+    if (!response.isSuccess()) {
+      throw new Error(`iFETCH of ${fetchPath} failed: CoAP code ${response.code}`);
     }
-    return cacheOption;
+    if (!response.payload || response.payload.length === 0) continue;
+
+    const result = await decoder.convertBuffer(response.payload, { verbose: false, outputFormat: 'rfc7951' });
+    trees.push(result.nested);
   }
 
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
+  return trees;
+}
+
+/**
+ * Keep the list entries that do not exist on the device yet
+ * @param {object} transport - Connected transport
+ * @param {Tsc2CborConverter} encoder - Encoder with the YANG cache loaded
+ * @param {Array<object>} entries - From findMissingMandatory()
+ * @param {boolean} verbose - Verbose output
+ * @returns {Promise<Array<object>>} Entries the patch would create
+ */
+async function filterNewEntries(transport, encoder, entries, verbose) {
+  const newEntries = [];
 
-  if (catalogs.length === 0) {
-    throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
-    );
+  for (const entry of entries) {
+    if (verbose) console.log(`  Looking up list entry: ${entry.path}`);
+
+    const queries = extractSidsFromInstanceIdentifier([{ [entry.path]: null }], encoder.sidInfo);
+    const response = await transport.sendiFetchRequest(queries);
+
+    if (response.code === ResponseCode.NOT_FOUND || (response.isSuccess() && !response.payload?.length)) {
+      newEntries.push(entry);
+    } else if (!response.isSuccess() && verbose) {
+      console.log(`  iFETCH of ${entry.path} failed: CoAP code ${response.code}`);
+    }
   }
 
-  return catalogs[0].path;
+  return newEntries;
+}
+
+/**
+ * Find must/when violations the patch would introduce
+ * Conditions already violated by the running configuration are not
+ * reported: the patch does not cause them.
+ * @param {object} transport - Connected transport
+ * @param {Tsc2CborConverter} encoder - Encoder with the YANG cache loaded
+ * @param {Cbor2TscConverter} decoder - Decoder for the GET response
+ * @param {Array<object>} patchItems - Instance-identifier items
+ * @param {boolean} verbose - Verbose output
+ * @returns {Promise<Array<object>>} Violations (see validateMustWhen())
+ */
+async function validatePatch(transport, encoder, decoder, patchItems, verbose) {
+  if (verbose) console.log('Fetching running configuration for must/when validation...');
+
+  const response = await transport.sendGetRequest();
+  if (!response.isSuccess()) {
+    throw new Error(`GET request failed: CoAP code ${response.code}`);
+  }
+
+  const running = response.payload && response.payload.length > 0
+    ? (await decoder.convertBuffer(response.payload, { verbose: false, outputFormat: 'rfc7951' })).nested
+    : {};
+  const candidate = applyInstanceItems(running, patchItems, encoder.schemaInfo);
+
+  const before = validateMustWhen(running, encoder.typeTable, encoder.schemaInfo);
+  const after = validateMustWhen(candidate, encoder.typeTable, encoder.schemaInfo);
+
+  if (verbose) {
+    console.log(`  ${after.checked} must/when condition(s) evaluated, ${after.skipped.length} not supported`);
+  }
+
+  const existing = new Set(before.violations.map(({ path, condition }) => `${path}\u0000${condition}`));
+  return after.violations.filter(({ path, condition }) => !existing.has(`${path}\u0000${condition}`));
 }
 
 /**
  * Patch configuration values on device
- * @param {string} file - Input YAML file (instance-identifier format)
+ * @param {string} file - Input YAML file (instance-identifier or RFC 7951 tree format)
  * @param {object} options - Command options
  */
 export async function patchCommand(file, options) {
@@ -60,39 +159,58 @@ export async function patchCommand(file, options) {
   }
 
   // Find YANG cache
-  const yangCacheDir = await findYangCache(options.cache);
-
-  // Parse YAML file to check format and split into individual patches
-  const yamlContent = fs.readFileSync(file, 'utf8');
-  const parsedData = yaml.load(yamlContent);
-
-  if (!isInstanceIdentifierFormat(parsedData)) {
-    throw new Error(
-      'iPATCH requires instance-identifier format.\n' +
-      'Example:\n' +
-      '  - /module:container/list[key=\'value\']/leaf: value'
-    );
-  }
+  const yangCacheDir = await findYangCache(options, { device: true });
 
-  // Each item in the array is a separate patch operation
-  const patchItems = parsedData;
+  // Create converter for CBOR encoding
+  const encoder = new Tsc2CborConverter(yangCacheDir);
+
+  // Parse YAML, JSON or XML file and split into individual patches
+  const parsedData = await encoder.loadFile(file, { verbose });
+
+  // Each instance-identifier item is a separate patch operation
+  // (RFC 7951 trees are split into one item per node)
+  const patchItems = await encoder.toInstanceIdentifier(parsedData, { verbose });
 
   if (verbose) {
     console.log(`Found ${patchItems.length} patch operation(s)`);
   }
 
-  // Create converter for CBOR encoding
-  const encoder = new Tsc2CborConverter(yangCacheDir);
+  await encoder.loadInputs(verbose);
+
+  // State data is maintained by the device and cannot be written
+  const patchTree = applyInstanceItems({}, patchItems, encoder.schemaInfo);
+  const stateNodes = findConfigFalseNodes(patchTree, encoder.schemaInfo);
+  if (stateNodes.length > 0) {
+    console.error('State (config false) nodes:');
+    console.error(stateNodes.map(nodePath => `  ${nodePath}`).join('\n'));
+    throw new Error(`${stateNodes.length} state node(s) in ${file} cannot be written; no iPATCH was sent`);
+  }
+
+  // Entries without mandatory leaves are only a problem if the patch creates them
+  const incompleteEntries = findMissingMandatory(patchTree, encoder.schemaInfo);
+
+  // Leafref targets must exist in this patch or, with --check-device, on the device
+  let dangling = checkLeafrefs(patchItems, encoder.typeTable, encoder.schemaInfo);
+
+  if (dangling.length > 0 && !options.checkDevice) {
+    console.warn(`Warning: ${dangling.length} leafref reference(s) not found in ${file} (use --check-device to look them up on the device):`);
+    console.warn(formatDanglingReferences(dangling));
+  }
 
   // Create decoder for error response decoding
   const decoder = new Cbor2TscConverter(yangCacheDir);
 
   // Create transport and connect
-  const transport = createTransport(transportType, { verbose });
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
 
   try {
     // Connect based on transport type
-    if (transportType === 'wifi' || transportType === 'eth') {
+    if (transportNeedsHost(transportType)) {
       if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
       await transport.connect({ host: options.host, port: options.port });
     } else {
@@ -103,6 +221,36 @@ export async function patchCommand(file, options) {
 
     await transport.waitForReady(5000);
 
+    if (dangling.length > 0 && options.checkDevice) {
+      const deviceData = await fetchLeafrefTargets(
+        transport, encoder, decoder, leafrefFetchPaths(dangling, encoder.sidInfo, encoder.schemaInfo), verbose
+      );
+      dangling = checkLeafrefs(patchItems, encoder.typeTable, encoder.schemaInfo, deviceData);
+
+      if (dangling.length > 0) {
+        console.error('Dangling leafref references:');
+        console.error(formatDanglingReferences(dangling));
+        throw new Error(`${dangling.length} leafref reference(s) point at nothing; no iPATCH was sent`);
+      }
+    }
+
+    if (incompleteEntries.length > 0) {
+      const newEntries = await filterNewEntries(transport, encoder, incompleteEntries, verbose);
+      if (newEntries.length > 0) {
+        console.warn(`Warning: ${newEntries.length} new list entr${newEntries.length === 1 ? 'y' : 'ies'} without mandatory leaves (the device may reject them):`);
+        console.warn(formatMissingMandatory(newEntries));
+      }
+    }
+
+    if (options.validate) {
+      const violations = await validatePatch(transport, encoder, decoder, patchItems, verbose);
+      if (violations.length > 0) {
+        console.error('must/when violations:');
+        console.error(formatViolations(violations));
+        throw new Error(`${violations.length} must/when violation(s); no iPATCH was sent`);
+      }
+    }
+
     // Process each patch item sequentially
     let successCount = 0;
     let failCount = 0;
@@ -117,17 +265,28 @@ export async function patchCommand(file, options) {
 
       try {
         // Convert single item to CBOR
-        const singleItemYaml = yaml.dump([item]);
-        const encodeResult = await encoder.convertString(singleItemYaml, { verbose: false });
+        const singleItemJson = serializeData([item], DataFormat.JSON);
+        const encodeResult = await encoder.convertString(singleItemJson, {
+          verbose: false,
+          inputFormat: DataFormat.JSON
+        });
         const patchData = encodeResult.cbor;
 
         if (verbose) {
           console.log(`  CBOR size: ${patchData.length} bytes`);
         }
 
+        if (options.showCbor) {
+          await printCborDiagnostic(decoder, patchData, `iPATCH ${itemPath}`);
+        }
+
         // Send iPATCH request
         const response = await transport.sendiPatchRequest(patchData);
 
+        if (options.showCbor && response.payload && response.payload.length > 0) {
+          await printCborDiagnostic(decoder, response.payload, `Response ${response.code}`);
+        }
+
         if (!response.isSuccess()) {
           console.error(`  Failed: CoAP code ${response.code}`);
 
@@ -10,38 +10,31 @@
 
 import path from 'path';
 import fs from 'fs';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
 
-import { YangCatalogManager } from '../../tsc2cbor/lib/yang-catalog/yang-catalog.js';
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
 import { Tsc2CborConverter } from '../../tsc2cbor/tsc2cbor.js';
 import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
-import { createTransport } from '../../tsc2cbor/lib/transport/index.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
+import { DataFormat, loadDataFile, serializeData } from '../../tsc2cbor/lib/common/data-format.js';
 import { isInstanceIdentifierFormat } from '../../tsc2cbor/lib/encoder/transformer-instance-id.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
- * Find YANG cache directory
+ * Print a CBOR payload as diagnostic notation annotated with SIDs and YANG paths
+ * @param {Cbor2TscConverter} decoder - Decoder with the YANG cache
+ * @param {Buffer} payload - CBOR payload
+ * @param {string} label - Header label
  */
-async function findYangCache(cacheOption) {
-  if (cacheOption) {
-    if (!fs.existsSync(cacheOption)) {
-      throw new Error(`Cache directory not found: ${cacheOption}`);
-    }
-    return cacheOption;
-  }
-
-  const yangCatalog = new YangCatalogManager();
-  const catalogs = yangCatalog.listCachedCatalogs();
-
-  if (catalogs.length === 0) {
-    throw new Error(
-      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
-    );
+async function printCborDiagnostic(decoder, payload, label) {
+  console.log(`  --- ${label} (${payload.length} bytes) ---`);
+  try {
+    const result = await decoder.convertBuffer(payload, { verbose: false, outputFormat: 'diag' });
+    console.log(result.yaml);
+  } catch (err) {
+    console.log(`  ${err.message}: ${payload.toString('hex')}`);
   }
-
-  return catalogs[0].path;
 }
 
 /**
@@ -58,11 +51,10 @@ export async function postCommand(file, options) {
   }
 
   // Find YANG cache
-  const yangCacheDir = await findYangCache(options.cache);
+  const yangCacheDir = await findYangCache(options, { device: true });
 
-  // Parse YAML file
-  const yamlContent = fs.readFileSync(file, 'utf8');
-  const parsedData = yaml.load(yamlContent);
+  // Parse YAML or JSON file
+  const parsedData = loadDataFile(file);
 
   if (!isInstanceIdentifierFormat(parsedData)) {
     throw new Error(
@@ -85,11 +77,16 @@ export async function postCommand(file, options) {
   const decoder = new Cbor2TscConverter(yangCacheDir);
 
   // Create transport and connect
-  const transport = createTransport(transportType, { verbose });
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
 
   try {
     // Connect based on transport type
-    if (transportType === 'wifi' || transportType === 'eth') {
+    if (transportNeedsHost(transportType)) {
       if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
       await transport.connect({ host: options.host, port: options.port });
     } else {
@@ -114,17 +111,28 @@ export async function postCommand(file, options) {
 
       try {
         // Convert single item to CBOR
-        const singleItemYaml = yaml.dump([item]);
-        const encodeResult = await encoder.convertString(singleItemYaml, { verbose: false });
+        const singleItemJson = serializeData([item], DataFormat.JSON);
+        const encodeResult = await encoder.convertString(singleItemJson, {
+          verbose: false,
+          inputFormat: DataFormat.JSON
+        });
         const postData = encodeResult.cbor;
 
         if (verbose) {
           console.log(`  CBOR size: ${postData.length} bytes`);
         }
 
+        if (options.showCbor) {
+          await printCborDiagnostic(decoder, postData, `POST ${itemPath}`);
+        }
+
         // Send POST request
         const response = await transport.sendPostRequest(postData);
 
+        if (options.showCbor && response.payload && response.payload.length > 0) {
+          await printCborDiagnostic(decoder, response.payload, `Response ${response.code}`);
+        }
+
         if (!response.isSuccess()) {
           console.error(`  Failed: CoAP code ${response.code}`);
 
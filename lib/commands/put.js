@@ -0,0 +1,217 @@
+/**
+ * Put configuration command (CoAP PUT)
+ *
+ * Replaces the whole configuration datastore on device with the given file.
+ * Supports instance-identifier format and RFC 7951 trees (e.g. a get backup).
+ * Supports both Serial and WiFi transports.
+ *
+ * Because PUT overwrites everything that is not in the file, the command:
+ *   1. prints a summary of what will be written,
+ *   2. requires --yes or an interactive confirmation,
+ *   3. saves a snapshot of the running configuration (GET) before writing.
+ *
+ * Files holding state (config false) nodes are refused; list entries
+ * without their mandatory leaves are reported, as every entry is new.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+// Static imports for better performance (no dynamic import overhead)
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
+import { Tsc2CborConverter } from '../../tsc2cbor/tsc2cbor.js';
+import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
+import { applyInstanceItems } from '../../tsc2cbor/lib/encoder/must-when-validator.js';
+import { findConfigFalseNodes, findMissingMandatory, formatMissingMandatory } from '../../tsc2cbor/lib/common/schema-properties.js';
+
+/**
+ * Count entries per top-level node (e.g. "ietf-interfaces:interfaces")
+ * @param {Array} items - Instance-identifier items
+ * @returns {Map<string, number>}
+ */
+function summarizeItems(items) {
+  const summary = new Map();
+
+  for (const item of items) {
+    const itemPath = Object.keys(item)[0];
+    const topLevel = itemPath.split('/')[1].replace(/\[.*$/, '');
+    summary.set(topLevel, (summary.get(topLevel) || 0) + 1);
+  }
+
+  return summary;
+}
+
+/**
+ * Ask the user for confirmation on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>}
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Default snapshot file name, e.g. snapshot-2026-01-20T10-15-00.yaml
+ */
+function defaultSnapshotFile() {
+  const stamp = new Date().toISOString().replace(/:/g, '-').replace(/\..*$/, '');
+  return `snapshot-${stamp}.yaml`;
+}
+
+/**
+ * Replace the device configuration
+ * @param {string} file - Input YAML file (instance-identifier or RFC 7951 tree format)
+ * @param {object} options - Command options
+ */
+export async function putCommand(file, options) {
+  const verbose = options.verbose || false;
+  const transportType = options.transport || 'serial';
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Input file not found: ${file}`);
+  }
+
+  // Find YANG cache
+  const yangCacheDir = await findYangCache(options, { device: true });
+
+  // Parse YAML, JSON or XML file; RFC 7951 trees are split into instance-identifier items
+  const encoder = new Tsc2CborConverter(yangCacheDir);
+  const items = await encoder.toInstanceIdentifier(await encoder.loadFile(file, { verbose }), { verbose });
+  await encoder.loadInputs(verbose);
+
+  // State data (e.g. in a backup taken without --config-only) cannot be written
+  const tree = applyInstanceItems({}, items, encoder.schemaInfo);
+  const stateNodes = findConfigFalseNodes(tree, encoder.schemaInfo);
+  if (stateNodes.length > 0) {
+    console.error('State (config false) nodes:');
+    console.error(stateNodes.map(nodePath => `  ${nodePath}`).join('\n'));
+    throw new Error(`${stateNodes.length} state node(s) in ${file} cannot be written; remove them or save with "get --config-only"`);
+  }
+
+  const incompleteEntries = findMissingMandatory(tree, encoder.schemaInfo);
+  if (incompleteEntries.length > 0) {
+    console.warn(`Warning: ${incompleteEntries.length} list entr${incompleteEntries.length === 1 ? 'y' : 'ies'} without mandatory leaves (the device may reject the file):`);
+    console.warn(formatMissingMandatory(incompleteEntries));
+  }
+
+  // Encode the whole file as one yang-instances+cbor-seq payload
+  const encodeResult = await encoder.convertFile(file, {
+    verbose: false,
+    sortMode: options.sortMode
+  });
+  const putData = encodeResult.cbor;
+
+  // Summary of what will be replaced
+  const target = transportNeedsHost(transportType)
+    ? `${options.host}:${options.port} (${transportType})`
+    : options.device;
+
+  console.log('--- Replace Summary ---');
+  console.log(`Target: ${target}`);
+  console.log(`Source: ${file}`);
+  console.log(`Entries: ${items.length} (${putData.length} bytes CBOR)`);
+  for (const [node, count] of summarizeItems(items)) {
+    console.log(`  ${node}: ${count}`);
+  }
+  console.log('Everything on the device that is not in this file will be removed.\n');
+
+  // Require explicit confirmation
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Refusing to replace configuration without confirmation. Re-run with --yes');
+    }
+    const accepted = await confirm('Replace the running configuration? [y/N] ');
+    if (!accepted) {
+      console.log('Aborted.');
+      return;
+    }
+  }
+
+  const decoder = new Cbor2TscConverter(yangCacheDir);
+
+  // Create transport and connect
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
+
+  try {
+    // Connect based on transport type
+    if (transportNeedsHost(transportType)) {
+      if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
+      await transport.connect({ host: options.host, port: options.port });
+    } else {
+      if (verbose) console.log(`Connecting to ${options.device}...`);
+      await transport.connect({ device: options.device });
+    }
+    if (verbose) console.log('Connected.\n');
+
+    await transport.waitForReady(5000);
+
+    // Snapshot the running configuration before writing anything
+    console.log('Saving snapshot of running configuration...');
+    const getResponse = await transport.sendGetRequest();
+
+    if (!getResponse.isSuccess()) {
+      throw new Error(`Snapshot failed: GET returned CoAP code ${getResponse.code}. Nothing was written`);
+    }
+
+    const snapshotFile = options.snapshot || defaultSnapshotFile();
+    try {
+      // Configuration only, so the snapshot can be put back as-is
+      const snapshot = await decoder.convertBuffer(getResponse.payload, {
+        verbose: false,
+        outputFormat: 'rfc7951',
+        configOnly: true
+      });
+      fs.writeFileSync(snapshotFile, snapshot.yaml, 'utf8');
+      console.log(`Snapshot saved to: ${snapshotFile}`);
+    } catch (decodeErr) {
+      // Keep the raw payload so the snapshot is never lost
+      const rawFile = snapshotFile.replace(/\.ya?ml$/, '') + '.cbor';
+      fs.writeFileSync(rawFile, getResponse.payload);
+      console.log(`Snapshot could not be decoded (${decodeErr.message}); raw CBOR saved to: ${rawFile}`);
+    }
+
+    // Send PUT request
+    console.log(`Sending PUT (${putData.length} bytes)...`);
+    const response = await transport.sendPutRequest(putData);
+
+    if (!response.isSuccess()) {
+      console.error(`  Failed: CoAP code ${response.code}`);
+
+      // Try to decode error response payload if present
+      if (response.payload && response.payload.length > 0) {
+        try {
+          const errorResult = await decoder.convertBuffer(response.payload, {
+            verbose: false,
+            outputFormat: 'rfc7951'
+          });
+          console.error(`  Error details: ${errorResult.yaml}`);
+        } catch (decodeErr) {
+          // If decoding fails, show raw hex
+          console.error(`  Error payload (${response.payload.length} bytes): ${response.payload.toString('hex')}`);
+        }
+      }
+
+      throw new Error('PUT operation failed');
+    }
+
+    console.log('Configuration replaced.');
+
+  } finally {
+    if (transport.getConnectionStatus()) {
+      await transport.disconnect();
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * SID command - SID files for custom and vendor YANG modules (offline)
+ *
+ * Commands:
+ *   keti-tsn sid generate <module.yang> --range <start>:<size> [-o file.sid]
+ *   keti-tsn sid generate <module.yang> --update <file.sid> [--range <start>:<size>]
+ *
+ * Imports are looked up next to the module and in the YANG cache (-c,
+ * --catalog, the default or the first cached catalog), so vendor modules
+ * augmenting the standard ones get the right paths.
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+// Static imports for better performance (no dynamic import overhead)
+import { YangCatalogManager } from '../../tsc2cbor/lib/yang-catalog/yang-catalog.js';
+import { parseSidRange, readSidFile, generateSidFile } from '../../tsc2cbor/lib/common/sid-generator.js';
+
+/**
+ * Find the directory searched for imported modules
+ * @param {object} options - Command options (cache, catalog)
+ * @returns {string|null} YANG cache directory, or null when none is cached
+ */
+function findSearchPath(options) {
+  if (options.cache) {
+    if (!fs.existsSync(options.cache)) {
+      throw new Error(`Cache directory not found: ${options.cache}`);
+    }
+    return options.cache;
+  }
+
+  const yangCatalog = new YangCatalogManager();
+  if (options.catalog) {
+    const catalog = yangCatalog.findCatalog(options.catalog);
+    if (!catalog) {
+      throw new Error(`Catalog not found: ${options.catalog} (see "keti-tsn list")`);
+    }
+    return catalog.path;
+  }
+
+  const defaultChecksum = yangCatalog.getDefaultCatalog();
+  const defaultCatalog = defaultChecksum && yangCatalog.getCatalogInfo(defaultChecksum);
+  if (defaultCatalog) {
+    return defaultCatalog.path;
+  }
+
+  const catalogs = yangCatalog.listCachedCatalogs();
+  return catalogs.length > 0 ? catalogs[0].path : null;
+}
+
+/**
+ * SID file commands
+ * @param {string} action - Subcommand (generate)
+ * @param {string} file - YANG module file
+ * @param {object} options - Command options
+ * @param {string} [options.range] - Assignment range "<start>:<size>"
+ * @param {string} [options.update] - Existing .sid file to update
+ * @param {string} [options.output] - Output .sid file
+ * @param {string} [options.cache] - YANG cache directory
+ * @param {boolean} [options.verbose] - Verbose output
+ */
+export async function sidCommand(action, file, options) {
+  switch (action) {
+    case 'generate':
+      await sidGenerateCommand(file, options);
+      break;
+    default:
+      console.error(`Unknown action: ${action}`);
+      console.log('Available actions: generate');
+      process.exit(1);
+  }
+}
+
+/**
+ * Generate or update the .sid file of a YANG module
+ */
+async function sidGenerateCommand(file, options) {
+  const verbose = options.verbose || false;
+
+  if (!file) {
+    throw new Error('YANG module file required (keti-tsn sid generate <module.yang> --range <start>:<size>)');
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Input file not found: ${file}`);
+  }
+  if (options.update && !fs.existsSync(options.update)) {
+    throw new Error(`SID file not found: ${options.update}`);
+  }
+  if (!options.range && !options.update) {
+    throw new Error('--range <start>:<size> is required for a new .sid file');
+  }
+
+  const range = options.range ? parseSidRange(options.range) : null;
+  const existing = options.update ? readSidFile(options.update) : null;
+  const searchPath = findSearchPath(options);
+
+  const { sidFile, added, kept, obsolete } = generateSidFile(file, { range, existing, searchPath });
+  const { 'module-name': moduleName, 'module-revision': revision } = sidFile['ietf-sid-file:sid-file'];
+
+  const output = options.output || options.update
+    || `${moduleName}${revision ? `@${revision}` : ''}.sid`;
+  if (fs.existsSync(output) && path.resolve(output) !== path.resolve(options.update || '')) {
+    throw new Error(`${output} already exists; use --update ${output} to keep its SIDs`);
+  }
+
+  fs.writeFileSync(output, JSON.stringify(sidFile, null, 2) + '\n');
+
+  if (verbose) {
+    for (const item of added) {
+      console.log(`  + ${item.sid} ${item.namespace} ${item.identifier}`);
+    }
+    for (const item of obsolete) {
+      console.log(`  - ${item.sid} ${item.namespace} ${item.identifier} (obsolete)`);
+    }
+  }
+
+  console.log(`${output}: ${added.length} new, ${kept} kept, ${obsolete.length} obsolete item(s)`);
+  if (obsolete.length > 0) {
+    console.log('Obsolete items stay in the file so their SIDs are not reused.');
+  }
+}
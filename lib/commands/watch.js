@@ -0,0 +1,170 @@
+/**
+ * Watch configuration command (CoAP Observe, RFC 7641)
+ *
+ * Registers an Observe subscription for the same queries as the fetch command
+ * and prints every notification until interrupted (Ctrl+C).
+ * Useful for following gate states, PTP offsets or interface counters.
+ * Supports Serial, WiFi and Ethernet transports.
+ */
+
+import fs from 'fs';
+
+// Static imports for better performance (no dynamic import overhead)
+import { findYangCache } from '../../tsc2cbor/lib/yang-catalog/catalog-selector.js';
+import { loadYangInputs } from '../../tsc2cbor/lib/common/input-loader.js';
+import { createTransport, transportNeedsHost } from '../../tsc2cbor/lib/transport/index.js';
+import { Cbor2TscConverter } from '../../tsc2cbor/cbor2tsc.js';
+import { loadFetchQueries } from './fetch.js';
+
+/**
+ * Decode and print a notification payload
+ * @param {Cbor2TscConverter} decoder - Decoder instance
+ * @param {Object} notification - Parsed CoAP notification
+ * @param {string} label - Header label
+ * @param {string} format - Output format
+ * @param {Array} queries - Observed query entries (restore list keys)
+ */
+async function printNotification(decoder, notification, label, format, queries) {
+  const sequence = notification.getObserveValue();
+  const time = new Date().toISOString();
+  const seqStr = sequence !== null ? `seq ${sequence}` : 'final';
+
+  console.log(`--- ${label} (${seqStr}) ${time} ---`);
+
+  if (!notification.isSuccess()) {
+    console.log(`CoAP code ${notification.code}`);
+    return;
+  }
+
+  if (!notification.payload || notification.payload.length === 0) {
+    console.log('(empty)');
+    return;
+  }
+
+  const result = await decoder.convertBuffer(notification.payload, {
+    verbose: false,
+    outputFormat: format,
+    queries
+  });
+  console.log(result.yaml);
+}
+
+/**
+ * Observe configuration values and print each change
+ * @param {string} file - Input YAML file (instance-identifier format)
+ * @param {object} options - Command options
+ */
+export async function watchCommand(file, options) {
+  const verbose = options.verbose || false;
+  const format = options.format || 'rfc7951';
+  const transportType = options.transport || 'serial';
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Input file not found: ${file}`);
+  }
+
+  // Find YANG cache
+  const yangCacheDir = await findYangCache(options, { device: true });
+  const { sidInfo } = await loadYangInputs(yangCacheDir, verbose);
+
+  // Same SID extraction as iFETCH
+  const queries = loadFetchQueries(file, sidInfo, { verbose });
+
+  const decoder = new Cbor2TscConverter(yangCacheDir);
+  const transport = createTransport(transportType, {
+    verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
+
+  // Print notifications in arrival order
+  let printing = Promise.resolve();
+  let count = 0;
+  let finish;
+  const finished = new Promise((resolve, reject) => {
+    finish = (err) => (err ? reject(err) : resolve());
+  });
+
+  const onNotification = (notification) => {
+    count++;
+    printing = printing
+      .then(() => printNotification(decoder, notification, `Notification #${count}`, format, queries))
+      .catch(err => console.error(`Failed to decode notification: ${err.message}`));
+
+    if (notification.getObserveValue() === null) {
+      console.log('Subscription ended by device.');
+      finish();
+    }
+  };
+
+  const onSigint = () => finish();
+  const onError = (err) => finish(new Error(`Transport error: ${err.message}`));
+  const onDisconnected = () => finish(new Error('Connection to the device was lost'));
+
+  try {
+    // Connect based on transport type
+    if (transportNeedsHost(transportType)) {
+      if (verbose) console.log(`Connecting to ${options.host}:${options.port} via ${transportType}...`);
+      await transport.connect({ host: options.host, port: options.port });
+    } else {
+      if (verbose) console.log(`Connecting to ${options.device}...`);
+      await transport.connect({ device: options.device });
+    }
+    if (verbose) console.log('Connected.\n');
+
+    await transport.waitForReady(5000);
+
+    if (verbose) {
+      console.log(`Registering observation with ${queries.length} queries...`);
+    }
+
+    const { response, token, registered } = await transport.sendObserveRequest(queries, onNotification);
+
+    if (!response.isSuccess()) {
+      throw new Error(`Observe registration failed: CoAP code ${response.code}`);
+    }
+
+    await printNotification(decoder, response, 'Initial state', format, queries);
+
+    if (!registered) {
+      console.log('Device does not support Observe for this query; showing current state only.');
+      return;
+    }
+
+    console.log('Watching for changes (Ctrl+C to stop)...\n');
+
+    // A failed notification fetch or a dropped link ends the watch with an error
+    process.once('SIGINT', onSigint);
+    transport.on('error', onError);
+    transport.on('disconnected', onDisconnected);
+
+    let stopError = null;
+    await finished.catch(err => { stopError = err; });
+    process.removeListener('SIGINT', onSigint);
+
+    await printing;
+
+    if (stopError) {
+      throw new Error(`${stopError.message} (after ${count} notification(s))`);
+    }
+
+    if (transport.getConnectionStatus()) {
+      try {
+        await transport.cancelObserve(token);
+      } catch (err) {
+        if (verbose) console.log(`Deregistration failed: ${err.message}`);
+      }
+    }
+
+    console.log(`\nStopped after ${count} notification(s).`);
+
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    transport.removeListener('error', onError);
+    transport.removeListener('disconnected', onDisconnected);
+    if (transport.getConnectionStatus()) {
+      await transport.disconnect();
+    }
+  }
+}
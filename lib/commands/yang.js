@@ -15,20 +15,20 @@ const TSC2CBOR_LIB = path.resolve(__dirname, '../../tsc2cbor/lib');
 
 // Dynamic imports for tsc2cbor modules
 async function loadModules() {
-  const { SerialManager } = await import(`${TSC2CBOR_LIB}/serial/serial.js`);
+  const { createTransport } = await import(`${TSC2CBOR_LIB}/transport/index.js`);
   const { YangCatalogManager } = await import(`${TSC2CBOR_LIB}/yang-catalog/yang-catalog.js`);
-  return { SerialManager, YangCatalogManager };
+  return { createTransport, YangCatalogManager };
 }
 
 export async function yangCommand(action, options) {
-  const { SerialManager, YangCatalogManager } = await loadModules();
+  const { createTransport, YangCatalogManager } = await loadModules();
 
   switch (action) {
     case 'id':
-      await yangIdCommand(options, SerialManager, YangCatalogManager);
+      await yangIdCommand(options, createTransport, YangCatalogManager);
       break;
     case 'download':
-      await yangDownloadCommand(options, SerialManager, YangCatalogManager);
+      await yangDownloadCommand(options, createTransport, YangCatalogManager);
       break;
     case 'list':
       await yangListCommand(YangCatalogManager);
@@ -43,7 +43,7 @@ export async function yangCommand(action, options) {
 /**
  * Query YANG catalog checksum from device
  */
-async function yangIdCommand(options, SerialManager, YangCatalogManager) {
+async function yangIdCommand(options, createTransport, YangCatalogManager) {
   if (!options.device) {
     console.error('Error: Device path required');
     console.log('Usage: keti-tsn <device> yang id');
@@ -51,15 +51,16 @@ async function yangIdCommand(options, SerialManager, YangCatalogManager) {
     process.exit(1);
   }
 
-  const serialManager = new SerialManager();
+  const transport = createTransport('serial');
   const yangCatalog = new YangCatalogManager();
 
   try {
     console.log(`Connecting to ${options.device}...`);
-    await serialManager.connect(options.device);
+    await transport.connect({ device: options.device });
+    await transport.waitForReady(5000);
     console.log('Connected.\n');
 
-    const checksum = await yangCatalog.queryChecksumFromDevice(serialManager);
+    const checksum = await yangCatalog.queryChecksumFromDevice(transport);
     console.log(`\nYANG Catalog Checksum: ${checksum}`);
 
     // Check if already cached
@@ -77,8 +78,8 @@ async function yangIdCommand(options, SerialManager, YangCatalogManager) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
   } finally {
-    if (serialManager.getConnectionStatus()) {
-      await serialManager.disconnect();
+    if (transport.getConnectionStatus()) {
+      await transport.disconnect();
     }
   }
 }
@@ -86,7 +87,7 @@ async function yangIdCommand(options, SerialManager, YangCatalogManager) {
 /**
  * Download YANG catalog
  */
-async function yangDownloadCommand(options, SerialManager, YangCatalogManager) {
+async function yangDownloadCommand(options, createTransport, YangCatalogManager) {
   const yangCatalog = new YangCatalogManager();
   let checksum = options.checksum;
 
@@ -99,21 +100,22 @@ async function yangDownloadCommand(options, SerialManager, YangCatalogManager) {
       process.exit(1);
     }
 
-    const serialManager = new SerialManager();
+    const transport = createTransport('serial');
 
     try {
       console.log(`Connecting to ${options.device}...`);
-      await serialManager.connect(options.device);
+      await transport.connect({ device: options.device });
+      await transport.waitForReady(5000);
       console.log('Connected.\n');
 
-      checksum = await yangCatalog.queryChecksumFromDevice(serialManager);
+      checksum = await yangCatalog.queryChecksumFromDevice(transport);
 
     } catch (error) {
       console.error(`Error: ${error.message}`);
       process.exit(1);
     } finally {
-      if (serialManager.getConnectionStatus()) {
-        await serialManager.disconnect();
+      if (transport.getConnectionStatus()) {
+        await transport.disconnect();
       }
     }
   }
@@ -1,22 +1,31 @@
 /**
  * CBOR2TSC - CBOR to TSN Switch Configuration Converter
  *
- * Pure library module for CBOR → YAML conversion
- * Converts CBOR with RFC 9254 Delta-SID encoding back to YAML
+ * Pure library module for CBOR → YAML/JSON/XML conversion
+ * Converts CBOR with RFC 9254 Delta-SID encoding back to YAML, RFC 7951 JSON or NETCONF XML
  *
  * Full Pipeline:
  * 1. YANG → Type Table (yang-type-extractor.js)
  * 2. SID File → SID Tree (sid-resolver.js)
  * 3. CBOR Binary → JavaScript Object (cbor-x)
- * 4. Delta-SID Object → Nested JSON (detransformer.js)
- * 5. JSON → YAML (js-yaml, optional)
+ * 4. Delta-SID Object → Nested JSON (detransformer-delta.js)
+ *    or Instance-Identifier items (detransformer-instance-id.js)
+ *    (optionally without state data and with default values, schema-properties.js)
+ * 5. JSON → YAML, JSON or XML text (data-format.js, xml-converter.js)
+ *
+ * Diagnostic output (outputFormat 'diag') skips steps 3-5 and annotates
+ * the raw CBOR bytes instead (cbor-diagnostic.js).
  */
 
-import yaml from 'js-yaml';
 import { loadYangInputs } from './lib/common/input-loader.js';
-import { detransform, getDetransformStats } from './lib/decoder/detransformer-delta.js';
-// Note: detransformer-instance-id.js is kept for potential future use
+import { detransform, getDetransformStats, mergeFetchResponse } from './lib/decoder/detransformer-delta.js';
+import { detransformToInstanceId, filterListKeys } from './lib/decoder/detransformer-instance-id.js';
 import { decodeFromCbor, decodeAllFromCbor } from './lib/common/cbor-encoder.js';
+import { formatCborDiagnostic } from './lib/common/cbor-diagnostic.js';
+import { convertRfc7951ToXml } from './lib/parser/xml-converter.js';
+import { convertRfc7951ToInstanceIdentifier } from './lib/parser/instance-id-converter.js';
+import { removeConfigFalse, addDefaults } from './lib/common/schema-properties.js';
+import { DataFormat, serializeData, bigintReplacer } from './lib/common/data-format.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -43,6 +52,7 @@ class Cbor2TscConverter {
     this.yangCacheDir = yangCacheDir;
     this.sidInfo = null;
     this.typeTable = null;
+    this.schemaInfo = null;
     this.cacheLoaded = false;
   }
 
@@ -53,17 +63,18 @@ class Cbor2TscConverter {
   async loadInputs(verbose = false) {
     if (this.cacheLoaded) return;
 
-    const { sidInfo, typeTable } = await loadYangInputs(this.yangCacheDir, verbose);
+    const { sidInfo, typeTable, schemaInfo } = await loadYangInputs(this.yangCacheDir, verbose);
     this.sidInfo = sidInfo;
     this.typeTable = typeTable;
+    this.schemaInfo = schemaInfo;
     this.cacheLoaded = true;
   }
 
   /**
-   * Convert CBOR file to YAML
+   * Convert CBOR file to YAML, JSON or XML
    * @param {string} cborPath - Path to CBOR file
    * @param {object} options - Conversion options
-   * @param {string} [options.outputFile] - Output YAML file path (optional)
+   * @param {string} [options.outputFile] - Output file path (optional)
    * @param {boolean} [options.verbose=false] - Verbose output
    * @param {boolean} [options.skipNesting=false] - Skip path nesting (flat output)
    * @returns {Promise<{yaml: string, nested: object, flat: object, stats: object}>}
@@ -82,21 +93,61 @@ class Cbor2TscConverter {
   }
 
   /**
-   * Convert CBOR buffer to YAML (RFC 7951 Tree format)
+   * Apply --with-defaults and --config-only to a decoded tree
+   * @private
+   * @param {object} tree - RFC 7951 tree
+   * @param {object} options - convertBuffer() options (configOnly, withDefaults)
+   * @param {boolean} json - Default values in RFC 7951 JSON form
+   * @returns {object}
+   */
+  applySchemaProperties(tree, options, json) {
+    let result = tree;
+    if (options.withDefaults) {
+      result = addDefaults(result, this.typeTable, this.schemaInfo, { json });
+    }
+    if (options.configOnly) {
+      result = removeConfigFalse(result, this.schemaInfo);
+    }
+    return result;
+  }
+
+  /**
+   * Convert CBOR buffer to YAML, JSON or XML (RFC 7951 Tree or instance-identifier format)
    * @param {Buffer} cborBuffer - CBOR data as Buffer
    * @param {object} options - Conversion options
-   * @param {string} [options.outputFile] - Output YAML file path (optional)
+   * @param {string} [options.outputFile] - Output file path (optional)
    * @param {boolean} [options.verbose=false] - Verbose output
    * @param {boolean} [options.skipNesting=false] - Skip path nesting (flat output)
+   * @param {string} [options.outputFormat='rfc7951'] - 'rfc7951' (YAML tree), 'instance-id'
+   *        (list of /module:path[key='v']/leaf: value entries, accepted by patch)
+   *        'json' (RFC 7951 JSON tree), 'xml' (NETCONF XML) or 'diag' (schema-annotated
+   *        RFC 8949 diagnostic notation)
+   * @param {boolean} [options.configOnly=false] - Leave out config false (state) nodes
+   * @param {boolean} [options.withDefaults=false] - Fill in default values of absent leaves
+   * @param {Array} [options.queries] - iFETCH query entries (SID or [SID, key1, ...]) the
+   *        response answers; their list keys are put back on the fetched nodes
    * @returns {Promise<{yaml: string, nested: object, flat: object, stats: object}>}
+   *          `yaml` holds the serialized output, JSON/XML/diagnostic text for the other formats;
+   *          `nested` and `flat` are null for 'diag'
    */
   async convertBuffer(cborBuffer, options = {}) {
     const verbose = options.verbose || false;
     const skipNesting = options.skipNesting || false;
     const outputFile = options.outputFile || null;
+    const outputFormat = options.outputFormat || 'rfc7951';
+    const configOnly = options.configOnly || false;
+    const withDefaults = options.withDefaults || false;
+
+    if (!['rfc7951', 'instance-id', 'json', 'xml', 'diag'].includes(outputFormat)) {
+      throw new Error(`Unknown output format: ${outputFormat} (expected rfc7951 | instance-id | json | xml | diag)`);
+    }
 
     await this.loadInputs(verbose);
 
+    if (outputFormat === 'diag') {
+      return this.writeDiagnostic(cborBuffer, outputFile, verbose);
+    }
+
     if (verbose) {
       console.log('\nDecoding: CBOR Binary -> JavaScript Object...');
     }
@@ -106,7 +157,10 @@ class Cbor2TscConverter {
     let decoded;
     try {
       const items = decodeAllFromCbor(cborBuffer);
-      if (items.length === 1) {
+      if (options.queries && options.queries.length === items.length) {
+        // One item per query: place each under its ancestors with the query's keys
+        decoded = mergeFetchResponse(items, options.queries, this.typeTable, this.sidInfo, this.schemaInfo);
+      } else if (items.length === 1) {
         decoded = items[0];
       } else if (items.length > 1) {
         // Merge multiple delta-SID maps into one
@@ -138,14 +192,35 @@ class Cbor2TscConverter {
       console.log(`  Delta-SID keys: ${deltaSidKeys}`);
     }
 
-    // RFC 7951 format output (Tree structure)
-    if (verbose) {
-      console.log('\nDetransformation: Delta-SID -> Nested JSON...');
-    }
+    let flat;
+    let nested;
+    if (outputFormat === 'instance-id') {
+      // Instance-identifier format output (one entry per leaf, keys in predicates)
+      if (verbose) {
+        console.log('\nDetransformation: Delta-SID -> Instance-Identifier...');
+      }
+
+      // Step 2: Detransform Delta-SID → Instance-Identifier entries
+      // (state data and defaults are handled on the tree, which is then split per leaf)
+      flat = configOnly || withDefaults
+        ? convertRfc7951ToInstanceIdentifier(
+          this.applySchemaProperties(detransform(decoded, this.typeTable, this.sidInfo, { schemaInfo: this.schemaInfo }), options, false),
+          this.schemaInfo
+        )
+        : filterListKeys(detransformToInstanceId(decoded, this.typeTable, this.sidInfo, this.schemaInfo));
+      nested = flat;
+    } else {
+      // RFC 7951 format output (Tree structure)
+      if (verbose) {
+        console.log('\nDetransformation: Delta-SID -> Nested JSON...');
+      }
 
-    // Step 2: Detransform Delta-SID → Nested JSON
-    const flat = detransform(decoded, this.typeTable, this.sidInfo);
-    const nested = skipNesting ? flat : flat;  // detransform already nests
+      // Step 2: Detransform Delta-SID → Nested JSON
+      // (JSON and XML output follow the RFC 7951 value rules: 64-bit integers as strings, ...)
+      const json = ['json', 'xml'].includes(outputFormat);
+      flat = this.applySchemaProperties(detransform(decoded, this.typeTable, this.sidInfo, { json, schemaInfo: this.schemaInfo }), options, json);
+      nested = skipNesting ? flat : flat;  // detransform already nests
+    }
 
     const detransformStats = getDetransformStats(decoded, nested);
 
@@ -157,17 +232,14 @@ class Cbor2TscConverter {
       console.log(`  Nested size: ${detransformStats.nestedSize} bytes`);
     }
 
-    // Step 3: Convert to YAML
-    const yamlString = yaml.dump(nested, {
-      indent: 2,
-      lineWidth: -1,
-      noRefs: true,
-      sortKeys: false
-    });
+    // Step 3: Convert to YAML, JSON or XML text
+    const yamlString = outputFormat === 'xml'
+      ? convertRfc7951ToXml(nested, this.schemaInfo)
+      : serializeData(nested, outputFormat === 'json' ? DataFormat.JSON : DataFormat.YAML);
 
     // Step 4: Calculate statistics
     const cborSize = cborBuffer.length;
-    const jsonSize = Buffer.byteLength(JSON.stringify(nested), 'utf8');
+    const jsonSize = Buffer.byteLength(JSON.stringify(nested, bigintReplacer), 'utf8');
     const yamlSize = Buffer.byteLength(yamlString, 'utf8');
 
     const stats = {
@@ -189,7 +261,7 @@ class Cbor2TscConverter {
     if (outputFile) {
       fs.writeFileSync(outputFile, yamlString, 'utf8');
       if (verbose) {
-        console.log(`\nYAML written to: ${outputFile}`);
+        console.log(`\nOutput written to: ${outputFile}`);
       }
     }
 
@@ -203,6 +275,41 @@ class Cbor2TscConverter {
 
     return result;
   }
+
+  /**
+   * Annotated diagnostic notation of the raw CBOR (no detransformation)
+   * @param {Buffer} cborBuffer - CBOR data as Buffer
+   * @param {string|null} outputFile - Output file path (optional)
+   * @param {boolean} verbose - Verbose output
+   * @returns {{yaml: string, nested: null, flat: null, stats: object}}
+   */
+  writeDiagnostic(cborBuffer, outputFile, verbose) {
+    const diagnostic = formatCborDiagnostic(cborBuffer, {
+      typeTable: this.typeTable,
+      sidInfo: this.sidInfo
+    });
+
+    const cborSize = cborBuffer.length;
+    const yamlSize = Buffer.byteLength(diagnostic, 'utf8');
+
+    if (outputFile) {
+      fs.writeFileSync(outputFile, diagnostic, 'utf8');
+      if (verbose) {
+        console.log(`\nOutput written to: ${outputFile}`);
+      }
+    }
+
+    return {
+      yaml: diagnostic,
+      nested: null,
+      flat: null,
+      stats: {
+        cborSize,
+        yamlSize,
+        expansionRatio: (yamlSize / cborSize).toFixed(2)
+      }
+    };
+  }
 }
 
 export { Cbor2TscConverter };
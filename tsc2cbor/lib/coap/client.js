@@ -0,0 +1,634 @@
+/**
+ * CoAP Client Engine
+ *
+ * Transport-independent CORECONF client shared by every transport:
+ * - Block-wise transfer (RFC 7959): Block2 for GET/iFETCH, Block1 for iPATCH/PUT,
+ *   with BERT on reliable transports (RFC 8323 §6)
+ * - Reliability, token matching and NSTART through the message layer (RFC 7252)
+ * - Observe subscriptions (RFC 7641)
+ * - Optional OSCORE end-to-end protection (RFC 8613)
+ *
+ * The engine knows nothing about framing. It hands encoded CoAP messages to a
+ * send function and is fed complete CoAP messages through receive().
+ * Framing (raw UDP, MUP1 over serial or UDP, ...) lives in transport adapters.
+ */
+
+import EventEmitter from 'events';
+import {
+  buildDatastoreOptions,
+  buildiFetchRequest,
+  buildiPatchRequest,
+  buildPutRequest,
+  buildPostRequest,
+  buildGetRequest,
+  buildDeleteRequest,
+  buildObserveRequest,
+  buildMessage,
+  parseResponse,
+  isObserveSequenceNewer,
+  generateToken,
+  OptionNumber,
+  ObserveAction,
+  ResponseCode,
+  MethodCode,
+  MessageType,
+  ContentFormat,
+  encodeBlock1Value,
+  encodeBlock2Value,
+  cborDecode,
+  BERT_SZX,
+  BERT_BLOCK_SIZE
+} from './coap.js';
+import { MessageLayer } from './message-layer.js';
+
+// Debug logging helper
+const DEBUG_ENABLED = process.env.DEBUG === 'true';
+const debugLog = (...args) => {
+  if (DEBUG_ENABLED) {
+    console.log(...args);
+  }
+};
+
+// Default configuration
+const DEFAULT_REQUEST_TIMEOUT = 30000;  // 30 seconds (increased for block-wise transfers)
+const DEFAULT_BLOCK_SIZE_EXPONENT = 6;  // SZX=6 means 1024 bytes (2^(6+4))
+const BERT_MESSAGE_OVERHEAD = 128;      // Room for header, token and options in a BERT message
+
+/**
+ * Build a response that carries a reassembled block-wise payload
+ * @param {Object} response - Last parsed response of the transfer
+ * @param {Buffer} payload - Assembled payload
+ * @returns {Object} Response with the full payload
+ */
+function withAssembledPayload(response, payload) {
+  return {
+    ...response,
+    payload,
+    getPayloadAsCBOR: () => payload ? cborDecode(payload) : null,
+    getBlock2Value: () => { // Reflect the assembled state
+      const finalBlock2 = response.getBlock2Value();
+      return finalBlock2 ? { ...finalBlock2, m: false } : null;
+    }
+  };
+}
+
+class CoapClient extends EventEmitter {
+  /**
+   * @param {Function} send - Sends one encoded CoAP message: (frame) => Promise<void>
+   * @param {Object} options - Client options
+   * @param {Object} options.transmission - RFC 7252 transmission parameters (see message-layer.js)
+   * @param {boolean} options.reliable - Link is reliable, CON messages are not retransmitted
+   * @param {boolean} options.ordered - Link delivers in order, notifications are never reordered
+   * @param {number} options.requestTimeout - Response wait when not retransmitting
+   * @param {OscoreContext} options.oscore - OSCORE security context (optional)
+   * @param {Function} options.log - Verbose logger
+   */
+  constructor(send, options = {}) {
+    super();
+    this.log = options.log || (() => {});
+    this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.endpoint = null;  // Peer endpoint used for response matching
+    this.observations = new Map();  // token hex -> {query, onNotification, lastSeq, lastTime, oscoreRequest}
+    this.oscore = options.oscore || null;
+    this.ordered = options.ordered || false;
+    this.bertBlockSize = 0;  // Block1 payload per BERT message, 0 if BERT is not available
+
+    // CON retransmission, token matching, NSTART and deduplication (RFC 7252 §4, §5.3.2)
+    this.messageLayer = new MessageLayer(send, {
+      ...options.transmission,
+      retransmit: !options.reliable,
+      responseTimeout: this.requestTimeout,
+      log: this.log
+    });
+  }
+
+  /**
+   * Apply the peer's capabilities announced in its CSM (RFC 8323 §5.3)
+   * @param {Object} capabilities - Peer capabilities
+   * @param {number} capabilities.maxMessageSize - Largest message the peer accepts
+   * @param {boolean} capabilities.bert - Peer supports BERT
+   */
+  setPeerCapabilities({ maxMessageSize, bert }) {
+    const blocks = Math.floor((maxMessageSize - BERT_MESSAGE_OVERHEAD) / BERT_BLOCK_SIZE);
+    this.bertBlockSize = bert && blocks > 0 ? blocks * BERT_BLOCK_SIZE : 0;
+    this.log(`[CoAP] Peer Max-Message-Size ${maxMessageSize}, BERT ${this.bertBlockSize ? `${this.bertBlockSize} bytes per message` : 'off'}`);
+  }
+
+  /**
+   * Send iFETCH request with Block2 support
+   * @param {Object} query - CBOR query object
+   * @param {Object} options - Request options
+   * @param {string} options.datastore - NMDA datastore to read (default: device default)
+   * @returns {Promise<Object>} CoAP response with assembled payload
+   */
+  async sendiFetchRequest(query, options = {}) {
+    const token = options.token || generateToken();
+
+    // Initial request with query payload
+    const initialMessageId = this.messageLayer.nextMessageId();
+    const coapFrame = buildiFetchRequest(query, {
+      messageId: initialMessageId,
+      token,
+      ...options
+    });
+
+    const firstResponse = await this._request(coapFrame, initialMessageId);
+
+    if (!firstResponse.isSuccess()) {
+      return firstResponse;
+    }
+
+    // For FETCH continuation, only send URI_PATH, datastore and Block2 (no payload)
+    return this._collectBlock2(firstResponse, (messageId, block2Option) => buildMessage({
+      type: MessageType.CON,
+      code: MethodCode.FETCH,
+      messageId,
+      token,
+      options: [
+        { number: OptionNumber.URI_PATH, value: 'c' },
+        ...buildDatastoreOptions(options.datastore),
+        block2Option
+      ]
+    }));
+  }
+
+  /**
+   * Send iPATCH request with Block1 support
+   * @param {Buffer} patch - CBOR-encoded patch data
+   * @param {Object} options - Request options
+   * @param {number} options.blockSize - Block size exponent (0-6, default 6 = 1024 bytes, BERT when available)
+   * @returns {Promise<Object>} CoAP response
+   */
+  async sendiPatchRequest(patch, options = {}) {
+    return this._sendBlock1(MethodCode.IPATCH, buildiPatchRequest, patch, options);
+  }
+
+  /**
+   * Send GET request (retrieve entire datastore) with Block2 support
+   * @param {Object} options - Request options
+   * @param {string} options.datastore - NMDA datastore to read (default: device default, running)
+   * @returns {Promise<Object>} CoAP response with assembled payload
+   */
+  async sendGetRequest(options = {}) {
+    // Per RFC 7959, the token MUST be the same for all requests for the same resource representation.
+    const token = options.token || generateToken();
+    const { token: _token, messageId: _mid, ...restOptions } = options;
+
+    this.log(`[CoAP] Starting GET with Token: ${token.toString('hex')}`);
+
+    // First, send a regular GET without a Block2 option.
+    // The server will respond with a Block2 option if the payload is large.
+    const initialMessageId = this.messageLayer.nextMessageId();
+    const initialCoapFrame = buildGetRequest({
+      ...restOptions,
+      messageId: initialMessageId,
+      token
+    });
+
+    const firstResponse = await this._request(initialCoapFrame, initialMessageId);
+
+    if (!firstResponse.isSuccess()) {
+      throw new Error(`CoAP request failed with code ${firstResponse.code} (${firstResponse.getCodeClass()}.${firstResponse.getCodeDetail()})`);
+    }
+
+    return this._collectBlock2(firstResponse, (messageId, block2Option) => buildGetRequest({
+      ...restOptions,
+      messageId,
+      token,
+      options: [block2Option, ...(options.options || [])]
+    }));
+  }
+
+  /**
+   * Send PUT request (replace entire resource) with Block1 support
+   * @param {Buffer|Object|Map} payload - Complete configuration
+   * @param {Object} options - Request options
+   * @param {number} options.blockSize - Block size exponent (0-6, default 6 = 1024 bytes, BERT when available)
+   * @returns {Promise<Object>} CoAP response
+   */
+  async sendPutRequest(payload, options = {}) {
+    return this._sendBlock1(MethodCode.PUT, buildPutRequest, payload, options);
+  }
+
+  /**
+   * Send POST request
+   * @param {Buffer} payload - Request payload
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} CoAP response
+   */
+  async sendPostRequest(payload, options = {}) {
+    const messageId = options.messageId || this.messageLayer.nextMessageId();
+    const token = options.token || generateToken();
+
+    const coapFrame = buildPostRequest(payload, {
+      messageId,
+      token,
+      ...options
+    });
+
+    return this._request(coapFrame, messageId);
+  }
+
+  /**
+   * Send DELETE request
+   * @param {number|Array} target - SID or [SID, key1, key2, ...]
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} CoAP response
+   */
+  async sendDeleteRequest(target, options = {}) {
+    const messageId = options.messageId || this.messageLayer.nextMessageId();
+    const token = options.token || generateToken();
+
+    const coapFrame = buildDeleteRequest(target, {
+      messageId,
+      token,
+      ...options
+    });
+
+    return this._request(coapFrame, messageId);
+  }
+
+  /**
+   * Register an Observe subscription for an iFETCH query (RFC 7641)
+   * @param {Array} query - SID query entries
+   * @param {Function} onNotification - Called with each notification (payload assembled)
+   * @param {Object} options - Request options
+   * @returns {Promise<{response: Object, token: Buffer, registered: boolean}>}
+   */
+  async sendObserveRequest(query, onNotification, options = {}) {
+    const token = options.token || generateToken();
+    const key = token.toString('hex');
+    const messageId = this.messageLayer.nextMessageId();
+    const coapFrame = buildObserveRequest(query, {
+      messageId,
+      token,
+      observe: ObserveAction.REGISTER
+    });
+
+    // Register before sending: the first notification may overtake the ACK
+    const observation = { query, onNotification, lastSeq: null, lastTime: 0 };
+    this.observations.set(key, observation);
+
+    let response;
+    try {
+      response = await this._request(coapFrame, messageId, observation);
+    } catch (err) {
+      this.observations.delete(key);
+      throw err;
+    }
+
+    // A response without Observe means the server declined the registration (RFC 7641 §3.1)
+    const sequence = response.getObserveValue();
+    const registered = response.isSuccess() && sequence !== null;
+    if (registered) {
+      observation.lastSeq = sequence;
+      observation.lastTime = Date.now();
+    } else {
+      this.observations.delete(key);
+    }
+
+    this.log(`[CoAP] Observe ${registered ? 'registered' : 'declined'} (Token: ${key})`);
+
+    return {
+      response: await this._assembleNotification(query, response),
+      token,
+      registered
+    };
+  }
+
+  /**
+   * Deregister an Observe subscription (RFC 7641 §3.6)
+   * @param {Buffer} token - Subscription token
+   * @returns {Promise<Object|null>} Deregistration response, or null if unknown
+   */
+  async cancelObserve(token) {
+    const key = token.toString('hex');
+    const observation = this.observations.get(key);
+    if (!observation) {
+      return null;
+    }
+
+    this.observations.delete(key);
+
+    const messageId = this.messageLayer.nextMessageId();
+    const coapFrame = buildObserveRequest(observation.query, {
+      messageId,
+      token,
+      observe: ObserveAction.DEREGISTER
+    });
+
+    this.log(`[CoAP] Deregistering observation (Token: ${key})`);
+    return this._request(coapFrame, messageId);
+  }
+
+  /**
+   * Process one complete CoAP message delivered by the framing adapter
+   * @param {Buffer} data - Encoded CoAP message
+   * @param {string} endpoint - Endpoint the message came from
+   */
+  receive(data, endpoint) {
+    let message;
+    try {
+      message = parseResponse(data);
+    } catch (err) {
+      console.error('Failed to parse CoAP response:', err);
+      this.emit('error', new Error(`Parse error: ${err.message}`));
+      return;
+    }
+
+    // ACKs, RSTs, separate responses and duplicates are handled by the message layer
+    if (!this.messageLayer.receive(message, endpoint)) {
+      if (this._handleNotification(message, endpoint)) {
+        this.emit('notification', message);
+      } else if (message.type === MessageType.CON) {
+        // Unexpected confirmable message: reject it (RFC 7252 §4.2)
+        this.messageLayer.reply(message, MessageType.RST, endpoint);
+      }
+    }
+
+    this.emit('response', message);
+  }
+
+  /**
+   * Fail all outstanding requests and drop all observations
+   * @param {Error} error - Rejection reason
+   */
+  cancelAll(error) {
+    this.messageLayer.cancelAll(error);
+    this.observations.clear();
+  }
+
+  /**
+   * Send one request through the message layer
+   * @private
+   * @param {Buffer} coapFrame - CoAP message
+   * @param {number} messageId - Message ID for tracking
+   * @param {Object} observation - Observation that needs the OSCORE request parameters
+   * @returns {Promise<Object>} CoAP response
+   */
+  async _request(coapFrame, messageId, observation = null) {
+    debugLog(`[DEBUG] Sending CoAP request (${coapFrame.length} bytes, Message ID: ${messageId})`);
+
+    if (!this.oscore) {
+      return this.messageLayer.request(coapFrame, messageId, this.endpoint);
+    }
+
+    // Each request is protected once; retransmissions repeat the protected message
+    const { frame, request } = this.oscore.protectRequest(coapFrame);
+    if (observation) {
+      observation.oscoreRequest = request;
+    }
+
+    const response = await this.messageLayer.request(frame, messageId, this.endpoint);
+    return this.oscore.unprotectResponse(response, request);
+  }
+
+  /**
+   * Retrieve the remaining blocks of a Block2 response (RFC 7959 §2.4)
+   * @private
+   * @param {Object} firstResponse - Response to the initial request
+   * @param {Function} buildContinuation - (messageId, block2Option) => CoAP message
+   * @returns {Promise<Object>} Response with the assembled payload
+   */
+  async _collectBlock2(firstResponse, buildContinuation) {
+    const payloads = [];
+    let lastResponse = firstResponse;
+    let lastPayloadLength = firstResponse.payload ? firstResponse.payload.length : 0;
+
+    if (firstResponse.payload) {
+      payloads.push(firstResponse.payload);
+    }
+
+    let block2 = firstResponse.getBlock2Value();
+    let more = block2 ? block2.m : false;
+    let blockNum = block2 ? block2.num : 0;
+
+    if (block2) {
+      this.log(`[CoAP] Received block ${block2.num}, more=${block2.m}, size=${block2.size}`);
+      if (block2.num !== 0) {
+        throw new Error(`Server initiated block-wise transfer with non-zero block number: ${block2.num}`);
+      }
+    }
+
+    while (more) {
+      // A BERT block counts as one block per 1024 bytes (RFC 8323 §6)
+      if (block2.szx === BERT_SZX) {
+        if (lastPayloadLength === 0 || lastPayloadLength % BERT_BLOCK_SIZE !== 0) {
+          throw new Error(`Invalid BERT block of ${lastPayloadLength} bytes`);
+        }
+        blockNum += lastPayloadLength / BERT_BLOCK_SIZE;
+      } else {
+        blockNum++;
+      }
+
+      const messageId = this.messageLayer.nextMessageId();
+      // Use the SZX value provided by the server
+      const block2Value = encodeBlock2Value(blockNum, false, block2.szx);
+      const block2Option = { number: OptionNumber.BLOCK2, value: block2Value };
+
+      this.log(`[CoAP] Requesting block ${blockNum}`);
+      const response = await this._request(buildContinuation(messageId, block2Option), messageId);
+      lastResponse = response;
+
+      if (!response.isSuccess()) {
+        throw new Error(`CoAP request failed for block ${blockNum} with code ${response.code} (${response.getCodeClass()}.${response.getCodeDetail()})`);
+      }
+
+      if (response.payload) {
+        payloads.push(response.payload);
+      }
+      lastPayloadLength = response.payload ? response.payload.length : 0;
+
+      const nextBlock2 = response.getBlock2Value();
+      if (nextBlock2) {
+        this.log(`[CoAP] Received block ${nextBlock2.num}, more=${nextBlock2.m}, size=${nextBlock2.size}`);
+        if (nextBlock2.num !== blockNum) {
+          throw new Error(`Received block out of order. Expected ${blockNum}, got ${nextBlock2.num}`);
+        }
+        more = nextBlock2.m;
+        block2 = nextBlock2;
+      } else {
+        // Unexpected in the middle of a transfer, but handled gracefully
+        this.log('[CoAP] Response in block-wise transfer missing Block2 option. Assuming transfer is complete.');
+        more = false;
+      }
+    }
+
+    if (payloads.length > 1) {
+      this.log(`[CoAP] Block-wise transfer complete. Assembled ${payloads.length} block(s).`);
+    }
+
+    return withAssembledPayload(lastResponse, Buffer.concat(payloads));
+  }
+
+  /**
+   * Send a request payload, splitting it into Block1 blocks when needed (RFC 7959 §2.5)
+   * @private
+   * @param {number} code - Method code (iPATCH or PUT)
+   * @param {Function} buildSingle - Request builder used when the payload fits in one block
+   * @param {Buffer} payload - Request payload
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Final CoAP response
+   */
+  async _sendBlock1(code, buildSingle, payload, options) {
+    const payloadBuffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const totalSize = payloadBuffer.length;
+
+    // Token must be same for all blocks in same transfer (RFC 7959)
+    const token = options.token || generateToken();
+
+    this.log(`[CoAP] Starting ${code === MethodCode.PUT ? 'PUT' : 'iPATCH'} with payload size: ${totalSize} bytes, Token: ${token.toString('hex')}`);
+
+    let szx = options.blockSize || DEFAULT_BLOCK_SIZE_EXPONENT;
+    let blockSize = 1 << (szx + 4);
+    if (!options.blockSize && this.bertBlockSize) {
+      szx = BERT_SZX;
+      blockSize = this.bertBlockSize;
+    }
+    let blockCount = 0;
+    let offset = 0;
+
+    // Payload fits in single block - send without Block1 option
+    if (totalSize <= blockSize) {
+      const messageId = this.messageLayer.nextMessageId();
+      const coapFrame = buildSingle(payloadBuffer, {
+        messageId,
+        token,
+        ...options
+      });
+      return this._request(coapFrame, messageId);
+    }
+
+    this.log(`[CoAP] Block-wise transfer required: ${totalSize} bytes with block size ${blockSize}`);
+
+    let lastResponse = null;
+
+    while (offset < totalSize) {
+      const chunk = payloadBuffer.slice(offset, offset + blockSize);
+      const moreBlocks = (offset + chunk.length) < totalSize;
+      const messageId = this.messageLayer.nextMessageId();
+
+      // Block numbers count in the current block size (1024 bytes for BERT)
+      const blockNum = offset / (szx === BERT_SZX ? BERT_BLOCK_SIZE : blockSize);
+      const block1Value = encodeBlock1Value(blockNum, moreBlocks, szx);
+
+      this.log(`[CoAP] Sending block ${blockNum}: offset=${offset}, size=${chunk.length}, more=${moreBlocks}, szx=${szx}`);
+
+      const coapFrame = buildMessage({
+        type: MessageType.CON,
+        code,
+        messageId,
+        token,
+        options: [
+          { number: OptionNumber.URI_PATH, value: 'c' },
+          { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_INSTANCES_CBOR },
+          { number: OptionNumber.ACCEPT, value: ContentFormat.YANG_DATA_CBOR_SID },
+          { number: OptionNumber.BLOCK1, value: block1Value }
+        ],
+        payload: chunk
+      });
+
+      const response = await this._request(coapFrame, messageId);
+      lastResponse = response;
+
+      this.log(`[CoAP] Block ${blockNum} response: code=${response.code} (${response.getCodeClass()}.${response.getCodeDetail()})`);
+
+      // An error ends the transfer; the caller decodes the error payload
+      if (!response.isSuccess()) {
+        return response;
+      }
+
+      if (moreBlocks && response.code !== ResponseCode.CONTINUE) {
+        throw new Error(`Expected 2.31 Continue for block ${blockNum}, got ${response.code} (${response.getCodeClass()}.${response.getCodeDetail()})`);
+      }
+
+      // The server may ask for smaller blocks (SZX negotiation)
+      const responseBlock1 = response.getBlock1Value();
+      if (responseBlock1 && responseBlock1.szx < szx) {
+        this.log(`[CoAP] Server requested smaller block size: szx ${szx} -> ${responseBlock1.szx}`);
+        szx = responseBlock1.szx;
+        blockSize = 1 << (szx + 4);
+      }
+
+      offset += chunk.length;
+      blockCount++;
+    }
+
+    this.log(`[CoAP] Block-wise transfer complete. Sent ${blockCount} block(s), total ${totalSize} bytes`);
+    return lastResponse;
+  }
+
+  /**
+   * Complete a truncated notification
+   * RFC 7959 §2.6: only the first block of a notification is pushed, the
+   * rest is retrieved with a plain (non-observe) request.
+   * @private
+   * @param {Array} query - SID query entries of the observation
+   * @param {Object} notification - Parsed notification
+   * @returns {Promise<Object>} Notification with the full payload
+   */
+  async _assembleNotification(query, notification) {
+    const block2 = notification.getBlock2Value();
+    if (!block2 || !block2.m) {
+      return notification;
+    }
+
+    const full = await this.sendiFetchRequest(query);
+    return withAssembledPayload(notification, full.payload);
+  }
+
+  /**
+   * Route an unsolicited message to its observation
+   * @private
+   * @param {Object} message - Parsed CoAP message
+   * @param {string} endpoint - Endpoint the message came from
+   * @returns {boolean} True if the message belonged to an observation
+   */
+  _handleNotification(message, endpoint) {
+    const key = message.token.toString('hex');
+    const observation = endpoint === this.endpoint ? this.observations.get(key) : undefined;
+
+    // Confirmable notifications must be acknowledged (unknown ones are reset by the caller)
+    if (message.type === MessageType.CON && observation) {
+      this.messageLayer.reply(message, MessageType.ACK, endpoint);
+    }
+
+    if (!observation) {
+      return false;
+    }
+
+    if (this.oscore) {
+      try {
+        message = this.oscore.unprotectResponse(message, observation.oscoreRequest);
+      } catch (err) {
+        this.log(`[CoAP] Dropping notification: ${err.message}`);
+        return true;
+      }
+    }
+
+    const sequence = message.getObserveValue();
+    const now = Date.now();
+    if (sequence === null) {
+      // A final response without Observe ends the subscription (RFC 7641 §3.2)
+      this.observations.delete(key);
+    } else if (!this.ordered && !isObserveSequenceNewer(observation.lastSeq, observation.lastTime, sequence, now)) {
+      debugLog(`[DEBUG] Dropping reordered notification (seq ${sequence})`);
+      return true;
+    } else {
+      observation.lastSeq = sequence;
+      observation.lastTime = now;
+    }
+
+    this._assembleNotification(observation.query, message)
+      .then(notification => observation.onNotification(notification))
+      .catch(err => this.emit('error', err));
+
+    return true;
+  }
+}
+
+export {
+  CoapClient,
+  DEFAULT_REQUEST_TIMEOUT,
+  DEFAULT_BLOCK_SIZE_EXPONENT
+};
@@ -0,0 +1,237 @@
+/**
+ * CoAP over Reliable Transports (RFC 8323)
+ *
+ * Message framing for CoAP over TCP and WebSockets, and signaling messages
+ * (CSM, Ping, Pong, Release, Abort).
+ *
+ * The client engine and OSCORE work on RFC 7252 messages. Reliable transports
+ * have no Type or Message ID, so adapters convert at the link boundary:
+ *   toReliableMessage()   - RFC 7252 message -> RFC 8323 message
+ *   fromReliableMessage() - RFC 8323 message -> RFC 7252 message (NON)
+ *
+ * TCP frame:        Len|TKL [Extended Length] Code [Token] [Options] [0xFF Payload]
+ * WebSocket frame:  0|TKL Code [Token] [Options] [0xFF Payload]
+ */
+
+import { MessageType, buildMessage } from './coap.js';
+
+// Signaling codes, class 7 (RFC 8323 §5)
+const SignalCode = {
+  CSM: 0xE1,      // 7.01 Capabilities and Settings
+  PING: 0xE2,     // 7.02
+  PONG: 0xE3,     // 7.03
+  RELEASE: 0xE4,  // 7.04
+  ABORT: 0xE5     // 7.05
+};
+
+// Signaling option numbers; their meaning depends on the signal code (RFC 8323 §5.3-5.6)
+const SignalOption = {
+  MAX_MESSAGE_SIZE: 2,     // CSM
+  BLOCK_WISE_TRANSFER: 4,  // CSM
+  CUSTODY: 2,              // Ping, Pong
+  ALTERNATIVE_ADDRESS: 2,  // Release
+  HOLD_OFF: 4,             // Release
+  BAD_CSM_OPTION: 2        // Abort
+};
+
+const DEFAULT_MAX_MESSAGE_SIZE = 1152;  // Until the peer's CSM says otherwise (RFC 8323 §5.3.1)
+
+/**
+ * Encode the Len nibble and Extended Length of a TCP frame
+ * @param {number} length - Length of Options and Payload
+ * @returns {{nibble: number, extended: Buffer}}
+ */
+function encodeLength(length) {
+  if (length < 13) {
+    return { nibble: length, extended: Buffer.alloc(0) };
+  }
+  if (length < 269) {
+    return { nibble: 13, extended: Buffer.from([length - 13]) };
+  }
+  if (length < 65805) {
+    const extended = Buffer.alloc(2);
+    extended.writeUInt16BE(length - 269, 0);
+    return { nibble: 14, extended };
+  }
+
+  const extended = Buffer.alloc(4);
+  extended.writeUInt32BE(length - 65805, 0);
+  return { nibble: 15, extended };
+}
+
+/**
+ * Convert an RFC 7252 message to RFC 8323 framing
+ * Type and Message ID are dropped.
+ * @param {Buffer} coapFrame - Encoded RFC 7252 message
+ * @param {Object} options - Framing options
+ * @param {boolean} options.websocket - WebSocket framing (no length field)
+ * @returns {Buffer}
+ */
+function toReliableMessage(coapFrame, options = {}) {
+  const tokenLength = coapFrame[0] & 0x0F;
+  const code = coapFrame[1];
+  const token = coapFrame.slice(4, 4 + tokenLength);
+  const rest = coapFrame.slice(4 + tokenLength);  // Options and payload
+
+  if (options.websocket) {
+    return Buffer.concat([Buffer.from([tokenLength, code]), token, rest]);
+  }
+
+  const { nibble, extended } = encodeLength(rest.length);
+  return Buffer.concat([Buffer.from([(nibble << 4) | tokenLength]), extended, Buffer.from([code]), token, rest]);
+}
+
+/**
+ * Convert an RFC 8323 message to an RFC 7252 NON message
+ * @param {Buffer} frame - One complete RFC 8323 message
+ * @param {number} messageId - Message ID to assign
+ * @param {Object} options - Framing options
+ * @param {boolean} options.websocket - WebSocket framing (no length field)
+ * @returns {Buffer}
+ */
+function fromReliableMessage(frame, messageId, options = {}) {
+  const header = parseReliableHeader(frame, options);
+  if (!header || header.total !== frame.length) {
+    throw new Error('Invalid CoAP over TCP message: length mismatch');
+  }
+
+  const header7252 = Buffer.alloc(4);
+  header7252[0] = (1 << 6) | (MessageType.NON << 4) | header.tokenLength;
+  header7252[1] = header.code;
+  header7252.writeUInt16BE(messageId & 0xFFFF, 2);
+
+  return Buffer.concat([header7252, frame.slice(header.codeOffset + 1)]);
+}
+
+/**
+ * Parse the header of an RFC 8323 message
+ * @param {Buffer} data - Buffered data starting at a message
+ * @param {Object} options - Framing options
+ * @param {boolean} options.websocket - WebSocket framing (the message is the whole buffer)
+ * @returns {{tokenLength: number, code: number, codeOffset: number, total: number}|null}
+ *          Header fields, or null if more data is needed
+ */
+function parseReliableHeader(data, options = {}) {
+  if (data.length < 2) {
+    return null;
+  }
+
+  const nibble = data[0] >> 4;
+  const tokenLength = data[0] & 0x0F;
+  if (tokenLength > 8) {
+    throw new Error(`Invalid CoAP over TCP message: token length ${tokenLength}`);
+  }
+
+  if (options.websocket) {
+    if (nibble !== 0) {
+      throw new Error('Invalid CoAP over WebSocket message: Len must be 0');
+    }
+    return { tokenLength, code: data[1], codeOffset: 1, total: data.length };
+  }
+
+  const extendedLength = [0, 1, 2, 4][Math.max(0, nibble - 12)];
+  const codeOffset = 1 + extendedLength;
+  if (data.length < codeOffset + 1) {
+    return null;
+  }
+
+  let length = nibble;
+  if (nibble === 13) {
+    length = data[1] + 13;
+  } else if (nibble === 14) {
+    length = data.readUInt16BE(1) + 269;
+  } else if (nibble === 15) {
+    length = data.readUInt32BE(1) + 65805;
+  }
+
+  return { tokenLength, code: data[codeOffset], codeOffset, total: codeOffset + 1 + tokenLength + length };
+}
+
+/**
+ * Splits a TCP byte stream into RFC 8323 messages
+ */
+class ReliableFrameBuffer {
+  /**
+   * @param {number} maxMessageSize - Largest message accepted
+   */
+  constructor(maxMessageSize) {
+    this.maxMessageSize = maxMessageSize;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add received bytes
+   * @param {Buffer} data - Received data
+   * @returns {Buffer[]} Complete messages
+   */
+  addData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    const messages = [];
+
+    let header = parseReliableHeader(this.buffer);
+    while (header && this.buffer.length >= header.total) {
+      if (header.total > this.maxMessageSize) {
+        throw new Error(`CoAP over TCP message exceeds ${this.maxMessageSize} bytes`);
+      }
+      messages.push(this.buffer.slice(0, header.total));
+      this.buffer = this.buffer.slice(header.total);
+      header = parseReliableHeader(this.buffer);
+    }
+
+    if (header && header.total > this.maxMessageSize) {
+      throw new Error(`CoAP over TCP message exceeds ${this.maxMessageSize} bytes`);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Drop buffered bytes
+   */
+  clear() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
+
+/**
+ * Build a signaling message in RFC 7252 form (converted like any other message)
+ * @param {number} code - SignalCode
+ * @param {Object} options - Message options
+ * @param {Array} options.options - Signaling options ({number, value})
+ * @param {Buffer} options.token - Token (Ping/Pong)
+ * @param {Buffer|string} options.payload - Diagnostic payload (Release/Abort)
+ * @returns {Buffer}
+ */
+function buildSignal(code, options = {}) {
+  const payload = typeof options.payload === 'string' ? Buffer.from(options.payload, 'utf8') : options.payload;
+
+  return buildMessage({
+    type: MessageType.NON,
+    code,
+    messageId: 0,
+    token: options.token || Buffer.alloc(0),
+    options: options.options || [],
+    payload: payload || null
+  });
+}
+
+/**
+ * Check for a signaling code (class 7)
+ * @param {number} code - Message code
+ * @returns {boolean}
+ */
+function isSignal(code) {
+  return (code >> 5) === 7;
+}
+
+export {
+  SignalCode,
+  SignalOption,
+  DEFAULT_MAX_MESSAGE_SIZE,
+  toReliableMessage,
+  fromReliableMessage,
+  parseReliableHeader,
+  ReliableFrameBuffer,
+  buildSignal,
+  isSignal
+};
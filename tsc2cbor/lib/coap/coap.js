@@ -1,12 +1,14 @@
 /**
  * CoAP (Constrained Application Protocol) Frame Builder
- * RFC 7252, RFC 8132 (FETCH/PATCH methods), RFC 7959 (Block-Wise Transfer)
+ * RFC 7252, RFC 8132 (FETCH/PATCH methods), RFC 7959 (Block-Wise Transfer),
+ * RFC 7641 (Observe), RFC 8323 (BERT block size)
  *
  * For CORECONF (RFC 9254):
  * - iFETCH: GET method to fetch configuration
  * - iPATCH: FETCH method with CBOR payload to modify configuration
  */
 
+import crypto from 'crypto';
 import { Encoder, Decoder } from 'cbor-x';
 
 // Configure CBOR encoder/decoder for RFC 9254 compliance
@@ -47,6 +49,7 @@ const ResponseCode = {
   CONTINUE: 0x5F,          // 2.31 (RFC 7959 Block-Wise Transfer)
   BAD_REQUEST: 0x80,       // 4.00
   UNAUTHORIZED: 0x81,      // 4.01
+  BAD_OPTION: 0x82,        // 4.02
   NOT_FOUND: 0x84,         // 4.04
   METHOD_NOT_ALLOWED: 0x85,// 4.05
   REQUEST_ENTITY_INCOMPLETE: 0x88, // 4.08 (RFC 7959)
@@ -59,8 +62,10 @@ const OptionNumber = {
   URI_HOST: 3,
   ETAG: 4,
   IF_NONE_MATCH: 5,
+  OBSERVE: 6, // RFC 7641 - Resource observation
   URI_PORT: 7,
   LOCATION_PATH: 8,
+  OSCORE: 9, // RFC 8613 - Object security
   URI_PATH: 11,
   CONTENT_FORMAT: 12,
   MAX_AGE: 14,
@@ -74,6 +79,21 @@ const OptionNumber = {
   SIZE1: 60
 };
 
+// Observe option values in requests (RFC 7641 §2)
+const ObserveAction = {
+  REGISTER: 0,
+  DEREGISTER: 1
+};
+
+// Observe sequence numbers are 24-bit (RFC 7641 §4.4)
+const OBSERVE_SEQUENCE_MODULUS = 1 << 24;
+const OBSERVE_SEQUENCE_HALF = 1 << 23;
+const OBSERVE_FRESHNESS_MS = 128 * 1000;
+
+// BERT: SZX 7 carries one or more 1024-byte blocks per message (RFC 8323 §6)
+const BERT_SZX = 7;
+const BERT_BLOCK_SIZE = 1024;
+
 // Content-Format for CORECONF
 const ContentFormat = {
   // Standard CBOR
@@ -84,6 +104,24 @@ const ContentFormat = {
   YANG_INSTANCES_CBOR: 142      // application/yang-instances+cbor-seq
 };
 
+// NMDA datastores (RFC 8342) and their CORECONF `d=` URI-Query values
+const Datastore = {
+  running: 'r',
+  startup: 's',
+  candidate: 'c',
+  operational: 'o',
+  intended: 'i'
+};
+
+/**
+ * Generate a random token (RFC 7252 §5.3.1)
+ * @param {number} length - Token length in bytes (1-8)
+ * @returns {Buffer}
+ */
+function generateToken(length = 4) {
+  return crypto.randomBytes(length);
+}
+
 /**
  * Build CoAP message
  * @param {Object} options
@@ -224,11 +262,11 @@ function encodeOptionValue(value) {
  * Encode Block2 option value as an integer.
  * @param {number} num - Block number
  * @param {boolean} m - More flag
- * @param {number} szx - Size exponent (0-6)
+ * @param {number} szx - Size exponent (0-6, or 7 for BERT)
  * @returns {number} Integer value for the option
  */
 function encodeBlock2Value(num, m, szx) {
-  if (szx < 0 || szx > 6) throw new Error('Invalid SZX value (must be 0-6)');
+  if (szx < 0 || szx > BERT_SZX) throw new Error('Invalid SZX value (must be 0-6, or 7 for BERT)');
   if (num < 0 || num >= (1 << 20)) throw new Error('Invalid block number (must be 0-1048575)');
   return (num << 4) | ((m ? 1 : 0) << 3) | szx;
 }
@@ -247,7 +285,7 @@ function decodeBlock2Value(value) {
   const szx = intValue & 0x07;
   const m = ((intValue >> 3) & 0x01) === 1;
   const num = intValue >> 4;
-  const size = 1 << (szx + 4);
+  const size = szx === BERT_SZX ? BERT_BLOCK_SIZE : 1 << (szx + 4);
 
   return { num, m, szx, size };
 }
@@ -257,11 +295,11 @@ function decodeBlock2Value(value) {
  * RFC 7959: Block1 for client-to-server block-wise transfer
  * @param {number} num - Block number
  * @param {boolean} m - More flag
- * @param {number} szx - Size exponent (0-6)
+ * @param {number} szx - Size exponent (0-6, or 7 for BERT)
  * @returns {number} Integer value for the option
  */
 function encodeBlock1Value(num, m, szx) {
-  if (szx < 0 || szx > 6) throw new Error('Invalid SZX value (must be 0-6)');
+  if (szx < 0 || szx > BERT_SZX) throw new Error('Invalid SZX value (must be 0-6, or 7 for BERT)');
   if (num < 0 || num >= (1 << 20)) throw new Error('Invalid block number (must be 0-1048575)');
   return (num << 4) | ((m ? 1 : 0) << 3) | szx;
 }
@@ -280,16 +318,35 @@ function decodeBlock1Value(value) {
   const szx = intValue & 0x07;
   const m = ((intValue >> 3) & 0x01) === 1;
   const num = intValue >> 4;
-  const size = 1 << (szx + 4);
+  const size = szx === BERT_SZX ? BERT_BLOCK_SIZE : 1 << (szx + 4);
 
   return { num, m, szx, size };
 }
 
+/**
+ * Build the datastore URI-Query option
+ * @param {string} datastore - NMDA datastore name (see Datastore)
+ * @returns {Array} Zero or one {number, value} option (none selects the device default)
+ */
+function buildDatastoreOptions(datastore) {
+  if (!datastore) {
+    return [];
+  }
+
+  const value = Datastore[datastore];
+  if (!value) {
+    throw new Error(`Unknown datastore: ${datastore} (expected ${Object.keys(Datastore).join(' | ')})`);
+  }
+
+  return [{ number: OptionNumber.URI_QUERY, value: `d=${value}` }];
+}
+
 /**
  * Build iFETCH request (query configuration)
  * @param {Array} query - CBOR array of SIDs (e.g., [29304] or [1000])
  *                        RFC 9254 requires array format, not map
  * @param {Object} options - Additional options
+ * @param {string} options.datastore - NMDA datastore to read (default: device default)
  * @returns {Buffer} CoAP message
  */
 function buildiFetchRequest(query, options = {}) {
@@ -312,9 +369,10 @@ function buildiFetchRequest(query, options = {}) {
   return buildMessage({
     type: MessageType.CON,
     code: MethodCode.FETCH,
-    token: options.token || Buffer.alloc(0),  // Empty token (Token Length 0)
+    token: options.token || generateToken(),  // Unique token per exchange
     options: [
       { number: OptionNumber.URI_PATH, value: 'c' },  // CORECONF endpoint
+      ...buildDatastoreOptions(options.datastore),
       { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_IDENTIFIERS_CBOR },  // 141 for iFETCH
       { number: OptionNumber.BLOCK2, value: block2Value }  // Request block-wise response
     ],
@@ -323,6 +381,84 @@ function buildiFetchRequest(query, options = {}) {
   });
 }
 
+/**
+ * Build observable iFETCH request (RFC 7641 + RFC 8132)
+ *
+ * Registration and deregistration use the same query payload and token;
+ * only the Observe option value differs. The token is mandatory because
+ * notifications are matched to the subscription by token, not message ID.
+ *
+ * @param {Array} query - SID query entries (same format as buildiFetchRequest)
+ * @param {Object} options - Additional options
+ * @param {Buffer} options.token - Subscription token (1-8 bytes)
+ * @param {number} options.observe - ObserveAction.REGISTER or ObserveAction.DEREGISTER
+ * @param {number} options.messageId - Message ID
+ * @returns {Buffer} CoAP message
+ */
+function buildObserveRequest(query, options = {}) {
+  const { token, observe = ObserveAction.REGISTER, messageId } = options;
+
+  if (!token || token.length === 0) {
+    throw new Error('Observe requests require a non-empty token');
+  }
+
+  let payload;
+  if (Array.isArray(query) && query.length > 0 && Array.isArray(query[0])) {
+    payload = Buffer.concat(query.map(q => cborEncode(q)));
+  } else {
+    payload = cborEncode(query);
+  }
+
+  return buildMessage({
+    type: MessageType.CON,
+    code: MethodCode.FETCH,
+    messageId,
+    token,
+    options: [
+      { number: OptionNumber.OBSERVE, value: observe },
+      { number: OptionNumber.URI_PATH, value: 'c' },
+      { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_IDENTIFIERS_CBOR },
+      { number: OptionNumber.BLOCK2, value: encodeBlock2Value(0, false, 6) }
+    ],
+    payload
+  });
+}
+
+/**
+ * Build empty ACK or RST message (RFC 7252 §4.2, §4.3)
+ * Used to acknowledge confirmable notifications or reject unknown ones.
+ * @param {number} messageId - Message ID of the message being answered
+ * @param {number} type - MessageType.ACK or MessageType.RST
+ * @returns {Buffer} CoAP message
+ */
+function buildEmptyMessage(messageId, type = MessageType.ACK) {
+  return buildMessage({ type, code: 0x00, messageId });
+}
+
+/**
+ * Decide whether a notification is newer than the last one seen
+ * RFC 7641 §3.4: sequence numbers wrap at 2^24, and anything arriving
+ * more than 128 seconds after the previous notification is considered fresh.
+ *
+ * @param {number|null} lastSeq - Sequence number of the last accepted notification
+ * @param {number} lastTime - Local receive time (ms) of the last accepted notification
+ * @param {number} seq - Sequence number of the incoming notification
+ * @param {number} time - Local receive time (ms) of the incoming notification
+ * @returns {boolean}
+ */
+function isObserveSequenceNewer(lastSeq, lastTime, seq, time = Date.now()) {
+  if (lastSeq === null || lastSeq === undefined) {
+    return true;
+  }
+  if (time > lastTime + OBSERVE_FRESHNESS_MS) {
+    return true;
+  }
+  const v1 = lastSeq % OBSERVE_SEQUENCE_MODULUS;
+  const v2 = seq % OBSERVE_SEQUENCE_MODULUS;
+  return (v1 < v2 && v2 - v1 < OBSERVE_SEQUENCE_HALF) ||
+         (v1 > v2 && v1 - v2 > OBSERVE_SEQUENCE_HALF);
+}
+
 /**
  * Build iPATCH request (modify configuration)
  * @param {Buffer|Object} patch - CBOR-encoded Buffer or CBOR-encodable object
@@ -337,7 +473,7 @@ function buildiPatchRequest(patch, options = {}) {
   return buildMessage({
     type: MessageType.CON,
     code: MethodCode.IPATCH,
-    token: options.token || Buffer.alloc(0),  // Empty token (Token Length 0)
+    token: options.token || generateToken(),  // Unique token per exchange
     options: [
       { number: OptionNumber.URI_PATH, value: 'c' },  // CORECONF endpoint
       { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_INSTANCES_CBOR },  // 142 for iPATCH
@@ -362,7 +498,7 @@ function buildPostRequest(payload, options = {}) {
   return buildMessage({
     type: MessageType.CON,
     code: MethodCode.POST,
-    token: options.token || Buffer.alloc(0),
+    token: options.token || generateToken(),
     options: [
       { number: OptionNumber.URI_PATH, value: 'c' },
       { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_INSTANCES_CBOR },
@@ -376,25 +512,26 @@ function buildPostRequest(payload, options = {}) {
 /**
  * Build GET request (retrieve entire datastore)
  * @param {Object} options - Additional options, including custom CoAP options in `options.options`
+ * @param {string} options.datastore - NMDA datastore to read (default: device default, running)
  * @returns {Buffer} CoAP message
  */
 function buildGetRequest(options = {}) {
   const defaultOptions = [
     { number: OptionNumber.URI_PATH, value: 'c' },
-    // Don't specify datastore - use default (running datastore)
-    // { number: OptionNumber.URI_QUERY, value: 'd=a' }, // Datastore=all may not be supported
+    ...buildDatastoreOptions(options.datastore),
     { number: OptionNumber.ACCEPT, value: ContentFormat.YANG_DATA_CBOR_SID }
   ];
 
   const customOptions = options.options || [];
 
-  // Remove `options` property from top-level object before spreading
+  // Remove `options` and `datastore` from the top-level object before spreading
   // to avoid overwriting the merged array.
-  const { options: _opts, ...restOfOptions } = options;
+  const { options: _opts, datastore: _datastore, ...restOfOptions } = options;
 
   return buildMessage({
     type: MessageType.CON,
     code: MethodCode.GET,
+    token: generateToken(),
     ...restOfOptions,
     options: [...defaultOptions, ...customOptions]
   });
@@ -419,7 +556,7 @@ function buildPutRequest(payload, options = {}) {
   return buildMessage({
     type: MessageType.CON,
     code: MethodCode.PUT,
-    token: options.token || Buffer.alloc(0),
+    token: options.token || generateToken(),
     options: [
       { number: OptionNumber.URI_PATH, value: 'c' },  // CORECONF endpoint
       { number: OptionNumber.CONTENT_FORMAT, value: ContentFormat.YANG_INSTANCES_CBOR },  // 142
@@ -430,6 +567,58 @@ function buildPutRequest(payload, options = {}) {
   });
 }
 
+/**
+ * Encode a SID as a CORECONF URI path segment
+ * The SID is written in 6-bit units, most significant first, using the
+ * base64url alphabet without leading zero units (e.g. 1717 -> "a1").
+ * @param {number} sid - SID value
+ * @returns {string} Encoded path segment
+ */
+function encodeSidForUri(sid) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  let value = sid;
+  let encoded = '';
+  do {
+    encoded = alphabet[value % 64] + encoded;
+    value = Math.floor(value / 64);
+  } while (value > 0);
+  return encoded;
+}
+
+/**
+ * Build DELETE request (remove a data node instance)
+ * RFC 7252 + CORECONF data node resource: /c/<SID>?k=<key1>,<key2>
+ *
+ * @param {number|Array} target - SID, or [SID, key1, key2, ...] for list entries
+ *                                (same entry format as the iFETCH query)
+ * @param {Object} options - Additional options
+ * @returns {Buffer} CoAP message
+ */
+function buildDeleteRequest(target, options = {}) {
+  const [sid, ...keys] = Array.isArray(target) ? target : [target];
+
+  if (typeof sid !== 'number') {
+    throw new Error('DELETE target must start with a numeric SID');
+  }
+
+  const coapOptions = [
+    { number: OptionNumber.URI_PATH, value: 'c' },
+    { number: OptionNumber.URI_PATH, value: encodeSidForUri(sid) }
+  ];
+
+  if (keys.length > 0) {
+    coapOptions.push({ number: OptionNumber.URI_QUERY, value: `k=${keys.map(String).join(',')}` });
+  }
+
+  return buildMessage({
+    type: MessageType.CON,
+    code: MethodCode.DELETE,
+    token: options.token || generateToken(),
+    options: coapOptions,
+    ...options
+  });
+}
+
 /**
  * Parse CoAP response
  * @param {Buffer} data - CoAP message
@@ -514,6 +703,15 @@ function parseResponse(data) {
     getBlock1Value: () => {
       const block1Opt = options.find(opt => opt.number === OptionNumber.BLOCK1);
       return block1Opt ? decodeBlock1Value(block1Opt.value) : null;
+    },
+    getObserveValue: () => {
+      const observeOpt = options.find(opt => opt.number === OptionNumber.OBSERVE);
+      if (!observeOpt) return null;
+      let value = 0;
+      for (let i = 0; i < observeOpt.value.length; i++) {
+        value = (value << 8) | observeOpt.value[i];
+      }
+      return value;
     }
   };
 }
@@ -523,15 +721,26 @@ export {
   MethodCode,
   ResponseCode,
   OptionNumber,
+  ObserveAction,
   ContentFormat,
+  Datastore,
+  BERT_SZX,
+  BERT_BLOCK_SIZE,
   cborEncode,
   cborDecode,
+  generateToken,
   buildMessage,
+  buildDatastoreOptions,
   buildiFetchRequest,
   buildiPatchRequest,
   buildPostRequest,
   buildGetRequest,
   buildPutRequest,
+  buildDeleteRequest,
+  encodeSidForUri,
+  buildObserveRequest,
+  buildEmptyMessage,
+  isObserveSequenceNewer,
   parseResponse,
   encodeBlock2Value,
   decodeBlock2Value,
@@ -0,0 +1,397 @@
+/**
+ * CoAP Message Layer (RFC 7252 §4)
+ *
+ * Reliable messaging for CoAP over unreliable links (UDP):
+ * - CON retransmission with ACK_TIMEOUT, randomized initial timeout and
+ *   exponential backoff, giving up after MAX_RETRANSMIT retransmissions
+ * - Piggybacked responses (ACK carrying the response)
+ * - Empty ACK followed by a separate response, matched by token (§5.2.2)
+ * - RST handling
+ * - Duplicate detection for incoming CON/NON messages within EXCHANGE_LIFETIME,
+ *   replaying the previous ACK/RST for duplicated confirmable messages (§4.5)
+ * - Message ID allocation and matching on Message ID / token plus endpoint (§4.4, §5.3.2)
+ * - Up to NSTART outstanding requests; further requests wait in a queue (§4.7)
+ *
+ * The layer is framing-agnostic: the transport supplies a send function and
+ * feeds parsed incoming messages to receive().
+ */
+
+import { MessageType, buildEmptyMessage } from './coap.js';
+
+// Default transmission parameters (RFC 7252 §4.8)
+const DEFAULT_TRANSMISSION_PARAMETERS = {
+  ackTimeout: 2000,       // ACK_TIMEOUT (ms)
+  ackRandomFactor: 1.5,   // ACK_RANDOM_FACTOR
+  maxRetransmit: 4,       // MAX_RETRANSMIT
+  nstart: 1               // NSTART
+};
+
+// Derived-time constants that are not configurable (RFC 7252 §4.8.2)
+const MAX_LATENCY = 100 * 1000;
+
+/**
+ * Merge user supplied transmission parameters with the defaults
+ * @param {Object} parameters - { ackTimeout, ackRandomFactor, maxRetransmit, nstart }
+ * @returns {Object} Validated parameters
+ */
+function resolveTransmissionParameters(parameters = {}) {
+  const resolved = { ...DEFAULT_TRANSMISSION_PARAMETERS };
+
+  for (const key of Object.keys(DEFAULT_TRANSMISSION_PARAMETERS)) {
+    if (parameters[key] !== undefined && parameters[key] !== null) {
+      resolved[key] = Number(parameters[key]);
+    }
+  }
+
+  if (!(resolved.ackTimeout > 0)) {
+    throw new Error(`Invalid ACK_TIMEOUT: ${parameters.ackTimeout}`);
+  }
+  if (!(resolved.ackRandomFactor >= 1)) {
+    throw new Error(`Invalid ACK_RANDOM_FACTOR: ${parameters.ackRandomFactor} (must be >= 1)`);
+  }
+  if (!Number.isInteger(resolved.maxRetransmit) || resolved.maxRetransmit < 0) {
+    throw new Error(`Invalid MAX_RETRANSMIT: ${parameters.maxRetransmit}`);
+  }
+  if (!Number.isInteger(resolved.nstart) || resolved.nstart < 1) {
+    throw new Error(`Invalid NSTART: ${parameters.nstart} (must be >= 1)`);
+  }
+
+  return resolved;
+}
+
+/**
+ * EXCHANGE_LIFETIME for the given parameters (RFC 7252 §4.8.2)
+ * @param {Object} parameters - Resolved transmission parameters
+ * @returns {number} Milliseconds
+ */
+function getExchangeLifetime(parameters) {
+  const { ackTimeout, ackRandomFactor, maxRetransmit } = parameters;
+  const maxTransmitSpan = ackTimeout * ((1 << maxRetransmit) - 1) * ackRandomFactor;
+  return maxTransmitSpan + 2 * MAX_LATENCY + ackTimeout;
+}
+
+/**
+ * Key for Message ID based lookups: Message IDs are only unique per endpoint
+ * @param {string} endpoint
+ * @param {number} messageId
+ * @returns {string}
+ */
+function exchangeKey(endpoint, messageId) {
+  return `${endpoint}#${messageId}`;
+}
+
+/**
+ * Extract the token from an encoded CoAP message
+ * @param {Buffer} coapFrame
+ * @returns {Buffer}
+ */
+function tokenOf(coapFrame) {
+  const tokenLength = coapFrame[0] & 0x0F;
+  return coapFrame.slice(4, 4 + tokenLength);
+}
+
+class MessageLayer {
+  /**
+   * @param {Function} sendFrame - async (coapFrame: Buffer) => void
+   * @param {Object} options
+   * @param {number} options.ackTimeout - ACK_TIMEOUT in ms
+   * @param {number} options.ackRandomFactor - ACK_RANDOM_FACTOR
+   * @param {number} options.maxRetransmit - MAX_RETRANSMIT
+   * @param {number} options.nstart - NSTART (maximum outstanding requests)
+   * @param {boolean} options.retransmit - Retransmit CON messages (false for reliable links)
+   * @param {number} options.responseTimeout - Wait for a response when not retransmitting,
+   *                                           or for a separate response after an empty ACK (ms)
+   * @param {Function} options.log - Logger
+   */
+  constructor(sendFrame, options = {}) {
+    this.sendFrame = sendFrame;
+    this.parameters = resolveTransmissionParameters(options);
+    this.exchangeLifetime = getExchangeLifetime(this.parameters);
+    this.retransmit = options.retransmit !== false;
+    this.responseTimeout = options.responseTimeout || 30000;
+    this.log = options.log || (() => {});
+    this.pending = new Map();  // endpoint#messageId -> exchange
+    this.queue = [];           // exchanges waiting for an NSTART slot
+    this.recent = new Map();   // endpoint#messageId -> {expires, reply} (duplicate detection)
+    this.messageId = Math.floor(Math.random() * 65536);
+  }
+
+  /**
+   * Allocate the next Message ID (RFC 7252 §4.4)
+   * Sequential from a random start so outstanding IDs never collide.
+   * @returns {number}
+   */
+  nextMessageId() {
+    this.messageId = (this.messageId + 1) & 0xFFFF;
+    return this.messageId;
+  }
+
+  /**
+   * Send a request and resolve with its response
+   * CON messages are retransmitted until acknowledged; NON messages are sent once.
+   * When NSTART requests are already outstanding the request is queued.
+   * @param {Buffer} coapFrame - Encoded CoAP request
+   * @param {number} messageId - Message ID of the request
+   * @param {string} endpoint - Remote endpoint identifier (e.g. "192.168.1.10:5683")
+   * @returns {Promise<Object>} Parsed response
+   */
+  request(coapFrame, messageId, endpoint = '') {
+    const key = exchangeKey(endpoint, messageId);
+    if (this.pending.has(key) || this.queue.some(queued => queued.key === key)) {
+      return Promise.reject(new Error(`Message ID ${messageId} already in use`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const exchange = {
+        key,
+        messageId,
+        endpoint,
+        token: tokenOf(coapFrame),
+        coapFrame,
+        resolve,
+        reject,
+        retransmissions: 0,
+        acknowledged: false,
+        timer: null
+      };
+
+      if (this.pending.size >= this.parameters.nstart) {
+        this.log(`[CoAP] NSTART=${this.parameters.nstart} reached, queueing Message ID ${messageId}`);
+        this.queue.push(exchange);
+        return;
+      }
+
+      this._start(exchange);
+    });
+  }
+
+  /**
+   * Process an incoming message
+   * @param {Object} message - Parsed CoAP message
+   * @param {string} endpoint - Endpoint the message came from
+   * @returns {boolean} True if the message was consumed by the message layer
+   */
+  receive(message, endpoint = '') {
+    const { type, messageId } = message;
+
+    if (type === MessageType.ACK || type === MessageType.RST) {
+      const exchange = this.pending.get(exchangeKey(endpoint, messageId));
+      if (!exchange) {
+        // Late or duplicated ACK for an exchange that is already complete
+        this.log(`[CoAP] Ignoring ${type === MessageType.ACK ? 'ACK' : 'RST'} for unknown Message ID ${messageId}`);
+        return true;
+      }
+
+      if (type === MessageType.RST) {
+        this._complete(exchange);
+        exchange.reject(new Error(`Request rejected by peer (RST, Message ID: ${messageId})`));
+        return true;
+      }
+
+      if (message.code === 0x00) {
+        // Empty ACK: stop retransmitting, the response will follow separately
+        this.log(`[CoAP] Empty ACK received (Message ID: ${messageId}), waiting for separate response`);
+        clearTimeout(exchange.timer);
+        exchange.acknowledged = true;
+        exchange.timer = setTimeout(() => this._expire(exchange, 'no separate response'), this.responseTimeout);
+        return true;
+      }
+
+      // Piggybacked response: the token must match as well (RFC 7252 §5.3.2)
+      if (!exchange.token.equals(message.token)) {
+        this.log(`[CoAP] Ignoring piggybacked response with mismatched token (Message ID: ${messageId})`);
+        return true;
+      }
+      this._complete(exchange);
+      exchange.resolve(message);
+      return true;
+    }
+
+    // CON or NON from the peer: drop duplicates, replaying our earlier reply
+    const seen = this._remember(message, endpoint);
+    if (seen) {
+      this.log(`[CoAP] Duplicate message (Message ID: ${messageId})`);
+      if (seen.reply) {
+        this._send(seen.reply);
+      }
+      return true;
+    }
+
+    // Separate response: matched by token and endpoint (RFC 7252 §5.3.2)
+    const exchange = this._findByToken(message.token, endpoint);
+    if (exchange && message.code !== 0x00) {
+      this._complete(exchange);
+      if (type === MessageType.CON) {
+        this.reply(message, MessageType.ACK, endpoint);
+      }
+      exchange.resolve(message);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Send an empty ACK or RST for an incoming confirmable message
+   * The reply is remembered so it can be repeated for duplicates.
+   * @param {Object} message - Parsed incoming CON message
+   * @param {number} type - MessageType.ACK or MessageType.RST
+   * @param {string} endpoint - Endpoint the message came from
+   */
+  reply(message, type = MessageType.ACK, endpoint = '') {
+    const replyFrame = buildEmptyMessage(message.messageId, type);
+    const entry = this.recent.get(exchangeKey(endpoint, message.messageId));
+    if (entry) {
+      entry.reply = replyFrame;
+    }
+    this._send(replyFrame);
+  }
+
+  /**
+   * Fail all outstanding exchanges
+   * @param {Error} error - Rejection reason
+   */
+  cancelAll(error) {
+    const exchanges = [...this.queue, ...this.pending.values()];
+    this.queue = [];
+    for (const exchange of exchanges) {
+      clearTimeout(exchange.timer);
+      this.pending.delete(exchange.key);
+      exchange.reject(error);
+    }
+  }
+
+  /**
+   * Number of outstanding and queued exchanges
+   * @returns {number}
+   */
+  get size() {
+    return this.pending.size + this.queue.length;
+  }
+
+  /**
+   * Start an exchange: arm its timer and send the first transmission
+   * @private
+   */
+  _start(exchange) {
+    this.pending.set(exchange.key, exchange);
+
+    const confirmable = ((exchange.coapFrame[0] >> 4) & 0x03) === MessageType.CON;
+
+    if (confirmable && this.retransmit) {
+      // Initial timeout is random between ACK_TIMEOUT and ACK_TIMEOUT * ACK_RANDOM_FACTOR
+      const { ackTimeout, ackRandomFactor } = this.parameters;
+      exchange.timeout = ackTimeout + Math.random() * ackTimeout * (ackRandomFactor - 1);
+      exchange.timer = setTimeout(() => this._retransmit(exchange), exchange.timeout);
+    } else {
+      exchange.acknowledged = !confirmable;
+      exchange.timer = setTimeout(() => this._expire(exchange, 'no response'), this.responseTimeout);
+    }
+
+    this._transmit(exchange);
+  }
+
+  /**
+   * Send (or resend) the request frame of an exchange
+   * @private
+   */
+  _transmit(exchange) {
+    this.sendFrame(exchange.coapFrame).catch(err => {
+      if (this.pending.get(exchange.key) === exchange) {
+        this._complete(exchange);
+        exchange.reject(new Error(`Send failed: ${err.message}`));
+      }
+    });
+  }
+
+  /**
+   * Retransmission timer fired (RFC 7252 §4.2)
+   * @private
+   */
+  _retransmit(exchange) {
+    if (exchange.retransmissions >= this.parameters.maxRetransmit) {
+      this._expire(exchange, `no ACK after ${exchange.retransmissions} retransmission(s)`);
+      return;
+    }
+
+    exchange.retransmissions++;
+    exchange.timeout *= 2;
+    this.log(`[CoAP] Retransmitting Message ID ${exchange.messageId} (${exchange.retransmissions}/${this.parameters.maxRetransmit})`);
+
+    exchange.timer = setTimeout(() => this._retransmit(exchange), exchange.timeout);
+    this._transmit(exchange);
+  }
+
+  /**
+   * Give up on an exchange
+   * @private
+   */
+  _expire(exchange, reason) {
+    this._complete(exchange);
+    exchange.reject(new Error(`Request timeout (${reason}, Message ID: ${exchange.messageId})`));
+  }
+
+  /**
+   * Remove an exchange, stop its timer and start the next queued one
+   * @private
+   */
+  _complete(exchange) {
+    clearTimeout(exchange.timer);
+    this.pending.delete(exchange.key);
+
+    while (this.queue.length > 0 && this.pending.size < this.parameters.nstart) {
+      this._start(this.queue.shift());
+    }
+  }
+
+  /**
+   * Find an outstanding exchange by token and endpoint
+   * @private
+   */
+  _findByToken(token, endpoint) {
+    for (const exchange of this.pending.values()) {
+      if (exchange.endpoint === endpoint && exchange.token.equals(token)) {
+        return exchange;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record an incoming message ID; return the previous entry if it is a duplicate
+   * @private
+   */
+  _remember(message, endpoint) {
+    const now = Date.now();
+
+    for (const [key, entry] of this.recent) {
+      if (entry.expires <= now) {
+        this.recent.delete(key);
+      }
+    }
+
+    const key = exchangeKey(endpoint, message.messageId);
+    const previous = this.recent.get(key);
+    if (previous) {
+      return previous;
+    }
+
+    this.recent.set(key, { expires: now + this.exchangeLifetime, reply: null });
+    return null;
+  }
+
+  /**
+   * Fire-and-forget send for ACK/RST
+   * @private
+   */
+  _send(coapFrame) {
+    this.sendFrame(coapFrame).catch(err => this.log(`[CoAP] Failed to send reply: ${err.message}`));
+  }
+}
+
+export {
+  MessageLayer,
+  DEFAULT_TRANSMISSION_PARAMETERS,
+  resolveTransmissionParameters,
+  getExchangeLifetime
+};
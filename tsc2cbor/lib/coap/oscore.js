@@ -0,0 +1,569 @@
+/**
+ * OSCORE - Object Security for Constrained RESTful Environments (RFC 8613)
+ *
+ * End-to-end protection of CoAP messages with a pre-shared security context:
+ * - Context derivation with HKDF-SHA-256 (§3.2)
+ * - AES-CCM-16-64-128 (COSE algorithm 10) protection (§5)
+ * - Sliding replay window for received Partial IVs (§7.4)
+ *
+ * Both roles are implemented so a local stand-in server can use the same
+ * context file: protectRequest/unprotectResponse for the client,
+ * unprotectRequest/protectResponse for the server.
+ *
+ * Context file (hex strings):
+ *   {
+ *     "masterSecret": "0102030405060708090a0b0c0d0e0f10",
+ *     "masterSalt": "9e7ca92223786340",
+ *     "senderId": "",
+ *     "recipientId": "01",
+ *     "idContext": null,
+ *     "replayWindow": 32
+ *   }
+ *
+ * The sender sequence number is persisted next to the context file
+ * (<context>.seq) so nonces are never reused across runs (Appendix B.1.1).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import {
+  buildMessage,
+  parseResponse,
+  cborEncode,
+  OptionNumber,
+  MethodCode,
+  ResponseCode
+} from './coap.js';
+
+// AES-CCM-16-64-128 (COSE algorithm 10)
+const AEAD_ALGORITHM = 10;
+const KEY_LENGTH = 16;
+const NONCE_LENGTH = 13;
+const TAG_LENGTH = 8;
+
+const OSCORE_VERSION = 1;
+const DEFAULT_REPLAY_WINDOW = 32;
+const MAX_SEQUENCE_NUMBER = 2 ** 40 - 1;  // Partial IV is at most 5 bytes
+const SEQUENCE_RESERVE = 100;             // Sequence numbers reserved per write to <context>.seq
+
+// Class U options stay in the outer message only (§4.1).
+// Observe is both Inner and Outer.
+const OUTER_ONLY_OPTIONS = new Set([
+  OptionNumber.URI_HOST,
+  OptionNumber.URI_PORT,
+  OptionNumber.OSCORE,
+  OptionNumber.PROXY_URI,
+  OptionNumber.PROXY_SCHEME
+]);
+
+/**
+ * Sliding replay window for received sequence numbers (RFC 8613 §7.4)
+ */
+class ReplayWindow {
+  /**
+   * @param {number} size - Window size in sequence numbers
+   */
+  constructor(size = DEFAULT_REPLAY_WINDOW) {
+    this.size = size;
+    this.highest = -1;
+    this.seen = new Set();  // Sequence numbers received inside the window
+  }
+
+  /**
+   * Check whether a sequence number must be rejected
+   * @param {number} seq - Received sequence number
+   * @returns {boolean} True if replayed or too old
+   */
+  isReplay(seq) {
+    if (seq > this.highest) {
+      return false;
+    }
+    return seq <= this.highest - this.size || this.seen.has(seq);
+  }
+
+  /**
+   * Record a sequence number after successful verification
+   * @param {number} seq - Verified sequence number
+   */
+  accept(seq) {
+    this.seen.add(seq);
+    if (seq > this.highest) {
+      this.highest = seq;
+      for (const old of this.seen) {
+        if (old <= this.highest - this.size) {
+          this.seen.delete(old);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Parse a hex field of the context file
+ * @param {Object} params - Context parameters
+ * @param {string} name - Field name
+ * @param {boolean} optional - Field may be missing or null
+ * @returns {Buffer|null}
+ */
+function hexField(params, name, optional = false) {
+  const value = params[name];
+
+  if (value === undefined || value === null) {
+    if (optional) return null;
+    throw new Error(`OSCORE context: "${name}" is required`);
+  }
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(value)) {
+    throw new Error(`OSCORE context: "${name}" must be a hex string`);
+  }
+  return Buffer.from(value, 'hex');
+}
+
+/**
+ * Encode a sequence number as Partial IV (minimal big-endian, 0 -> 0x00)
+ * @param {number} seq - Sequence number
+ * @returns {Buffer}
+ */
+function encodePartialIv(seq) {
+  const bytes = [];
+  let temp = seq;
+  do {
+    bytes.unshift(temp % 256);
+    temp = Math.floor(temp / 256);
+  } while (temp > 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a Partial IV to its sequence number
+ * @param {Buffer} piv - Partial IV
+ * @returns {number}
+ */
+function decodePartialIv(piv) {
+  let seq = 0;
+  for (const byte of piv) {
+    seq = seq * 256 + byte;
+  }
+  return seq;
+}
+
+/**
+ * Encode the OSCORE option value (§6.1)
+ * @param {Object} fields - { piv, kid, kidContext }
+ * @returns {Buffer}
+ */
+function encodeOscoreOption({ piv = null, kid = null, kidContext = null }) {
+  if (!piv && !kid && !kidContext) {
+    return Buffer.alloc(0);
+  }
+
+  let flags = piv ? piv.length : 0;
+  if (kid) flags |= 0x08;
+  if (kidContext) flags |= 0x10;
+
+  const parts = [Buffer.from([flags])];
+  if (piv) parts.push(piv);
+  if (kidContext) parts.push(Buffer.from([kidContext.length]), kidContext);
+  if (kid) parts.push(kid);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode the OSCORE option value (§6.1)
+ * @param {Buffer} value - Option value
+ * @returns {{piv: Buffer|null, kid: Buffer|null, kidContext: Buffer|null}}
+ */
+function decodeOscoreOption(value) {
+  if (value.length === 0) {
+    return { piv: null, kid: null, kidContext: null };
+  }
+
+  const flags = value[0];
+  const pivLength = flags & 0x07;
+  if ((flags & 0xE0) !== 0 || pivLength > 5) {
+    throw new Error('OSCORE: malformed option');
+  }
+
+  let offset = 1;
+  const piv = pivLength > 0 ? value.slice(offset, offset + pivLength) : null;
+  offset += pivLength;
+
+  let kidContext = null;
+  if (flags & 0x10) {
+    const length = value[offset++];
+    kidContext = value.slice(offset, offset + length);
+    offset += length;
+  }
+
+  const kid = (flags & 0x08) ? value.slice(offset) : null;
+  if (offset > value.length) {
+    throw new Error('OSCORE: malformed option');
+  }
+
+  return { piv, kid, kidContext };
+}
+
+/**
+ * Split options into Inner (encrypted) and Outer (visible) options (§4.1)
+ * @param {Array} options - Parsed or unencoded options
+ * @returns {{inner: Array, outer: Array}}
+ */
+function splitOptions(options) {
+  const inner = [];
+  const outer = [];
+
+  for (const option of options) {
+    if (OUTER_ONLY_OPTIONS.has(option.number)) {
+      outer.push(option);
+    } else {
+      inner.push(option);
+      if (option.number === OptionNumber.OBSERVE) {
+        outer.push(option);
+      }
+    }
+  }
+
+  return { inner, outer };
+}
+
+/**
+ * Get the OSCORE option of a parsed message
+ * @param {Object} message - Parsed CoAP message
+ * @returns {Buffer|null} Option value, or null if not protected
+ */
+function getOscoreOption(message) {
+  const option = message.options.find(opt => opt.number === OptionNumber.OSCORE);
+  return option ? option.value : null;
+}
+
+class OscoreContext {
+  /**
+   * @param {Object} params - Context parameters (hex strings or Buffers)
+   * @param {string} params.masterSecret - Master Secret
+   * @param {string} params.masterSalt - Master Salt (default: empty)
+   * @param {string} params.senderId - Sender ID
+   * @param {string} params.recipientId - Recipient ID
+   * @param {string} params.idContext - ID Context (optional)
+   * @param {number} params.replayWindow - Replay window size (default: 32)
+   * @param {number} params.senderSequenceNumber - Initial sender sequence number (default: 0)
+   * @param {string} params.sequenceFile - File persisting the sender sequence number
+   */
+  constructor(params = {}) {
+    if (params.aeadAlgorithm !== undefined && params.aeadAlgorithm !== AEAD_ALGORITHM) {
+      throw new Error(`OSCORE context: unsupported AEAD algorithm ${params.aeadAlgorithm} (only 10, AES-CCM-16-64-128)`);
+    }
+    if (params.hkdf !== undefined && params.hkdf !== 'SHA-256') {
+      throw new Error(`OSCORE context: unsupported HKDF ${params.hkdf} (only SHA-256)`);
+    }
+
+    const masterSecret = hexField(params, 'masterSecret');
+    const masterSalt = hexField(params, 'masterSalt', true) || Buffer.alloc(0);
+    this.senderId = hexField(params, 'senderId');
+    this.recipientId = hexField(params, 'recipientId');
+    this.idContext = hexField(params, 'idContext', true);
+
+    const maxIdLength = NONCE_LENGTH - 6;
+    if (this.senderId.length > maxIdLength || this.recipientId.length > maxIdLength) {
+      throw new Error(`OSCORE context: Sender/Recipient ID must be at most ${maxIdLength} bytes`);
+    }
+    if (this.senderId.equals(this.recipientId)) {
+      throw new Error('OSCORE context: Sender ID and Recipient ID must differ');
+    }
+
+    // Key derivation (§3.2.1)
+    const derive = (id, type, length) => {
+      const info = cborEncode([id, this.idContext, AEAD_ALGORITHM, type, length]);
+      return Buffer.from(crypto.hkdfSync('sha256', masterSecret, masterSalt, info, length));
+    };
+
+    this.senderKey = derive(this.senderId, 'Key', KEY_LENGTH);
+    this.recipientKey = derive(this.recipientId, 'Key', KEY_LENGTH);
+    this.commonIv = derive(Buffer.alloc(0), 'IV', NONCE_LENGTH);
+
+    this.replayWindow = new ReplayWindow(params.replayWindow || DEFAULT_REPLAY_WINDOW);
+    this.sequenceFile = params.sequenceFile || null;
+    this.senderSequenceNumber = params.senderSequenceNumber || 0;
+    this.reservedSequenceNumber = this.senderSequenceNumber;
+
+    if (this.sequenceFile && fs.existsSync(this.sequenceFile)) {
+      const stored = JSON.parse(fs.readFileSync(this.sequenceFile, 'utf8'));
+      this.senderSequenceNumber = Math.max(this.senderSequenceNumber, stored.senderSequenceNumber || 0);
+      this.reservedSequenceNumber = this.senderSequenceNumber;
+    }
+  }
+
+  /**
+   * Load a client context from a JSON file
+   * @param {string} file - Context file
+   * @param {Object} options - Load options
+   * @param {string} options.role - 'client' (default) or 'server' (swaps Sender/Recipient ID)
+   * @returns {OscoreContext}
+   */
+  static fromFile(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`OSCORE context file not found: ${file}`);
+    }
+
+    let params;
+    try {
+      params = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid OSCORE context file ${file}: ${err.message}`);
+    }
+
+    if (options.role === 'server') {
+      return new OscoreContext({
+        ...params,
+        senderId: params.recipientId,
+        recipientId: params.senderId,
+        sequenceFile: `${file}.server.seq`
+      });
+    }
+
+    return new OscoreContext({ ...params, sequenceFile: `${file}.seq` });
+  }
+
+  /**
+   * Protect an outgoing request (§8.1)
+   * @param {Buffer} coapFrame - Unprotected CoAP request
+   * @returns {{frame: Buffer, request: {kid: Buffer, piv: Buffer}}} Protected request and
+   *   the request parameters needed to verify its responses
+   */
+  protectRequest(coapFrame) {
+    const message = parseResponse(coapFrame);
+    const piv = this._nextPartialIv();
+    const request = { kid: this.senderId, piv };
+
+    const observe = message.options.some(opt => opt.number === OptionNumber.OBSERVE);
+    const frame = this._protect(message, {
+      key: this.senderKey,
+      nonce: this._nonce(this.senderId, piv),
+      aad: this._aad(request),
+      oscoreOption: encodeOscoreOption({ piv, kid: this.senderId, kidContext: this.idContext }),
+      outerCode: observe ? MethodCode.FETCH : MethodCode.POST
+    });
+
+    return { frame, request };
+  }
+
+  /**
+   * Verify and decrypt a response (§8.4)
+   * Unprotected error responses (e.g. 4.01 from the server's OSCORE layer)
+   * are returned as they are.
+   * @param {Object} message - Parsed protected response
+   * @param {{kid: Buffer, piv: Buffer}} request - Parameters of the matching request
+   * @returns {Object} Parsed unprotected response
+   */
+  unprotectResponse(message, request) {
+    const optionValue = getOscoreOption(message);
+    if (optionValue === null) {
+      if (message.getCodeClass() >= 4) {
+        return message;
+      }
+      throw new Error(`OSCORE: response is not protected (code ${message.getCodeClass()}.${message.getCodeDetail().toString().padStart(2, '0')})`);
+    }
+
+    const { piv } = decodeOscoreOption(optionValue);
+
+    // Responses with their own Partial IV (e.g. notifications) use the server's nonce
+    let nonce = this._nonce(request.kid, request.piv);
+    let seq = null;
+    if (piv) {
+      seq = decodePartialIv(piv);
+      if (this.replayWindow.isReplay(seq)) {
+        throw new Error(`OSCORE: replayed response (Partial IV ${seq})`);
+      }
+      nonce = this._nonce(this.recipientId, piv);
+    }
+
+    const unprotected = this._unprotect(message, this.recipientKey, nonce, this._aad(request));
+    if (seq !== null) {
+      this.replayWindow.accept(seq);
+    }
+    return unprotected;
+  }
+
+  /**
+   * Verify and decrypt a request (server role, §8.2)
+   * @param {Object} message - Parsed protected request
+   * @returns {{request: Object, requestInfo: {kid: Buffer, piv: Buffer}}}
+   */
+  unprotectRequest(message) {
+    const optionValue = getOscoreOption(message);
+    if (optionValue === null) {
+      throw new Error('OSCORE: request is not protected');
+    }
+
+    const { piv, kid, kidContext } = decodeOscoreOption(optionValue);
+    if (!piv || !kid) {
+      throw new Error('OSCORE: request without Partial IV or kid');
+    }
+    if (!kid.equals(this.recipientId)) {
+      throw new Error(`OSCORE: unknown kid ${kid.toString('hex')}`);
+    }
+    if (this.idContext && (!kidContext || !kidContext.equals(this.idContext))) {
+      throw new Error('OSCORE: ID Context mismatch');
+    }
+
+    const seq = decodePartialIv(piv);
+    if (this.replayWindow.isReplay(seq)) {
+      throw new Error(`OSCORE: replayed request (Partial IV ${seq})`);
+    }
+
+    const requestInfo = { kid, piv };
+    const request = this._unprotect(message, this.recipientKey, this._nonce(kid, piv), this._aad(requestInfo));
+    this.replayWindow.accept(seq);
+
+    return { request, requestInfo };
+  }
+
+  /**
+   * Protect an outgoing response (server role, §8.3)
+   * @param {Buffer} coapFrame - Unprotected CoAP response
+   * @param {{kid: Buffer, piv: Buffer}} requestInfo - From unprotectRequest()
+   * @param {Object} options - Protection options
+   * @param {boolean} options.partialIv - Use a fresh Partial IV (required for notifications)
+   * @returns {Buffer} Protected response
+   */
+  protectResponse(coapFrame, requestInfo, options = {}) {
+    const message = parseResponse(coapFrame);
+    const observe = message.options.some(opt => opt.number === OptionNumber.OBSERVE);
+    const piv = (options.partialIv || observe) ? this._nextPartialIv() : null;
+
+    return this._protect(message, {
+      key: this.senderKey,
+      nonce: piv ? this._nonce(this.senderId, piv) : this._nonce(requestInfo.kid, requestInfo.piv),
+      aad: this._aad(requestInfo),
+      oscoreOption: encodeOscoreOption({ piv }),
+      outerCode: observe ? ResponseCode.CONTENT : ResponseCode.CHANGED
+    });
+  }
+
+  /**
+   * Encrypt a parsed message into an OSCORE message
+   * @private
+   */
+  _protect(message, { key, nonce, aad, oscoreOption, outerCode }) {
+    const { inner, outer } = splitOptions(message.options);
+
+    // Plaintext: Code | Inner options | 0xFF | Payload (§5.3)
+    const innerMessage = buildMessage({ code: message.code, options: inner, payload: message.payload });
+    const plaintext = Buffer.concat([Buffer.from([message.code]), innerMessage.slice(4)]);
+
+    const cipher = crypto.createCipheriv('aes-128-ccm', key, nonce, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(aad, { plaintextLength: plaintext.length });
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    return buildMessage({
+      type: message.type,
+      code: outerCode,
+      messageId: message.messageId,
+      token: message.token,
+      options: [...outer, { number: OptionNumber.OSCORE, value: oscoreOption }],
+      payload: ciphertext
+    });
+  }
+
+  /**
+   * Decrypt an OSCORE message and rebuild the unprotected message
+   * @private
+   */
+  _unprotect(message, key, nonce, aad) {
+    const payload = message.payload || Buffer.alloc(0);
+    if (payload.length <= TAG_LENGTH) {
+      throw new Error('OSCORE: ciphertext too short');
+    }
+
+    const ciphertext = payload.slice(0, payload.length - TAG_LENGTH);
+    const tag = payload.slice(payload.length - TAG_LENGTH);
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv('aes-128-ccm', key, nonce, { authTagLength: TAG_LENGTH });
+      decipher.setAuthTag(tag);
+      decipher.setAAD(aad, { plaintextLength: ciphertext.length });
+      plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (err) {
+      throw new Error('OSCORE: decryption failed');
+    }
+
+    // Parse "Code | Inner options | Payload" by prefixing a dummy header
+    const header = Buffer.from([0x40, plaintext[0], 0x00, 0x00]);
+    const inner = parseResponse(Buffer.concat([header, plaintext.slice(1)]));
+
+    // Visible Class U options are kept; the Inner Observe takes precedence
+    const innerObserve = inner.options.some(opt => opt.number === OptionNumber.OBSERVE);
+    const outer = message.options.filter(opt =>
+      opt.number !== OptionNumber.OSCORE &&
+      (OUTER_ONLY_OPTIONS.has(opt.number) || (opt.number === OptionNumber.OBSERVE && !innerObserve))
+    );
+
+    return parseResponse(buildMessage({
+      type: message.type,
+      code: inner.code,
+      messageId: message.messageId,
+      token: message.token,
+      options: [...outer, ...inner.options],
+      payload: inner.payload
+    }));
+  }
+
+  /**
+   * AEAD nonce (§5.2)
+   * @private
+   */
+  _nonce(id, piv) {
+    const nonce = Buffer.alloc(NONCE_LENGTH);
+    nonce[0] = id.length;
+    id.copy(nonce, 1 + (NONCE_LENGTH - 6) - id.length);
+    piv.copy(nonce, NONCE_LENGTH - piv.length);
+    for (let i = 0; i < NONCE_LENGTH; i++) {
+      nonce[i] ^= this.commonIv[i];
+    }
+    return nonce;
+  }
+
+  /**
+   * Additional authenticated data: COSE Enc_structure (§5.4)
+   * @private
+   */
+  _aad(request) {
+    const externalAad = cborEncode([
+      OSCORE_VERSION,
+      [AEAD_ALGORITHM],
+      request.kid,
+      request.piv,
+      Buffer.alloc(0)  // No Class I options
+    ]);
+    return cborEncode(['Encrypt0', Buffer.alloc(0), externalAad]);
+  }
+
+  /**
+   * Allocate the next sender sequence number as Partial IV
+   * @private
+   */
+  _nextPartialIv() {
+    const seq = this.senderSequenceNumber;
+    if (seq > MAX_SEQUENCE_NUMBER) {
+      throw new Error('OSCORE: sender sequence number exhausted, a new security context is required');
+    }
+
+    // Persist ahead of use so a restart never reuses a nonce (Appendix B.1.1)
+    if (this.sequenceFile && seq >= this.reservedSequenceNumber) {
+      this.reservedSequenceNumber = seq + SEQUENCE_RESERVE;
+      fs.writeFileSync(this.sequenceFile, JSON.stringify({ senderSequenceNumber: this.reservedSequenceNumber }) + '\n');
+    }
+
+    this.senderSequenceNumber = seq + 1;
+    return encodePartialIv(seq);
+  }
+}
+
+export {
+  OscoreContext,
+  ReplayWindow,
+  encodeOscoreOption,
+  decodeOscoreOption
+};
@@ -0,0 +1,447 @@
+/**
+ * CBOR Diagnostic Notation Module
+ *
+ * Renders CBOR bytes in RFC 8949 §8 diagnostic notation, straight from the
+ * encoded bytes (no cbor-x round trip), so indefinite lengths, tags and
+ * iPATCH sequences with [SID, key...] map keys are shown as sent.
+ *
+ * With a SID tree and type table the output is schema-annotated using
+ * end-of-line comments (EDN "#" comments; YANG paths contain "/"):
+ * - Map keys: absolute SID and YANG path of the Delta-SID or SID key
+ * - Enum, identityref and bits values: their YANG names
+ *
+ * @example
+ * {
+ *   1000: {  # SID 1000 /ietf-interfaces:interfaces
+ *     1: [  # SID 1001 /ietf-interfaces:interfaces/interface
+ *       {
+ *         1: "1",  # SID 1002 /ietf-interfaces:interfaces/interface/name
+ *         3: 1880  # SID 1003 /ietf-interfaces:interfaces/interface/type = iana-if-type:ethernetCsmacd
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+
+import { Tag } from 'cbor-x';
+import { decodeValueJson } from '../decoder/value-decoder.js';
+
+const INDENT = '  ';
+
+// Types whose CBOR value is a number or bytes standing for a name
+const NAMED_TYPES = new Set(['enumeration', 'identityref', 'bits']);
+
+/**
+ * Parse CBOR bytes into diagnostic items
+ * @param {Buffer} buffer - CBOR data (one item or a CBOR sequence)
+ * @returns {Array<object>} Top-level items
+ * @throws {Error} On truncated or malformed data
+ */
+function parseCborItems(buffer) {
+  let offset = 0;
+
+  const need = (count) => {
+    if (offset + count > buffer.length) {
+      throw new Error(`Truncated CBOR data at offset ${offset}`);
+    }
+  };
+
+  // Argument of the initial byte: number, BigInt beyond 2^53, or null (indefinite)
+  const readArgument = (info) => {
+    if (info < 24) return info;
+    switch (info) {
+      case 24: need(1); return buffer[offset++];
+      case 25: need(2); offset += 2; return buffer.readUInt16BE(offset - 2);
+      case 26: need(4); offset += 4; return buffer.readUInt32BE(offset - 4);
+      case 27: {
+        need(8);
+        const value = buffer.readBigUInt64BE(offset);
+        offset += 8;
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+      }
+      case 31: return null;
+      default:
+        throw new Error(`Reserved additional information ${info} at offset ${offset - 1}`);
+    }
+  };
+
+  const readItem = () => {
+    need(1);
+    const start = offset;
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    // Break stop code, only valid inside indefinite-length items
+    if (initial === 0xff) {
+      return { kind: 'break' };
+    }
+
+    if (major === 7) {
+      return readSimple(info);
+    }
+
+    const argument = readArgument(info);
+    if (argument === null && (major === 0 || major === 1 || major === 6)) {
+      throw new Error(`Indefinite length not allowed for major type ${major} at offset ${start}`);
+    }
+
+    switch (major) {
+      case 0:
+        return { kind: 'int', value: argument };
+      case 1:
+        return { kind: 'int', value: typeof argument === 'bigint' ? -1n - argument : -1 - argument };
+      case 2:
+      case 3:
+        return argument === null ? readChunks(major) : readString(major, argument);
+      case 4:
+        return { kind: 'array', indefinite: argument === null, items: readList(argument, readItem) };
+      case 5:
+        return {
+          kind: 'map',
+          indefinite: argument === null,
+          entries: readList(argument, () => {
+            const key = readItem();
+            if (key.kind === 'break') return key;
+            return { key, value: readDefined() };
+          })
+        };
+      default:
+        return { kind: 'tag', tag: argument, content: readDefined() };
+    }
+  };
+
+  // An item that must not be a break
+  const readDefined = () => {
+    const item = readItem();
+    if (item.kind === 'break') {
+      throw new Error(`Unexpected break at offset ${offset - 1}`);
+    }
+    return item;
+  };
+
+  // Definite count of items, or items up to a break
+  const readList = (count, readOne) => {
+    const items = [];
+    if (count === null) {
+      for (let item = readOne(); item.kind !== 'break'; item = readOne()) {
+        items.push(item);
+      }
+    } else {
+      for (let i = 0; i < count; i++) {
+        const item = readOne();
+        if (item.kind === 'break') {
+          throw new Error(`Unexpected break at offset ${offset - 1}`);
+        }
+        items.push(item);
+      }
+    }
+    return items;
+  };
+
+  const readString = (major, length) => {
+    if (typeof length === 'bigint') {
+      throw new Error(`String length ${length} too large at offset ${offset}`);
+    }
+    need(length);
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return major === 2
+      ? { kind: 'bytes', value: Buffer.from(bytes) }
+      : { kind: 'text', value: bytes.toString('utf8') };
+  };
+
+  const readChunks = (major) => {
+    const chunks = readList(null, readItem);
+    for (const chunk of chunks) {
+      if (chunk.kind !== (major === 2 ? 'bytes' : 'text')) {
+        throw new Error(`Invalid chunk in indefinite-length string at offset ${offset}`);
+      }
+    }
+    return { kind: 'chunks', chunks };
+  };
+
+  const readSimple = (info) => {
+    if (info < 24) {
+      return { kind: 'simple', value: info };
+    }
+    switch (info) {
+      case 24: need(1); return { kind: 'simple', value: buffer[offset++] };
+      case 25: need(2); offset += 2; return { kind: 'float', value: readHalf(buffer.readUInt16BE(offset - 2)) };
+      case 26: need(4); offset += 4; return { kind: 'float', value: buffer.readFloatBE(offset - 4) };
+      case 27: need(8); offset += 8; return { kind: 'float', value: buffer.readDoubleBE(offset - 8) };
+      default:
+        throw new Error(`Reserved simple value encoding ${info} at offset ${offset - 1}`);
+    }
+  };
+
+  const items = [];
+  while (offset < buffer.length) {
+    items.push(readDefined());
+  }
+  return items;
+}
+
+/**
+ * Decode an IEEE 754 half-precision float (RFC 8949 Appendix D)
+ * @param {number} half - 16-bit value
+ * @returns {number}
+ */
+function readHalf(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  let value;
+  if (exponent === 0) {
+    value = mantissa * 2 ** -24;
+  } else if (exponent !== 31) {
+    value = (mantissa + 1024) * 2 ** (exponent - 25);
+  } else {
+    value = mantissa === 0 ? Infinity : NaN;
+  }
+  return half & 0x8000 ? -value : value;
+}
+
+/**
+ * Diagnostic notation of an item that fits on one line
+ * @param {object} item - Parsed item
+ * @returns {string}
+ */
+function formatInline(item) {
+  switch (item.kind) {
+    case 'int':
+      return String(item.value);
+    case 'bytes':
+      return `h'${item.value.toString('hex')}'`;
+    case 'text':
+      return JSON.stringify(item.value);
+    case 'chunks':
+      return `(_ ${item.chunks.map(formatInline).join(', ')})`;
+    case 'float':
+      return formatFloat(item.value);
+    case 'simple':
+      return { 20: 'false', 21: 'true', 22: 'null', 23: 'undefined' }[item.value] || `simple(${item.value})`;
+    case 'tag':
+      return `${item.tag}(${formatInline(item.content)})`;
+    case 'array':
+      return `[${item.indefinite ? '_ ' : ''}${item.items.map(formatInline).join(', ')}]`;
+    default:
+      return `{${item.indefinite ? '_ ' : ''}${item.entries
+        .map(({ key, value }) => `${formatInline(key)}: ${formatInline(value)}`).join(', ')}}`;
+  }
+}
+
+/**
+ * Floats always carry a fraction or exponent so they read as floats
+ * @param {number} value
+ * @returns {string}
+ */
+function formatFloat(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+  const text = String(value);
+  return /[.e]/.test(text) ? text : `${text}.0`;
+}
+
+/**
+ * Whether an item is written on one line (scalars, and arrays/tags of scalars)
+ * @param {object} item - Parsed item
+ * @returns {boolean}
+ */
+function isInline(item) {
+  switch (item.kind) {
+    case 'map':
+      return item.entries.length === 0;
+    case 'array':
+      return item.items.every(child => child.kind !== 'map' && child.kind !== 'array');
+    case 'tag':
+      return isInline(item.content);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Convert a parsed scalar to the value cbor-x would have decoded,
+ * so that the value decoder can name it
+ * @param {object} item - Parsed item
+ * @returns {*}
+ */
+function toDecodedValue(item) {
+  switch (item.kind) {
+    case 'int':
+    case 'bytes':
+    case 'text':
+    case 'float':
+      return item.value;
+    case 'tag':
+      return new Tag(toDecodedValue(item.content), item.tag);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * YANG name(s) of an enum, identityref or bits value
+ * @param {object} item - Parsed leaf or leaf-list value
+ * @param {object} nodeInfo - SID node info of the leaf
+ * @param {object} schema - { typeTable, sidInfo }
+ * @returns {string|null} Name, or null if the value is not a named one
+ */
+function describeValue(item, nodeInfo, schema) {
+  const typeInfo = schema.typeTable?.types?.get(nodeInfo.path);
+  if (!typeInfo) return null;
+
+  const isNamedType = NAMED_TYPES.has(typeInfo.type) || typeInfo.enum || typeInfo.bits || typeInfo.base;
+  const isNamedUnionMember = typeInfo.type === 'union' && item.kind === 'tag' && (item.tag === 44 || item.tag === 45);
+  if (!isNamedType && !isNamedUnionMember) return null;
+
+  const name = (valueItem) => {
+    try {
+      const value = decodeValueJson(toDecodedValue(valueItem), typeInfo, schema.sidInfo, nodeInfo.path);
+      return typeof value === 'string' ? value : null;
+    } catch {
+      return null;
+    }
+  };
+
+  if (item.kind === 'array') {
+    const names = item.items.map(name);
+    return names.every(Boolean) && names.length > 0 ? names.join(', ') : null;
+  }
+  return name(item);
+}
+
+/**
+ * Resolve a map key to its schema node, like the Delta-SID detransformer
+ * @param {object} key - Parsed key item
+ * @param {number|null} parentSid - Absolute SID of the enclosing node
+ * @param {Map} sidToInfo - SID → node info
+ * @returns {{sid: number, nodeInfo: object|null}|null} null for non-SID keys
+ */
+function resolveKey(key, parentSid, sidToInfo) {
+  // iPATCH/iFETCH instance-identifier: [SID, key values...]
+  if (key.kind === 'array' && key.items[0]?.kind === 'int') {
+    const sid = key.items[0].value;
+    return { sid, nodeInfo: sidToInfo.get(sid) || null };
+  }
+
+  if (key.kind !== 'int' || typeof key.value !== 'number') {
+    return null;
+  }
+
+  if (parentSid !== null) {
+    const potentialSid = key.value + parentSid;
+    const potentialNode = sidToInfo.get(potentialSid);
+    if (potentialNode && potentialNode.parent === parentSid) {
+      return { sid: potentialSid, nodeInfo: potentialNode };
+    }
+  }
+
+  return { sid: key.value, nodeInfo: sidToInfo.get(key.value) || null };
+}
+
+/**
+ * Comment text for a resolved SID, with the value's name if any
+ * @returns {string}
+ */
+function describeNode(resolved, valueItem, schema) {
+  if (!resolved.nodeInfo) {
+    return `unknown SID ${resolved.sid}`;
+  }
+
+  const path = (resolved.nodeInfo.prefixedPath || resolved.nodeInfo.path).replace(/^\/?/, '/');
+  const valueName = valueItem ? describeValue(valueItem, resolved.nodeInfo, schema) : null;
+  return `SID ${resolved.sid} ${path}${valueName ? ` = ${valueName}` : ''}`;
+}
+
+/**
+ * Write one item as lines of diagnostic notation
+ * @param {object} item - Parsed item
+ * @param {object} ctx - { lines, schema, sidToInfo }
+ * @param {object} layout - { depth, prefix, suffix, comment, parentSid }
+ */
+function writeItem(item, ctx, layout) {
+  const { depth, prefix = '', suffix = '', comment = null, parentSid = null } = layout;
+  const indent = INDENT.repeat(depth);
+  const commentText = comment ? `  # ${comment}` : '';
+
+  if (isInline(item)) {
+    ctx.lines.push(`${indent}${prefix}${formatInline(item)}${suffix}${commentText}`);
+    return;
+  }
+
+  if (item.kind === 'tag') {
+    writeItem(item.content, ctx, {
+      ...layout,
+      prefix: `${prefix}${item.tag}(`,
+      suffix: `)${suffix}`
+    });
+    return;
+  }
+
+  const [open, close] = item.kind === 'map' ? ['{', '}'] : ['[', ']'];
+  ctx.lines.push(`${indent}${prefix}${open}${item.indefinite ? '_' : ''}${commentText}`);
+
+  if (item.kind === 'array') {
+    // List entries: Delta-SIDs stay relative to the list node
+    item.items.forEach((child, index) => {
+      writeItem(child, ctx, {
+        depth: depth + 1,
+        suffix: index < item.items.length - 1 ? ',' : '',
+        parentSid
+      });
+    });
+  } else {
+    item.entries.forEach(({ key, value }, index) => {
+      const resolved = ctx.sidToInfo ? resolveKey(key, parentSid, ctx.sidToInfo) : null;
+      writeItem(value, ctx, {
+        depth: depth + 1,
+        prefix: `${formatInline(key)}: `,
+        suffix: index < item.entries.length - 1 ? ',' : '',
+        comment: resolved ? describeNode(resolved, value, ctx.schema) : null,
+        parentSid: resolved ? resolved.sid : null
+      });
+    });
+  }
+
+  ctx.lines.push(`${indent}${close}${suffix}`);
+}
+
+/**
+ * Format CBOR as RFC 8949 diagnostic notation
+ *
+ * A CBOR sequence (iPATCH/iFETCH payloads) is written as comma-separated
+ * items. Top-level SIDs and [SID, key...] items of an iFETCH request are
+ * annotated like map keys.
+ *
+ * @param {Buffer} cborBuffer - CBOR data
+ * @param {object} schema - { typeTable, sidInfo } for annotations (optional)
+ * @returns {string} Diagnostic notation, one item per line group
+ * @throws {Error} If the CBOR data is malformed
+ */
+export function formatCborDiagnostic(cborBuffer, schema = {}) {
+  const items = parseCborItems(cborBuffer);
+  const ctx = {
+    lines: [],
+    schema,
+    sidToInfo: schema.sidInfo?.sidToInfo || null
+  };
+
+  items.forEach((item, index) => {
+    const resolved = ctx.sidToInfo && (item.kind === 'int' || item.kind === 'array')
+      ? resolveKey(item, null, ctx.sidToInfo)
+      : null;
+
+    writeItem(item, ctx, {
+      depth: 0,
+      suffix: index < items.length - 1 ? ',' : '',
+      comment: resolved?.nodeInfo ? describeNode(resolved, null, schema) : null
+    });
+  });
+
+  return ctx.lines.join('\n') + '\n';
+}
+
+export default {
+  formatCborDiagnostic
+};
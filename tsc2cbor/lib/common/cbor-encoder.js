@@ -7,6 +7,7 @@
 
 import { encode as encodeWithCborX, decode as decodeWithCborX, decodeMultiple, Tag } from 'cbor-x';
 import cbor from 'cbor';
+import { formatCborDiagnostic } from './cbor-diagnostic.js';
 
 // Export Tag for creating CBOR tags in value-encoder.js
 export { Tag };
@@ -81,14 +82,26 @@ function convertNumericKeys(data) {
  * @returns {Buffer} CBOR bytes
  */
 function encodeWithDefinite(obj, sortMode = 'rfc8949') {
+  // 64-bit integers (int64/uint64 beyond 2^53) as major type 0/1, not bignum tags
+  if (typeof obj === 'bigint') {
+    if (Number.isSafeInteger(Number(obj))) {
+      return cbor.encode(Number(obj));
+    }
+    if (obj >= -(2n ** 64n) && obj < 2n ** 64n) {
+      return obj >= 0n ? encodeCborHeader(0, obj) : encodeCborHeader(1, -1n - obj);
+    }
+    return cbor.encode(obj);
+  }
+
   // Primitives and nulls
   if (obj === null || obj === undefined || typeof obj !== 'object') {
     return cbor.encode(obj);
   }
 
   // CBOR Tagged values (e.g., Tag 43 for bits, Tag 4 for decimal64)
+  // Content is encoded here too, so 64-bit decimal64 mantissas stay integers
   if (obj instanceof cbor.Tagged) {
-    return cbor.encode(obj);
+    return Buffer.concat([encodeCborHeader(6, obj.tag), encodeWithDefinite(obj.value, sortMode)]);
   }
 
   // Buffers
@@ -225,13 +238,12 @@ export function decodeAllFromCbor(cborBuffer, options = {}) {
 /**
  * Get CBOR diagnostic notation
  * @param {Buffer} cborBuffer - CBOR binary data
+ * @param {object} schema - { typeTable, sidInfo } for SID/path annotations (optional)
  * @returns {string} Diagnostic notation
  */
-export function getCborDiagnostic(cborBuffer) {
+export function getCborDiagnostic(cborBuffer, schema = {}) {
   try {
-    // Decode and format as JSON-like notation
-    const data = decode(cborBuffer);
-    return formatDiagnostic(data, cborBuffer);
+    return formatDiagnostic(formatCborDiagnostic(cborBuffer, schema), cborBuffer);
   } catch (error) {
     throw new Error(`Diagnostic generation error: ${error.message}`);
   }
@@ -239,11 +251,11 @@ export function getCborDiagnostic(cborBuffer) {
 
 /**
  * Format diagnostic notation
- * @param {*} data - Decoded data
+ * @param {string} diagnostic - RFC 8949 diagnostic notation
  * @param {Buffer} cborBuffer - Original CBOR buffer
  * @returns {string} Formatted diagnostic
  */
-function formatDiagnostic(data, cborBuffer) {
+function formatDiagnostic(diagnostic, cborBuffer) {
   const hex = cborBuffer.toString('hex');
   const hexFormatted = hex.match(/.{1,2}/g).join(' ');
 
@@ -253,8 +265,7 @@ Hex: ${hexFormatted}
 Size: ${cborBuffer.length} bytes
 
 Decoded:
-${JSON.stringify(data, null, 2)}
-`;
+${diagnostic}`;
 }
 
 /**
@@ -0,0 +1,108 @@
+/**
+ * Data Format Module
+ *
+ * Reads and writes configuration documents as YAML or RFC 7951 JSON.
+ * Commands go through here instead of calling js-yaml directly, so every
+ * input accepts both formats and every output can be written as either.
+ *
+ * Format selection:
+ * - Input: by file extension (.json -> JSON, .xml -> XML, anything else -> YAML)
+ * - Output: explicit ('yaml' | 'json')
+ *
+ * NETCONF XML needs the YANG schema (namespaces, node types) and is handled
+ * by lib/parser/xml-converter.js through the converters.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const DataFormat = {
+  YAML: 'yaml',
+  JSON: 'json',
+  XML: 'xml'
+};
+
+const EXTENSION_FORMATS = {
+  '.json': DataFormat.JSON,
+  '.xml': DataFormat.XML
+};
+
+/**
+ * Pick the data format of a file from its extension
+ * @param {string} file - File path
+ * @returns {string} DataFormat value
+ */
+function formatForFile(file) {
+  return EXTENSION_FORMATS[path.extname(file).toLowerCase()] || DataFormat.YAML;
+}
+
+/**
+ * Parse a YAML or JSON document
+ * @param {string} text - Document text
+ * @param {string} format - DataFormat value (default: yaml)
+ * @param {string} source - Name used in error messages (optional)
+ * @returns {*} Parsed data
+ */
+function parseData(text, format = DataFormat.YAML, source = null) {
+  if (format === DataFormat.JSON) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON${source ? ` in ${source}` : ''}: ${err.message}`);
+    }
+  }
+
+  if (format === DataFormat.XML) {
+    throw new Error(`XML input${source ? ` (${source})` : ''} is only accepted for configuration data (encode, patch, put)`);
+  }
+
+  return yaml.load(text);
+}
+
+/**
+ * Read and parse a YAML or JSON file (format chosen by extension)
+ * @param {string} file - File path
+ * @returns {*} Parsed data
+ */
+function loadDataFile(file) {
+  return parseData(fs.readFileSync(file, 'utf8'), formatForFile(file), file);
+}
+
+/**
+ * Write BigInt values (64-bit integers beyond 2^53) as decimal strings,
+ * the RFC 7951 §6.1 form of int64/uint64. Neither JSON.stringify nor
+ * js-yaml can serialize a BigInt.
+ */
+function bigintReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Serialize data as YAML or JSON
+ * @param {*} data - Data to serialize
+ * @param {string} format - DataFormat value (default: yaml)
+ * @returns {string} Document text
+ */
+function serializeData(data, format = DataFormat.YAML) {
+  if (format === DataFormat.JSON) {
+    return JSON.stringify(data, bigintReplacer, 2) + '\n';
+  }
+
+  return yaml.dump(data, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    sortKeys: false,
+    replacer: bigintReplacer
+  });
+}
+
+export {
+  DataFormat,
+  formatForFile,
+  parseData,
+  loadDataFile,
+  serializeData,
+  bigintReplacer
+};
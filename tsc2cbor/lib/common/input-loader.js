@@ -10,7 +10,7 @@
  */
 
 import { buildSidInfo } from './sid-resolver.js';
-import { extractYangTypes } from './yang-type-extractor.js';
+import { extractYangTypes, resolveTypedef } from './yang-type-extractor.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -20,7 +20,15 @@ import path from 'path';
 // v10: Added leafToTypes index for O(1) type lookup by leaf name
 // v11: Added nodeTypes map for list/container detection
 // v12: Fixed typedef resolution with module prefix stripping
-const CACHE_VERSION = 12;
+// v13: Added listKeys map for RFC 7951 tree input
+// v14: Added module namespaces map for XML input/output
+// v15: Typedef chains and union members resolved, patterns list for constraint checks
+// v16: Added leafref path and require-instance for referential checks
+// v17: Added must/when conditions, module prefixes and identity bases
+// v18: Added config false paths, default values and mandatory leaves
+// v19: Built-in YANG parser, grouping nodes recorded where they are used
+// v20: Defaults, mandatory, config false and must/when not recorded at grouping definitions
+const CACHE_VERSION = 20;
 
 /**
  * Get cache file path for a YANG cache directory
@@ -81,7 +89,15 @@ function serializeData(sidInfo, typeTable, schemaInfo) {
     schemaInfo: {
       nodeOrders: [...schemaInfo.nodeOrders],
       nodeTypes: [...schemaInfo.nodeTypes],
-      leafToNodeTypes: [...schemaInfo.leafToNodeTypes]
+      leafToNodeTypes: [...schemaInfo.leafToNodeTypes],
+      listKeys: [...schemaInfo.listKeys],
+      namespaces: [...schemaInfo.namespaces],
+      constraints: [...schemaInfo.constraints],
+      prefixes: [...schemaInfo.prefixes],
+      identities: [...schemaInfo.identities],
+      configFalse: [...schemaInfo.configFalse],
+      defaults: [...schemaInfo.defaults],
+      mandatory: [...schemaInfo.mandatory]
     }
   };
 }
@@ -98,6 +114,9 @@ function serializeTypeInfo(typeInfo) {
       valueToName: [...typeInfo.enum.valueToName]
     };
   }
+  if (typeInfo.unionTypes) {
+    result.unionTypes = typeInfo.unionTypes.map(serializeTypeInfo);
+  }
   return result;
 }
 
@@ -131,7 +150,15 @@ function deserializeData(data) {
   const schemaInfo = {
     nodeOrders: new Map(data.schemaInfo.nodeOrders),
     nodeTypes: new Map(data.schemaInfo.nodeTypes),
-    leafToNodeTypes: new Map(data.schemaInfo.leafToNodeTypes)
+    leafToNodeTypes: new Map(data.schemaInfo.leafToNodeTypes),
+    listKeys: new Map(data.schemaInfo.listKeys),
+    namespaces: new Map(data.schemaInfo.namespaces),
+    constraints: new Map(data.schemaInfo.constraints),
+    prefixes: new Map(data.schemaInfo.prefixes),
+    identities: new Map(data.schemaInfo.identities),
+    configFalse: new Set(data.schemaInfo.configFalse),
+    defaults: new Map(data.schemaInfo.defaults),
+    mandatory: new Set(data.schemaInfo.mandatory)
   };
 
   return { sidInfo, typeTable, schemaInfo };
@@ -149,6 +176,9 @@ function deserializeTypeInfo(typeInfo) {
       valueToName: new Map(typeInfo.enum.valueToName)
     };
   }
+  if (typeInfo.unionTypes) {
+    result.unionTypes = typeInfo.unionTypes.map(deserializeTypeInfo);
+  }
   return result;
 }
 
@@ -328,7 +358,15 @@ export async function loadYangInputs(yangCacheDir, verbose = false, options = {}
 
   const schemaInfo = {
     nodeOrders: new Map(),
-    nodeTypes: new Map()
+    nodeTypes: new Map(),
+    listKeys: new Map(),
+    namespaces: new Map(),
+    constraints: new Map(),
+    prefixes: new Map(),
+    identities: new Map(),
+    configFalse: new Set(),
+    defaults: new Map(),
+    mandatory: new Set()
   };
 
   // Load all YANG files in parallel for better performance
@@ -354,6 +392,38 @@ export async function loadYangInputs(yangCacheDir, verbose = false, options = {}
         schemaInfo.nodeTypes.set(nodePath, nodeType);
       }
     }
+    if (result.schemaInfo?.listKeys) {
+      for (const [listPath, keys] of result.schemaInfo.listKeys) {
+        schemaInfo.listKeys.set(listPath, keys);
+      }
+    }
+    if (result.schemaInfo?.namespaces) {
+      for (const [moduleName, namespace] of result.schemaInfo.namespaces) {
+        schemaInfo.namespaces.set(moduleName, namespace);
+      }
+    }
+    if (result.schemaInfo?.constraints) {
+      for (const [nodePath, entries] of result.schemaInfo.constraints) {
+        schemaInfo.constraints.set(nodePath, [...(schemaInfo.constraints.get(nodePath) || []), ...entries]);
+      }
+    }
+    if (result.schemaInfo?.prefixes) {
+      for (const [moduleName, prefixes] of result.schemaInfo.prefixes) {
+        schemaInfo.prefixes.set(moduleName, { ...schemaInfo.prefixes.get(moduleName), ...prefixes });
+      }
+    }
+    if (result.schemaInfo?.identities) {
+      for (const [identity, bases] of result.schemaInfo.identities) {
+        schemaInfo.identities.set(identity, bases);
+      }
+    }
+    result.schemaInfo?.configFalse?.forEach(nodePath => schemaInfo.configFalse.add(nodePath));
+    if (result.schemaInfo?.defaults) {
+      for (const [nodePath, entry] of result.schemaInfo.defaults) {
+        schemaInfo.defaults.set(nodePath, entry);
+      }
+    }
+    result.schemaInfo?.mandatory?.forEach(nodePath => schemaInfo.mandatory.add(nodePath));
   }
 
   // Step 6: Merge vendor-prefixed typedefs into base typedefs
@@ -397,31 +467,8 @@ export async function loadYangInputs(yangCacheDir, verbose = false, options = {}
 
   // Step 7: Post-process typedef resolution
   // Typedefs from other modules may not have been available during initial processing
-  const builtinTypes = ['enumeration', 'identityref', 'decimal64', 'bits', 'union',
-    'binary', 'boolean', 'string', 'empty',
-    'uint8', 'uint16', 'uint32', 'uint64', 'int8', 'int16', 'int32', 'int64'];
-
   for (const [path, typeInfo] of typeTable.types) {
-    // Skip if already resolved (has enum, bits, or base property)
-    if (typeInfo.enum || typeInfo.bits || typeInfo.base) continue;
-
-    // Skip built-in types
-    if (builtinTypes.includes(typeInfo.type)) continue;
-
-    // Try to resolve typedef
-    let typedef = typeTable.typedefs.get(typeInfo.type);
-    if (!typedef && typeInfo.type.includes(':')) {
-      const strippedType = typeInfo.type.split(':')[1];
-      typedef = typeTable.typedefs.get(strippedType);
-    }
-
-    if (typedef) {
-      // Update the type entry with resolved typedef info
-      typeTable.types.set(path, {
-        ...typedef,
-        original: typeInfo.type
-      });
-    }
+    typeTable.types.set(path, resolveTypedef(typeInfo, typeTable.typedefs));
   }
 
   // Step 8: Build leafToTypes index for O(1) type lookup by leaf name
@@ -475,3 +522,40 @@ export async function loadYangInputs(yangCacheDir, verbose = false, options = {}
 
   return { sidInfo, typeTable, schemaInfo };
 }
+
+/**
+ * Status of the compiled cache (<dir>.cache.json) of a YANG cache directory
+ * @param {string} yangCacheDir - YANG cache directory
+ * @returns {Promise<object>} { file, exists, size, version, upToDate, reason };
+ *          reason: 'not built', 'version' (older format) or 'sources newer', null when up to date
+ */
+export async function getCompiledCacheStatus(yangCacheDir) {
+  const file = getCacheFilePath(yangCacheDir);
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch {
+    return { file, exists: false, size: 0, version: null, upToDate: false, reason: 'not built' };
+  }
+
+  // The version is the first member written by serializeData()
+  const handle = await fs.promises.open(file, 'r');
+  let version = null;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    const match = /"version":\s*(\d+)/.exec(buffer.subarray(0, bytesRead).toString('utf8'));
+    version = match ? Number(match[1]) : null;
+  } finally {
+    await handle.close();
+  }
+
+  let reason = null;
+  if (version !== CACHE_VERSION) {
+    reason = 'version';
+  } else if (!await isCacheValid(file, yangCacheDir)) {
+    reason = 'sources newer';
+  }
+
+  return { file, exists: true, size: stat.size, version, upToDate: reason === null, reason };
+}
@@ -0,0 +1,361 @@
+/**
+ * Schema Properties Module
+ *
+ * Applies the config, default and mandatory statements recorded by
+ * yang-type-extractor.js (schemaInfo.configFalse, defaults, mandatory)
+ * to RFC 7951 trees:
+ *
+ * - config false (RFC 7950 §7.21.1): state data, inherited by all
+ *   descendants; cannot be written and is left out by --config-only
+ * - default (§7.6.1, §7.7.2): values the device uses for absent leaves,
+ *   filled in by --with-defaults (like with-defaults "report-all",
+ *   RFC 6243 §3.1, but only under nodes that exist in the tree)
+ * - mandatory true (§7.6.5): leaves a new list entry must have
+ *
+ * Nodes from groupings are recorded under the grouping's path, so nodes
+ * that have no entry of their own in the schema are matched by suffix.
+ */
+
+import { findListKeys } from '../parser/instance-id-converter.js';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value !== null && value !== undefined && typeof value !== 'object';
+}
+
+function isListValue(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isObject);
+}
+
+/**
+ * Members of a tree object with their schema and instance paths
+ * @param {object} object - Container object, list entry or the tree root
+ * @param {{schemaPath: string, path: string, module: string|null}} context - Position of the object
+ * @returns {Array<object>} { memberName, value, name, module, schemaPath, path }
+ */
+function listMembers(object, context) {
+  return Object.entries(object).map(([memberName, value]) => {
+    const colon = memberName.indexOf(':');
+    const name = memberName.slice(colon + 1);
+    return {
+      memberName,
+      value,
+      name,
+      module: colon === -1 ? context.module : memberName.slice(0, colon),
+      schemaPath: context.schemaPath ? `${context.schemaPath}/${name}` : name,
+      path: `${context.path}/${colon === -1 || context.module === memberName.slice(0, colon) ? name : memberName}`
+    };
+  });
+}
+
+/**
+ * Instance path of a list entry: the list's path with key predicates
+ */
+function entryPath(member, entry, schemaInfo) {
+  const keys = findListKeys(member.schemaPath, schemaInfo) || [];
+  return member.path + keys
+    .filter(keyName => isScalar(entry[keyName]))
+    .map(keyName => `[${keyName}='${entry[keyName]}']`)
+    .join('');
+}
+
+/**
+ * Context of the objects below a member (the member's object, or each list entry)
+ */
+function childContexts(member, schemaInfo) {
+  const context = { schemaPath: member.schemaPath, module: member.module };
+  if (isObject(member.value)) {
+    return [{ ...context, object: member.value, path: member.path, entry: false }];
+  }
+  if (isListValue(member.value)) {
+    return member.value.map(entry => ({ ...context, object: entry, path: entryPath(member, entry, schemaInfo), entry: true }));
+  }
+  return [];
+}
+
+const ROOT = { schemaPath: '', path: '', module: null };
+
+// schemaInfo -> Map(schemaPath -> boolean)
+const configFalseCache = new WeakMap();
+
+/**
+ * Whether a schema node is state data (config false on itself or an ancestor)
+ * @param {string} schemaPath - Schema path without module prefixes
+ * @param {object} schemaInfo - Schema info with configFalse and nodeTypes
+ * @returns {boolean}
+ */
+function isConfigFalse(schemaPath, schemaInfo) {
+  const declared = schemaInfo?.configFalse;
+  if (!declared || declared.size === 0) return false;
+
+  if (!configFalseCache.has(schemaInfo)) configFalseCache.set(schemaInfo, new Map());
+  const cache = configFalseCache.get(schemaInfo);
+  if (cache.has(schemaPath)) return cache.get(schemaPath);
+
+  const names = schemaPath.split('/');
+  let result = false;
+  for (let i = 1; i <= names.length && !result; i++) {
+    const ancestor = names.slice(0, i).join('/');
+    if (declared.has(ancestor)) {
+      result = true;
+    } else if (!schemaInfo.nodeTypes?.has(ancestor)) {
+      result = [...declared].some(path => ancestor.endsWith(`/${path}`));
+    }
+  }
+
+  cache.set(schemaPath, result);
+  return result;
+}
+
+/**
+ * Entries of a per-path schema map (defaults, mandatory) for the children of
+ * a node; suffix matches need a parent of their own, a grouping's top-level
+ * leaves cannot be placed
+ * @param {string} parentPath - Schema path of the parent node ('' for the root)
+ * @param {Iterable<string>} paths - Recorded paths
+ * @param {object} schemaInfo - Schema info with nodeTypes
+ * @param {Map} cache - Results by parent path
+ * @returns {Array<{name: string, path: string}>} One entry per child name (longest match)
+ */
+function findChildEntries(parentPath, paths, schemaInfo, cache) {
+  if (cache.has(parentPath)) return cache.get(parentPath);
+
+  const exact = parentPath === '' || schemaInfo.nodeTypes?.has(parentPath);
+  const byName = new Map();
+
+  for (const path of paths) {
+    const slash = path.lastIndexOf('/');
+    const parent = slash === -1 ? '' : path.slice(0, slash);
+    const name = path.slice(slash + 1);
+
+    const matches = parent === parentPath || (!exact && parent && parentPath.endsWith(`/${parent}`));
+    if (matches && (!byName.has(name) || byName.get(name).path.length < path.length)) {
+      byName.set(name, { name, path });
+    }
+  }
+
+  cache.set(parentPath, [...byName.values()]);
+  return cache.get(parentPath);
+}
+
+/**
+ * Whether an object has a member for a child, written with or without its module prefix
+ */
+function hasMember(object, name) {
+  return Object.keys(object).some(memberName => memberName.slice(memberName.indexOf(':') + 1) === name);
+}
+
+/**
+ * Finds state data (config false nodes) in a tree
+ * @param {object} tree - RFC 7951 tree (e.g. from applyInstanceItems())
+ * @param {object} schemaInfo - Schema info with configFalse
+ * @returns {Array<string>} Instance paths of the outermost config false nodes
+ *
+ * @example
+ * findConfigFalseNodes({ "ietf-interfaces:interfaces": { "interface": [{ "name": "1", "oper-status": "up" }] } }, schemaInfo)
+ * // ["/ietf-interfaces:interfaces/interface[name='1']/oper-status"]
+ */
+function findConfigFalseNodes(tree, schemaInfo) {
+  const found = [];
+
+  const visit = (object, context) => {
+    for (const member of listMembers(object, context)) {
+      if (isConfigFalse(member.schemaPath, schemaInfo)) {
+        found.push(member.path);
+        continue;
+      }
+      childContexts(member, schemaInfo).forEach(child => visit(child.object, child));
+    }
+  };
+
+  if (isObject(tree)) visit(tree, ROOT);
+  return found;
+}
+
+/**
+ * Removes state data from a tree; containers left empty by the removal are
+ * removed as well. The tree is not modified.
+ * @param {object} tree - RFC 7951 tree
+ * @param {object} schemaInfo - Schema info with configFalse
+ * @returns {object} Tree with configuration data only
+ */
+function removeConfigFalse(tree, schemaInfo) {
+  const result = structuredClone(tree);
+
+  // Returns true if the object lost all of its members
+  const strip = (object, context) => {
+    let removed = false;
+    for (const member of listMembers(object, context)) {
+      if (isConfigFalse(member.schemaPath, schemaInfo)) {
+        delete object[member.memberName];
+        removed = true;
+        continue;
+      }
+      for (const child of childContexts(member, schemaInfo)) {
+        if (strip(child.object, child) && !child.entry) {
+          delete object[member.memberName];
+          removed = true;
+        }
+      }
+    }
+    return removed && Object.keys(object).length === 0;
+  };
+
+  if (isObject(result)) strip(result, ROOT);
+  return result;
+}
+
+/**
+ * Integer in YANG lexical form (decimal, "0x" hexadecimal or "0" octal, RFC 7950 §9.2.1)
+ */
+function parseYangInteger(text) {
+  const match = /^([+-]?)(0x[0-9a-f]+|0[0-7]*|[1-9][0-9]*)$/i.exec(text.trim());
+  if (!match) return null;
+
+  const [, sign, digits] = match;
+  const magnitude = /^0x/i.test(digits) ? BigInt(digits)
+    : digits.length > 1 && digits.startsWith('0') ? BigInt(`0o${digits.slice(1)}`)
+      : BigInt(digits);
+  return sign === '-' ? -magnitude : magnitude;
+}
+
+/**
+ * Converts a default statement's text to the value the decoder would produce
+ * @param {string} text - Default value as written in the module
+ * @param {object|null} typeInfo - Type of the leaf
+ * @param {string} module - Module the default is written in (identity prefixes)
+ * @param {object} schemaInfo - Schema info with prefixes
+ * @param {boolean} json - RFC 7951 JSON values (64-bit integers as strings, qualified identities)
+ * @returns {*}
+ */
+function defaultValue(text, typeInfo, module, schemaInfo, json) {
+  switch (typeInfo?.type) {
+    case 'int8':
+    case 'int16':
+    case 'int32':
+    case 'uint8':
+    case 'uint16':
+    case 'uint32': {
+      const integer = parseYangInteger(text);
+      return integer === null ? text : Number(integer);
+    }
+
+    case 'int64':
+    case 'uint64': {
+      const integer = parseYangInteger(text);
+      if (integer === null) return text;
+      if (json) return String(integer);
+      return integer >= BigInt(Number.MIN_SAFE_INTEGER) && integer <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(integer) : integer;
+    }
+
+    case 'decimal64':
+      return json ? text.trim() : Number(text);
+
+    case 'boolean':
+      return text.trim() === 'true';
+
+    case 'bits': {
+      const names = text.trim().split(/\s+/).filter(Boolean);
+      return json ? names.join(' ') : names;
+    }
+
+    case 'identityref': {
+      const [prefix, name] = text.includes(':') ? text.trim().split(':') : [null, text.trim()];
+      if (!json) return name;
+      const prefixes = schemaInfo.prefixes?.get(module) || {};
+      return `${(prefix && prefixes[prefix]) || module}:${name}`;
+    }
+
+    default:
+      return text;
+  }
+}
+
+/**
+ * Fills in the default values of absent leaves and leaf-lists under every
+ * container and list entry of a tree. The tree is not modified.
+ * @param {object} tree - RFC 7951 tree
+ * @param {object} typeTable - Type table (value conversion)
+ * @param {object} schemaInfo - Schema info with defaults
+ * @param {object} options - Options
+ * @param {boolean} [options.json=false] - Values in RFC 7951 JSON form
+ * @returns {object} Tree with defaults
+ */
+function addDefaults(tree, typeTable, schemaInfo, options = {}) {
+  const result = structuredClone(tree);
+  const defaults = schemaInfo?.defaults;
+  if (!defaults || defaults.size === 0 || !isObject(result)) return result;
+
+  const cache = new Map();
+  const fill = (object, context) => {
+    for (const member of listMembers(object, context)) {
+      childContexts(member, schemaInfo).forEach(child => fill(child.object, child));
+    }
+
+    for (const { name, path } of findChildEntries(context.schemaPath, defaults.keys(), schemaInfo, cache)) {
+      if (hasMember(object, name)) continue;
+
+      const { value, module } = defaults.get(path);
+      const typeInfo = typeTable?.types?.get(path) || null;
+      // Prefixed when the module differs from the parent's (always at the top level)
+      const memberName = context.module && context.module === module ? name : `${module}:${name}`;
+      object[memberName] = Array.isArray(value)
+        ? value.map(text => defaultValue(text, typeInfo, module, schemaInfo, options.json))
+        : defaultValue(value, typeInfo, module, schemaInfo, options.json);
+    }
+  };
+
+  fill(result, ROOT);
+  return result;
+}
+
+/**
+ * Finds list entries without all of their mandatory leaves
+ * @param {object} tree - RFC 7951 tree
+ * @param {object} schemaInfo - Schema info with mandatory and listKeys
+ * @returns {Array<{path: string, missing: Array<string>}>} Entry instance paths and the missing leaf names
+ */
+function findMissingMandatory(tree, schemaInfo) {
+  const mandatory = schemaInfo?.mandatory;
+  const found = [];
+  if (!mandatory || mandatory.size === 0 || !isObject(tree)) return found;
+
+  const cache = new Map();
+  const visit = (object, context) => {
+    if (context.entry) {
+      const missing = findChildEntries(context.schemaPath, mandatory, schemaInfo, cache)
+        .filter(({ name }) => !hasMember(object, name))
+        .map(({ name }) => name);
+      if (missing.length > 0) found.push({ path: context.path, missing });
+    }
+
+    for (const member of listMembers(object, context)) {
+      childContexts(member, schemaInfo).forEach(child => visit(child.object, child));
+    }
+  };
+
+  visit(tree, { ...ROOT, entry: false });
+  return found;
+}
+
+/**
+ * Formats missing mandatory leaves one line per list entry
+ * @param {Array<object>} entries - From findMissingMandatory()
+ * @returns {string}
+ */
+function formatMissingMandatory(entries) {
+  return entries.map(({ path, missing }) =>
+    `  ${path}: mandatory ${missing.map(name => `"${name}"`).join(', ')} not set`).join('\n');
+}
+
+export {
+  isConfigFalse,
+  findConfigFalseNodes,
+  removeConfigFalse,
+  addDefaults,
+  findMissingMandatory,
+  formatMissingMandatory
+};
@@ -0,0 +1,315 @@
+/**
+ * SID Generator Module
+ *
+ * Assigns SIDs to the items of a YANG module and builds its RFC 9595 .sid
+ * file, for custom and vendor modules that come without one:
+ * - module: the module and its submodules
+ * - feature, identity: "module:name"
+ * - data: schema node paths ("/mod:top/list/leaf"), choice and case left
+ *   out, with the module prefix wherever the module changes (augments);
+ *   rpc, action and notification, and the nodes of their input/output
+ *
+ * Items are numbered from the assignment ranges in a fixed order (module,
+ * features, identities, then data nodes, each sorted by identifier), so the
+ * same module and range always give the same file. When an existing .sid
+ * file is updated, its items keep their SIDs, new items take the free SIDs
+ * of its ranges, and items no longer in the module are kept as obsolete so
+ * their SIDs are never reused.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadYangModule, findModuleFile, findChild, findChildren } from './yang-parser.js';
+
+const NAMESPACE_ORDER = ['module', 'feature', 'identity', 'data'];
+
+// Statements that are data items, and those passed through without one
+const DATA_ITEMS = new Set([
+  'container', 'list', 'leaf', 'leaf-list', 'anydata', 'anyxml', 'rpc', 'action', 'notification'
+]);
+const TRANSPARENT = new Set(['choice', 'case']);
+
+/**
+ * Parse a --range argument
+ * @param {string} text - "<entry-point>:<size>"
+ * @returns {{entryPoint: number, size: number}}
+ */
+export function parseSidRange(text) {
+  const match = /^(\d+):(\d+)$/.exec(String(text || '').trim());
+  if (!match || Number(match[2]) === 0) {
+    throw new Error(`Invalid SID range "${text}" (expected <start>:<size>, e.g. 60000:100)`);
+  }
+  return { entryPoint: Number(match[1]), size: Number(match[2]) };
+}
+
+/**
+ * Find a schema node among statements, through expanded uses
+ */
+function findSchemaNode(statements, name) {
+  for (const statement of statements) {
+    if (statement.keyword === 'uses') {
+      const found = findSchemaNode(statement.expansion?.children || [], name);
+      if (found) return found;
+    } else if ((statement.argument ?? statement.keyword) === name) {
+      if (DATA_ITEMS.has(statement.keyword) || TRANSPARENT.has(statement.keyword)
+        || statement.keyword === 'input' || statement.keyword === 'output') {
+        return statement;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Data path of an augment target: schema node identifier → data identifier.
+ * Choice and case steps are dropped when the target module shows them; a
+ * step the module does not define (e.g. added by another augment) is kept.
+ * @returns {{identifier: string, module: string}}
+ */
+function resolveAugmentTarget(targetNode, context, statement, loadModule) {
+  const segments = [];
+  let previousModule = null;
+  let children = null;
+
+  targetNode.split('/').filter(Boolean).forEach((step, i) => {
+    const [prefix, name] = step.includes(':') ? step.split(':') : [null, step];
+    const stepModule = prefix ? context.prefixes[prefix] : context.owner;
+    if (!stepModule) {
+      throw new Error(`augment "${targetNode}": unknown prefix "${prefix}"`);
+    }
+
+    if (i === 0) {
+      children = stepModule === context.owner ? statement.children : loadModule(stepModule)?.children || null;
+    }
+
+    const node = children ? findSchemaNode(children, name) : null;
+    children = node ? node.children : null;
+    if (node && TRANSPARENT.has(node.keyword)) return;
+
+    segments.push(stepModule !== previousModule ? `${stepModule}:${name}` : name);
+    previousModule = stepModule;
+  });
+
+  return { identifier: `/${segments.join('/')}`, module: previousModule };
+}
+
+/**
+ * Collect the data identifiers of statements under a parent path
+ */
+function collectDataItems(statements, parentPath, parentModule, owner, identifiers) {
+  for (const statement of statements) {
+    const { keyword } = statement;
+
+    if (keyword === 'uses') {
+      collectDataItems(statement.expansion?.children || [], parentPath, parentModule, owner, identifiers);
+    } else if (TRANSPARENT.has(keyword)) {
+      collectDataItems(statement.children, parentPath, parentModule, owner, identifiers);
+    } else if (keyword === 'input' || keyword === 'output') {
+      // Encoded under the rpc/action SID: no item of their own
+      collectDataItems(statement.children, `${parentPath}/${keyword}`, parentModule, owner, identifiers);
+    } else if (DATA_ITEMS.has(keyword)) {
+      const prefix = owner !== parentModule ? `${owner}:` : '';
+      const identifier = `${parentPath}/${prefix}${statement.argument}`;
+      identifiers.add(identifier);
+      collectDataItems(statement.children, identifier, owner, owner, identifiers);
+    }
+  }
+}
+
+/**
+ * Collect the items of a YANG module
+ * @param {string} yangFilePath - Path to the .yang file (a module, not a submodule)
+ * @param {string} yangSearchPath - Directory containing imported and included modules
+ * @returns {{moduleName: string, revision: string|null, dependencies: Array<object>,
+ *            items: Array<{namespace: string, identifier: string}>}}
+ */
+export function collectSidItems(yangFilePath, yangSearchPath = null) {
+  const { statement, context } = loadYangModule(yangFilePath, yangSearchPath);
+  if (statement.keyword !== 'module') {
+    throw new Error(`${path.basename(yangFilePath)} is a submodule; generate the .sid file of module "${context.owner}"`);
+  }
+
+  const moduleName = statement.argument;
+  const revisionOf = (top) => findChildren(top, 'revision').map(revision => revision.argument).sort().pop() || null;
+
+  // The module and its submodules
+  const tops = [{ statement, context }];
+  const moduleItems = [moduleName];
+  for (const include of findChildren(statement, 'include')) {
+    const includeFile = findModuleFile(include.argument, context.searchDirs, findChild(include, 'revision-date')?.argument);
+    if (!includeFile) {
+      throw new Error(`Submodule "${include.argument}" not found in ${context.searchDirs.join(', ')}`);
+    }
+    tops.push(loadYangModule(includeFile, context.searchDirs[0]));
+    moduleItems.push(include.argument);
+  }
+
+  // Target modules of augments, loaded on demand
+  const targetModules = new Map();
+  const loadModule = (name) => {
+    if (!targetModules.has(name)) {
+      const file = findModuleFile(name, context.searchDirs, context.imports.get(name));
+      targetModules.set(name, file ? loadYangModule(file, context.searchDirs[0]).statement : null);
+    }
+    return targetModules.get(name);
+  };
+
+  const features = new Set();
+  const identities = new Set();
+  const data = new Set();
+
+  for (const { statement: top, context: topContext } of tops) {
+    findChildren(top, 'feature').forEach(feature => features.add(`${moduleName}:${feature.argument}`));
+    findChildren(top, 'identity').forEach(identity => identities.add(`${moduleName}:${identity.argument}`));
+
+    collectDataItems(top.children, '', null, moduleName, data);
+
+    for (const augment of findChildren(top, 'augment')) {
+      const target = resolveAugmentTarget(augment.argument, topContext, statement, loadModule);
+      collectDataItems(augment.children, target.identifier, target.module, moduleName, data);
+    }
+  }
+
+  const dependencies = [...context.imports.keys()].flatMap(name => {
+    const imported = context.imports.get(name) ? null : loadModule(name);
+    const revision = context.imports.get(name) || (imported && revisionOf(imported));
+    return revision ? [{ 'module-name': name, 'module-revision': revision }] : [];
+  });
+
+  const sorted = (values) => [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const items = [
+    ...moduleItems.map(identifier => ({ namespace: 'module', identifier })),
+    ...sorted(features).map(identifier => ({ namespace: 'feature', identifier })),
+    ...sorted(identities).map(identifier => ({ namespace: 'identity', identifier })),
+    ...sorted(data).map(identifier => ({ namespace: 'data', identifier }))
+  ];
+
+  return { moduleName, revision: revisionOf(statement), dependencies, items };
+}
+
+/**
+ * Read a .sid file in the RFC 9595 layout ("item", string SIDs) or the
+ * earlier draft layout ("items", numeric SIDs)
+ * @param {string} sidFilePath - Path to the .sid file
+ * @returns {object} { moduleName, revision, version, ranges, items }
+ */
+export function readSidFile(sidFilePath) {
+  const sidData = JSON.parse(fs.readFileSync(sidFilePath, 'utf8'));
+  const sidFile = sidData['ietf-sid-file:sid-file'] || sidData;
+
+  const ranges = (sidFile['assignment-range'] || sidFile['assignment-ranges'] || []).map(range => ({
+    entryPoint: Number(range['entry-point']),
+    size: Number(range.size)
+  }));
+  const items = (sidFile.item || sidFile.items || []).map(item => ({
+    ...item,
+    namespace: item.namespace || 'data',
+    sid: Number(item.sid)
+  }));
+
+  return {
+    moduleName: sidFile['module-name'] || null,
+    revision: sidFile['module-revision'] || null,
+    version: Number(sidFile['sid-file-version'] || 0),
+    ranges,
+    items
+  };
+}
+
+/**
+ * Build the .sid file of a module, numbering new items from the ranges
+ * @param {string} yangFilePath - Path to the .yang file
+ * @param {object} options - Generation options
+ * @param {{entryPoint: number, size: number}} options.range - Assignment range (added to those of an existing file)
+ * @param {object} options.existing - Existing .sid file from readSidFile(), to be updated
+ * @param {string} options.searchPath - Directory containing imported modules
+ * @returns {{sidFile: object, added: Array<object>, kept: number, obsolete: Array<object>}}
+ * @throws {Error} When the ranges have too few free SIDs for the new items
+ */
+export function generateSidFile(yangFilePath, options = {}) {
+  const { range = null, existing = null, searchPath = null } = options;
+  const collected = collectSidItems(yangFilePath, searchPath);
+
+  if (existing?.moduleName && existing.moduleName !== collected.moduleName) {
+    throw new Error(`The .sid file is for module "${existing.moduleName}", not "${collected.moduleName}"`);
+  }
+
+  const ranges = [...(existing?.ranges || [])];
+  if (range && !ranges.some(r => r.entryPoint === range.entryPoint && r.size === range.size)) {
+    const overlapping = ranges.find(r => range.entryPoint < r.entryPoint + r.size && r.entryPoint < range.entryPoint + range.size);
+    if (overlapping) {
+      throw new Error(`Range ${range.entryPoint}:${range.size} overlaps the file's range ${overlapping.entryPoint}:${overlapping.size}`);
+    }
+    ranges.push(range);
+  }
+  if (ranges.length === 0) {
+    throw new Error('An assignment range is required (--range <start>:<size>)');
+  }
+
+  const key = (item) => `${item.namespace} ${item.identifier}`;
+  const previous = new Map((existing?.items || []).map(item => [key(item), item]));
+  const current = new Set(collected.items.map(key));
+
+  // Existing SIDs stay; items that left the module keep theirs as obsolete
+  const items = [];
+  const obsolete = [];
+  let kept = 0;
+  for (const item of existing?.items || []) {
+    if (current.has(key(item))) {
+      const { status, ...rest } = item;
+      items.push(status === 'obsolete' ? rest : item);
+      kept++;
+    } else {
+      if (item.status !== 'obsolete') obsolete.push(item);
+      items.push({ ...item, status: 'obsolete' });
+    }
+  }
+
+  const used = new Set(items.map(item => item.sid));
+  const newItems = collected.items.filter(item => !previous.has(key(item)));
+  const free = [];
+  for (const { entryPoint, size } of ranges) {
+    for (let sid = entryPoint; sid < entryPoint + size && free.length < newItems.length; sid++) {
+      if (!used.has(sid)) {
+        free.push(sid);
+        used.add(sid);
+      }
+    }
+  }
+  if (free.length < newItems.length) {
+    const rangeText = ranges.map(r => `${r.entryPoint}:${r.size}`).join(', ');
+    throw new Error(`SID range exhausted: ${newItems.length} new item(s), ${free.length} free SID(s) in ${rangeText}; add a range with --range`);
+  }
+
+  const added = newItems.map((item, i) => ({ ...item, sid: free[i] }));
+  items.push(...added);
+  items.sort((a, b) => a.sid - b.sid
+    || NAMESPACE_ORDER.indexOf(a.namespace) - NAMESPACE_ORDER.indexOf(b.namespace));
+
+  const changed = !existing || added.length > 0 || obsolete.length > 0
+    || existing.revision !== collected.revision || ranges.length !== existing.ranges.length;
+  const version = existing ? existing.version + (changed ? 1 : 0) : 0;
+
+  const sidFile = {
+    'module-name': collected.moduleName,
+    ...(collected.revision && { 'module-revision': collected.revision }),
+    'sid-file-version': version,
+    ...(collected.dependencies.length > 0 && { 'dependency-revision': collected.dependencies }),
+    'assignment-range': ranges.map(r => ({ 'entry-point': String(r.entryPoint), size: String(r.size) })),
+    item: items.map(({ namespace, identifier, sid, status }) => ({
+      namespace,
+      identifier,
+      sid: String(sid),
+      ...(status && { status })
+    }))
+  };
+
+  return { sidFile: { 'ietf-sid-file:sid-file': sidFile }, added, kept, obsolete };
+}
+
+export default {
+  parseSidRange,
+  collectSidItems,
+  readSidFile,
+  generateSidFile
+};
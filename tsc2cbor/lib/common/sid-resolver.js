@@ -36,8 +36,8 @@ export async function buildSidInfo(sidFilePath) {
       // (parent calculation requires all modules to be merged first)
     };
 
-    // Parse items array (RFC 9254 format)
-    const items = sidFile.items || [];
+    // Parse items array ("item" in RFC 9595, "items" in earlier drafts)
+    const items = sidFile.item || sidFile.items || [];
 
     // Process all items
     items.forEach(item => {
@@ -62,7 +62,7 @@ export async function buildSidInfo(sidFilePath) {
  * @param {object} info - SID info to populate
  */
 function processSidItem(item, info) {
-  const sid = item.sid;
+  const sid = Number(item.sid); // RFC 9595 writes SIDs (uint64) as strings
   const namespace = item.namespace || 'data'; // category 
   const identifier = item.identifier || ''; // name or path
 
@@ -234,11 +234,17 @@ function stripPrefixes(path) {
 
 /**
  * Resolve identity name to SID (encoding)
- * @param {string} identityName - Identity name (e.g., "ethernetCsmacd")
+ * @param {string} identityName - Identity name (e.g., "ethernetCsmacd"
+ *        or "iana-if-type:ethernetCsmacd" as in RFC 7951 JSON)
  * @param {object} sidInfo - SID info from buildSidInfo()
  * @returns {number|null} SID number or null if not found
  */
 export function resolveIdentityToSid(identityName, sidInfo) {
+  // Module-qualified name first: bare names can clash between modules
+  if (identityName.includes(':') && sidInfo.identityToSid.has(identityName)) {
+    return sidInfo.identityToSid.get(identityName);
+  }
+
   // Remove namespace prefix if present
   const cleanName = identityName.includes(':')
     ? identityName.split(':')[1]
@@ -0,0 +1,771 @@
+/**
+ * XPath Evaluator Module
+ *
+ * Evaluates the XPath 1.0 subset used by YANG must and when statements
+ * (RFC 7950 §6.4) against an RFC 7951 data tree.
+ *
+ * Supported:
+ * - Location paths with abbreviations (/, //, ., .., *) and the axes
+ *   child, parent, self, ancestor(-or-self), descendant(-or-self),
+ *   following-sibling and preceding-sibling
+ * - Predicates (boolean and positional)
+ * - Operators: or and = != < <= > >= + - * div mod | and unary minus,
+ *   with the XPath 1.0 node-set comparison rules
+ * - XPath core functions (string, number, boolean and node-set functions)
+ * - YANG functions (RFC 7950 §10): current(), derived-from(),
+ *   derived-from-or-self(), re-match(), enum-value(), bit-is-set(), deref()
+ *
+ * Name tests match local names; a prefix is only compared with the node's
+ * module when the expression's module declares it. Leaf values are text
+ * of their leaf node (there are no separate text nodes), and the
+ * following/preceding axes are not supported.
+ */
+
+import { compilePattern } from '../encoder/constraint-validator.js';
+
+const NODE_TYPES = new Set(['node', 'text', 'comment', 'processing-instruction']);
+const OPERATOR_NAMES = new Set(['and', 'or', 'mod', 'div']);
+const AXES = new Set([
+  'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self',
+  'following', 'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self'
+]);
+
+// Parsed expressions, shared by all nodes with the same condition
+const expressionCache = new Map();
+
+/**
+ * Whether the token before allows an operator at this point
+ * (XPath 1.0 §3.7: "*" and NCNames are operators after an operand)
+ */
+function followsOperand(tokens) {
+  const previous = tokens[tokens.length - 1];
+  if (!previous) return false;
+  return !['@', '::', '(', '[', ',', 'op', 'axis', 'function'].includes(previous.type);
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - XPath expression
+ * @returns {Array<{type: string, value: *}>}
+ * @throws {Error} On characters XPath does not allow
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const nameRegex = /[A-Za-z_][\w.-]*/y;
+  let i = 0;
+
+  const push = (type, value = type) => tokens.push({ type, value });
+  const skipSpace = (from) => {
+    let j = from;
+    while (/\s/.test(expression[j] || '')) j++;
+    return j;
+  };
+
+  while (i < expression.length) {
+    const char = expression[i];
+    const pair = expression.slice(i, i + 2);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) throw new Error(`Unterminated string literal in "${expression}"`);
+      push('literal', expression.slice(i + 1, end));
+      i = end + 1;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+      const match = /[0-9]*\.?[0-9]*/y;
+      match.lastIndex = i;
+      const text = match.exec(expression)[0];
+      push('number', Number(text));
+      i += text.length;
+    } else if (pair === '..') {
+      push('..');
+      i += 2;
+    } else if (char === '.') {
+      push('.');
+      i++;
+    } else if (pair === '//' || char === '/') {
+      push('op', pair === '//' ? '//' : '/');
+      i += pair === '//' ? 2 : 1;
+    } else if (pair === '::') {
+      push('::');
+      i += 2;
+    } else if (['!=', '<=', '>='].includes(pair)) {
+      push('op', pair);
+      i += 2;
+    } else if ('=<>|+-'.includes(char)) {
+      push('op', char);
+      i++;
+    } else if ('()[],@'.includes(char)) {
+      push(char);
+      i++;
+    } else if (char === '*') {
+      if (followsOperand(tokens)) {
+        push('op', '*');
+      } else {
+        push('name', { prefix: null, local: '*' });
+      }
+      i++;
+    } else if (/[A-Za-z_]/.test(char)) {
+      nameRegex.lastIndex = i;
+      let name = nameRegex.exec(expression)[0];
+      i += name.length;
+
+      // Operator names after an operand
+      if (OPERATOR_NAMES.has(name) && followsOperand(tokens)) {
+        push('op', name);
+        continue;
+      }
+
+      // QName (prefix:name) or prefix:*
+      let prefix = null;
+      if (expression[i] === ':' && expression[i + 1] !== ':') {
+        prefix = name;
+        if (expression[i + 1] === '*') {
+          name = '*';
+          i += 2;
+        } else {
+          nameRegex.lastIndex = i + 1;
+          const local = nameRegex.exec(expression);
+          if (!local) throw new Error(`Invalid name "${prefix}:" in "${expression}"`);
+          name = local[0];
+          i += 1 + name.length;
+        }
+      }
+
+      const after = skipSpace(i);
+      if (!prefix && expression.startsWith('::', after) && AXES.has(name)) {
+        push('axis', name);
+        i = after + 2;
+      } else if (expression[after] === '(' && !prefix && NODE_TYPES.has(name)) {
+        push('nodeType', name);
+      } else if (expression[after] === '(') {
+        push('function', prefix ? `${prefix}:${name}` : name);
+      } else {
+        push('name', { prefix, local: name });
+      }
+    } else {
+      throw new Error(`Unexpected character "${char}" in "${expression}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an XPath expression into a syntax tree (cached)
+ * @param {string} expression - XPath expression
+ * @returns {object} Syntax tree
+ * @throws {Error} If the expression is not valid XPath 1.0
+ */
+export function parseXPath(expression) {
+  if (expressionCache.has(expression)) {
+    return expressionCache.get(expression);
+  }
+
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...values) => peek()?.type === 'op' && values.includes(peek().value);
+  const expect = (type) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" at token ${pos} of "${expression}"`);
+    }
+    return token;
+  };
+
+  const binary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (isOp(...operators)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const startsStep = (token) => token && ['name', 'nodeType', 'axis', '@', '.', '..'].includes(token.type);
+
+  const parsePredicates = () => {
+    const predicates = [];
+    while (peek()?.type === '[') {
+      pos++;
+      predicates.push(parseExpr());
+      expect(']');
+    }
+    return predicates;
+  };
+
+  const parseStep = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of "${expression}"`);
+    if (token.type === '.') return { axis: 'self', test: { type: 'node' }, predicates: [] };
+    if (token.type === '..') return { axis: 'parent', test: { type: 'node' }, predicates: [] };
+
+    let axis = 'child';
+    let testToken = token;
+    if (token.type === 'axis') {
+      axis = token.value;
+      testToken = tokens[pos++];
+    } else if (token.type === '@') {
+      axis = 'attribute';
+      testToken = tokens[pos++];
+    }
+
+    let test;
+    if (testToken?.type === 'name') {
+      test = { type: 'name', ...testToken.value };
+    } else if (testToken?.type === 'nodeType') {
+      expect('(');
+      if (peek()?.type === 'literal') pos++;
+      expect(')');
+      test = { type: testToken.value };
+    } else {
+      throw new Error(`Expected a node test at token ${pos} of "${expression}"`);
+    }
+
+    return { axis, test, predicates: parsePredicates() };
+  };
+
+  const descendantOrSelf = () => ({ axis: 'descendant-or-self', test: { type: 'node' }, predicates: [] });
+
+  const parseRelativeSteps = (steps = []) => {
+    steps.push(parseStep());
+    while (isOp('/', '//')) {
+      if (tokens[pos++].value === '//') steps.push(descendantOrSelf());
+      steps.push(parseStep());
+    }
+    return steps;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of "${expression}"`);
+
+    switch (token.type) {
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'number':
+        return { type: 'number', value: token.value };
+      case '(': {
+        const inner = parseExpr();
+        expect(')');
+        return inner;
+      }
+      case 'function': {
+        expect('(');
+        const args = [];
+        if (peek()?.type !== ')') {
+          args.push(parseExpr());
+          while (peek()?.type === ',') {
+            pos++;
+            args.push(parseExpr());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      default:
+        throw new Error(`Unexpected "${typeof token.value === 'object' ? token.value.local : token.value}" in "${expression}"`);
+    }
+  };
+
+  const parsePath = () => {
+    const token = peek();
+
+    if (token && ['literal', 'number', 'function', '('].includes(token.type)) {
+      const primary = parsePrimary();
+      const predicates = parsePredicates();
+      const filter = predicates.length > 0 ? { type: 'filter', expr: primary, predicates } : primary;
+
+      if (!isOp('/', '//')) return filter;
+      const steps = tokens[pos++].value === '//' ? [descendantOrSelf()] : [];
+      return { type: 'path', filter, absolute: false, steps: parseRelativeSteps(steps) };
+    }
+
+    if (isOp('/')) {
+      pos++;
+      return { type: 'path', absolute: true, steps: startsStep(peek()) ? parseRelativeSteps() : [] };
+    }
+    if (isOp('//')) {
+      pos++;
+      return { type: 'path', absolute: true, steps: parseRelativeSteps([descendantOrSelf()]) };
+    }
+    if (startsStep(token)) {
+      return { type: 'path', absolute: false, steps: parseRelativeSteps() };
+    }
+
+    return parsePrimary();
+  };
+
+  const parseUnion = binary(parsePath, ['|']);
+  const parseUnary = () => {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parseUnion();
+  };
+  const parseMultiplicative = binary(parseUnary, ['*', 'div', 'mod']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseRelational = binary(parseAdditive, ['<', '<=', '>', '>=']);
+  const parseEquality = binary(parseRelational, ['=', '!=']);
+  const parseAnd = binary(parseEquality, ['and']);
+  const parseExpr = binary(parseAnd, ['or']);
+
+  const ast = parseExpr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected token at position ${pos} of "${expression}"`);
+  }
+
+  expressionCache.set(expression, ast);
+  return ast;
+}
+
+/**
+ * Build the XPath data model of an RFC 7951 tree
+ *
+ * Every container, list entry, leaf and leaf-list value becomes a node
+ * { name, module, value, isLeaf, children, parent, order, schemaPath };
+ * members without a module prefix inherit their parent's module.
+ *
+ * @param {object} tree - RFC 7951 tree with module-prefixed top-level members
+ * @returns {object} Root node (its children are the top-level nodes)
+ */
+export function buildDataNodes(tree) {
+  let order = 0;
+  const root = { name: null, module: null, isLeaf: false, children: [], parent: null, order: order++, schemaPath: '' };
+
+  const addNode = (parent, memberName, value) => {
+    const colon = memberName.indexOf(':');
+    const name = colon === -1 ? memberName : memberName.slice(colon + 1);
+    const module = colon === -1 ? parent.module : memberName.slice(0, colon);
+    const schemaPath = parent.schemaPath ? `${parent.schemaPath}/${name}` : name;
+
+    const create = (leafValue, isLeaf) => {
+      const node = { name, module, value: leafValue, isLeaf, children: [], parent, order: order++, schemaPath };
+      parent.children.push(node);
+      return node;
+    };
+
+    const addInner = (object) => {
+      const node = create(undefined, false);
+      for (const [childName, childValue] of Object.entries(object)) {
+        addNode(node, childName, childValue);
+      }
+    };
+
+    if (Array.isArray(value)) {
+      if (value.length === 1 && value[0] === null) {
+        create(null, true);                                  // empty type
+      } else {
+        for (const item of value) {
+          if (item !== null && typeof item === 'object') addInner(item);   // list entry
+          else create(item, true);                                        // leaf-list value
+        }
+      }
+    } else if (value !== null && typeof value === 'object') {
+      addInner(value);
+    } else {
+      create(value, true);
+    }
+  };
+
+  for (const [memberName, value] of Object.entries(tree || {})) {
+    addNode(root, memberName, value);
+  }
+
+  return root;
+}
+
+/**
+ * String-value of a node: the leaf value, or the concatenated leaf values below it
+ */
+export function stringValue(node) {
+  if (node.isLeaf) {
+    if (node.value === null || node.value === undefined) return '';
+    if (typeof node.value === 'boolean') return node.value ? 'true' : 'false';
+    return String(node.value);
+  }
+  return node.children.map(stringValue).join('');
+}
+
+function isNodeSet(value) {
+  return Array.isArray(value);
+}
+
+function toBoolean(value) {
+  if (isNodeSet(value)) return value.length > 0;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0;
+  return Boolean(value);
+}
+
+function toNumber(value) {
+  if (isNodeSet(value)) return toNumber(toString(value));
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  return text === '' || !/^-?(\d+(\.\d*)?|\.\d+)$/.test(text) ? NaN : Number(text);
+}
+
+function toString(value) {
+  if (isNodeSet(value)) return value.length > 0 ? stringValue(value[0]) : '';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'NaN';
+    if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+    return Object.is(value, -0) ? '0' : String(value);
+  }
+  return String(value);
+}
+
+function xpathRound(number) {
+  if (!Number.isFinite(number)) return number;
+  return Math.floor(number + 0.5);
+}
+
+function nodeSetArgument(value, name) {
+  if (!isNodeSet(value)) {
+    throw new Error(`${name}() expects a node-set`);
+  }
+  return value;
+}
+
+/**
+ * Sort nodes in document order and drop duplicates
+ */
+function documentOrder(nodes) {
+  return [...new Set(nodes)].sort((a, b) => a.order - b.order);
+}
+
+function rootOf(node) {
+  let current = node;
+  while (current.parent) current = current.parent;
+  return current;
+}
+
+/**
+ * Nodes along an axis, in axis order (reverse axes nearest first)
+ */
+function axisNodes(node, axis) {
+  const ancestors = () => {
+    const result = [];
+    for (let current = node.parent; current; current = current.parent) result.push(current);
+    return result;
+  };
+  const descendants = (from) => from.children.flatMap(child => [child, ...descendants(child)]);
+  const siblings = node.parent ? node.parent.children : [];
+  const index = siblings.indexOf(node);
+
+  switch (axis) {
+    case 'child': return node.children;
+    case 'parent': return node.parent ? [node.parent] : [];
+    case 'self': return [node];
+    case 'ancestor': return ancestors();
+    case 'ancestor-or-self': return [node, ...ancestors()];
+    case 'descendant': return descendants(node);
+    case 'descendant-or-self': return [node, ...descendants(node)];
+    case 'following-sibling': return siblings.slice(index + 1);
+    case 'preceding-sibling': return siblings.slice(0, index).reverse();
+    case 'attribute':
+    case 'namespace':
+      return [];
+    default:
+      throw new Error(`XPath axis "${axis}" is not supported`);
+  }
+}
+
+/**
+ * Resolve "prefix:name" or "name" to "module:name" with the expression's prefixes
+ */
+function qualify(text, env, defaultModule) {
+  const colon = text.indexOf(':');
+  if (colon === -1) return `${defaultModule}:${text}`;
+  const prefix = text.slice(0, colon);
+  return `${env.prefixes?.[prefix] || prefix}:${text.slice(colon + 1)}`;
+}
+
+/**
+ * Whether an identity is derived from a base (RFC 7950 §10.4.1)
+ */
+function isDerivedFrom(identity, base, identities, orSelf) {
+  if (orSelf && identity === base) return true;
+
+  const seen = new Set();
+  const pending = [...(identities?.get(identity) || [])];
+  while (pending.length > 0) {
+    const current = pending.shift();
+    if (current === base) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    pending.push(...(identities?.get(current) || []));
+  }
+  return false;
+}
+
+/**
+ * Compare two values with the XPath 1.0 rules (§3.4)
+ */
+function compare(op, left, right) {
+  const test = (a, b) => {
+    switch (op) {
+      case '=': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      default: return a >= b;
+    }
+  };
+  const relational = !['=', '!='].includes(op);
+
+  if (isNodeSet(left) && isNodeSet(right)) {
+    const rightValues = right.map(stringValue);
+    return left.some(node => rightValues.some(value => (relational
+      ? test(toNumber(stringValue(node)), toNumber(value))
+      : test(stringValue(node), value))));
+  }
+
+  if (isNodeSet(left) || isNodeSet(right)) {
+    const [nodes, other, swapped] = isNodeSet(left) ? [left, right, false] : [right, left, true];
+    const ordered = (a, b) => (swapped ? test(b, a) : test(a, b));
+
+    if (typeof other === 'boolean') return ordered(relational ? Number(toBoolean(nodes)) : toBoolean(nodes), relational ? Number(other) : other);
+    if (typeof other === 'number' || relational) {
+      return nodes.some(node => ordered(toNumber(stringValue(node)), toNumber(other)));
+    }
+    return nodes.some(node => ordered(stringValue(node), other));
+  }
+
+  if (relational) return test(toNumber(left), toNumber(right));
+  if (typeof left === 'boolean' || typeof right === 'boolean') return test(toBoolean(left), toBoolean(right));
+  if (typeof left === 'number' || typeof right === 'number') return test(toNumber(left), toNumber(right));
+  return test(toString(left), toString(right));
+}
+
+const FUNCTIONS = {
+  // Node-set functions
+  'last': (ctx) => ctx.size,
+  'position': (ctx) => ctx.position,
+  'count': (ctx, nodes) => nodeSetArgument(nodes, 'count').length,
+  'local-name': (ctx, nodes = [ctx.node]) => nodeSetArgument(nodes, 'local-name')[0]?.name || '',
+  'name': (ctx, nodes = [ctx.node]) => {
+    const node = nodeSetArgument(nodes, 'name')[0];
+    return node?.name ? `${node.module}:${node.name}` : '';
+  },
+  'current': (ctx) => [ctx.current],
+
+  // String functions
+  'string': (ctx, value = [ctx.node]) => toString(value),
+  'concat': (ctx, ...values) => values.map(toString).join(''),
+  'starts-with': (ctx, text, prefix) => toString(text).startsWith(toString(prefix)),
+  'contains': (ctx, text, part) => toString(text).includes(toString(part)),
+  'substring-before': (ctx, text, part) => {
+    const [whole, search] = [toString(text), toString(part)];
+    const index = whole.indexOf(search);
+    return index === -1 ? '' : whole.slice(0, index);
+  },
+  'substring-after': (ctx, text, part) => {
+    const [whole, search] = [toString(text), toString(part)];
+    const index = whole.indexOf(search);
+    return index === -1 ? '' : whole.slice(index + search.length);
+  },
+  'substring': (ctx, text, start, length) => {
+    const first = xpathRound(toNumber(start));
+    const end = length === undefined ? Infinity : first + xpathRound(toNumber(length));
+    return [...toString(text)].filter((char, i) => i + 1 >= first && i + 1 < end).join('');
+  },
+  'string-length': (ctx, text = [ctx.node]) => [...toString(text)].length,
+  'normalize-space': (ctx, text = [ctx.node]) => toString(text).trim().replace(/\s+/g, ' '),
+  'translate': (ctx, text, from, to) => {
+    const [source, replace] = [[...toString(from)], [...toString(to)]];
+    return [...toString(text)].map(char => {
+      const index = source.indexOf(char);
+      return index === -1 ? char : (replace[index] ?? '');
+    }).join('');
+  },
+
+  // Boolean functions
+  'boolean': (ctx, value) => toBoolean(value),
+  'not': (ctx, value) => !toBoolean(value),
+  'true': () => true,
+  'false': () => false,
+
+  // Number functions
+  'number': (ctx, value = [ctx.node]) => toNumber(value),
+  'sum': (ctx, nodes) => nodeSetArgument(nodes, 'sum').reduce((total, node) => total + toNumber(stringValue(node)), 0),
+  'floor': (ctx, value) => Math.floor(toNumber(value)),
+  'ceiling': (ctx, value) => Math.ceil(toNumber(value)),
+  'round': (ctx, value) => xpathRound(toNumber(value)),
+
+  // YANG functions (RFC 7950 §10)
+  're-match': (ctx, text, pattern) => {
+    const regex = compilePattern(toString(pattern));
+    if (!regex) throw new Error(`re-match() pattern "${toString(pattern)}" cannot be evaluated`);
+    return regex.test(toString(text));
+  },
+  'derived-from': (ctx, nodes, identity) => derivedFrom(ctx, nodes, identity, false),
+  'derived-from-or-self': (ctx, nodes, identity) => derivedFrom(ctx, nodes, identity, true),
+  'enum-value': (ctx, nodes) => {
+    const node = nodeSetArgument(nodes, 'enum-value')[0];
+    const value = node && ctx.env.typeOf?.(node)?.enum?.nameToValue?.get(stringValue(node));
+    return value === undefined || value === null ? NaN : value;
+  },
+  'bit-is-set': (ctx, nodes, bit) => {
+    const node = nodeSetArgument(nodes, 'bit-is-set')[0];
+    return Boolean(node) && stringValue(node).split(/\s+/).includes(toString(bit));
+  },
+  'deref': (ctx, nodes) => {
+    const node = nodeSetArgument(nodes, 'deref')[0];
+    const typeInfo = node && ctx.env.typeOf?.(node);
+    if (typeInfo?.type !== 'leafref' || !typeInfo.path) return [];
+
+    const value = stringValue(node);
+    const targets = evaluate(parseXPath(typeInfo.path), { ...ctx, node, position: 1, size: 1, current: node });
+    return isNodeSet(targets) ? targets.filter(target => stringValue(target) === value) : [];
+  }
+};
+
+function derivedFrom(ctx, nodes, identity, orSelf) {
+  const base = qualify(toString(identity), ctx.env, ctx.env.module);
+  return nodeSetArgument(nodes, 'derived-from').some(node => {
+    const value = stringValue(node).trim();
+    return value !== '' && isDerivedFrom(qualify(value, {}, node.module), base, ctx.env.identities, orSelf);
+  });
+}
+
+/**
+ * Apply one location step to a node
+ */
+function applyStep(node, step, ctx) {
+  const { test } = step;
+  // Unprefixed names belong to the namespace of the node the expression is
+  // on (RFC 7950 §6.4.1); for a grouping that is the module using it
+  const moduleOfName = test.prefix ? ctx.env.prefixes?.[test.prefix] : ctx.env.namespace ?? ctx.env.module;
+
+  let nodes = axisNodes(node, step.axis).filter(candidate => {
+    switch (test.type) {
+      case 'node': return true;
+      case 'name':
+        if (candidate.name === null) return false;
+        if (test.local !== '*' && candidate.name !== test.local) return false;
+        return !moduleOfName || candidate.module === moduleOfName;
+      default:
+        return false;   // text(), comment(), processing-instruction()
+    }
+  });
+
+  for (const predicate of step.predicates) {
+    nodes = filterByPredicate(nodes, predicate, ctx);
+  }
+  return nodes;
+}
+
+function filterByPredicate(nodes, predicate, ctx) {
+  return nodes.filter((node, i) => {
+    const result = evaluate(predicate, { ...ctx, node, position: i + 1, size: nodes.length });
+    return typeof result === 'number' ? result === i + 1 : toBoolean(result);
+  });
+}
+
+/**
+ * Evaluate a syntax tree
+ * @param {object} ast - From parseXPath()
+ * @param {object} ctx - { node, position, size, current, env }
+ * @returns {Array|string|number|boolean} Node-set (array of nodes) or value
+ */
+function evaluate(ast, ctx) {
+  switch (ast.type) {
+    case 'literal':
+    case 'number':
+      return ast.value;
+
+    case 'negate':
+      return -toNumber(evaluate(ast.operand, ctx));
+
+    case 'binary': {
+      if (ast.op === 'or') return toBoolean(evaluate(ast.left, ctx)) || toBoolean(evaluate(ast.right, ctx));
+      if (ast.op === 'and') return toBoolean(evaluate(ast.left, ctx)) && toBoolean(evaluate(ast.right, ctx));
+
+      const left = evaluate(ast.left, ctx);
+      const right = evaluate(ast.right, ctx);
+
+      switch (ast.op) {
+        case '|':
+          if (!isNodeSet(left) || !isNodeSet(right)) throw new Error('"|" expects node-sets');
+          return documentOrder([...left, ...right]);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case 'div': return toNumber(left) / toNumber(right);
+        case 'mod': return toNumber(left) % toNumber(right);
+        default: return compare(ast.op, left, right);
+      }
+    }
+
+    case 'filter': {
+      let nodes = evaluate(ast.expr, ctx);
+      if (!isNodeSet(nodes)) throw new Error('Predicates can only filter node-sets');
+      for (const predicate of ast.predicates) {
+        nodes = filterByPredicate(nodes, predicate, ctx);
+      }
+      return nodes;
+    }
+
+    case 'path': {
+      let nodes;
+      if (ast.filter) {
+        nodes = evaluate(ast.filter, ctx);
+        if (!isNodeSet(nodes)) throw new Error('"/" expects a node-set on its left');
+      } else {
+        nodes = [ast.absolute ? rootOf(ctx.node) : ctx.node];
+      }
+
+      for (const step of ast.steps) {
+        nodes = documentOrder(nodes.flatMap(node => applyStep(node, step, ctx)));
+      }
+      return nodes;
+    }
+
+    case 'call': {
+      const name = ast.name.includes(':') ? ast.name.split(':').pop() : ast.name;
+      const fn = FUNCTIONS[name];
+      if (!fn) throw new Error(`XPath function ${ast.name}() is not supported`);
+      return fn(ctx, ...ast.args.map(arg => evaluate(arg, ctx)));
+    }
+
+    default:
+      throw new Error(`Unknown XPath expression type "${ast.type}"`);
+  }
+}
+
+/**
+ * Evaluate an XPath expression to a boolean (must/when semantics)
+ *
+ * @param {string} expression - XPath expression
+ * @param {object} node - Context node (from buildDataNodes())
+ * @param {object} env - Evaluation environment
+ * @param {string} env.module - Module the expression is written in (unprefixed identities)
+ * @param {string} [env.namespace] - Module of unprefixed node names (default: env.module)
+ * @param {object} env.prefixes - prefix → module name for that module
+ * @param {Map} env.identities - "module:identity" → ["module:base", ...]
+ * @param {Function} env.typeOf - node → type info (enum-value(), deref())
+ * @returns {boolean}
+ * @throws {Error} If the expression cannot be parsed or uses unsupported features
+ *
+ * @example
+ * evaluateCondition("../type = 'ethernet'", leafNode, env)  // → true/false
+ */
+export function evaluateCondition(expression, node, env = {}) {
+  const result = evaluate(parseXPath(expression), { node, position: 1, size: 1, current: node, env });
+  return toBoolean(result);
+}
+
+export default {
+  parseXPath,
+  buildDataNodes,
+  stringValue,
+  evaluateCondition
+};
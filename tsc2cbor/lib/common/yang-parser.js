@@ -0,0 +1,539 @@
+/**
+ * YANG Parser Module
+ *
+ * Built-in YANG 1.1 parser (RFC 7950 §6, §14), so building the type cache
+ * needs neither pyang nor Python. parseYangModule() returns the object
+ * "pyang -f yin" + xml2js would give (statement arguments as properties
+ * named after their YIN argument, RFC 7950 §13; repeated substatements as
+ * arrays), which extractTypesFromYin() consumes as before.
+ *
+ * Unlike the YIN output, groupings are resolved: every "uses" carries the
+ * grouping's data nodes, with its refine and augment statements applied,
+ * in `_grouping` ({ module, nodes }). Groupings are looked up in lexical
+ * scope, in the module and its submodules (include), and in imported
+ * modules found in the search directories.
+ *
+ * Extension statements, deviations and if-feature are not evaluated.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// YIN argument name of each statement (RFC 7950 §13.1); null: no argument
+const YIN_ARGUMENTS = {
+  action: 'name', anydata: 'name', anyxml: 'name', argument: 'name',
+  augment: 'target-node', base: 'name', 'belongs-to': 'module', bit: 'name',
+  case: 'name', choice: 'name', config: 'value', contact: 'text',
+  container: 'name', default: 'value', description: 'text', deviate: 'value',
+  deviation: 'target-node', enum: 'name', 'error-app-tag': 'value', 'error-message': 'value',
+  extension: 'name', feature: 'name', 'fraction-digits': 'value', grouping: 'name',
+  identity: 'name', 'if-feature': 'name', import: 'module', include: 'module',
+  input: null, key: 'value', leaf: 'name', 'leaf-list': 'name',
+  length: 'value', list: 'name', mandatory: 'value', 'max-elements': 'value',
+  'min-elements': 'value', modifier: 'value', module: 'name', must: 'condition',
+  namespace: 'uri', notification: 'name', 'ordered-by': 'value', organization: 'text',
+  output: null, path: 'value', pattern: 'value', position: 'value',
+  prefix: 'value', presence: 'value', range: 'value', reference: 'text',
+  refine: 'target-node', 'require-instance': 'value', revision: 'date', 'revision-date': 'date',
+  rpc: 'name', status: 'value', submodule: 'name', type: 'name',
+  typedef: 'name', unique: 'tag', units: 'name', uses: 'name',
+  value: 'value', when: 'condition', 'yang-version': 'value', 'yin-element': 'value'
+};
+
+// Statements a grouping contributes where it is used (RFC 7950 §7.13)
+const DATA_DEFINITIONS = new Set([
+  'container', 'leaf', 'leaf-list', 'list', 'choice', 'anydata', 'anyxml', 'uses', 'action', 'notification'
+]);
+
+// Schema nodes named in refine/augment target paths (descendant schema node identifiers)
+const SCHEMA_NODES = new Set([
+  'container', 'leaf', 'leaf-list', 'list', 'choice', 'case', 'anydata', 'anyxml',
+  'action', 'notification', 'input', 'output'
+]);
+
+// Statements whose substatements may hold "uses" (groupings themselves are
+// expanded where they are used)
+const USES_PARENTS = new Set([
+  'module', 'submodule', 'container', 'list', 'choice', 'case', 'augment',
+  'rpc', 'action', 'input', 'output', 'notification'
+]);
+
+// Nested groupings deeper than this are taken as a uses cycle
+const MAX_GROUPING_DEPTH = 32;
+
+/**
+ * Split YANG text into tokens (RFC 7950 §6.1)
+ * @param {string} text - YANG source
+ * @param {string} fileName - For error messages
+ * @returns {Array<{type: string, value: string, line: number}>} type: 'string'
+ *          (quoted), 'word' (unquoted), ';', '{', '}' or '+'
+ */
+function tokenize(text, fileName) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const fail = (message) => {
+    throw new Error(`${fileName}:${line}: ${message}`);
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      line++;
+      lineStart = ++i;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Comments
+    if (text.startsWith('//', i)) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) fail('unterminated comment');
+      line += (text.slice(i, end).match(/\n/g) || []).length;
+      lineStart = text.lastIndexOf('\n', end) + 1;
+      i = end + 2;
+      continue;
+    }
+
+    if (char === ';' || char === '{' || char === '}') {
+      tokens.push({ type: char, value: char, line });
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const startLine = line;
+      const column = i - lineStart;
+      let end = i + 1;
+      while (end < text.length && text[end] !== char) {
+        if (char === '"' && text[end] === '\\') end++;
+        end++;
+      }
+      if (end >= text.length) fail('unterminated string');
+
+      const raw = text.slice(i + 1, end);
+      const value = char === '"' ? unquoteDouble(raw, column) : raw;
+      line += (raw.match(/\n/g) || []).length;
+      if (raw.includes('\n')) lineStart = text.lastIndexOf('\n', end) + 1;
+
+      tokens.push({ type: 'string', value, line: startLine });
+      i = end + 1;
+      continue;
+    }
+
+    // Unquoted string: up to whitespace, ; { } quotes or a comment
+    let end = i;
+    while (end < text.length && !/[\s;{}"']/.test(text[end])
+      && !text.startsWith('//', end) && !text.startsWith('/*', end)) {
+      end++;
+    }
+    const word = text.slice(i, end);
+    const previous = tokens[tokens.length - 1];
+    tokens.push({ type: word === '+' && previous?.type === 'string' ? '+' : 'word', value: word, line });
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Value of a double-quoted string (RFC 7950 §6.1.3): indentation up to the
+ * opening quote's column and trailing whitespace of each line are removed,
+ * then \n \t \" \\ are unescaped
+ * @param {string} raw - Text between the quotes
+ * @param {number} column - Column of the opening quote
+ * @returns {string}
+ */
+function unquoteDouble(raw, column) {
+  const lines = raw.split('\n').map((text, index, all) => {
+    let result = text;
+    if (index > 0) {
+      // Tabs count as 8 spaces when stripping indentation
+      let width = 0;
+      let cut = 0;
+      while (cut < result.length && (result[cut] === ' ' || result[cut] === '\t') && width <= column) {
+        width += result[cut] === '\t' ? 8 : 1;
+        cut++;
+      }
+      result = result.slice(cut);
+    }
+    return index < all.length - 1 ? result.replace(/[ \t]+$/, '') : result;
+  });
+
+  return lines.join('\n').replace(/\\([nt"\\])/g, (match, escaped) =>
+    ({ n: '\n', t: '\t', '"': '"', '\\': '\\' })[escaped]);
+}
+
+/**
+ * Parse YANG text into a statement tree
+ * @param {string} text - YANG source
+ * @param {string} fileName - For error messages
+ * @returns {{keyword: string, argument: string|null, children: Array, line: number}} The
+ *          module or submodule statement
+ * @throws {Error} With file and line on syntax errors
+ */
+function parseYang(text, fileName = 'input') {
+  const tokens = tokenize(text, fileName);
+  let position = 0;
+
+  const fail = (message, token = tokens[position]) => {
+    throw new Error(`${fileName}:${token ? token.line : 'end'}: ${message}`);
+  };
+
+  const parseStatement = () => {
+    const keywordToken = tokens[position++];
+    if (keywordToken.type !== 'word') fail(`expected a statement, found "${keywordToken.value}"`, keywordToken);
+
+    let argument = null;
+    const next = tokens[position];
+    if (next && (next.type === 'string' || next.type === 'word')) {
+      argument = next.value;
+      position++;
+      // "abc" + "def"
+      while (tokens[position]?.type === '+') {
+        const part = tokens[position + 1];
+        if (part?.type !== 'string') fail('expected a quoted string after "+"');
+        argument += part.value;
+        position += 2;
+      }
+    }
+
+    const statement = { keyword: keywordToken.value, argument, children: [], line: keywordToken.line };
+    const terminator = tokens[position++];
+    if (terminator?.type === ';') return statement;
+    if (terminator?.type !== '{') fail(`expected ";" or "{" after ${statement.keyword}`, terminator);
+
+    while (tokens[position] && tokens[position].type !== '}') {
+      statement.children.push(parseStatement());
+    }
+    if (!tokens[position]) fail(`missing "}" for ${statement.keyword} at line ${statement.line}`);
+    position++;
+    return statement;
+  };
+
+  if (tokens.length === 0) fail('no module or submodule statement');
+  const top = parseStatement();
+  if (top.keyword !== 'module' && top.keyword !== 'submodule') {
+    fail(`expected module or submodule, found ${top.keyword}`, { line: top.line });
+  }
+  if (position < tokens.length) fail('unexpected text after the module');
+
+  return top;
+}
+
+function findChild(statement, keyword) {
+  return statement.children.find(child => child.keyword === keyword) || null;
+}
+
+function findChildren(statement, keyword) {
+  return statement.children.filter(child => child.keyword === keyword);
+}
+
+// file path → statement tree / module context, shared by all modules of a cache build
+const statementCache = new Map();
+const contextCache = new Map();
+
+function readStatement(filePath) {
+  if (!statementCache.has(filePath)) {
+    statementCache.set(filePath, parseYang(fs.readFileSync(filePath, 'utf8'), path.basename(filePath)));
+  }
+  return statementCache.get(filePath);
+}
+
+/**
+ * Find a module file: "name@revision.yang" for a given revision, otherwise
+ * "name.yang" or the newest "name@*.yang"
+ * @param {string} moduleName - Module or submodule name
+ * @param {Array<string>} searchDirs - Directories to look in
+ * @param {string|null} revision - revision-date of the import/include
+ * @returns {string|null} File path
+ */
+function findModuleFile(moduleName, searchDirs, revision = null) {
+  for (const dir of searchDirs) {
+    if (!dir || !fs.existsSync(dir)) continue;
+
+    const files = fs.readdirSync(dir);
+    if (revision && files.includes(`${moduleName}@${revision}.yang`)) {
+      return path.join(dir, `${moduleName}@${revision}.yang`);
+    }
+    if (files.includes(`${moduleName}.yang`)) {
+      return path.join(dir, `${moduleName}.yang`);
+    }
+    const revisions = files.filter(file => file.startsWith(`${moduleName}@`) && file.endsWith('.yang')).sort();
+    if (revisions.length > 0) {
+      return path.join(dir, revisions[revisions.length - 1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Context of a module or submodule file: its prefixes and the top-level
+ * groupings of its module (shared by the module and all its submodules)
+ * @param {string} filePath - .yang file
+ * @param {Array<string>} searchDirs - Directories for imports and includes
+ * @returns {object} { filePath, owner, prefixes, imports, groupings, searchDirs }
+ */
+function moduleContext(filePath, searchDirs) {
+  if (contextCache.has(filePath)) return contextCache.get(filePath);
+
+  const top = readStatement(filePath);
+  const belongsTo = findChild(top, 'belongs-to');
+  const owner = belongsTo ? belongsTo.argument : top.argument;
+
+  const prefixes = {};
+  const ownPrefix = findChild(belongsTo || top, 'prefix')?.argument;
+  if (ownPrefix) prefixes[ownPrefix] = owner;
+
+  const imports = new Map();
+  for (const imported of findChildren(top, 'import')) {
+    const prefix = findChild(imported, 'prefix')?.argument;
+    if (prefix) prefixes[prefix] = imported.argument;
+    imports.set(imported.argument, findChild(imported, 'revision-date')?.argument || null);
+  }
+
+  const context = { filePath, owner, prefixes, imports, groupings: null, searchDirs };
+  contextCache.set(filePath, context);
+
+  // A submodule sees the groupings of its whole module (YANG 1.1)
+  const moduleFile = top.keyword === 'submodule' ? findModuleFile(owner, searchDirs) : null;
+  context.groupings = (moduleFile && moduleContext(moduleFile, searchDirs).groupings) || new Map();
+
+  for (const grouping of findChildren(top, 'grouping')) {
+    if (!context.groupings.has(grouping.argument)) {
+      context.groupings.set(grouping.argument, { statement: grouping, context, scope: [] });
+    }
+  }
+
+  for (const include of findChildren(top, 'include')) {
+    const includeFile = findModuleFile(include.argument, searchDirs, findChild(include, 'revision-date')?.argument);
+    if (includeFile) moduleContext(includeFile, searchDirs);
+  }
+
+  return context;
+}
+
+/**
+ * Find the grouping a "uses" refers to
+ * @param {string} name - Argument of uses ("name" or "prefix:name")
+ * @param {Array<Array>} scope - Substatements of the enclosing statements, innermost first
+ * @param {object} context - Module context of the uses
+ * @returns {{statement: object, context: object, scope: Array}|null}
+ */
+function resolveGrouping(name, scope, context) {
+  const [prefix, localName] = name.includes(':') ? name.split(':') : [null, name];
+  const moduleName = prefix ? context.prefixes[prefix] : context.owner;
+
+  if (moduleName === context.owner) {
+    for (let i = 0; i < scope.length; i++) {
+      const grouping = scope[i].find(child => child.keyword === 'grouping' && child.argument === localName);
+      if (grouping) return { statement: grouping, context, scope: scope.slice(i) };
+    }
+    return context.groupings.get(localName) || null;
+  }
+
+  if (!moduleName) return null;
+  const moduleFile = findModuleFile(moduleName, context.searchDirs, context.imports.get(moduleName));
+  return moduleFile ? moduleContext(moduleFile, context.searchDirs).groupings.get(localName) || null : null;
+}
+
+/**
+ * Schema node children of a statement, including those added by expanded uses
+ */
+function schemaChildren(statements) {
+  return statements.flatMap(statement => {
+    if (statement.keyword === 'uses') return statement.expansion ? schemaChildren(statement.expansion.children) : [];
+    return SCHEMA_NODES.has(statement.keyword) ? [statement] : [];
+  });
+}
+
+/**
+ * Follow a descendant schema node identifier ("a/p:b/c") from a list of statements
+ * @returns {object|null} Target statement
+ */
+function findDescendant(statements, nodeId) {
+  let target = null;
+  let children = statements;
+
+  for (const step of nodeId.split('/').filter(Boolean)) {
+    const name = step.includes(':') ? step.split(':')[1] : step;
+    target = schemaChildren(children).find(child => child.argument === name) || null;
+    if (!target) return null;
+    children = target.children;
+  }
+
+  return target;
+}
+
+/**
+ * Apply a refine statement to its target (RFC 7950 §7.13.2): must and
+ * if-feature are added, other properties replaced
+ */
+function applyRefine(target, refine) {
+  const replaced = new Set(refine.children
+    .map(child => child.keyword)
+    .filter(keyword => keyword !== 'must' && keyword !== 'if-feature'));
+
+  target.children = [
+    ...target.children.filter(child => !replaced.has(child.keyword)),
+    ...refine.children
+  ];
+}
+
+/**
+ * Expand every uses among the statements and their descendants
+ * @param {Array} statements - Substatements of one statement
+ * @param {Array<Array>} scope - Substatements of the enclosing statements, innermost first
+ * @param {object} context - Module context
+ * @param {number} depth - Grouping nesting depth
+ */
+function expandStatements(statements, scope, context, depth) {
+  const levelScope = [statements, ...scope];
+
+  for (const statement of statements) {
+    if (statement.keyword === 'uses') {
+      expandUses(statement, levelScope, context, depth);
+    } else if (USES_PARENTS.has(statement.keyword)) {
+      expandStatements(statement.children, levelScope, context, depth);
+    }
+  }
+}
+
+/**
+ * Attach the resolved grouping to a uses statement (statement.expansion)
+ */
+function expandUses(uses, scope, context, depth) {
+  if (depth > MAX_GROUPING_DEPTH) {
+    throw new Error(`${path.basename(context.filePath)}:${uses.line}: groupings nested too deeply at "uses ${uses.argument}"`);
+  }
+
+  const grouping = resolveGrouping(uses.argument, scope, context);
+  if (!grouping) {
+    if (process.env.DEBUG === 'true') {
+      console.warn(`${path.basename(context.filePath)}:${uses.line}: grouping "${uses.argument}" not found`);
+    }
+    return;
+  }
+
+  const nodes = structuredClone(grouping.statement.children.filter(child => DATA_DEFINITIONS.has(child.keyword)));
+  expandStatements(nodes, [grouping.statement.children, ...grouping.scope], grouping.context, depth + 1);
+
+  for (const refine of findChildren(uses, 'refine')) {
+    const target = findDescendant(nodes, refine.argument);
+    if (target) applyRefine(target, refine);
+  }
+
+  for (const augment of findChildren(uses, 'augment')) {
+    const target = findDescendant(nodes, augment.argument);
+    if (!target) continue;
+
+    const added = augment.children.filter(child => DATA_DEFINITIONS.has(child.keyword) || child.keyword === 'case');
+    expandStatements(added, scope, context, depth + 1);
+
+    // A conditional augment becomes a uses of its own, so its when keeps the target as context
+    const when = findChild(augment, 'when');
+    if (when) {
+      target.children.push({
+        keyword: 'uses',
+        argument: augment.argument,
+        children: [when],
+        line: augment.line,
+        expansion: { module: context.owner, children: added }
+      });
+    } else {
+      target.children.push(...added);
+    }
+  }
+
+  uses.expansion = { module: grouping.context.owner, children: nodes };
+}
+
+/**
+ * YIN-shaped object of a list of substatements
+ */
+function toYinChildren(statements) {
+  const object = {};
+  for (const statement of statements) {
+    // Extension statements (prefix:keyword) and unknown keywords are left out
+    if (!(statement.keyword in YIN_ARGUMENTS)) continue;
+
+    const value = toYinObject(statement);
+    const existing = object[statement.keyword];
+    object[statement.keyword] = existing === undefined ? value : [].concat(existing, value);
+  }
+  return object;
+}
+
+/**
+ * YIN-shaped object of a statement, as xml2js returns the YIN element
+ * (explicitArray: false, mergeAttrs: true): '' for a statement without
+ * argument and substatements
+ */
+function toYinObject(statement) {
+  const argumentName = YIN_ARGUMENTS[statement.keyword];
+  const object = {};
+  if (argumentName && statement.argument !== null) {
+    object[argumentName] = statement.argument;
+  }
+  Object.assign(object, toYinChildren(statement.children));
+
+  if (statement.expansion) {
+    object._grouping = { module: statement.expansion.module, nodes: toYinChildren(statement.expansion.children) };
+  }
+
+  return Object.keys(object).length > 0 ? object : '';
+}
+
+/**
+ * Parse a YANG module or submodule with its groupings expanded
+ * @param {string} yangFilePath - Path to the .yang file
+ * @param {string} yangSearchPath - Directory containing imported and included modules
+ * @returns {{statement: object, context: object}} statement: { keyword, argument,
+ *          children, line }, every resolved uses with `expansion` ({ module, children });
+ *          context: { owner, prefixes, imports, searchDirs, ... }
+ * @throws {Error} With file and line on syntax errors
+ */
+export function loadYangModule(yangFilePath, yangSearchPath = null) {
+  const filePath = path.resolve(yangFilePath);
+  const searchDirs = [...new Set([yangSearchPath && path.resolve(yangSearchPath), path.dirname(filePath)].filter(Boolean))];
+
+  const context = moduleContext(filePath, searchDirs);
+  const statement = structuredClone(readStatement(filePath));
+  expandStatements(statement.children, [], context, 0);
+
+  return { statement, context };
+}
+
+/**
+ * Parse a YANG module or submodule into its YIN-shaped object
+ * @param {string} yangFilePath - Path to the .yang file
+ * @param {string} yangSearchPath - Directory containing imported and included modules
+ * @returns {object} { module: {...} } or { submodule: {...} }
+ * @throws {Error} With file and line on syntax errors
+ *
+ * @example
+ * const yinObj = parseYangModule('.yang-cache/ietf-interfaces@2018-02-20.yang', '.yang-cache');
+ * yinObj.module.container.list.key.value // 'name'
+ */
+export function parseYangModule(yangFilePath, yangSearchPath = null) {
+  const { statement } = loadYangModule(yangFilePath, yangSearchPath);
+  return { [statement.keyword]: toYinObject(statement) };
+}
+
+export { parseYang, findModuleFile, findChild, findChildren, schemaChildren };
+
+export default {
+  parseYangModule,
+  loadYangModule,
+  parseYang
+};
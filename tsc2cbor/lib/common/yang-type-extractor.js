@@ -1,14 +1,25 @@
 /**
  * YANG Type Extractor Module
  *
- * Extracts type information from YANG files using pyang → YIN → xml2js
+ * Extracts type information from YANG files, parsed by the built-in parser
+ * (yang-parser.js) or, as a fallback, with pyang → YIN → xml2js
  * Based on VelocityDriveSP architecture
+ *
+ * YANG_PARSER=pyang skips the built-in parser.
  */
 
 import { execSync } from 'child_process';
 import xml2js from 'xml2js';
 import fs from 'fs';
 import path from 'path';
+import { parseYangModule } from './yang-parser.js';
+
+// YANG built-in types (RFC 7950 §4.2.4); anything else names a typedef
+export const BUILTIN_TYPES = new Set([
+  'binary', 'bits', 'boolean', 'decimal64', 'empty', 'enumeration', 'identityref',
+  'instance-identifier', 'leafref', 'string', 'union',
+  'int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64'
+]);
 
 /**
  * Extract type information from YANG file
@@ -18,13 +29,10 @@ import path from 'path';
  */
 export async function extractYangTypes(yangFilePath, yangSearchPath = null) {
   try {
-    // 1. pyang → YIN (XML)
-    const yin = yangToYin(yangFilePath, yangSearchPath);
-
-    // 2. xml2js → JavaScript Object
-    const yinObj = await yinToJson(yin);
+    // 1. YANG → YIN-shaped JavaScript Object
+    const yinObj = await loadYinObject(yangFilePath, yangSearchPath);
 
-    // 3. Extract type information and schema info
+    // 2. Extract type information and schema info
     const { typeTable, schemaInfo } = extractTypesFromYin(yinObj);
 
     return { typeTable, schemaInfo };
@@ -34,6 +42,39 @@ export async function extractYangTypes(yangFilePath, yangSearchPath = null) {
   }
 }
 
+/**
+ * Parse a YANG file with the built-in parser, falling back to pyang when
+ * it fails (or when YANG_PARSER=pyang)
+ * @param {string} yangFilePath - Path to .yang file
+ * @param {string} yangSearchPath - Directory for imports
+ * @returns {Promise<object>} YIN-shaped object ({ module } or { submodule })
+ */
+async function loadYinObject(yangFilePath, yangSearchPath) {
+  let parserError = null;
+
+  if (process.env.YANG_PARSER !== 'pyang') {
+    try {
+      return parseYangModule(yangFilePath, yangSearchPath);
+    } catch (error) {
+      parserError = error;
+    }
+  }
+
+  // pyang → YIN (XML) → xml2js
+  let yin;
+  try {
+    yin = yangToYin(yangFilePath, yangSearchPath);
+  } catch (error) {
+    // Without pyang, the built-in parser's error is the useful one
+    throw parserError || error;
+  }
+
+  if (parserError) {
+    console.warn(`Built-in YANG parser failed (${parserError.message}); used pyang for ${path.basename(yangFilePath)}`);
+  }
+  return yinToJson(yin);
+}
+
 /**
  * Convert YANG to YIN (XML) using pyang
  * @param {string} yangFilePath - Path to .yang file
@@ -47,6 +88,7 @@ function yangToYin(yangFilePath, yangSearchPath) {
     const command = `pyang -f yin ${searchPathOption} ${yangFilePath}`;
     const yin = execSync(command, {
       encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'], // errors are reported through the exception
       maxBuffer: 10 * 1024 * 1024 // 10MB buffer
     });
 
@@ -102,7 +144,35 @@ function extractTypesFromYin(yinObj) {
 
     // Node types: path → "list" | "container" | "leaf" | "leaf-list"
     // Used to determine if a path points to a list (needs array wrapper)
-    nodeTypes: new Map()             // path → nodeType
+    nodeTypes: new Map(),            // path → nodeType
+
+    // List keys: path → key leaf names (in YANG "key" statement order)
+    // Used to split RFC 7951 trees into instance-identifiers
+    listKeys: new Map(),             // path → [keyName, ...]
+
+    // Module namespaces: module name → namespace URI
+    // Used for NETCONF XML input/output
+    namespaces: new Map(),           // moduleName → namespace
+
+    // must/when conditions: path → [{ kind, condition, errorMessage, module, context }]
+    // Evaluated by lib/encoder/must-when-validator.js
+    constraints: new Map(),          // path → [constraint, ...]
+
+    // XPath prefixes of each module (own prefix and imports)
+    prefixes: new Map(),             // moduleName → { prefix: moduleName }
+
+    // Identity bases for derived-from() / derived-from-or-self()
+    identities: new Map(),           // "module:identity" → ["module:base", ...]
+
+    // Paths declaring "config false"; their descendants are state data too
+    // Used to refuse writes and for get/fetch --config-only
+    configFalse: new Set(),          // path
+
+    // Default values of leaves and leaf-lists (get/fetch --with-defaults)
+    defaults: new Map(),             // path → { value, module } (value: array for leaf-lists)
+
+    // Leaves with "mandatory true"
+    mandatory: new Set()             // path
   };
 
   // Get module or submodule
@@ -114,6 +184,32 @@ function extractTypesFromYin(yinObj) {
   const moduleName = module.name;
   const namespace = module.namespace?.uri || '';
 
+  // Submodules have no namespace of their own (belongs-to module's)
+  if (namespace) {
+    schemaInfo.namespaces.set(moduleName, namespace);
+  }
+
+  // XPath expressions and identity bases use the prefixes of the module
+  // they are written in; a submodule's nodes belong to its parent module
+  const ownerModule = module['belongs-to']?.module || moduleName;
+  const prefixes = {};
+  const ownPrefix = module.prefix?.value || module['belongs-to']?.prefix?.value;
+  if (ownPrefix) {
+    prefixes[ownPrefix] = ownerModule;
+  }
+  asArray(module.import).forEach(imported => {
+    if (imported.prefix?.value) {
+      prefixes[imported.prefix.value] = imported.module;
+    }
+  });
+  schemaInfo.prefixes.set(ownerModule, prefixes);
+
+  // Extract identities with their bases as "module:name"
+  asArray(module.identity).forEach(identity => {
+    const bases = asArray(identity.base).map(base => qualifyName(base.name, prefixes, ownerModule));
+    schemaInfo.identities.set(`${ownerModule}:${identity.name}`, bases);
+  });
+
   // Extract typedefs
   if (module.typedef) {
     const typedefs = Array.isArray(module.typedef) ? module.typedef : [module.typedef];
@@ -122,18 +218,123 @@ function extractTypesFromYin(yinObj) {
     });
   }
 
-  // Initialize order counter
+  // Initialize order counter and nesting depth in choices / conditional augments
+  // and grouping definitions
   schemaInfo._orderCounter = 0;
+  schemaInfo._conditionalDepth = 0;
+  schemaInfo._groupingDepth = 0;
 
   // Extract container/list/leaf types
-  extractDataTypes(module, '', typeTable, schemaInfo, moduleName);
+  extractDataTypes(module, '', typeTable, schemaInfo, ownerModule);
 
-  // Remove internal counter before returning
+  // Remove internal counters before returning
   delete schemaInfo._orderCounter;
+  delete schemaInfo._conditionalDepth;
+  delete schemaInfo._groupingDepth;
 
   return { typeTable, schemaInfo };
 }
 
+/**
+ * Wrap a single xml2js child (or none) in an array
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Qualify "prefix:name" or "name" with the module name the prefix stands for
+ * @param {string} name - Name as written in the module
+ * @param {object} prefixes - prefix → module name
+ * @param {string} moduleName - Module the name is written in
+ * @returns {string} "module:name"
+ */
+function qualifyName(name, prefixes, moduleName) {
+  const [prefix, localName] = name.includes(':') ? name.split(':') : [null, name];
+  return `${(prefix && prefixes[prefix]) || moduleName}:${localName}`;
+}
+
+/**
+ * Record the must and when conditions of a data node
+ * @param {object} statement - YIN statement holding must/when
+ * @param {string} nodePath - Path of the data node they apply to
+ * @param {object} schemaInfo - Schema info (constraints)
+ * @param {string} moduleName - Module the expressions are written in
+ * @param {string} context - 'self': the node is the context node (must, and
+ *        when on the node itself); 'parent': its parent is (when on augment
+ *        or case, RFC 7950 §7.21.5)
+ */
+function recordConditions(statement, nodePath, schemaInfo, moduleName, context = 'self') {
+  if (schemaInfo._groupingDepth > 0) return;
+
+  const entries = [];
+
+  if (context === 'self') {
+    asArray(statement.must).forEach(must => {
+      entries.push({
+        kind: 'must',
+        condition: must.condition,
+        errorMessage: must['error-message']?.value ?? null,
+        module: moduleName,
+        context
+      });
+    });
+  }
+
+  if (statement.when?.condition) {
+    entries.push({ kind: 'when', condition: statement.when.condition, errorMessage: null, module: moduleName, context });
+  }
+
+  if (entries.length > 0) {
+    schemaInfo.constraints.set(nodePath, [...(schemaInfo.constraints.get(nodePath) || []), ...entries]);
+  }
+}
+
+/**
+ * Record a when condition of an augment or case on each data node it adds
+ */
+function recordParentWhen(statement, currentPath, schemaInfo, moduleName) {
+  if (!statement.when?.condition) return;
+
+  ['container', 'list', 'leaf', 'leaf-list'].forEach(key => {
+    asArray(statement[key]).forEach(child => {
+      const childPath = currentPath ? `${currentPath}/${child.name}` : child.name;
+      recordConditions({ when: statement.when }, childPath, schemaInfo, moduleName, 'parent');
+    });
+  });
+}
+
+/**
+ * Record "config false", "mandatory true" and default values of a data node
+ *
+ * Defaults and mandatory leaves inside a choice only apply to the active
+ * case, and those under a when condition only when it holds; neither is
+ * known from the schema alone, so they are not recorded.
+ *
+ * Nothing is recorded inside a grouping definition: its paths are not data
+ * nodes. The grouping's properties are recorded where it is used.
+ */
+function recordProperties(statement, nodePath, schemaInfo, moduleName) {
+  if (schemaInfo._groupingDepth > 0) return;
+
+  if (statement.config?.value === 'false') {
+    schemaInfo.configFalse.add(nodePath);
+  }
+
+  if (schemaInfo._conditionalDepth > 0 || statement.when) return;
+
+  if (statement.mandatory?.value === 'true') {
+    schemaInfo.mandatory.add(nodePath);
+  }
+
+  const defaults = asArray(statement.default).map(entry => entry.value);
+  if (defaults.length > 0) {
+    const value = schemaInfo.nodeTypes.get(nodePath) === 'leaf-list' ? defaults : defaults[0];
+    schemaInfo.defaults.set(nodePath, { value, module: moduleName });
+  }
+}
+
 /**
  * Extract typedef information
  */
@@ -170,6 +371,8 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
 
       // Record node type
       schemaInfo.nodeTypes.set(newPath, 'container');
+      recordConditions(container, newPath, schemaInfo, moduleName);
+      recordProperties(container, newPath, schemaInfo, moduleName);
 
       extractDataTypes(container, newPath, typeTable, schemaInfo, moduleName, depth + 1);
     });
@@ -190,6 +393,14 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
       // Record node type as 'list'
       schemaInfo.nodeTypes.set(newPath, 'list');
 
+      // Record key leaf names (e.g. key "name" or key "vid component")
+      const keyValue = list.key?.value;
+      if (keyValue) {
+        schemaInfo.listKeys.set(newPath, keyValue.trim().split(/\s+/));
+      }
+      recordConditions(list, newPath, schemaInfo, moduleName);
+      recordProperties(list, newPath, schemaInfo, moduleName);
+
       extractDataTypes(list, newPath, typeTable, schemaInfo, moduleName, depth + 1);
     });
   }
@@ -215,33 +426,16 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
       }
 
       if (leaf.type) {
-        let typeInfo = parseTypeNode(leaf.type);
-
-        // CRITICAL FIX: Resolve typedef to get actual type information
-        // If type is a typedef name (not a built-in type), resolve it
-        if (typeInfo.type && !typeInfo.enum && !typeInfo.bits && !typeInfo.base &&
-            !['enumeration', 'identityref', 'decimal64', 'bits', 'union', 'binary', 'boolean', 'string',
-              'uint8', 'uint16', 'uint32', 'uint64', 'int8', 'int16', 'int32', 'int64'].includes(typeInfo.type)) {
-          // This might be a typedef - check typeTable.typedefs
-          // Try with full name first, then without module prefix
-          let typedef = typeTable.typedefs.get(typeInfo.type);
-          if (!typedef && typeInfo.type.includes(':')) {
-            const strippedType = typeInfo.type.split(':')[1];
-            typedef = typeTable.typedefs.get(strippedType);
-          }
-          if (typedef) {
-            // Merge typedef info into typeInfo, keeping original type name
-            typeInfo = {
-              ...typedef,
-              original: typeInfo.type  // Keep original typedef name
-            };
-          }
-        }
+        // Resolve typedef chains to the built-in type (typedefs of this module;
+        // other modules' typedefs are resolved after loading, see input-loader.js)
+        const typeInfo = resolveTypedef(parseTypeNode(leaf.type), typeTable.typedefs);
 
         typeTable.types.set(leafPath, typeInfo);
 
         // Record node type
         schemaInfo.nodeTypes.set(leafPath, 'leaf');
+        recordConditions(leaf, leafPath, schemaInfo, moduleName);
+        recordProperties(leaf, leafPath, schemaInfo, moduleName);
 
         // Note: Enum BiMap is already stored in typeInfo.enum by parseTypeNode()
       }
@@ -261,42 +455,44 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
       }
 
       if (leafList.type) {
-        let typeInfo = parseTypeNode(leafList.type);
-
-        // CRITICAL FIX: Resolve typedef to get actual type information
-        if (typeInfo.type && !typeInfo.enum && !typeInfo.bits && !typeInfo.base &&
-            !['enumeration', 'identityref', 'decimal64', 'bits', 'union', 'binary', 'boolean', 'string',
-              'uint8', 'uint16', 'uint32', 'uint64', 'int8', 'int16', 'int32', 'int64'].includes(typeInfo.type)) {
-          // Try with full name first, then without module prefix
-          let typedef = typeTable.typedefs.get(typeInfo.type);
-          if (!typedef && typeInfo.type.includes(':')) {
-            const strippedType = typeInfo.type.split(':')[1];
-            typedef = typeTable.typedefs.get(strippedType);
-          }
-          if (typedef) {
-            typeInfo = {
-              ...typedef,
-              original: typeInfo.type
-            };
-          }
-        }
+        const typeInfo = resolveTypedef(parseTypeNode(leafList.type), typeTable.typedefs);
 
         typeTable.types.set(leafListPath, typeInfo);
 
         // Record node type
         schemaInfo.nodeTypes.set(leafListPath, 'leaf-list');
+        recordConditions(leafList, leafListPath, schemaInfo, moduleName);
+        recordProperties(leafList, leafListPath, schemaInfo, moduleName);
 
         // Note: Enum BiMap is already stored in typeInfo.enum by parseTypeNode()
       }
     });
   }
 
-  // Extract from grouping (for completeness)
+  // Extract from uses expanded by the built-in parser: the grouping's nodes
+  // are recorded where they are used (pyang's YIN leaves uses unexpanded)
+  if (node.uses) {
+    asArray(node.uses).forEach(uses => {
+      if (!uses._grouping) return;
+
+      const nodes = uses._grouping.nodes;
+      recordParentWhen({ when: uses.when, ...nodes }, currentPath, schemaInfo, moduleName);
+      const conditional = uses.when ? 1 : 0;
+      schemaInfo._conditionalDepth += conditional;
+      extractDataTypes(nodes, currentPath, typeTable, schemaInfo, uses._grouping.module, depth);
+      schemaInfo._conditionalDepth -= conditional;
+    });
+  }
+
+  // Extract from grouping (for completeness): types only, conditions and
+  // properties are recorded at the uses above
   if (node.grouping) {
     const groupings = Array.isArray(node.grouping) ? node.grouping : [node.grouping];
+    schemaInfo._groupingDepth++;
     groupings.forEach(grouping => {
       extractDataTypes(grouping, currentPath, typeTable, schemaInfo, moduleName, depth + 1);
     });
+    schemaInfo._groupingDepth--;
   }
 
   // Extract from augment nodes
@@ -314,7 +510,11 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
         .join('/');
 
       // Process augment's children with the target path as base
+      recordParentWhen(augment, strippedPath, schemaInfo, moduleName);
+      const conditional = augment.when ? 1 : 0;
+      schemaInfo._conditionalDepth += conditional;
       extractDataTypes(augment, strippedPath, typeTable, schemaInfo, moduleName, depth + 1);
+      schemaInfo._conditionalDepth -= conditional;
     });
   }
 }
@@ -325,10 +525,13 @@ function extractDataTypes(node, currentPath, typeTable, schemaInfo, moduleName,
 function processChoiceNode(choiceNode, currentPath, typeTable, schemaInfo, moduleName, depth) {
   if (!choiceNode) return;
 
+  schemaInfo._conditionalDepth = (schemaInfo._conditionalDepth || 0) + 1;
+
   // Handle explicit cases
   if (choiceNode.case) {
     const cases = Array.isArray(choiceNode.case) ? choiceNode.case : [choiceNode.case];
     cases.forEach(caseNode => {
+      recordParentWhen(caseNode, currentPath, schemaInfo, moduleName);
       extractDataTypes(caseNode, currentPath, typeTable, schemaInfo, moduleName, depth + 1);
     });
   }
@@ -342,6 +545,8 @@ function processChoiceNode(choiceNode, currentPath, typeTable, schemaInfo, modul
       extractDataTypes(element, currentPath, typeTable, schemaInfo, moduleName, depth + 1);
     });
   });
+
+  schemaInfo._conditionalDepth--;
 }
 
 /**
@@ -387,6 +592,12 @@ function parseTypeNode(typeNode) {
     typeInfo.base = typeNode.base?.name || null;
   }
 
+  // Handle leafref (path is kept as written; require-instance defaults to true)
+  if (typeName === 'leafref' && typeNode.path?.value) {
+    typeInfo.path = typeNode.path.value;
+    typeInfo.requireInstance = typeNode['require-instance']?.value !== 'false';
+  }
+
   // Handle bits
   if (typeName === 'bits' && typeNode.bit) {
     const bits = Array.isArray(typeNode.bit) ? typeNode.bit : [typeNode.bit];
@@ -411,9 +622,15 @@ function parseTypeNode(typeNode) {
     typeInfo.length = typeNode.length.value;
   }
 
-  // Handle pattern
-  if (typeNode.pattern?.value) {
-    typeInfo.pattern = typeNode.pattern.value;
+  // Handle pattern (a value must match every pattern; invert-match negates one)
+  if (typeNode.pattern) {
+    const patterns = Array.isArray(typeNode.pattern) ? typeNode.pattern : [typeNode.pattern];
+    typeInfo.patterns = patterns
+      .filter(pattern => pattern.value !== undefined)
+      .map(pattern => ({
+        pattern: pattern.value,
+        invertMatch: pattern.modifier?.value === 'invert-match'
+      }));
   }
 
   // Handle union
@@ -425,6 +642,46 @@ function parseTypeNode(typeNode) {
   return typeInfo;
 }
 
+/**
+ * Resolve a typedef chain down to its built-in type
+ *
+ * Range and length of the most derived type win (a derived type may only
+ * narrow them, RFC 7950 §9.2.4, §9.4.4); the patterns of every level apply
+ * (§9.4.5). Union member types are resolved as well.
+ *
+ * @param {object} typeInfo - Parsed type info
+ * @param {Map} typedefs - typedef name → type info
+ * @param {Set<string>} seen - typedef names on the current chain (cycle guard)
+ * @returns {object} Resolved type info; `original` keeps the declared type name.
+ *          Returned unchanged when the typedef is not (yet) known.
+ */
+export function resolveTypedef(typeInfo, typedefs, seen = new Set()) {
+  if (!typeInfo?.type) return typeInfo;
+
+  if (BUILTIN_TYPES.has(typeInfo.type)) {
+    if (!typeInfo.unionTypes) return typeInfo;
+    return {
+      ...typeInfo,
+      unionTypes: typeInfo.unionTypes.map(member => resolveTypedef(member, typedefs, seen))
+    };
+  }
+
+  // Try with full name first, then without module prefix
+  const strippedType = typeInfo.type.includes(':') ? typeInfo.type.split(':')[1] : typeInfo.type;
+  const typedefName = typedefs.has(typeInfo.type) ? typeInfo.type : strippedType;
+  const typedef = typedefs.get(typedefName);
+  if (!typedef || seen.has(typedefName)) return typeInfo;
+
+  const base = resolveTypedef(typedef, typedefs, new Set([...seen, typedefName]));
+  const resolved = { ...base, original: typeInfo.original || typeInfo.type };
+
+  if (typeInfo.range) resolved.range = typeInfo.range;
+  if (typeInfo.length) resolved.length = typeInfo.length;
+  if (typeInfo.patterns) resolved.patterns = [...(base.patterns || []), ...typeInfo.patterns];
+
+  return resolved;
+}
+
 /**
  * Load multiple YANG files and merge type tables
  * @param {string[]} yangFiles - Array of YANG file paths
@@ -5,7 +5,10 @@
  * CBOR Map with Delta-SID → Nested JSON Object
  */
 
-import { decodeValue } from './value-decoder.js';
+import { decodeValue, decodeValueJson } from './value-decoder.js';
+import { bigintReplacer } from '../common/data-format.js';
+import { findListKeys } from '../parser/instance-id-converter.js';
+import { encodeValue } from '../encoder/value-encoder.js';
 
 /**
  * Decode CBOR Map to nested object, resolving Delta-SIDs
@@ -14,9 +17,10 @@ import { decodeValue } from './value-decoder.js';
  * @param {object} typeTable - Type table for value decoding
  * @param {object} sidInfo - SID tree for identity resolution
  * @param {number|null} parentSid - Parent's absolute SID
+ * @param {object} options - { json: RFC 7951 JSON value encoding }
  * @returns {*} Decoded JavaScript object
  */
-function cborToJsonDelta(cborData, sidToInfo, typeTable, sidInfo, parentSid = null) {
+function cborToJsonDelta(cborData, sidToInfo, typeTable, sidInfo, parentSid = null, options = {}) {
   // Primitives
   if (cborData === null || cborData === undefined || typeof cborData !== 'object') {
     return cborData;
@@ -24,7 +28,7 @@ function cborToJsonDelta(cborData, sidToInfo, typeTable, sidInfo, parentSid = nu
 
   // Arrays - recursively decode each item with same parentSid
   if (Array.isArray(cborData)) {
-    return cborData.map(item => cborToJsonDelta(item, sidToInfo, typeTable, sidInfo, parentSid));
+    return cborData.map(item => cborToJsonDelta(item, sidToInfo, typeTable, sidInfo, parentSid, options));
   }
 
   // Maps and plain Objects with SID keys - resolve SIDs and recursively decode
@@ -86,20 +90,25 @@ function cborToJsonDelta(cborData, sidToInfo, typeTable, sidInfo, parentSid = nu
 
       // Get type info for value decoding
       const typeInfo = yangPath ? typeTable.types.get(yangPath) : null;
+      const decodeLeaf = (item) => options.json
+        ? decodeValueJson(item, typeInfo, sidInfo, yangPath)
+        : decodeValue(item, typeInfo, sidInfo, false, null, yangPath);
 
       // Recursively decode value
       let decodedValue;
       const isNestedMap = value instanceof Map;
       const isNestedObject = value && typeof value === 'object' && !Array.isArray(value) && value.constructor === Object;
+      const isLeafList = typeInfo && Array.isArray(value) && value.every(item => !isNestedNode(item));
 
-      if (isNestedMap || isNestedObject || Array.isArray(value)) {
+      if (isLeafList) {
+        // Leaf-list - decode each value based on type
+        decodedValue = value.map(decodeLeaf);
+      } else if (isNestedMap || isNestedObject || Array.isArray(value)) {
         // Nested structure - recurse with current absoluteSid as parentSid
-        decodedValue = cborToJsonDelta(value, sidToInfo, typeTable, sidInfo, absoluteSid);
+        decodedValue = cborToJsonDelta(value, sidToInfo, typeTable, sidInfo, absoluteSid, options);
       } else {
         // Leaf value - decode based on type
-        decodedValue = typeInfo
-          ? decodeValue(value, typeInfo, sidInfo, false, null, yangPath)
-          : value;
+        decodedValue = typeInfo ? decodeLeaf(value) : value;
       }
 
       result[decodedKey] = decodedValue;
@@ -112,6 +121,192 @@ function cborToJsonDelta(cborData, sidToInfo, typeTable, sidInfo, parentSid = nu
   return cborData;
 }
 
+/**
+ * Check for a Map or plain object (container or list entry)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNestedNode(value) {
+  return value instanceof Map || (value !== null && typeof value === 'object' && value.constructor === Object);
+}
+
+/**
+ * Place a node that arrived without its ancestors (an iFETCH response of a
+ * leaf or an inner container, keyed by absolute SID) under its full schema
+ * path, so the tree starts with module-qualified top-level nodes (RFC 7951)
+ * @param {object} result - Tree being built
+ * @param {object} nodeInfo - SID node info of the fetched node
+ * @param {*} value - Decoded value
+ * @param {Map} sidToInfo - Reverse-lookup map SID → node info
+ * @param {object|null} schemaInfo - Schema info with listKeys
+ */
+function nestUnderAncestors(result, nodeInfo, value, sidToInfo, schemaInfo) {
+  const ancestors = [];
+  for (let info = sidToInfo.get(nodeInfo.parent); info; info = info.parent !== null ? sidToInfo.get(info.parent) : null) {
+    ancestors.unshift(info);
+  }
+
+  let current = result;
+  for (const ancestor of ancestors) {
+    const name = ancestor.localName;
+    if (findListKeys(ancestor.path, schemaInfo)) {
+      // The response carries no list keys: one entry per fetched node
+      if (!Array.isArray(current[name])) {
+        current[name] = [];
+      }
+      const entry = {};
+      current[name].push(entry);
+      current = entry;
+    } else {
+      if (!isNestedNode(current[name])) {
+        current[name] = {};
+      }
+      current = current[name];
+    }
+  }
+
+  current[nodeInfo.localName] = value;
+}
+
+/**
+ * Map with numeric keys for a Map or plain object (CBOR map) at one level
+ * @param {Map|object} value
+ * @returns {Map}
+ */
+function toSidMap(value) {
+  if (value instanceof Map) return value;
+
+  const map = new Map();
+  for (const [key, item] of Object.entries(value)) {
+    const numKey = Number(key);
+    map.set(!isNaN(numKey) && String(numKey) === key ? numKey : key, item);
+  }
+  return map;
+}
+
+/**
+ * Wrap one iFETCH response item in its ancestors, with the query's keys
+ *
+ * The response to [SID, key1, key2, ...] holds only the fetched node, keyed
+ * by its absolute SID. Each list ancestor consumes as many query keys as it
+ * has key leaves (outermost list first, RFC 9254 §6.13.1), which become the key
+ * leaves of its entry.
+ * @param {Map} item - Response item {SID: value}
+ * @param {number|Array} query - Query entry: SID or [SID, key1, key2, ...]
+ * @param {object} typeTable - Type table, for encoding key values
+ * @param {object} sidInfo - SID tree with sidToInfo and pathToInfo
+ * @param {object|null} schemaInfo - Schema info with listKeys
+ * @returns {Map} Item keyed by a top-level SID, Delta-SIDs below it
+ */
+function wrapFetchedItem(item, query, typeTable, sidInfo, schemaInfo) {
+  const [sid, ...keyValues] = Array.isArray(query) ? query : [query];
+  const nodeInfo = sidInfo.sidToInfo.get(sid);
+  if (!nodeInfo || nodeInfo.parent === null || !item.has(sid)) {
+    return item;
+  }
+
+  const ancestors = [];
+  for (let ancestorSid = nodeInfo.parent; ancestorSid !== null; ancestorSid = sidInfo.sidToInfo.get(ancestorSid)?.parent ?? null) {
+    ancestors.unshift({ sid: ancestorSid, info: sidInfo.sidToInfo.get(ancestorSid) });
+  }
+  for (const ancestor of ancestors) {
+    const keyNames = ancestor.info && findListKeys(ancestor.info.path, schemaInfo);
+    if (keyNames) {
+      ancestor.keys = keyNames.map(name => [name, keyValues.shift()]).filter(([, value]) => value !== undefined);
+    }
+  }
+
+  let childSid = sid;
+  let childValue = item.get(sid);
+  for (const ancestor of ancestors.reverse()) {
+    const entry = new Map();
+    for (const [name, value] of ancestor.keys || []) {
+      const keyPath = `${ancestor.info.path}/${name}`;
+      const keySid = sidInfo.pathToInfo.get(keyPath)?.sid;
+      if (keySid === undefined || keySid === childSid) continue;
+
+      let encoded = value;
+      try {
+        encoded = encodeValue(value, typeTable.types.get(keyPath), sidInfo);
+      } catch {
+        // Keep the value as written in the query
+      }
+      entry.set(keySid - ancestor.sid, encoded);
+    }
+    entry.set(childSid - ancestor.sid, childValue);
+
+    childSid = ancestor.sid;
+    childValue = ancestor.keys ? [entry] : entry;
+  }
+
+  return new Map([[childSid, childValue]]);
+}
+
+/**
+ * Merge a wrapped response item into the response tree
+ * List entries with the same key leaves are merged, others appended.
+ * @param {Map} target - Merged tree (Delta-SID keys below the top level)
+ * @param {Map} source - Item to merge in
+ * @param {number|null} parentSid - Absolute SID of the node holding both maps
+ * @param {object} sidInfo - SID tree
+ * @param {object|null} schemaInfo - Schema info with listKeys
+ */
+function mergeFetchedItem(target, source, parentSid, sidInfo, schemaInfo) {
+  for (const [key, value] of toSidMap(source)) {
+    const sid = typeof key === 'number' && parentSid !== null ? parentSid + key : key;
+    const existing = target.get(key);
+
+    if (isNestedNode(existing) && isNestedNode(value)) {
+      const merged = toSidMap(existing);
+      mergeFetchedItem(merged, value, sid, sidInfo, schemaInfo);
+      target.set(key, merged);
+    } else if (Array.isArray(existing) && Array.isArray(value) && value.every(isNestedNode)) {
+      const listInfo = sidInfo.sidToInfo.get(sid);
+      const keyDeltas = ((listInfo && findListKeys(listInfo.path, schemaInfo)) || [])
+        .map(name => sidInfo.pathToInfo.get(`${listInfo.path}/${name}`)?.sid)
+        .filter(keySid => keySid !== undefined)
+        .map(keySid => keySid - sid);
+      const entries = existing.map(toSidMap);
+
+      for (const entry of value.map(toSidMap)) {
+        const same = keyDeltas.length > 0 && entries.find(other =>
+          keyDeltas.every(delta => other.has(delta) && entry.has(delta) && String(other.get(delta)) === String(entry.get(delta))));
+        if (same) {
+          mergeFetchedItem(same, entry, sid, sidInfo, schemaInfo);
+        } else {
+          entries.push(entry);
+        }
+      }
+      target.set(key, entries);
+    } else {
+      target.set(key, value);
+    }
+  }
+}
+
+/**
+ * Combine the items of an iFETCH response with the queries they answer
+ *
+ * A response holds one item per query, in query order (CORECONF iFETCH).
+ * Each fetched node is placed under its ancestors with the query's list keys,
+ * so list entries keep their keys (and instance-id output its predicates).
+ * @param {Array} items - Decoded response items (null for missing instances)
+ * @param {Array} queries - Query entries: SID or [SID, key1, key2, ...]
+ * @param {object} typeTable - Type table
+ * @param {object} sidInfo - SID tree
+ * @param {object|null} schemaInfo - Schema info with listKeys
+ * @returns {Map} One CBOR map with top-level SIDs, for detransform()
+ */
+export function mergeFetchResponse(items, queries, typeTable, sidInfo, schemaInfo = null) {
+  const merged = new Map();
+  items.forEach((item, index) => {
+    if (!isNestedNode(item)) return;
+    const wrapped = wrapFetchedItem(toSidMap(item), queries[index], typeTable, sidInfo, schemaInfo);
+    mergeFetchedItem(merged, wrapped, null, sidInfo, schemaInfo);
+  });
+  return merged;
+}
+
 /**
  * Detransform CBOR Map to flat YANG path object (legacy interface)
  * @param {Map|object} cborData - CBOR Map or object
@@ -137,9 +332,15 @@ export function detransformFromDeltaSid(cborData, typeTable, sidInfo) {
  * @param {Map|object} cborData - CBOR Map or object
  * @param {object} typeTable - Type table
  * @param {object} sidInfo - SID tree with nodeInfo
- * @returns {object} Nested object
+ * @param {object} [options] - Detransform options
+ * @param {boolean} [options.json=false] - Encode values per RFC 7951 JSON rules
+ *        (64-bit integers as strings, module-qualified identities, ...)
+ * @param {object} [options.schemaInfo] - Schema info with listKeys, for list
+ *        ancestors of fetched nodes
+ * @returns {object} Nested object; nodes below the top level (iFETCH responses)
+ *          are placed under their ancestors
  */
-export function detransform(cborData, typeTable, sidInfo) {
+export function detransform(cborData, typeTable, sidInfo, options = {}) {
   const sidToInfo = sidInfo.sidToInfo;
 
   // Convert to Map if needed, preserving numeric keys
@@ -158,7 +359,18 @@ export function detransform(cborData, typeTable, sidInfo) {
   }
 
   // Decode with Delta-SID support, keeping nested structure
-  return cborToJsonDelta(cborMap, sidToInfo, typeTable, sidInfo, null);
+  const result = {};
+  for (const [key, value] of cborMap) {
+    const decoded = cborToJsonDelta(new Map([[key, value]]), sidToInfo, typeTable, sidInfo, null, options);
+    const nodeInfo = typeof key === 'number' ? sidToInfo.get(key) : null;
+
+    if (nodeInfo && nodeInfo.parent !== null) {
+      nestUnderAncestors(result, nodeInfo, decoded[nodeInfo.localName], sidToInfo, options.schemaInfo || null);
+    } else {
+      Object.assign(result, decoded);
+    }
+  }
+  return result;
 }
 
 /**
@@ -244,7 +456,7 @@ export function getDetransformStats(deltaSidObj, nested) {
     sidKeys,
     nestedKeys,
     expansionRatio: sidKeys > 0 ? nestedKeys / sidKeys : 1,
-    deltaSidSize: JSON.stringify(deltaSidObj instanceof Map ? Object.fromEntries(deltaSidObj) : deltaSidObj).length,
-    nestedSize: JSON.stringify(nested).length
+    deltaSidSize: JSON.stringify(deltaSidObj instanceof Map ? Object.fromEntries(deltaSidObj) : deltaSidObj, bigintReplacer).length,
+    nestedSize: JSON.stringify(nested, bigintReplacer).length
   };
 }
@@ -5,12 +5,17 @@
  * More efficient than RFC7951 → Instance-ID conversion.
  *
  * CBOR Map with Delta-SID → Instance-Identifier Array
+ *
+ * Key leaves go into list predicates, so the output of get/fetch/decode
+ * can be passed straight back to `patch`.
  */
 
 import { decodeValue } from './value-decoder.js';
+import { findListKeys } from '../parser/instance-id-converter.js';
 
 /**
  * List key definitions for known YANG modules
+ * Fallback when the schema info carries no key statement for a list
  */
 const LIST_KEYS = {
   'interface': ['name'],
@@ -32,6 +37,19 @@ const LIST_KEYS = {
   'oper-control-list': ['index'],
 };
 
+/**
+ * Key leaf names of a list
+ * @param {string} listPath - Schema path of the list without module prefixes
+ * @param {object|null} schemaInfo - Schema info with listKeys
+ * @returns {Array<string>|null} Key names, or null if the node is not a known list
+ */
+function getListKeyNames(listPath, schemaInfo) {
+  const fromSchema = findListKeys(listPath, schemaInfo);
+  if (fromSchema) return fromSchema;
+
+  return LIST_KEYS[listPath.split('/').pop()] || null;
+}
+
 /**
  * Build XPath from prefixed YANG path with list key predicates
  */
@@ -57,70 +75,88 @@ function buildXPath(prefixedPath, listKeys) {
 
 /**
  * Check if value is a leaf (primitive) value
+ * Anything that is not a Map, plain object or array is a leaf (CBOR tags, buffers, ...)
  */
 function isLeafValue(value) {
   if (value === null || value === undefined) return true;
-  if (typeof value === 'string') return true;
-  if (typeof value === 'number') return true;
-  if (typeof value === 'boolean') return true;
-  if (Buffer.isBuffer(value)) return true;
-  return false;
+  if (value instanceof Map || Array.isArray(value)) return false;
+  return !(typeof value === 'object' && value.constructor === Object);
+}
+
+/**
+ * Resolve a Delta-SID or Absolute-SID key against its parent
+ * @returns {{nodeInfo: object, absoluteSid: number}|null}
+ */
+function resolveNode(key, parentSid, sidToInfo) {
+  if (parentSid !== null) {
+    const potentialSid = key + parentSid;
+    const potentialNode = sidToInfo.get(potentialSid);
+    if (potentialNode && potentialNode.parent === parentSid) {
+      return { nodeInfo: potentialNode, absoluteSid: potentialSid };
+    }
+  }
+
+  const nodeInfo = sidToInfo.get(key);
+  return nodeInfo ? { nodeInfo, absoluteSid: key } : null;
+}
+
+/**
+ * Iterate Map or object entries with numeric string keys restored to numbers
+ */
+function* numericEntries(data) {
+  const isMap = data instanceof Map;
+  const entries = isMap ? data.entries() : Object.entries(data);
+
+  for (let [key, value] of entries) {
+    if (!isMap && typeof key === 'string') {
+      const numKey = Number(key);
+      if (!isNaN(numKey) && String(numKey) === key) {
+        key = numKey;
+      }
+    }
+    yield [key, value];
+  }
+}
+
+/**
+ * Decode a leaf or leaf-list value with its type info
+ */
+function decodeLeaf(value, nodeInfo, typeTable, sidInfo) {
+  const typeInfo = typeTable.types.get(nodeInfo.path);
+  if (!typeInfo) return value;
+
+  if (Array.isArray(value)) {
+    return value.map(item => decodeValue(item, typeInfo, sidInfo, false, null, nodeInfo.path));
+  }
+  return decodeValue(value, typeInfo, sidInfo, false, null, nodeInfo.path);
 }
 
 /**
  * Recursively extract instance-identifier entries from CBOR data
  */
-function extractInstanceIds(cborData, sidToInfo, typeTable, sidInfo, parentSid, currentPrefixedPath, listKeys, results) {
+function extractInstanceIds(cborData, context, parentSid, currentPrefixedPath, listKeys, results) {
+  const { sidToInfo, typeTable, sidInfo, schemaInfo } = context;
+
   if (cborData === null || cborData === undefined || typeof cborData !== 'object') {
     return;
   }
 
   // Handle arrays (lists)
   if (Array.isArray(cborData)) {
+    const listNode = sidToInfo.get(parentSid);
+    const keyNames = (listNode && getListKeyNames(listNode.path, schemaInfo)) || ['name', 'index'];
+
     for (const item of cborData) {
       if (item && typeof item === 'object') {
         const itemListKeys = new Map(listKeys);
-        const listName = currentPrefixedPath.split('/').pop();
-        const nodeName = listName.includes(':') ? listName.split(':')[1] : listName;
-        const keyNames = LIST_KEYS[nodeName] || ['name', 'index'];
-
         const itemKeys = {};
-        const isMap = item instanceof Map;
-        const entries = isMap ? item.entries() : Object.entries(item);
-
-        for (let [key, value] of entries) {
-          if (!isMap && typeof key === 'string') {
-            const numKey = Number(key);
-            if (!isNaN(numKey) && String(numKey) === key) {
-              key = numKey;
-            }
-          }
 
-          if (typeof key === 'number') {
-            let absoluteSid = null;
-            let nodeInfo = null;
-
-            if (parentSid !== null) {
-              const potentialSid = key + parentSid;
-              const potentialNode = sidToInfo.get(potentialSid);
-              if (potentialNode && potentialNode.parent === parentSid) {
-                nodeInfo = potentialNode;
-                absoluteSid = potentialSid;
-              }
-            }
-
-            if (!nodeInfo) {
-              nodeInfo = sidToInfo.get(key);
-              if (nodeInfo) absoluteSid = key;
-            }
-
-            if (nodeInfo && keyNames.includes(nodeInfo.localName)) {
-              const typeInfo = typeTable.types.get(nodeInfo.path);
-              const decodedValue = typeInfo
-                ? decodeValue(value, typeInfo, sidInfo, false, null, nodeInfo.path)
-                : value;
-              itemKeys[nodeInfo.localName] = decodedValue;
-            }
+        for (const [key, value] of numericEntries(item)) {
+          if (typeof key !== 'number') continue;
+
+          const resolved = resolveNode(key, parentSid, sidToInfo);
+          if (resolved && keyNames.includes(resolved.nodeInfo.strippedLocalName)) {
+            itemKeys[resolved.nodeInfo.strippedLocalName] = decodeLeaf(value, resolved.nodeInfo, typeTable, sidInfo);
           }
         }
 
@@ -128,7 +164,7 @@ function extractInstanceIds(cborData, sidToInfo, typeTable, sidInfo, parentSid,
           itemListKeys.set(currentPrefixedPath, itemKeys);
         }
 
-        extractInstanceIds(item, sidToInfo, typeTable, sidInfo, parentSid, currentPrefixedPath, itemListKeys, results);
+        extractInstanceIds(item, context, parentSid, currentPrefixedPath, itemListKeys, results);
       }
     }
     return;
@@ -139,68 +175,47 @@ function extractInstanceIds(cborData, sidToInfo, typeTable, sidInfo, parentSid,
   const isPlainObject = !isMap && cborData.constructor === Object;
 
   if (isMap || isPlainObject) {
-    const entries = isMap ? cborData.entries() : Object.entries(cborData);
-
-    for (let [key, value] of entries) {
-      if (!isMap && typeof key === 'string') {
-        const numKey = Number(key);
-        if (!isNaN(numKey) && String(numKey) === key) {
-          key = numKey;
-        }
-      }
-
+    for (const [key, value] of numericEntries(cborData)) {
       if (typeof key !== 'number') continue;
 
-      let absoluteSid = null;
-      let nodeInfo = null;
-
-      if (parentSid !== null) {
-        const potentialSid = key + parentSid;
-        const potentialNode = sidToInfo.get(potentialSid);
-        if (potentialNode && potentialNode.parent === parentSid) {
-          nodeInfo = potentialNode;
-          absoluteSid = potentialSid;
-        }
-      }
-
-      if (!nodeInfo) {
-        nodeInfo = sidToInfo.get(key);
-        if (nodeInfo) absoluteSid = key;
-      }
-
-      if (!nodeInfo) {
+      const resolved = resolveNode(key, parentSid, sidToInfo);
+      if (!resolved) {
         console.warn(`Unknown SID: ${key}`);
         continue;
       }
 
-      const newPrefixedPath = nodeInfo.prefixedPath;
-
-      if (isLeafValue(value)) {
-        const xpath = buildXPath(newPrefixedPath, listKeys);
-        const typeInfo = typeTable.types.get(nodeInfo.path);
-        const decodedValue = typeInfo
-          ? decodeValue(value, typeInfo, sidInfo, false, null, nodeInfo.path)
-          : value;
-
-        results.push({ [xpath]: decodedValue });
-      } else if (Array.isArray(value)) {
-        extractInstanceIds(value, sidToInfo, typeTable, sidInfo, absoluteSid, newPrefixedPath, listKeys, results);
-      } else {
-        extractInstanceIds(value, sidToInfo, typeTable, sidInfo, absoluteSid, newPrefixedPath, listKeys, results);
-      }
+      const { nodeInfo, absoluteSid } = resolved;
+      emitNode(value, nodeInfo, absoluteSid, context, listKeys, results);
     }
   }
 }
 
+/**
+ * Emit a resolved node: leaves and leaf-lists become entries, the rest is walked
+ */
+function emitNode(value, nodeInfo, absoluteSid, context, listKeys, results) {
+  const { typeTable, sidInfo } = context;
+  const newPrefixedPath = nodeInfo.prefixedPath;
+  const isLeafList = Array.isArray(value) && value.every(isLeafValue);
+
+  if (isLeafValue(value) || (isLeafList && value.length > 0)) {
+    const xpath = buildXPath(newPrefixedPath, listKeys);
+    results.push({ [xpath]: decodeLeaf(value, nodeInfo, typeTable, sidInfo) });
+  } else {
+    extractInstanceIds(value, context, absoluteSid, newPrefixedPath, listKeys, results);
+  }
+}
+
 /**
  * Detransform CBOR to Instance-Identifier format
  * @param {Map|object} cborData - CBOR data with Delta-SID encoding
  * @param {object} typeTable - Type table
  * @param {object} sidInfo - SID tree
+ * @param {object} [schemaInfo] - Schema info with listKeys (falls back to LIST_KEYS)
  * @returns {Array<Object>} Array of instance-identifier entries
  */
-export function detransformToInstanceId(cborData, typeTable, sidInfo) {
-  const sidToInfo = sidInfo.sidToInfo;
+export function detransformToInstanceId(cborData, typeTable, sidInfo, schemaInfo = null) {
+  const context = { sidToInfo: sidInfo.sidToInfo, typeTable, sidInfo, schemaInfo };
   const results = [];
   const listKeys = new Map();
 
@@ -209,33 +224,68 @@ export function detransformToInstanceId(cborData, typeTable, sidInfo) {
     cborMap = cborData;
   } else {
     cborMap = new Map();
-    for (const [key, value] of Object.entries(cborData)) {
-      const numKey = Number(key);
-      const actualKey = !isNaN(numKey) && String(numKey) === key ? numKey : key;
-      cborMap.set(actualKey, value);
+    for (const [key, value] of numericEntries(cborData)) {
+      cborMap.set(key, value);
     }
   }
 
-  extractInstanceIds(cborMap, sidToInfo, typeTable, sidInfo, null, '', listKeys, results);
+  extractInstanceIds(cborMap, context, null, '', listKeys, results);
 
   return results;
 }
 
 /**
  * Filter out list key entries
+ *
+ * A key leaf is already part of its list entry's predicate
+ * (/list[name='1']/name), so repeating it would patch the key itself.
+ * A list entry that holds nothing but its keys is kept as one
+ * { "/list[name='1']": { name: '1' } } item so that it is not lost.
  */
 export function filterListKeys(instanceIdEntries) {
-  return instanceIdEntries.filter(entry => {
-    const xpath = Object.keys(entry)[0];
-    const leafName = xpath.split('/').pop().split('[')[0];
+  const isKeyEntry = (xpath) => {
+    const segments = xpath.split('/');
+    const leafName = segments.pop();
+    const parent = segments[segments.length - 1] || '';
+    return parent.includes(`[${leafName.split(':').pop()}=`);
+  };
+
+  const entryPath = (xpath) => xpath.substring(0, xpath.lastIndexOf('/'));
 
-    for (const keyNames of Object.values(LIST_KEYS)) {
-      if (keyNames.includes(leafName) && xpath.includes('[')) {
-        return false;
+  const entriesWithData = new Set();
+  for (const entry of instanceIdEntries) {
+    const xpath = Object.keys(entry)[0];
+    if (!isKeyEntry(xpath)) {
+      // Every list entry on the way down holds data
+      let path = xpath;
+      while (path) {
+        path = entryPath(path);
+        entriesWithData.add(path);
       }
     }
-    return true;
-  });
+  }
+
+  const result = [];
+  const keyOnlyEntries = new Map();
+  for (const entry of instanceIdEntries) {
+    const xpath = Object.keys(entry)[0];
+    if (!isKeyEntry(xpath)) {
+      result.push(entry);
+      continue;
+    }
+
+    const listEntry = entryPath(xpath);
+    if (entriesWithData.has(listEntry)) continue;
+
+    if (!keyOnlyEntries.has(listEntry)) {
+      const keys = {};
+      keyOnlyEntries.set(listEntry, keys);
+      result.push({ [listEntry]: keys });
+    }
+    keyOnlyEntries.get(listEntry)[xpath.split('/').pop().split(':').pop()] = entry[xpath];
+  }
+
+  return result;
 }
 
 export default {
@@ -98,6 +98,112 @@ export function decodeValue(cborValue, typeInfo, sidInfo = null, isUnion = false
   }
 }
 
+/**
+ * Decode CBOR value to its RFC 7951 JSON representation (RFC 7951 §6)
+ * Same as decodeValue(), except:
+ * - int64, uint64 and decimal64 are strings
+ * - identities carry their module prefix ("iana-if-type:ethernetCsmacd")
+ * - bits are one space-separated string
+ * - empty is [null]
+ * @param {*} cborValue - CBOR encoded value
+ * @param {object} typeInfo - Type information from yang-type-extractor
+ * @param {object} sidInfo - SID tree for identity resolution
+ * @param {string} yangPath - YANG path for error reporting (optional)
+ * @returns {*} Decoded value
+ */
+export function decodeValueJson(cborValue, typeInfo, sidInfo = null, yangPath = null) {
+  const value = decodeValue(cborValue, typeInfo, sidInfo, false, null, yangPath);
+  if (!typeInfo || !typeInfo.type) {
+    return value;
+  }
+
+  // Identity SID, possibly Tag(45) inside a union
+  const identitySid = cborValue instanceof Tag && cborValue.tag === 45 ? cborValue.value : cborValue;
+
+  switch (typeInfo.type) {
+    case 'int64':
+    case 'uint64':
+      return typeof value === 'number' || typeof value === 'bigint' ? String(value) : value;
+
+    case 'decimal64':
+      return typeof value === 'number' ? formatDecimal64(value, typeInfo.fractionDigits) : value;
+
+    case 'bits':
+      return Array.isArray(value) ? value.join(' ') : value;
+
+    case 'empty':
+      return [null];
+
+    case 'identityref':
+      return qualifyIdentity(identitySid, sidInfo) || value;
+
+    case 'union':
+      return cborValue instanceof Tag && cborValue.tag === 45
+        ? qualifyIdentity(identitySid, sidInfo) || value
+        : value;
+
+    default:
+      // Typedefs with embedded enum/bits/identityref, same order as decodeValue()
+      if (typeInfo.enum) {
+        return value;
+      }
+      if (typeInfo.bits) {
+        return Array.isArray(value) ? value.join(' ') : value;
+      }
+      if (typeInfo.base) {
+        return qualifyIdentity(identitySid, sidInfo) || value;
+      }
+      return value;
+  }
+}
+
+// sidInfo -> Map(SID -> "module:identity"), built on first use
+const qualifiedIdentityCache = new WeakMap();
+
+/**
+ * Module-qualified name of an identity SID
+ * @param {number} sid - Identity SID
+ * @param {object} sidInfo - SID tree with identityToSid map
+ * @returns {string|null} "module:identity", or null if unknown
+ */
+function qualifyIdentity(sid, sidInfo) {
+  if (!sidInfo || !sidInfo.identityToSid || typeof sid !== 'number') {
+    return null;
+  }
+
+  let qualified = qualifiedIdentityCache.get(sidInfo);
+  if (!qualified) {
+    // identityToSid holds both "name" and "module:name" keys
+    qualified = new Map();
+    for (const [name, identitySid] of sidInfo.identityToSid) {
+      if (name.includes(':')) {
+        qualified.set(identitySid, name);
+      }
+    }
+    qualifiedIdentityCache.set(sidInfo, qualified);
+  }
+
+  return qualified.get(sid) || null;
+}
+
+/**
+ * Format a decimal64 number in YANG canonical form ("2.5", "3.0")
+ * @param {number} value - Decoded decimal64 value
+ * @param {number} fractionDigits - fraction-digits of the type
+ * @returns {string}
+ */
+function formatDecimal64(value, fractionDigits = 2) {
+  let text = String(value);
+  if (text.includes('e')) {
+    // Exponent notation for very small or large values
+    text = value.toFixed(fractionDigits).replace(/0+$/, '');
+  }
+  if (!text.includes('.')) {
+    text += '.0';
+  }
+  return text.endsWith('.') ? `${text}0` : text;
+}
+
 /**
  * Decode enum value to name
  * @param {number|Tag} cborValue - CBOR enum value (number or Tag(44))
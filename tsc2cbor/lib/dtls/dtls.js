@@ -0,0 +1,798 @@
+/**
+ * DTLS 1.2 Client with Pre-Shared Keys (RFC 6347, RFC 4279)
+ *
+ * Secures CoAP over UDP ("coaps", RFC 7252 §9.1.3.1):
+ * - Cookie exchange, flight retransmission and fragment reassembly (RFC 6347 §4.2)
+ * - PSK key exchange (RFC 4279 §2) with the TLS 1.2 SHA-256 PRF (RFC 5246 §5)
+ * - TLS_PSK_WITH_AES_128_CCM_8 and TLS_PSK_WITH_AES_128_CCM (RFC 6655)
+ * - Anti-replay window for received records (RFC 6347 §4.1.2.6)
+ *
+ * The session knows nothing about sockets. It hands complete datagrams to a
+ * send function and is fed received datagrams through receive().
+ *
+ * Credentials file:
+ *   {
+ *     "identity": "keti-tsn",
+ *     "key": "000102030405060708090a0b0c0d0e0f"
+ *   }
+ */
+
+import crypto from 'crypto';
+import EventEmitter from 'events';
+import fs from 'fs';
+import { ReplayWindow } from '../coap/oscore.js';
+
+const DTLS_VERSION = 0xFEFD;  // DTLS 1.2
+
+const ContentType = {
+  CHANGE_CIPHER_SPEC: 20,
+  ALERT: 21,
+  HANDSHAKE: 22,
+  APPLICATION_DATA: 23
+};
+
+const HandshakeType = {
+  HELLO_REQUEST: 0,
+  CLIENT_HELLO: 1,
+  SERVER_HELLO: 2,
+  HELLO_VERIFY_REQUEST: 3,
+  SERVER_KEY_EXCHANGE: 12,
+  SERVER_HELLO_DONE: 14,
+  CLIENT_KEY_EXCHANGE: 16,
+  FINISHED: 20
+};
+
+const AlertLevel = {
+  WARNING: 1,
+  FATAL: 2
+};
+
+const AlertDescription = {
+  CLOSE_NOTIFY: 0,
+  UNEXPECTED_MESSAGE: 10,
+  BAD_RECORD_MAC: 20,
+  HANDSHAKE_FAILURE: 40,
+  ILLEGAL_PARAMETER: 47,
+  DECODE_ERROR: 50,
+  DECRYPT_ERROR: 51,
+  PROTOCOL_VERSION: 70,
+  INTERNAL_ERROR: 80,
+  UNKNOWN_PSK_IDENTITY: 115
+};
+
+// Offered cipher suites, preferred first (RFC 6655 §4)
+const CipherSuites = new Map([
+  [0xC0A8, { name: 'TLS_PSK_WITH_AES_128_CCM_8', tagLength: 8 }],
+  [0xC0A4, { name: 'TLS_PSK_WITH_AES_128_CCM', tagLength: 16 }]
+]);
+const EMPTY_RENEGOTIATION_INFO_SCSV = 0x00FF;  // RFC 5746 §3.3
+
+const RECORD_HEADER_LENGTH = 13;
+const HANDSHAKE_HEADER_LENGTH = 12;
+const KEY_LENGTH = 16;
+const FIXED_IV_LENGTH = 4;
+const EXPLICIT_NONCE_LENGTH = 8;
+const MASTER_SECRET_LENGTH = 48;
+const VERIFY_DATA_LENGTH = 12;
+
+const INITIAL_RETRANSMIT_TIMEOUT = 1000;  // RFC 6347 §4.2.4.1
+const MAX_FLIGHT_RETRANSMIT = 4;
+const RECORD_REPLAY_WINDOW = 64;
+
+/**
+ * Look up the name of an alert description
+ * @param {number} description - Alert description code
+ * @returns {string}
+ */
+function alertName(description) {
+  const entry = Object.entries(AlertDescription).find(([, code]) => code === description);
+  return entry ? entry[0].toLowerCase() : `alert ${description}`;
+}
+
+/**
+ * Encode a 16-bit length-prefixed vector
+ * @param {Buffer} data - Vector contents
+ * @returns {Buffer}
+ */
+function vector16(data) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length, 0);
+  return Buffer.concat([length, data]);
+}
+
+/**
+ * TLS 1.2 PRF with HMAC-SHA-256 (RFC 5246 §5)
+ * @param {Buffer} secret - Secret
+ * @param {string} label - ASCII label
+ * @param {Buffer} seed - Seed
+ * @param {number} length - Output length
+ * @returns {Buffer}
+ */
+function prf(secret, label, seed, length) {
+  const hmac = (data) => crypto.createHmac('sha256', secret).update(data).digest();
+  const labelSeed = Buffer.concat([Buffer.from(label, 'ascii'), seed]);
+
+  const chunks = [];
+  let produced = 0;
+  let a = labelSeed;
+  while (produced < length) {
+    a = hmac(a);
+    const chunk = hmac(Buffer.concat([a, labelSeed]));
+    chunks.push(chunk);
+    produced += chunk.length;
+  }
+
+  return Buffer.concat(chunks).slice(0, length);
+}
+
+/**
+ * Load PSK credentials from a JSON file
+ * @param {string} file - Credentials file ({"identity": "...", "key": "<hex>"})
+ * @returns {{identity: Buffer, key: Buffer}}
+ */
+function loadPskCredentials(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`PSK credentials file not found: ${file}`);
+  }
+
+  let params;
+  try {
+    params = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid PSK credentials file ${file}: ${err.message}`);
+  }
+
+  if (typeof params.identity !== 'string' || params.identity.length === 0) {
+    throw new Error('PSK credentials: "identity" must be a non-empty string');
+  }
+  if (typeof params.key !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(params.key)) {
+    throw new Error('PSK credentials: "key" must be a non-empty hex string');
+  }
+
+  const identity = Buffer.from(params.identity, 'utf8');
+  if (identity.length > 0xFFFF) {
+    throw new Error('PSK credentials: "identity" is too long');
+  }
+
+  return { identity, key: Buffer.from(params.key, 'hex') };
+}
+
+class DtlsSession extends EventEmitter {
+  /**
+   * @param {Function} send - (datagram: Buffer) => Promise<void>
+   * @param {Object} options - Session options
+   * @param {Buffer} options.identity - PSK identity
+   * @param {Buffer} options.key - Pre-shared key
+   * @param {Function} options.log - Verbose logger
+   */
+  constructor(send, options = {}) {
+    super();
+    if (!options.identity || !options.key) {
+      throw new Error('DTLS session requires a PSK identity and key');
+    }
+
+    this.send = send;
+    this.identity = options.identity;
+    this.psk = options.key;
+    this.log = options.log || (() => {});
+
+    // idle -> hello -> server-hello -> finished -> established -> closed
+    this.state = 'idle';
+    this.cipherSuite = null;
+    this.clientRandom = null;
+    this.serverRandom = null;
+    this.cookie = Buffer.alloc(0);
+    this.masterSecret = null;
+    this.transcript = [];  // Handshake messages covered by Finished
+
+    this.messageSeq = 0;         // Next outgoing handshake message_seq
+    this.nextReceiveSeq = 0;     // Next expected incoming message_seq
+    this.fragments = new Map();  // message_seq -> {type, epoch, body, mask, remaining}
+
+    this.writeEpoch = 0;
+    this.writeSequence = [0, 0];  // Record sequence number per epoch
+    this.writeKeys = null;
+    this.readKeys = null;
+    this.pendingReadKeys = null;  // Activated by the server's ChangeCipherSpec
+    this.replayWindow = new ReplayWindow(RECORD_REPLAY_WINDOW);
+
+    this.flight = null;  // Last flight sent, retransmitted until answered
+    this.flightTimer = null;
+    this.flightRetransmits = 0;
+    this.pendingHandshake = null;
+  }
+
+  /**
+   * Run the handshake
+   * @returns {Promise<void>} Resolves once the server's Finished is verified
+   */
+  handshake() {
+    if (this.state !== 'idle') {
+      return Promise.reject(new Error('DTLS handshake already started'));
+    }
+
+    this.state = 'hello';
+    this.clientRandom = crypto.randomBytes(32);
+
+    return new Promise((resolve, reject) => {
+      this.pendingHandshake = { resolve, reject };
+      this._sendFlight([{ type: ContentType.HANDSHAKE, data: this._clientHello(), epoch: 0 }]);
+    });
+  }
+
+  /**
+   * Protect application data
+   * @param {Buffer} data - Plaintext (one CoAP message)
+   * @returns {Buffer} Datagram with one application_data record
+   */
+  wrap(data) {
+    if (this.state !== 'established') {
+      throw new Error('DTLS session not established');
+    }
+    return this._record(ContentType.APPLICATION_DATA, data, this.writeEpoch);
+  }
+
+  /**
+   * Process a received datagram
+   * Records that fail to parse, decrypt or pass the replay check are dropped.
+   * @param {Buffer} datagram - Received datagram
+   * @returns {Buffer[]} Application data carried by the datagram
+   */
+  receive(datagram) {
+    const applicationData = [];
+    let duplicate = false;
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_LENGTH <= datagram.length && this.state !== 'closed') {
+      const type = datagram[offset];
+      const epoch = datagram.readUInt16BE(offset + 3);
+      const seq = datagram.readUIntBE(offset + 5, 6);
+      const length = datagram.readUInt16BE(offset + 11);
+      const fragment = datagram.slice(offset + RECORD_HEADER_LENGTH, offset + RECORD_HEADER_LENGTH + length);
+      offset += RECORD_HEADER_LENGTH + length;
+
+      if (fragment.length !== length) {
+        this.log('[DTLS] Dropping truncated record');
+        break;
+      }
+
+      const plaintext = this._openRecord(type, epoch, seq, fragment);
+      if (plaintext === null) {
+        continue;
+      }
+
+      try {
+        switch (type) {
+          case ContentType.HANDSHAKE:
+            duplicate = this._handleHandshakeRecord(plaintext, epoch) || duplicate;
+            break;
+          case ContentType.CHANGE_CIPHER_SPEC:
+            this._handleChangeCipherSpec(plaintext);
+            break;
+          case ContentType.ALERT:
+            this._handleAlert(plaintext);
+            break;
+          case ContentType.APPLICATION_DATA:
+            if (this.state === 'established' && epoch === this.writeEpoch) {
+              applicationData.push(plaintext);
+            }
+            break;
+          default:
+            this.log(`[DTLS] Dropping record of unknown type ${type}`);
+        }
+      } catch (err) {
+        this._fail(err, AlertDescription.DECODE_ERROR);
+      }
+    }
+
+    // A repeated server flight means ours was lost (RFC 6347 §4.2.4)
+    if (duplicate && this.flight) {
+      this._transmitFlight();
+    }
+
+    return applicationData;
+  }
+
+  /**
+   * Close the session, sending close_notify if it was established
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._stopFlightTimer();
+    const established = this.state === 'established';
+    this.state = 'closed';
+
+    if (this.pendingHandshake) {
+      this.pendingHandshake.reject(new Error('DTLS session closed during handshake'));
+      this.pendingHandshake = null;
+    }
+
+    if (established) {
+      const alert = Buffer.from([AlertLevel.WARNING, AlertDescription.CLOSE_NOTIFY]);
+      await this.send(this._record(ContentType.ALERT, alert, this.writeEpoch));
+    }
+  }
+
+  /**
+   * Build the ClientHello (with the server's cookie after HelloVerifyRequest)
+   * @private
+   */
+  _clientHello() {
+    const suites = [...CipherSuites.keys(), EMPTY_RENEGOTIATION_INFO_SCSV];
+    const suiteList = Buffer.alloc(suites.length * 2);
+    suites.forEach((suite, i) => suiteList.writeUInt16BE(suite, i * 2));
+
+    const version = Buffer.alloc(2);
+    version.writeUInt16BE(DTLS_VERSION, 0);
+
+    return this._handshakeMessage(HandshakeType.CLIENT_HELLO, Buffer.concat([
+      version,
+      this.clientRandom,
+      Buffer.from([0]),                     // No session resumption
+      Buffer.from([this.cookie.length]),
+      this.cookie,
+      vector16(suiteList),
+      Buffer.from([1, 0])                   // Null compression only
+    ]));
+  }
+
+  /**
+   * Build an unfragmented handshake message and add it to the transcript
+   * @private
+   */
+  _handshakeMessage(type, body) {
+    const header = Buffer.alloc(HANDSHAKE_HEADER_LENGTH);
+    header[0] = type;
+    header.writeUIntBE(body.length, 1, 3);
+    header.writeUInt16BE(this.messageSeq++, 4);
+    header.writeUIntBE(0, 6, 3);
+    header.writeUIntBE(body.length, 9, 3);
+
+    const message = Buffer.concat([header, body]);
+    this.transcript.push(message);
+    return message;
+  }
+
+  /**
+   * Reassemble handshake fragments and process complete messages in order
+   * @private
+   * @returns {boolean} True if the record repeated already processed messages
+   */
+  _handleHandshakeRecord(data, epoch) {
+    let duplicate = false;
+    let offset = 0;
+
+    while (offset + HANDSHAKE_HEADER_LENGTH <= data.length) {
+      const type = data[offset];
+      const length = data.readUIntBE(offset + 1, 3);
+      const messageSeq = data.readUInt16BE(offset + 4);
+      const fragmentOffset = data.readUIntBE(offset + 6, 3);
+      const fragmentLength = data.readUIntBE(offset + 9, 3);
+      const body = data.slice(offset + HANDSHAKE_HEADER_LENGTH, offset + HANDSHAKE_HEADER_LENGTH + fragmentLength);
+      offset += HANDSHAKE_HEADER_LENGTH + fragmentLength;
+
+      if (body.length !== fragmentLength || fragmentOffset + fragmentLength > length) {
+        throw new Error('DTLS: malformed handshake fragment');
+      }
+
+      if (messageSeq < this.nextReceiveSeq) {
+        duplicate = true;
+        continue;
+      }
+      if (type === HandshakeType.HELLO_REQUEST) {
+        continue;  // Renegotiation is not supported
+      }
+
+      let message = this.fragments.get(messageSeq);
+      if (!message) {
+        message = { type, epoch, body: Buffer.alloc(length), mask: new Uint8Array(length), remaining: length };
+        this.fragments.set(messageSeq, message);
+      }
+      if (message.type !== type || message.body.length !== length) {
+        throw new Error('DTLS: inconsistent handshake fragments');
+      }
+
+      body.copy(message.body, fragmentOffset);
+      for (let i = fragmentOffset; i < fragmentOffset + fragmentLength; i++) {
+        if (!message.mask[i]) {
+          message.mask[i] = 1;
+          message.remaining--;
+        }
+      }
+    }
+
+    // Process complete messages in message_seq order
+    let next = this.fragments.get(this.nextReceiveSeq);
+    while (next && next.remaining === 0 && this.state !== 'closed') {
+      this.fragments.delete(this.nextReceiveSeq);
+      const header = Buffer.alloc(HANDSHAKE_HEADER_LENGTH);
+      header[0] = next.type;
+      header.writeUIntBE(next.body.length, 1, 3);
+      header.writeUInt16BE(this.nextReceiveSeq, 4);
+      header.writeUIntBE(0, 6, 3);
+      header.writeUIntBE(next.body.length, 9, 3);
+
+      this.nextReceiveSeq++;
+      this._processHandshake(next.type, next.body, Buffer.concat([header, next.body]), next.epoch);
+      next = this.fragments.get(this.nextReceiveSeq);
+    }
+
+    return duplicate;
+  }
+
+  /**
+   * Advance the handshake state machine with one complete server message
+   * @private
+   */
+  _processHandshake(type, body, message, epoch) {
+    if (type === HandshakeType.FINISHED ? epoch !== 1 : epoch !== 0) {
+      throw new Error(`DTLS: handshake message ${type} in unexpected epoch ${epoch}`);
+    }
+
+    if (type === HandshakeType.HELLO_VERIFY_REQUEST && this.state === 'hello') {
+      // The cookie exchange is not part of the transcript (RFC 6347 §4.2.1)
+      const cookieLength = body[2];
+      if (body.length < 3 + cookieLength) {
+        throw new Error('DTLS: malformed HelloVerifyRequest');
+      }
+      this.cookie = Buffer.from(body.slice(3, 3 + cookieLength));
+      this.transcript = [];
+      this.log('[DTLS] HelloVerifyRequest received, resending ClientHello with cookie');
+      this._sendFlight([{ type: ContentType.HANDSHAKE, data: this._clientHello(), epoch: 0 }]);
+      return;
+    }
+
+    if (type === HandshakeType.SERVER_HELLO && this.state === 'hello') {
+      this._handleServerHello(body);
+      this.transcript.push(message);
+      this.state = 'server-hello';
+      return;
+    }
+
+    if (type === HandshakeType.SERVER_KEY_EXCHANGE && this.state === 'server-hello') {
+      const hintLength = body.length >= 2 ? body.readUInt16BE(0) : -1;
+      if (hintLength < 0 || body.length !== 2 + hintLength) {
+        throw new Error('DTLS: malformed ServerKeyExchange');
+      }
+      this.log(`[DTLS] PSK identity hint: "${body.slice(2).toString('utf8')}"`);
+      this.transcript.push(message);
+      return;
+    }
+
+    if (type === HandshakeType.SERVER_HELLO_DONE && this.state === 'server-hello') {
+      this.transcript.push(message);
+      this._sendKeyExchange();
+      this.state = 'finished';
+      return;
+    }
+
+    if (type === HandshakeType.FINISHED && this.state === 'finished') {
+      const expected = prf(this.masterSecret, 'server finished', this._transcriptHash(), VERIFY_DATA_LENGTH);
+      if (body.length !== VERIFY_DATA_LENGTH || !crypto.timingSafeEqual(body, expected)) {
+        this._fail(new Error('DTLS: server Finished verification failed'), AlertDescription.DECRYPT_ERROR);
+        return;
+      }
+
+      this._stopFlightTimer();
+      this.flight = null;
+      this.transcript = [];
+      this.state = 'established';
+      this.log(`[DTLS] Handshake complete (${this.cipherSuite.name})`);
+      this.pendingHandshake.resolve();
+      this.pendingHandshake = null;
+      return;
+    }
+
+    this._fail(new Error(`DTLS: unexpected handshake message ${type} in state ${this.state}`),
+      AlertDescription.UNEXPECTED_MESSAGE);
+  }
+
+  /**
+   * Parse the ServerHello and select the cipher suite
+   * @private
+   */
+  _handleServerHello(body) {
+    if (body.length < 38) {
+      throw new Error('DTLS: malformed ServerHello');
+    }
+
+    const version = body.readUInt16BE(0);
+    if (version !== DTLS_VERSION) {
+      throw new Error(`DTLS: server selected unsupported version 0x${version.toString(16)}`);
+    }
+
+    this.serverRandom = Buffer.from(body.slice(2, 34));
+    const sessionIdLength = body[34];
+    const offset = 35 + sessionIdLength;
+    if (body.length < offset + 3) {
+      throw new Error('DTLS: malformed ServerHello');
+    }
+
+    const suite = body.readUInt16BE(offset);
+    const compression = body[offset + 2];
+    if (!CipherSuites.has(suite)) {
+      throw new Error(`DTLS: server selected a cipher suite that was not offered (0x${suite.toString(16)})`);
+    }
+    if (compression !== 0) {
+      throw new Error('DTLS: server selected compression');
+    }
+
+    this.cipherSuite = CipherSuites.get(suite);
+  }
+
+  /**
+   * Send ClientKeyExchange, ChangeCipherSpec and Finished (RFC 4279 §2)
+   * @private
+   */
+  _sendKeyExchange() {
+    const keyExchange = this._handshakeMessage(HandshakeType.CLIENT_KEY_EXCHANGE, vector16(this.identity));
+
+    // premaster = uint16 N | N zero bytes | uint16 N | PSK
+    const zeros = Buffer.alloc(this.psk.length);
+    const premaster = Buffer.concat([vector16(zeros), vector16(this.psk)]);
+    this.masterSecret = prf(premaster, 'master secret',
+      Buffer.concat([this.clientRandom, this.serverRandom]), MASTER_SECRET_LENGTH);
+
+    const keyBlock = prf(this.masterSecret, 'key expansion',
+      Buffer.concat([this.serverRandom, this.clientRandom]), 2 * (KEY_LENGTH + FIXED_IV_LENGTH));
+    const tagLength = this.cipherSuite.tagLength;
+    this.writeKeys = {
+      key: keyBlock.slice(0, KEY_LENGTH),
+      iv: keyBlock.slice(2 * KEY_LENGTH, 2 * KEY_LENGTH + FIXED_IV_LENGTH),
+      tagLength
+    };
+    this.pendingReadKeys = {
+      key: keyBlock.slice(KEY_LENGTH, 2 * KEY_LENGTH),
+      iv: keyBlock.slice(2 * KEY_LENGTH + FIXED_IV_LENGTH),
+      tagLength
+    };
+
+    const verifyData = prf(this.masterSecret, 'client finished', this._transcriptHash(), VERIFY_DATA_LENGTH);
+    const finished = this._handshakeMessage(HandshakeType.FINISHED, verifyData);
+
+    this.writeEpoch = 1;
+    this._sendFlight([
+      { type: ContentType.HANDSHAKE, data: keyExchange, epoch: 0 },
+      { type: ContentType.CHANGE_CIPHER_SPEC, data: Buffer.from([1]), epoch: 0 },
+      { type: ContentType.HANDSHAKE, data: finished, epoch: 1 }
+    ]);
+  }
+
+  /**
+   * Switch to the server's write keys
+   * @private
+   */
+  _handleChangeCipherSpec(data) {
+    if (this.state !== 'finished' || !this.pendingReadKeys) {
+      return;  // Early or repeated; the flight is retransmitted
+    }
+    if (data.length !== 1 || data[0] !== 1) {
+      throw new Error('DTLS: malformed ChangeCipherSpec');
+    }
+    this.readKeys = this.pendingReadKeys;
+    this.pendingReadKeys = null;
+  }
+
+  /**
+   * Handle an alert from the server
+   * @private
+   */
+  _handleAlert(data) {
+    if (data.length !== 2) {
+      throw new Error('DTLS: malformed alert');
+    }
+
+    const [level, description] = data;
+    if (description === AlertDescription.CLOSE_NOTIFY) {
+      const established = this.state === 'established';
+      this._stopFlightTimer();
+      this.state = 'closed';
+      if (this.pendingHandshake) {
+        this.pendingHandshake.reject(new Error('DTLS: server closed the session during handshake'));
+        this.pendingHandshake = null;
+      }
+      if (established) {
+        this.emit('close');
+      }
+      return;
+    }
+
+    if (level === AlertLevel.FATAL) {
+      this._fail(new Error(`DTLS: fatal alert from server: ${alertName(description)}`));
+    } else {
+      this.log(`[DTLS] Warning alert from server: ${alertName(description)}`);
+    }
+  }
+
+  /**
+   * Check and decrypt a record
+   * @private
+   * @returns {Buffer|null} Plaintext, or null if the record is dropped
+   */
+  _openRecord(type, epoch, seq, fragment) {
+    if (epoch === 0) {
+      // Plaintext records are only meaningful during the handshake
+      return this.state === 'established' ? null : fragment;
+    }
+
+    if (epoch !== 1 || !this.readKeys) {
+      return null;
+    }
+    if (this.replayWindow.isReplay(seq)) {
+      this.log(`[DTLS] Dropping replayed record (epoch ${epoch}, seq ${seq})`);
+      return null;
+    }
+
+    const plaintext = this._decrypt(type, epoch, seq, fragment);
+    if (plaintext === null) {
+      this.log(`[DTLS] Dropping record that failed authentication (epoch ${epoch}, seq ${seq})`);
+      return null;
+    }
+
+    this.replayWindow.accept(seq);
+    return plaintext;
+  }
+
+  /**
+   * Build a record, encrypting it in epoch 1
+   * @private
+   */
+  _record(type, data, epoch) {
+    const seq = this.writeSequence[epoch]++;
+    const fragment = epoch === 0 ? data : this._encrypt(type, epoch, seq, data);
+
+    const header = Buffer.alloc(RECORD_HEADER_LENGTH);
+    header[0] = type;
+    header.writeUInt16BE(DTLS_VERSION, 1);
+    header.writeUInt16BE(epoch, 3);
+    header.writeUIntBE(seq, 5, 6);
+    header.writeUInt16BE(fragment.length, 11);
+
+    return Buffer.concat([header, fragment]);
+  }
+
+  /**
+   * AEAD nonce and additional data for a record (RFC 5288 §3, RFC 6347 §4.1.2.1)
+   * @private
+   */
+  _aeadParameters(keys, type, epoch, seq, length) {
+    const explicitNonce = Buffer.alloc(EXPLICIT_NONCE_LENGTH);
+    explicitNonce.writeUInt16BE(epoch, 0);
+    explicitNonce.writeUIntBE(seq, 2, 6);
+
+    const aad = Buffer.alloc(13);
+    explicitNonce.copy(aad, 0);
+    aad[8] = type;
+    aad.writeUInt16BE(DTLS_VERSION, 9);
+    aad.writeUInt16BE(length, 11);
+
+    return { explicitNonce, nonce: Buffer.concat([keys.iv, explicitNonce]), aad };
+  }
+
+  /**
+   * Encrypt a record fragment: explicit nonce | ciphertext | tag
+   * @private
+   */
+  _encrypt(type, epoch, seq, data) {
+    const keys = this.writeKeys;
+    const { explicitNonce, nonce, aad } = this._aeadParameters(keys, type, epoch, seq, data.length);
+
+    const cipher = crypto.createCipheriv('aes-128-ccm', keys.key, nonce, { authTagLength: keys.tagLength });
+    cipher.setAAD(aad, { plaintextLength: data.length });
+    return Buffer.concat([explicitNonce, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  /**
+   * Decrypt a record fragment
+   * @private
+   * @returns {Buffer|null} Plaintext, or null if authentication fails
+   */
+  _decrypt(type, epoch, seq, fragment) {
+    const keys = this.readKeys;
+    const length = fragment.length - EXPLICIT_NONCE_LENGTH - keys.tagLength;
+    if (length < 0) {
+      return null;
+    }
+
+    // The explicit nonce is chosen by the sender and need not match the record sequence number
+    const { aad } = this._aeadParameters(keys, type, epoch, seq, length);
+    const nonce = Buffer.concat([keys.iv, fragment.slice(0, EXPLICIT_NONCE_LENGTH)]);
+    const ciphertext = fragment.slice(EXPLICIT_NONCE_LENGTH, EXPLICIT_NONCE_LENGTH + length);
+    const tag = fragment.slice(EXPLICIT_NONCE_LENGTH + length);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-128-ccm', keys.key, nonce, { authTagLength: keys.tagLength });
+      decipher.setAuthTag(tag);
+      decipher.setAAD(aad, { plaintextLength: length });
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 over the handshake messages so far
+   * @private
+   */
+  _transcriptHash() {
+    return crypto.createHash('sha256').update(Buffer.concat(this.transcript)).digest();
+  }
+
+  /**
+   * Send a flight and retransmit it until the server answers (RFC 6347 §4.2.4)
+   * @private
+   */
+  _sendFlight(records) {
+    this.flight = records;
+    this.flightRetransmits = 0;
+    this._transmitFlight();
+  }
+
+  /**
+   * (Re)transmit the current flight with fresh record sequence numbers
+   * @private
+   */
+  _transmitFlight() {
+    this._stopFlightTimer();
+
+    const datagram = Buffer.concat(this.flight.map(({ type, data, epoch }) => this._record(type, data, epoch)));
+    this.send(datagram).catch((err) => this._fail(err));
+
+    const timeout = INITIAL_RETRANSMIT_TIMEOUT * 2 ** this.flightRetransmits;
+    this.flightTimer = setTimeout(() => {
+      if (this.flightRetransmits >= MAX_FLIGHT_RETRANSMIT) {
+        this._fail(new Error('DTLS handshake timed out'));
+        return;
+      }
+      this.flightRetransmits++;
+      this.log(`[DTLS] Retransmitting flight (${this.flightRetransmits}/${MAX_FLIGHT_RETRANSMIT})`);
+      this._transmitFlight();
+    }, timeout);
+  }
+
+  /**
+   * @private
+   */
+  _stopFlightTimer() {
+    if (this.flightTimer) {
+      clearTimeout(this.flightTimer);
+      this.flightTimer = null;
+    }
+  }
+
+  /**
+   * Abort the session, optionally telling the server why
+   * @private
+   * @param {Error} err - Failure reason
+   * @param {number} description - Fatal alert to send (optional)
+   */
+  _fail(err, description = null) {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (description !== null) {
+      const alert = Buffer.from([AlertLevel.FATAL, description]);
+      const epoch = this.writeKeys ? this.writeEpoch : 0;
+      this.send(this._record(ContentType.ALERT, alert, epoch)).catch(() => {});
+    }
+
+    this._stopFlightTimer();
+    this.flight = null;
+    this.state = 'closed';
+
+    if (this.pendingHandshake) {
+      this.pendingHandshake.reject(err);
+      this.pendingHandshake = null;
+    } else {
+      this.emit('error', err);
+    }
+  }
+}
+
+export {
+  DtlsSession,
+  loadPskCredentials,
+  CipherSuites,
+  prf
+};
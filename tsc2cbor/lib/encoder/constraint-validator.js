@@ -0,0 +1,264 @@
+/**
+ * Constraint Validator Module
+ *
+ * Checks leaf values against their YANG type restrictions before encoding,
+ * so a bad value fails locally with the allowed range or pattern instead of
+ * an opaque 4.00 Bad Request from the device.
+ *
+ * - range (RFC 7950 §9.2.4): integer and decimal64 types; integers are
+ *   also checked against the bounds of their built-in type
+ * - length (§9.4.4): characters of a string, bytes of a binary
+ * - pattern (§9.4.5): XSD regular expressions, implicitly anchored;
+ *   every pattern must match (invert-match: must not match)
+ *
+ * Typedef chains and union members are resolved by resolveTypedef()
+ * in yang-type-extractor.js; union members are tried in order by the
+ * value encoder, so a member failing its constraints falls through.
+ */
+
+// Built-in integer bounds (RFC 7950 §9.2)
+const INTEGER_BOUNDS = {
+  int8: [-(2n ** 7n), 2n ** 7n - 1n],
+  int16: [-(2n ** 15n), 2n ** 15n - 1n],
+  int32: [-(2n ** 31n), 2n ** 31n - 1n],
+  int64: [-(2n ** 63n), 2n ** 63n - 1n],
+  uint8: [0n, 2n ** 8n - 1n],
+  uint16: [0n, 2n ** 16n - 1n],
+  uint32: [0n, 2n ** 32n - 1n],
+  uint64: [0n, 2n ** 64n - 1n]
+};
+
+// Parsed range/length expressions and compiled patterns, shared by all leaves
+const intervalCache = new Map();
+const patternCache = new Map();
+
+/**
+ * Parse a range or length expression ("1..10 | 20 | 100..max")
+ * @param {string} expression - Range or length argument
+ * @param {Function} parseBound - Converts one bound to a comparable value
+ * @returns {Array<{min: *, max: *}>} Intervals; null bounds are open ("min"/"max")
+ */
+function parseIntervals(expression, parseBound) {
+  const cacheKey = `${parseBound.name}:${expression}`;
+  if (intervalCache.has(cacheKey)) {
+    return intervalCache.get(cacheKey);
+  }
+
+  const bound = (text) => (text === 'min' || text === 'max' ? null : parseBound(text));
+  const intervals = expression.split('|').map(part => {
+    const [low, high = low] = part.split('..').map(text => text.trim());
+    return { min: bound(low), max: bound(high) };
+  });
+
+  intervalCache.set(cacheKey, intervals);
+  return intervals;
+}
+
+function toBigInt(text) {
+  return BigInt(text);
+}
+
+function toNumber(text) {
+  return Number(text);
+}
+
+/**
+ * Whether a value lies in one of the intervals
+ */
+function inIntervals(value, intervals) {
+  return intervals.some(({ min, max }) =>
+    (min === null || value >= min) && (max === null || value <= max));
+}
+
+/**
+ * Check an integer or decimal64 value against its type bounds and range
+ * @param {number|bigint} value - Parsed value
+ * @param {object} typeInfo - Type info (type, range)
+ * @throws {Error} If the value is out of range
+ */
+function checkRange(value, typeInfo) {
+  const bounds = INTEGER_BOUNDS[typeInfo.type];
+
+  if (bounds) {
+    const integer = BigInt(value);
+    const [min, max] = bounds;
+    if (integer < min || integer > max) {
+      throw new Error(`value ${value} is out of range for ${typeInfo.type} (${min}..${max})`);
+    }
+    if (typeInfo.range && !inIntervals(integer, parseIntervals(typeInfo.range, toBigInt))) {
+      throw new Error(`value ${value} is out of range "${typeInfo.range}"`);
+    }
+    return;
+  }
+
+  if (typeInfo.range && !inIntervals(Number(value), parseIntervals(typeInfo.range, toNumber))) {
+    throw new Error(`value ${value} is out of range "${typeInfo.range}"`);
+  }
+}
+
+/**
+ * Check the length of a string (characters) or binary (bytes)
+ * @param {string|Buffer} value - String or binary value
+ * @param {object} typeInfo - Type info (type, length)
+ * @throws {Error} If the length is not allowed
+ */
+function checkLength(value, typeInfo) {
+  if (!typeInfo.length) return;
+
+  // RFC 7950 §9.4.4: string length counts characters, not UTF-8 bytes
+  const length = Buffer.isBuffer(value) ? value.length : [...value].length;
+  if (!inIntervals(BigInt(length), parseIntervals(typeInfo.length, toBigInt))) {
+    const unit = Buffer.isBuffer(value) ? 'bytes' : 'characters';
+    const shown = Buffer.isBuffer(value) ? value.toString('base64') : value;
+    throw new Error(`value "${shown}" has ${length} ${unit}, allowed length "${typeInfo.length}"`);
+  }
+}
+
+/**
+ * Translate an XSD regular expression (XML Schema Part 2, Appendix F)
+ * to an anchored JavaScript RegExp
+ *
+ * XSD has no anchors ("^" and "$" are literals outside classes), adds the
+ * \i \c name-character escapes and allows "\-" outside classes.
+ * Constructs JavaScript lacks (block escapes such as \p{IsBasicLatin},
+ * class subtraction) make the RegExp constructor throw.
+ *
+ * @param {string} pattern - XSD pattern
+ * @returns {RegExp}
+ */
+function translateXsdPattern(pattern) {
+  const NAME_START = 'A-Za-z_:\\u00C0-\\u02FF\\u0370-\\u1FFF\\u200C-\\u200D\\u2070-\\uFFFD';
+  const NAME_CHAR = `${NAME_START}\\-.0-9\\u00B7`;
+  const escapes = {
+    i: `[${NAME_START}]`,
+    I: `[^${NAME_START}]`,
+    c: `[${NAME_CHAR}]`,
+    C: `[^${NAME_CHAR}]`
+  };
+
+  let source = '';
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[++i];
+      if (escapes[next]) {
+        // Inside a class only the inner ranges can be used
+        source += inClass ? escapes[next].slice(1, -1) : escapes[next];
+      } else if (next === '-' && !inClass) {
+        source += '-';
+      } else {
+        source += `\\${next}`;
+      }
+      continue;
+    }
+
+    if (inClass) {
+      if (char === '-' && pattern[i + 1] === '[') {
+        throw new Error('character class subtraction is not supported');
+      }
+      if (char === ']') inClass = false;
+      source += char;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+      source += char;
+      continue;
+    }
+
+    source += char === '^' || char === '$' ? `\\${char}` : char;
+  }
+
+  return new RegExp(`^(?:${source})$`, 'u');
+}
+
+/**
+ * Compiled pattern, or null if it cannot be checked in JavaScript
+ * (such patterns are skipped rather than rejecting valid values).
+ * Also used by the XPath re-match() function.
+ * @param {string} pattern - XSD pattern
+ * @returns {RegExp|null}
+ */
+export function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = translateXsdPattern(pattern);
+    } catch (err) {
+      if (process.env.DEBUG === 'true') {
+        console.warn(`Pattern "${pattern}" not checked: ${err.message}`);
+      }
+    }
+    patternCache.set(pattern, regex);
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Check a string against all patterns of its type
+ * @param {string} value - String value
+ * @param {object} typeInfo - Type info (patterns)
+ * @throws {Error} If a pattern does not match (or an invert-match pattern does)
+ */
+function checkPatterns(value, typeInfo) {
+  for (const { pattern, invertMatch } of typeInfo.patterns || []) {
+    const regex = compilePattern(pattern);
+    if (!regex) continue;
+
+    const matches = regex.test(value);
+    if (invertMatch && matches) {
+      throw new Error(`value "${value}" matches excluded pattern "${pattern}"`);
+    }
+    if (!invertMatch && !matches) {
+      throw new Error(`value "${value}" does not match pattern "${pattern}"`);
+    }
+  }
+}
+
+/**
+ * Validate a value against the range, length and pattern restrictions of its type
+ * @param {number|bigint|string|Buffer} value - Value in its encoded JavaScript form
+ *        (parsed integer, decimal64 number, string or binary buffer)
+ * @param {object} typeInfo - Resolved type info
+ * @returns {*} The value, unchanged
+ * @throws {Error} Naming the value and the allowed range, length or pattern
+ */
+export function validateConstraints(value, typeInfo) {
+  if (!typeInfo) return value;
+
+  switch (typeInfo.type) {
+    case 'int8':
+    case 'int16':
+    case 'int32':
+    case 'int64':
+    case 'uint8':
+    case 'uint16':
+    case 'uint32':
+    case 'uint64':
+    case 'decimal64':
+      checkRange(value, typeInfo);
+      break;
+
+    case 'string':
+      checkLength(value, typeInfo);
+      checkPatterns(value, typeInfo);
+      break;
+
+    case 'binary':
+      checkLength(value, typeInfo);
+      break;
+
+    default:
+      break;
+  }
+
+  return value;
+}
+
+export default {
+  validateConstraints
+};
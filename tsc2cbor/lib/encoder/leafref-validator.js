@@ -0,0 +1,332 @@
+/**
+ * Leafref Validator Module
+ *
+ * Checks that every leafref value in a patch points at an existing
+ * instance (RFC 7950 §9.9) before anything is sent. A bridge port naming
+ * an interface that does not exist fails late on the device or is
+ * silently ignored; here it is reported per patch item instead.
+ *
+ * Targets are looked up in the patch itself and, when given, in data
+ * fetched from the device (see leafrefFetchPaths()).
+ *
+ * - Absolute paths ("/if:interfaces/if:interface/if:name") match any
+ *   instance of the target leaf
+ * - Relative paths ("../../name") must stay under the same list entries
+ *   as the referring leaf for the ancestors they share
+ * - Path predicates ([name = current()/../x]) are not evaluated, so a value
+ *   present anywhere under the shared ancestors counts as found; deref()
+ *   paths and require-instance false are not checked
+ */
+
+import { parseInstanceIdentifierPath, findListKeys } from '../parser/instance-id-converter.js';
+import { findNodeType } from '../parser/xml-converter.js';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value !== null && value !== undefined && typeof value !== 'object';
+}
+
+/**
+ * Instance-identifier of a leaf from its segments
+ * @param {Array<{module: string|null, name: string, keys: Object|null}>} segments
+ * @returns {string}
+ */
+function segmentsToPath(segments) {
+  return segments.map(({ module, name, keys }) => {
+    const predicates = Object.entries(keys || {}).map(([keyName, keyValue]) => `[${keyName}='${keyValue}']`).join('');
+    return `/${module ? `${module}:` : ''}${name}${predicates}`;
+  }).join('');
+}
+
+/**
+ * Collects the leaf instances of instance-identifier items or RFC 7951 trees
+ *
+ * Key values in path predicates count as key leaf instances, so
+ * "/if:interfaces/interface[name='1']/enabled" also provides
+ * interface name '1'.
+ *
+ * @param {Array<Object>} items - Instance-identifier items ([{ "/path": value }, ...])
+ * @param {Array<Object>} trees - RFC 7951 trees (e.g. decoded device data)
+ * @param {Object} schemaInfo - Schema info with listKeys
+ * @returns {Array<Object>} Leaf instances { segments, schemaPath, leafPath, value, itemIndex }
+ *          (itemIndex is -1 for tree data)
+ */
+function collectLeaves(items, trees, schemaInfo) {
+  const leaves = [];
+  const seen = new Set();
+
+  const addLeaf = (segments, value, itemIndex) => {
+    const leafPath = segmentsToPath(segments);
+    const id = `${leafPath}\u0000${value}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    leaves.push({
+      segments,
+      schemaPath: segments.map(segment => segment.name).join('/'),
+      leafPath,
+      value,
+      itemIndex
+    });
+  };
+
+  const walk = (value, segments, itemIndex) => {
+    const last = segments[segments.length - 1];
+
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isObject)) {
+        // List entries: key values go into the entry's segment
+        const keyNames = findListKeys(segments.map(segment => segment.name).join('/'), schemaInfo) || [];
+        for (const entry of value) {
+          const keys = Object.fromEntries(keyNames
+            .filter(keyName => isScalar(entry[keyName]))
+            .map(keyName => [keyName, String(entry[keyName])]));
+          walk(entry, [...segments.slice(0, -1), { ...last, keys }], itemIndex);
+        }
+      } else {
+        // Leaf-list values ([null] is the empty type)
+        value.forEach(item => addLeaf(segments, item, itemIndex));
+      }
+      return;
+    }
+
+    if (isObject(value)) {
+      for (const [memberName, child] of Object.entries(value)) {
+        const colon = memberName.indexOf(':');
+        walk(child, [...segments, {
+          module: colon === -1 ? null : memberName.slice(0, colon),
+          name: memberName.slice(colon + 1),
+          keys: null
+        }], itemIndex);
+      }
+      return;
+    }
+
+    // A list entry path without a value only creates the entry
+    if ((value === null || value === undefined) && last?.keys) return;
+    addLeaf(segments, value, itemIndex);
+  };
+
+  items.forEach((item, itemIndex) => {
+    const [path] = Object.keys(item);
+    const segments = parseInstanceIdentifierPath(path).map(component => ({
+      module: component.module,
+      name: component.name,
+      keys: component.keys
+        ? Object.fromEntries(component.keys.map(({ keyName, keyValue }) => [keyName, keyValue]))
+        : null
+    }));
+
+    segments.forEach((segment, i) => {
+      for (const [keyName, keyValue] of Object.entries(segment.keys || {})) {
+        addLeaf([...segments.slice(0, i + 1), { module: null, name: keyName, keys: null }], keyValue, itemIndex);
+      }
+    });
+
+    walk(item[path], segments, itemIndex);
+  });
+
+  for (const tree of trees) {
+    if (isObject(tree)) walk(tree, [], -1);
+  }
+
+  return leaves;
+}
+
+/**
+ * Type info of a leaf. Unlike findTypeInfo() there is no fallback to an
+ * unrelated leaf of the same name: a wrong guess would report references
+ * that do not exist.
+ * @param {string} schemaPath - Schema path without module prefixes
+ * @param {Object} typeTable - Type table with types and leafToTypes
+ * @returns {Object|null}
+ */
+function findLeafType(schemaPath, typeTable) {
+  const exactMatch = typeTable?.types?.get(schemaPath);
+  if (exactMatch) return exactMatch;
+
+  let bestMatch = null;
+  let bestMatchLength = 0;
+  for (const { path, typeInfo } of typeTable?.leafToTypes?.get(schemaPath.split('/').pop()) || []) {
+    if (schemaPath.endsWith(`/${path}`) && path.length > bestMatchLength) {
+      bestMatch = typeInfo;
+      bestMatchLength = path.length;
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Resolves a leafref path against the referring leaf
+ * @param {string} leafrefPath - Path argument of the leafref type
+ * @param {Array<Object>} segments - Segments of the referring leaf
+ * @returns {{schemaPath: string, shared: number}|null} Target schema path and the
+ *          number of leading segments shared with the referring leaf;
+ *          null if the path cannot be followed (deref())
+ */
+function resolveLeafrefTarget(leafrefPath, segments) {
+  const expression = leafrefPath.replace(/\[[^\]]*\]/g, '').trim();
+  const absolute = expression.startsWith('/');
+
+  let names = absolute ? [] : segments.map(segment => segment.name);
+  let shared = names.length;
+
+  for (const step of expression.split('/').map(text => text.trim())) {
+    if (!step) continue;
+    if (step.includes('(')) return null;
+
+    if (step === '..') {
+      names = names.slice(0, -1);
+      shared = Math.min(shared, names.length);
+    } else {
+      names = [...names, step.split(':').pop()];
+    }
+  }
+
+  return { schemaPath: names.join('/'), shared };
+}
+
+/**
+ * Whether a candidate instance satisfies a reference: same value, and the
+ * same list entries for the ancestors both share
+ */
+function satisfies(reference, candidate) {
+  if (String(candidate.value) !== String(reference.value)) return false;
+
+  for (let i = 0; i < reference.target.shared; i++) {
+    const own = reference.segments[i]?.keys;
+    const other = candidate.segments[i]?.keys;
+    if (own && other && Object.entries(own).some(([keyName, keyValue]) => keyName in other && other[keyName] !== keyValue)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Finds leafref values whose target instance does not exist
+ *
+ * @param {Array<Object>} items - Patch items in instance-identifier format
+ * @param {Object} typeTable - Type table (leafref path per leaf)
+ * @param {Object} schemaInfo - Schema info with listKeys
+ * @param {Array<Object>} deviceData - RFC 7951 trees fetched from the device (optional)
+ * @returns {Array<Object>} Dangling references
+ *          { itemIndex, itemPath, leafPath, value, path, segments, target }
+ *
+ * @example
+ * checkLeafrefs([
+ *   { "/ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/bridge-name": "br9" }
+ * ], typeTable, schemaInfo)
+ * // [{ itemIndex: 0, value: 'br9', path: '/dot1q:bridges/dot1q:bridge/dot1q:name', ... }]
+ */
+function checkLeafrefs(items, typeTable, schemaInfo, deviceData = []) {
+  const leaves = collectLeaves(items, deviceData, schemaInfo);
+
+  const instances = new Map();
+  for (const leaf of leaves) {
+    if (!instances.has(leaf.schemaPath)) instances.set(leaf.schemaPath, []);
+    instances.get(leaf.schemaPath).push(leaf);
+  }
+
+  const dangling = [];
+  for (const leaf of leaves) {
+    if (leaf.itemIndex < 0 || !isScalar(leaf.value)) continue;
+
+    const typeInfo = findLeafType(leaf.schemaPath, typeTable);
+    if (typeInfo?.type !== 'leafref' || !typeInfo.path || typeInfo.requireInstance === false) continue;
+
+    const target = resolveLeafrefTarget(typeInfo.path, leaf.segments);
+    if (!target) continue;
+
+    const reference = { ...leaf, target };
+    if ((instances.get(target.schemaPath) || []).some(candidate => satisfies(reference, candidate))) continue;
+
+    dangling.push({
+      itemIndex: leaf.itemIndex,
+      itemPath: Object.keys(items[leaf.itemIndex])[0],
+      leafPath: leaf.leafPath,
+      value: leaf.value,
+      path: typeInfo.path,
+      segments: leaf.segments,
+      target
+    });
+  }
+
+  return dangling;
+}
+
+/**
+ * Instance-identifiers to fetch from the device to look up dangling targets
+ *
+ * The shared list entries keep their keys; below them the first list on
+ * the way to the target is fetched whole. Targets without a SID cannot be
+ * fetched and are left out.
+ *
+ * @param {Array<Object>} dangling - Result of checkLeafrefs()
+ * @param {Object} sidInfo - SID info (pathToInfo for module-qualified paths)
+ * @param {Object} schemaInfo - Schema info with nodeTypes
+ * @returns {Array<string>} Distinct instance-identifier paths
+ */
+function leafrefFetchPaths(dangling, sidInfo, schemaInfo) {
+  const paths = new Set();
+
+  for (const { segments, target } of dangling) {
+    const prefixedPath = sidInfo?.pathToInfo?.get(target.schemaPath)?.prefixedPath;
+    if (!prefixedPath) continue;
+
+    const names = target.schemaPath.split('/');
+    const prefixedNames = prefixedPath.split('/').filter(Boolean);
+
+    let end = names.length;
+    for (let i = target.shared; i < names.length - 1; i++) {
+      if (findNodeType(names.slice(0, i + 1).join('/'), schemaInfo) === 'list') {
+        end = i + 1;
+        break;
+      }
+    }
+
+    const fetchSegments = prefixedNames.slice(0, end).map((name, i) => {
+      const keys = i < target.shared ? segments[i].keys : null;
+      const predicates = Object.entries(keys || {}).map(([keyName, keyValue]) => `[${keyName}='${keyValue}']`).join('');
+      return `${name}${predicates}`;
+    });
+    paths.add(`/${fetchSegments.join('/')}`);
+  }
+
+  return [...paths];
+}
+
+/**
+ * Formats dangling references grouped by patch item
+ * @param {Array<Object>} dangling - Result of checkLeafrefs()
+ * @returns {string} Report lines
+ */
+function formatDanglingReferences(dangling) {
+  const byItem = new Map();
+  for (const reference of dangling) {
+    if (!byItem.has(reference.itemIndex)) byItem.set(reference.itemIndex, []);
+    byItem.get(reference.itemIndex).push(reference);
+  }
+
+  const lines = [];
+  for (const [itemIndex, references] of [...byItem].sort(([a], [b]) => a - b)) {
+    lines.push(`  [${itemIndex + 1}] ${references[0].itemPath}`);
+    for (const { leafPath, value, path } of references) {
+      const where = leafPath === references[0].itemPath ? '' : `${leafPath} `;
+      lines.push(`      ${where}= ${JSON.stringify(value)}: no such instance of leafref "${path}"`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  checkLeafrefs,
+  leafrefFetchPaths,
+  formatDanglingReferences
+};
@@ -0,0 +1,223 @@
+/**
+ * must/when Validator Module
+ *
+ * Evaluates the YANG must and when statements (RFC 7950 §7.5.3, §7.21.5)
+ * of every node in a candidate tree, so that a configuration the switch
+ * would reject is reported before it is sent.
+ *
+ * - must: evaluated for each instance of the node, with the node as
+ *   context; false reports the statement's error-message if it has one
+ * - when: a node whose when condition is false must not exist; the context
+ *   node is the node itself, or its parent for when on augment and case
+ *
+ * Conditions come from yang-type-extractor.js (schemaInfo.constraints),
+ * at the paths where groupings are used.
+ * Expressions the evaluator cannot handle are returned as skipped rather
+ * than reported as violations.
+ */
+
+import { buildDataNodes, stringValue, evaluateCondition } from '../common/xpath-evaluator.js';
+import { parseInstanceIdentifierPath, findListKeys } from '../parser/instance-id-converter.js';
+import { findTypeInfo } from './transformer-instance-id.js';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Finds the member of an object holding a node, written with or without
+ * its module prefix. An unprefixed member belongs to the parent's module,
+ * so same-named nodes of different modules (augments) stay apart.
+ */
+function findMember(object, module, name, parentModule) {
+  const wanted = module || parentModule;
+  return Object.keys(object).find(memberName => {
+    const colon = memberName.indexOf(':');
+    const memberLocal = colon === -1 ? memberName : memberName.slice(colon + 1);
+    const memberModule = colon === -1 ? parentModule : memberName.slice(0, colon);
+    return memberLocal === name && (!wanted || !memberModule || memberModule === wanted);
+  });
+}
+
+/**
+ * Deep-merge a value into a tree node; list entries are matched by key
+ */
+function mergeValue(target, value, schemaPath, schemaInfo, module) {
+  if (isObject(target) && isObject(value)) {
+    for (const [memberName, child] of Object.entries(value)) {
+      const colon = memberName.indexOf(':');
+      const name = memberName.slice(colon + 1);
+      const childModule = colon === -1 ? module : memberName.slice(0, colon);
+      const existing = findMember(target, childModule, name, module) ?? memberName;
+      target[existing] = mergeValue(target[existing], child, `${schemaPath}/${name}`, schemaInfo, childModule);
+    }
+    return target;
+  }
+
+  if (Array.isArray(target) && Array.isArray(value) && value.every(isObject) && target.every(isObject)) {
+    const keys = findListKeys(schemaPath, schemaInfo) || [];
+    for (const entry of value) {
+      const match = keys.length > 0 && target.find(existing => keys.every(key => String(existing[key]) === String(entry[key])));
+      if (match) {
+        mergeValue(match, entry, schemaPath, schemaInfo, module);
+      } else {
+        target.push(structuredClone(entry));
+      }
+    }
+    return target;
+  }
+
+  return structuredClone(value);
+}
+
+/**
+ * Applies instance-identifier items to an RFC 7951 tree (the candidate
+ * configuration a patch would produce). The tree is not modified.
+ *
+ * @param {object} tree - Base tree (e.g. the running configuration), or {}
+ * @param {Array<object>} items - Instance-identifier items
+ * @param {object} schemaInfo - Schema info with listKeys
+ * @returns {object} Merged tree
+ *
+ * @example
+ * applyInstanceItems({}, [{ "/ietf-interfaces:interfaces/interface[name='1']/enabled": false }], schemaInfo)
+ * // { "ietf-interfaces:interfaces": { "interface": [{ "name": "1", "enabled": false }] } }
+ */
+function applyInstanceItems(tree, items, schemaInfo) {
+  const result = structuredClone(tree || {});
+
+  for (const item of items) {
+    const [path] = Object.keys(item);
+    const components = parseInstanceIdentifierPath(path);
+
+    let target = result;
+    let schemaPath = '';
+    let parentModule = null;
+    components.forEach((component, i) => {
+      const isLast = i === components.length - 1;
+      const module = component.module || parentModule;
+      const memberName = findMember(target, module, component.name, parentModule)
+        ?? (module !== parentModule ? `${module}:${component.name}` : component.name);
+      schemaPath = schemaPath ? `${schemaPath}/${component.name}` : component.name;
+      parentModule = module;
+
+      if (component.type === 'list') {
+        if (!Array.isArray(target[memberName])) target[memberName] = [];
+        let entry = target[memberName].find(existing => isObject(existing)
+          && component.keys.every(({ keyName, keyValue }) => String(existing[keyName]) === keyValue));
+        if (!entry) {
+          entry = Object.fromEntries(component.keys.map(({ keyName, keyValue }) => [keyName, keyValue]));
+          target[memberName].push(entry);
+        }
+        if (isLast && isObject(item[path])) mergeValue(entry, item[path], schemaPath, schemaInfo, module);
+        target = entry;
+      } else if (isLast) {
+        // The empty type is [null] in RFC 7951 trees
+        const value = item[path] === null ? [null] : item[path];
+        target[memberName] = mergeValue(target[memberName], value, schemaPath, schemaInfo, module);
+      } else {
+        if (!isObject(target[memberName])) target[memberName] = {};
+        target = target[memberName];
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * must/when entries of a schema node. Conditions inside a grouping are
+ * recorded where the grouping is used, never at the grouping itself.
+ */
+function findConditions(schemaPath, schemaInfo) {
+  return schemaInfo?.constraints?.get(schemaPath) || [];
+}
+
+/**
+ * Instance-identifier of a data node, with key predicates for list entries
+ */
+function instancePath(node, schemaInfo) {
+  const segments = [];
+  for (let current = node; current.parent; current = current.parent) {
+    const prefix = current.module !== current.parent.module ? `${current.module}:` : '';
+    const keys = current.isLeaf ? [] : findListKeys(current.schemaPath, schemaInfo) || [];
+    const predicates = keys.map(keyName => {
+      const keyNode = current.children.find(child => child.name === keyName);
+      return keyNode ? `[${keyName}='${stringValue(keyNode)}']` : '';
+    }).join('');
+    segments.unshift(`${prefix}${current.name}${predicates}`);
+  }
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Evaluates the must and when conditions of every node in a tree
+ *
+ * @param {object} tree - RFC 7951 candidate tree
+ * @param {object} typeTable - Type table (enum-value(), deref())
+ * @param {object} schemaInfo - Schema info with constraints, prefixes and identities
+ * @returns {{violations: Array<object>, skipped: Array<object>, checked: number}}
+ *          violations: { path, kind, condition, message };
+ *          skipped: { path, kind, condition, reason } for expressions that could not be evaluated
+ */
+function validateMustWhen(tree, typeTable, schemaInfo) {
+  const root = buildDataNodes(tree);
+  const typeOf = (node) => (node.isLeaf ? findTypeInfo(node.schemaPath, typeTable) : null);
+
+  const violations = [];
+  const skipped = [];
+  let checked = 0;
+
+  const visit = (node) => {
+    for (const entry of findConditions(node.schemaPath, schemaInfo)) {
+      const contextNode = entry.context === 'parent' ? node.parent : node;
+      const env = {
+        module: entry.module,
+        namespace: node.module,
+        prefixes: schemaInfo.prefixes?.get(entry.module) || {},
+        identities: schemaInfo.identities,
+        typeOf
+      };
+
+      let result;
+      try {
+        result = evaluateCondition(entry.condition, contextNode, env);
+        checked++;
+      } catch (err) {
+        skipped.push({ path: instancePath(node, schemaInfo), kind: entry.kind, condition: entry.condition, reason: err.message });
+        continue;
+      }
+
+      if (!result) {
+        violations.push({
+          path: instancePath(node, schemaInfo),
+          kind: entry.kind,
+          condition: entry.condition,
+          message: entry.kind === 'when'
+            ? `node is present but its when condition "${entry.condition}" is false`
+            : entry.errorMessage || `must condition "${entry.condition}" is not satisfied`
+        });
+      }
+    }
+
+    node.children.forEach(visit);
+  };
+
+  root.children.forEach(visit);
+  return { violations, skipped, checked };
+}
+
+/**
+ * Formats violations one per node
+ * @param {Array<object>} violations - From validateMustWhen()
+ * @returns {string}
+ */
+function formatViolations(violations) {
+  return violations.map(({ path, kind, message }) => `  ${path}\n      ${kind}: ${message}`).join('\n');
+}
+
+export {
+  applyInstanceItems,
+  validateMustWhen,
+  formatViolations
+};
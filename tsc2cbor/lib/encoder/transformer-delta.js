@@ -5,8 +5,9 @@
  * Similar to yaml2cbor_js approach
  */
 
-import { encodeValue } from './value-encoder.js';
+import { encodeLeafValue } from './value-encoder.js';
 import { resolvePathToSid } from '../common/sid-resolver.js';
+import { listEntryPath } from '../parser/instance-id-converter.js';
 
 /**
  * Strip module prefixes from all path segments
@@ -33,6 +34,8 @@ function stripModulePrefixes(path) {
  * @param {string} currentPath - Current YANG path (for nested objects)
  * @param {number|null} parentSid - Parent's absolute SID for Delta-SID calculation
  * @param {boolean} useMap - Whether to use Map (Tag 259) or plain Object
+ * @param {string} sortMode - Key sort mode ('velocity' | 'rfc8949')
+ * @param {string} instancePath - Instance-identifier of jsonObj (for error messages)
  * @returns {Map|object} Map with Delta-SID/Absolute-SID keys and encoded values
  */
 export function transformTree(
@@ -43,7 +46,8 @@ export function transformTree(
   currentPath = '',
   parentSid = null,
   useMap = true,
-  sortMode = 'velocity'
+  sortMode = 'velocity',
+  instancePath = ''
 ) {
   const result = useMap ? new Map() : {};  // Map with Tag(259) or plain Object
   const stats = { delta: 0, absolute: 0 };
@@ -65,6 +69,7 @@ export function transformTree(
     // Build YANG path
     const yangPath = currentPath ? `${currentPath}/${key}` : key;
     const yangPathNoPrefix = stripModulePrefixes(yangPath);
+    const nodeInstancePath = `${instancePath}/${key}`;
     const localName = key.includes(':') ? key.split(':')[1] : key;
     const yangOrder = schemaInfo?.nodeOrders?.get(localName) || 999999;
 
@@ -88,7 +93,8 @@ export function transformTree(
         yangPath,
         currentSid,
         useMap,
-        sortMode
+        sortMode,
+        nodeInstancePath
       );
 
       // Determine key encoding
@@ -131,6 +137,7 @@ export function transformTree(
       // Collect results in an array
       const arrayResults = [];
 
+      const leafListType = typeTable.types.get(yangPathNoPrefix);
       value.forEach((item) => {
         if (item && typeof item === 'object') {
           const itemResult = transformTree(
@@ -141,12 +148,15 @@ export function transformTree(
             yangPath,
             arraySid,  // Array SID becomes parent for all items
             useMap,
-            sortMode
+            sortMode,
+            listEntryPath(nodeInstancePath, yangPathNoPrefix, item, schemaInfo)
           );
           arrayResults.push(itemResult);
         } else {
-          // Primitive value in array
-          arrayResults.push(item);
+          // Primitive value in array (leaf-list)
+          arrayResults.push(leafListType
+            ? encodeLeafValue(item, leafListType, sidInfo, nodeInstancePath)
+            : item);
         }
       });
 
@@ -181,7 +191,7 @@ export function transformTree(
     // Strip module prefixes for typeTable lookup
     const typeInfo = typeTable.types.get(yangPathNoPrefix);
     const encodedValue = typeInfo
-      ? encodeValue(value, typeInfo, sidInfo, false)
+      ? encodeLeafValue(value, typeInfo, sidInfo, nodeInstancePath)
       : value;
 
     // Step 2: KEY encoding with context-aware Delta-SID
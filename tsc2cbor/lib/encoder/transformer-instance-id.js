@@ -8,7 +8,8 @@
  * Output: CBOR Map with Delta-SID keys
  */
 
-import { encodeValue } from './value-encoder.js';
+import { encodeLeafValue } from './value-encoder.js';
+import { listEntryPath } from '../parser/instance-id-converter.js';
 import { resolvePathToSid } from '../common/sid-resolver.js';
 
 export { parseInstanceIdPath, buildYangPath, resolveSid, findTypeInfo };
@@ -362,7 +363,7 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
             // Encode key value (usually string)
             const keyTypeInfo = findTypeInfo(keyPath, typeTable);
             const encodedKeyValue = keyTypeInfo
-              ? encodeValue(keyValue, keyTypeInfo, sidInfo, false)
+              ? encodeLeafValue(keyValue, keyTypeInfo, sidInfo, keyInstancePath(path, keyName))
               : keyValue;
 
             setInMap(listEntry, keyEncodedKey, encodedKeyValue);
@@ -374,7 +375,7 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
         // If this is the last component and there's a value, merge it into the list entry
         if (isLast && value !== null && typeof value === 'object' && !Array.isArray(value)) {
           const transformedValue = transformObjectToSidMap(
-            value, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose
+            value, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose, schemaInfo, path
           );
           // Merge transformed value into the list entry
           if (transformedValue instanceof Map) {
@@ -395,7 +396,7 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
         if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
           // Object value: transform keys to Delta-SID
           const transformedValue = transformObjectToSidMap(
-            value, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose
+            value, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose, schemaInfo, path
           );
 
           // For iPATCH: Don't wrap single list entry in array
@@ -407,7 +408,8 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
           const transformedArray = value.map(item => {
             if (item !== null && typeof item === 'object') {
               return transformObjectToSidMap(
-                item, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose
+                item, strippedPath, currentSid, sidInfo, typeTable, useMap, verbose, schemaInfo,
+                listEntryPath(path, strippedPath, item, schemaInfo)
               );
             }
             return item;
@@ -417,7 +419,7 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
           // Leaf node - set value with type encoding
           const typeInfo = findTypeInfo(strippedPath, typeTable);
           const encodedValue = typeInfo
-            ? encodeValue(value, typeInfo, sidInfo, false)
+            ? encodeLeafValue(value, typeInfo, sidInfo, path)
             : value;
           setInMap(currentMap, encodedKey, encodedValue);
         }
@@ -441,6 +443,23 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
   return rootMap;
 }
 
+/**
+ * Instance-identifier of a list key leaf within an item path (for error messages)
+ * Example: ("/a:list[name='1/1']/leaf", "name") → "/a:list[name='1/1']/name"
+ *
+ * @param {string} path - Instance-identifier containing the key predicate
+ * @param {string} keyName - Key leaf name
+ * @returns {string} Path of the key leaf, or path itself if the predicate is not found
+ */
+function keyInstancePath(path, keyName) {
+  const start = path.indexOf(`[${keyName}=`);
+  if (start === -1) return path;
+
+  // Keep the remaining predicates of the same segment (values may contain '/')
+  const predicates = path.slice(start).match(/^(?:\[[\w.-]+='[^']*'\])+/);
+  return predicates ? `${path.slice(0, start)}${predicates[0]}/${keyName}` : path;
+}
+
 /**
  * Transform a plain object to SID-keyed Map/Object
  * Recursively converts object keys to Delta-SID based on YANG path
@@ -452,9 +471,13 @@ export function transformInstanceIdToTree(instanceIdArray, typeTable, sidInfo, s
  * @param {Object} typeTable - Type table
  * @param {boolean} useMap - Use Map instead of Object
  * @param {boolean} verbose - Verbose logging
+ * @param {Object} schemaInfo - Schema info with listKeys (for error messages)
+ * @param {string} instancePath - Instance-identifier of obj (for error messages)
  * @returns {Map|Object} Transformed object with SID keys
  */
-function transformObjectToSidMap(obj, basePath, parentSid, sidInfo, typeTable, useMap, verbose) {
+function transformObjectToSidMap(
+  obj, basePath, parentSid, sidInfo, typeTable, useMap, verbose, schemaInfo = null, instancePath = basePath
+) {
   const result = useMap ? new Map() : {};
 
   const setInResult = (key, value) => {
@@ -481,6 +504,7 @@ function transformObjectToSidMap(obj, basePath, parentSid, sidInfo, typeTable, u
     // Get nodeInfo from sidToInfo for Delta-SID calculation
     const nodeInfo = sidInfo.sidToInfo?.get(childSid);
     const childPath = nodeInfo?.path || `${basePath}/${key}`;
+    const childInstancePath = `${instancePath}/${key}`;
 
     // Calculate Delta-SID or Absolute-SID
     let encodedKey;
@@ -493,7 +517,7 @@ function transformObjectToSidMap(obj, basePath, parentSid, sidInfo, typeTable, u
     // Recursively transform nested objects/arrays
     if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
       const transformed = transformObjectToSidMap(
-        value, childPath, childSid, sidInfo, typeTable, useMap, verbose
+        value, childPath, childSid, sidInfo, typeTable, useMap, verbose, schemaInfo, childInstancePath
       );
       setInResult(encodedKey, transformed);
     } else if (Array.isArray(value)) {
@@ -501,19 +525,20 @@ function transformObjectToSidMap(obj, basePath, parentSid, sidInfo, typeTable, u
       const transformedArray = value.map(item => {
         if (item !== null && typeof item === 'object') {
           return transformObjectToSidMap(
-            item, childPath, childSid, sidInfo, typeTable, useMap, verbose
+            item, childPath, childSid, sidInfo, typeTable, useMap, verbose, schemaInfo,
+            listEntryPath(childInstancePath, childPath, item, schemaInfo)
           );
         }
         // Primitive array item: encode with type info
         const typeInfo = findTypeInfo(childPath, typeTable);
-        return typeInfo ? encodeValue(item, typeInfo, sidInfo, false) : item;
+        return typeInfo ? encodeLeafValue(item, typeInfo, sidInfo, childInstancePath) : item;
       });
       setInResult(encodedKey, transformedArray);
     } else {
       // Leaf value: encode with type info (use fuzzy matching for grouping paths)
       const typeInfo = findTypeInfo(childPath, typeTable);
       const encodedValue = typeInfo
-        ? encodeValue(value, typeInfo, sidInfo, false)
+        ? encodeLeafValue(value, typeInfo, sidInfo, childInstancePath)
         : value;
       setInResult(encodedKey, encodedValue);
     }
@@ -582,7 +607,7 @@ function transformForInstanceIdKey(instanceIdArray, typeTable, sidInfo, schemaIn
           const keyPath = `${strippedPath}/${keyName}`;
           const keyTypeInfo = findTypeInfo(keyPath, typeTable);
           const encodedKeyValue = keyTypeInfo
-            ? encodeValue(keyValue, keyTypeInfo, sidInfo, false)
+            ? encodeLeafValue(keyValue, keyTypeInfo, sidInfo, keyInstancePath(path, keyName))
             : keyValue;
           allKeyValues.push(encodedKeyValue);
         }
@@ -615,7 +640,7 @@ function transformForInstanceIdKey(instanceIdArray, typeTable, sidInfo, schemaIn
     } else if (typeof value === 'object' && !Array.isArray(value)) {
       // Object value: transform keys to delta-SID relative to target
       cborValue = transformObjectToSidMap(
-        value, targetPath, targetSid, sidInfo, typeTable, useMap, verbose
+        value, targetPath, targetSid, sidInfo, typeTable, useMap, verbose, schemaInfo, path
       );
     } else if (Array.isArray(value)) {
       // Array value (leaf-list or list entries)
@@ -623,19 +648,22 @@ function transformForInstanceIdKey(instanceIdArray, typeTable, sidInfo, schemaIn
       if (firstItem !== null && typeof firstItem === 'object') {
         // List entries: transform each item
         cborValue = value.map(item =>
-          transformObjectToSidMap(item, targetPath, targetSid, sidInfo, typeTable, useMap, verbose)
+          transformObjectToSidMap(
+            item, targetPath, targetSid, sidInfo, typeTable, useMap, verbose, schemaInfo,
+            listEntryPath(path, targetPath, item, schemaInfo)
+          )
         );
       } else {
         // Leaf-list: encode each primitive value
         const typeInfo = findTypeInfo(targetPath, typeTable);
         cborValue = value.map(item =>
-          typeInfo ? encodeValue(item, typeInfo, sidInfo, false) : item
+          typeInfo ? encodeLeafValue(item, typeInfo, sidInfo, path) : item
         );
       }
     } else {
       // Primitive value: encode with type info
       const typeInfo = findTypeInfo(targetPath, typeTable);
-      cborValue = typeInfo ? encodeValue(value, typeInfo, sidInfo, false) : value;
+      cborValue = typeInfo ? encodeLeafValue(value, typeInfo, sidInfo, path) : value;
     }
 
     // Set in result map
@@ -690,7 +718,7 @@ function transformPathsOnly(paths, typeTable, sidInfo, verbose) {
           const keyPath = `${strippedPath}/${keyName}`;
           const keyTypeInfo = findTypeInfo(keyPath, typeTable);
           const encodedKeyValue = keyTypeInfo
-            ? encodeValue(keyValue, keyTypeInfo, sidInfo, false)
+            ? encodeLeafValue(keyValue, keyTypeInfo, sidInfo, keyInstancePath(path, keyName))
             : keyValue;
           allKeyValues.push(encodedKeyValue);
         }
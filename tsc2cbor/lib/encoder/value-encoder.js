@@ -8,10 +8,14 @@
  * - Tag 43: bits as byte array
  * - Tag 44: enumeration in union context
  * - Tag 45: identityref in union context
+ *
+ * Range, length and pattern restrictions are checked before encoding
+ * (constraint-validator.js).
  */
 
 import cbor from 'cbor';
 import { resolveIdentityToSid } from '../common/sid-resolver.js';
+import { validateConstraints } from './constraint-validator.js';
 
 // Use cbor library's Tagged class for CBOR tag encoding
 // Note: cbor uses Tagged(tagNumber, value), not Tag(value, tagNumber)
@@ -45,26 +49,29 @@ export function encodeValue(value, typeInfo, sidInfo = null, isUnion = false) {
     case 'identityref':
       return encodeIdentity(value, typeInfo, sidInfo, isUnion);
 
-    case 'decimal64':
-      return encodeDecimal64(value, typeInfo);
+    case 'decimal64': {
+      const encoded = encodeDecimal64(value, typeInfo);
+      validateConstraints(Number(value), typeInfo);
+      return encoded;
+    }
 
     case 'bits':
       return encodeBits(value, typeInfo, isUnion);
 
     case 'boolean':
-      return Boolean(value);
+      return encodeBoolean(value);
 
     case 'uint8':
     case 'uint16':
     case 'uint32':
     case 'uint64':
-      return encodeUint(value);
+      return validateConstraints(encodeUint(value), typeInfo);
 
     case 'int8':
     case 'int16':
     case 'int32':
     case 'int64':
-      return encodeInt(value);
+      return validateConstraints(encodeInt(value), typeInfo);
 
     case 'string':
       // Convert MAC address format: colon to dash (YANG ieee:mac-address standard)
@@ -75,12 +82,18 @@ export function encodeValue(value, typeInfo, sidInfo = null, isUnion = false) {
         if (process.env.DEBUG_MAC) {
           console.log(`MAC conversion: ${stringValue} → ${converted}`);
         }
+        // Either separator may satisfy the pattern (ietf-yang-types ':', ieee802-types '-')
+        try {
+          validateConstraints(stringValue, typeInfo);
+        } catch (err) {
+          validateConstraints(converted, typeInfo);
+        }
         return converted;
       }
-      return stringValue;
+      return validateConstraints(stringValue, typeInfo);
 
     case 'binary':
-      return encodeBinary(value);
+      return validateConstraints(encodeBinary(value), typeInfo);
 
     case 'empty':
       return null; // RFC 9254: empty type is encoded as null
@@ -94,6 +107,23 @@ export function encodeValue(value, typeInfo, sidInfo = null, isUnion = false) {
   }
 }
 
+/**
+ * Encode a leaf or leaf-list value, naming its instance path in errors
+ * @param {*} value - Value to encode
+ * @param {object} typeInfo - Type information from yang-type-extractor
+ * @param {object} sidInfo - SID tree from sid-resolver
+ * @param {string} instancePath - Instance-identifier of the leaf (for error messages)
+ * @returns {*} Encoded value suitable for CBOR
+ * @throws {Error} "Invalid value for <path>: <reason>"
+ */
+export function encodeLeafValue(value, typeInfo, sidInfo, instancePath) {
+  try {
+    return encodeValue(value, typeInfo, sidInfo, false);
+  } catch (err) {
+    throw new Error(`Invalid value for ${instancePath}: ${err.message}`);
+  }
+}
+
 /**
  * Encode enum value with optional Tag(44) for union context
  * @param {string|number} value - Enum value (name or number)
@@ -162,12 +192,25 @@ function encodeIdentity(value, typeInfo, sidInfo, isUnion = false) {
 
 /**
  * Encode decimal64 with RFC 9254 Tag(4)
- * @param {number|string} value - Decimal value (e.g., 3.14)
+ * @param {number|string} value - Decimal value (e.g., 3.14, or "3.14" as in RFC 7951 JSON)
  * @param {object} typeInfo - Type information with fractionDigits
  * @returns {Tag} Tag(4, [-fractionDigits, mantissa])
  */
 function encodeDecimal64(value, typeInfo) {
   const fractionDigits = typeInfo.fractionDigits || 2;
+
+  // Decimal strings are scaled digit by digit, so no float rounding creeps in
+  const decimalMatch = typeof value === 'string' && value.trim().match(/^([+-]?)(\d*)(?:\.(\d*))?$/);
+  if (decimalMatch && (decimalMatch[2] || decimalMatch[3])) {
+    const [, sign, intPart, fracPart = ''] = decimalMatch;
+    if (fracPart.replace(/0+$/, '').length > fractionDigits) {
+      throw new Error(`decimal64 value ${value} has more than ${fractionDigits} fraction digits`);
+    }
+    const digits = BigInt(`${sign}${intPart || '0'}${fracPart.padEnd(fractionDigits, '0').slice(0, fractionDigits)}`);
+    const mantissa = Number.isSafeInteger(Number(digits)) ? Number(digits) : digits;
+    return new Tagged(4, [-fractionDigits, mantissa]);
+  }
+
   const numValue = typeof value === 'string' ? parseFloat(value) : value;
 
   if (isNaN(numValue)) {
@@ -245,51 +288,86 @@ function encodeUnion(value, typeInfo, sidInfo) {
     return autoEncodeValue(value);
   }
 
-  // Try each union type in order
+  // Try each union type in order (RFC 7950 §9.12: the first member that
+  // accepts the value, restrictions included, determines its type)
+  const failures = [];
   for (const unionType of typeInfo.unionTypes) {
     try {
       // Attempt to encode with isUnion=true for Tag wrapping
       return encodeValue(value, unionType, sidInfo, true);
     } catch (err) {
       // Try next type
+      failures.push(`${unionType.original || unionType.type}: ${err.message}`);
       continue;
     }
   }
 
-  // If no type matched, return as-is
-  console.warn(`Union value could not be encoded with any union type: ${value}`);
-  return autoEncodeValue(value);
+  throw new Error(`value "${value}" matches no member of union (${failures.join('; ')})`);
+}
+
+/**
+ * Encode boolean
+ * @param {boolean|string} value - Boolean value ("true"/"false" from XML or quoted YAML)
+ * @returns {boolean} Boolean value
+ */
+function encodeBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  throw new Error(`Invalid boolean value: ${value}`);
 }
 
 /**
  * Encode unsigned integer
- * @param {number|string} value - Unsigned integer value
- * @returns {number} Validated unsigned integer
+ * @param {number|string} value - Unsigned integer value (64-bit values as strings per RFC 7951)
+ * @returns {number|bigint} Validated unsigned integer, BigInt beyond 2^53
  */
 function encodeUint(value) {
-  const num = Number(value);
+  const num = toInteger(value);
+  if (num === null) {
+    throw new Error(`Unsigned integer must be an integer: ${value}`);
+  }
   if (num < 0) {
     throw new Error(`Unsigned integer cannot be negative: ${value}`);
   }
-  if (!Number.isInteger(num)) {
-    throw new Error(`Unsigned integer must be an integer: ${value}`);
-  }
   return num;
 }
 
 /**
  * Encode signed integer
- * @param {number|string} value - Signed integer value
- * @returns {number} Validated signed integer
+ * @param {number|string} value - Signed integer value (64-bit values as strings per RFC 7951)
+ * @returns {number|bigint} Validated signed integer, BigInt beyond 2^53
  */
 function encodeInt(value) {
-  const num = Number(value);
-  if (!Number.isInteger(num)) {
+  const num = toInteger(value);
+  if (num === null) {
     throw new Error(`Signed integer must be an integer: ${value}`);
   }
   return num;
 }
 
+/**
+ * Parse an integer without losing 64-bit precision
+ * Integers outside the safe range become BigInt, encoded as 64-bit CBOR integers.
+ * @param {number|string|bigint} value - Integer value
+ * @returns {number|bigint|null} Integer, or null if value is not an integer
+ */
+function toInteger(value) {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+  }
+  if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+    const big = BigInt(value.trim());
+    return Number.isSafeInteger(Number(big)) ? Number(big) : big;
+  }
+
+  const num = Number(value);
+  return Number.isInteger(num) ? num : null;
+}
+
 /**
  * Encode binary value
  * @param {string|Buffer} value - Binary value (base64 string or Buffer)
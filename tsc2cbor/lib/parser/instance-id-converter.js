@@ -1,8 +1,9 @@
 /**
- * Instance-identifier to RFC 7951 Converter
+ * Instance-identifier <-> RFC 7951 Converter
  *
  * Converts XPath-style instance-identifier format (used by mvdct/RFC 8072)
- * to RFC 7951 hierarchical JSON format (used internally by tsc2cbor).
+ * to RFC 7951 hierarchical JSON format, and splits RFC 7951 trees (the
+ * output of get/decode) back into instance-identifier items for encoding.
  *
  * @module lib/parser/instance-id-converter
  *
@@ -219,6 +220,159 @@ function convertInstanceIdentifierToRfc7951(instanceIdentifierData) {
   return rfc7951Object;
 }
 
+/**
+ * Finds the key leaf names of a list.
+ * Lists defined inside groupings are recorded under the grouping's path,
+ * so the longest matching path suffix wins when there is no exact match.
+ *
+ * @param {string} listPath - Schema path of the list without module prefixes
+ * @param {Object} schemaInfo - Schema info with listKeys
+ * @returns {Array<string>|null} Key leaf names, or null if unknown
+ */
+function findListKeys(listPath, schemaInfo) {
+  const listKeys = schemaInfo?.listKeys;
+  if (!listKeys) return null;
+
+  const exactMatch = listKeys.get(listPath);
+  if (exactMatch) return exactMatch;
+
+  let bestMatch = null;
+  let bestMatchLength = 0;
+  for (const [path, keys] of listKeys) {
+    if ((listPath === path || listPath.endsWith(`/${path}`)) && path.length > bestMatchLength) {
+      bestMatch = keys;
+      bestMatchLength = path.length;
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Formats a list key predicate such as [name='1'].
+ *
+ * @param {string} keyName - Key leaf name
+ * @param {*} keyValue - Key value from the tree
+ * @param {string} path - Path of the list entry (for error messages)
+ * @returns {string} Predicate string
+ * @throws {Error} If the key is missing or cannot be written as a predicate
+ */
+function formatKeyPredicate(keyName, keyValue, path) {
+  if (keyValue === undefined || keyValue === null || typeof keyValue === 'object') {
+    throw new Error(`List entry at "${path}" has no value for key '${keyName}'`);
+  }
+
+  const text = String(keyValue);
+  if (text === '' || text.includes("'")) {
+    throw new Error(`Key '${keyName}' value "${text}" at "${path}" cannot be written as an instance-identifier predicate`);
+  }
+
+  return `[${keyName}='${text}']`;
+}
+
+/**
+ * Instance-identifier of a list entry for messages: the key values present
+ * in the entry become predicates.
+ *
+ * @param {string} listInstancePath - Instance path of the list node
+ * @param {string} listPath - Schema path of the list without module prefixes
+ * @param {Object} entry - List entry from the tree
+ * @param {Object} schemaInfo - Schema info with listKeys
+ * @returns {string} e.g. "/ietf-interfaces:interfaces/interface[name='1']"
+ */
+function listEntryPath(listInstancePath, listPath, entry, schemaInfo) {
+  const keys = findListKeys(listPath, schemaInfo) || [];
+  const predicates = keys
+    .filter(keyName => entry[keyName] !== undefined && entry[keyName] !== null && typeof entry[keyName] !== 'object')
+    .map(keyName => `[${keyName}='${entry[keyName]}']`)
+    .join('');
+  return `${listInstancePath}${predicates}`;
+}
+
+/**
+ * Converts an RFC 7951 tree into instance-identifier items, one per node.
+ *
+ * Every leaf and leaf-list becomes its own item. List keys move into the
+ * path predicate; a list entry holding nothing but its keys is kept as a
+ * single item so that the entry itself is still created. Empty containers
+ * are kept as well (presence containers).
+ *
+ * @param {Object} tree - RFC 7951 hierarchical JavaScript object
+ * @param {Object} schemaInfo - Schema info with listKeys (from loadYangInputs)
+ * @returns {Array<Object>} Instance-identifier items like [{ "/path/to/leaf": value }, ...]
+ * @throws {Error} If the tree is not an object or a list's keys cannot be determined
+ *
+ * @example
+ * convertRfc7951ToInstanceIdentifier({
+ *   "ietf-interfaces:interfaces": { "interface": [{ "name": "1", "enabled": true }] }
+ * }, schemaInfo)
+ * // Returns: [{ "/ietf-interfaces:interfaces/interface[name='1']/enabled": true }]
+ */
+function convertRfc7951ToInstanceIdentifier(tree, schemaInfo) {
+  if (tree === null || typeof tree !== 'object' || Array.isArray(tree)) {
+    throw new Error('RFC 7951 tree input must be an object of top-level nodes');
+  }
+
+  const items = [];
+  const keyCache = new Map();
+
+  const keysOf = (schemaPath, path) => {
+    if (!keyCache.has(schemaPath)) {
+      keyCache.set(schemaPath, findListKeys(schemaPath, schemaInfo));
+    }
+    const keys = keyCache.get(schemaPath);
+    if (!keys) {
+      throw new Error(`Cannot determine the keys of list "${path}"; use instance-identifier format for this node`);
+    }
+    return keys;
+  };
+
+  const walk = (node, path, schemaPath) => {
+    const entries = Object.entries(node);
+    if (entries.length === 0 && path) {
+      items.push({ [path]: {} });
+      return;
+    }
+
+    for (const [nodeKey, value] of entries) {
+      const childPath = `${path}/${nodeKey}`;
+      const childSchemaPath = schemaPath ? `${schemaPath}/${nodeKey.split(':').pop()}` : nodeKey.split(':').pop();
+
+      if (Array.isArray(value) && value.length > 0 && value.every(el => el !== null && typeof el === 'object' && !Array.isArray(el))) {
+        // List: one sub-walk per entry, keys move into the predicate
+        const keys = keysOf(childSchemaPath, childPath);
+        for (const entry of value) {
+          const predicates = keys.map(keyName => formatKeyPredicate(keyName, entry[keyName], childPath)).join('');
+          const entryPath = `${childPath}${predicates}`;
+          const rest = Object.fromEntries(Object.entries(entry).filter(([k]) => !keys.includes(k)));
+
+          if (Object.keys(rest).length === 0) {
+            items.push({ [entryPath]: entry });
+          } else {
+            walk(rest, entryPath, childSchemaPath);
+          }
+        }
+      } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        // Container
+        walk(value, childPath, childSchemaPath);
+      } else {
+        // Leaf or leaf-list; the empty type is [null] in JSON (RFC 7951 §6.9)
+        const isEmptyLeaf = Array.isArray(value) && value.length === 1 && value[0] === null;
+        items.push({ [childPath]: isEmptyLeaf ? null : value });
+      }
+    }
+  };
+
+  for (const topKey of Object.keys(tree)) {
+    if (!topKey.includes(':')) {
+      throw new Error(`Top-level node "${topKey}" must be prefixed with its module name (RFC 7951 §4)`);
+    }
+  }
+
+  walk(tree, '', '');
+  return items;
+}
+
 /**
  * Main conversion function with format detection.
  * Converts instance-identifier format to RFC 7951 if needed.
@@ -260,5 +414,8 @@ export {
   parseInstanceIdentifierPath,
   isInstanceIdentifierFormat,
   convertInstanceIdentifierToRfc7951,
-  convertToRfc7951IfNeeded
+  convertRfc7951ToInstanceIdentifier,
+  convertToRfc7951IfNeeded,
+  findListKeys,
+  listEntryPath
 };
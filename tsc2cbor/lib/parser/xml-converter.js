@@ -0,0 +1,274 @@
+/**
+ * NETCONF XML <-> RFC 7951 Converter
+ *
+ * Serializes decoded RFC 7951 trees as NETCONF XML (RFC 6241 / RFC 7950 §7)
+ * and parses NETCONF XML back into RFC 7951 trees for encoding.
+ *
+ * - Element namespaces come from the YANG modules (schemaInfo.namespaces);
+ *   a child declares xmlns only when its module differs from its parent's
+ * - List keys are written first, in "key" statement order (RFC 7950 §7.8.5)
+ * - Identity values are written as prefix:name with the module name as
+ *   prefix and a matching xmlns:prefix declaration
+ * - Output is wrapped in <data xmlns="urn:ietf:params:xml:ns:netconf:base:1.0">;
+ *   input may use <data>, <config> or a single top-level node as root
+ */
+
+import xml2js from 'xml2js';
+import { findListKeys } from './instance-id-converter.js';
+
+const NETCONF_BASE_NS = 'urn:ietf:params:xml:ns:netconf:base:1.0';
+
+// xml2js bookkeeping keys (attributes, namespace info, text)
+const XML2JS_KEYS = new Set(['$', '$ns', '_']);
+
+/**
+ * Finds the node type of a schema path ("container", "list", "leaf", "leaf-list").
+ * Nodes defined inside groupings are recorded under the grouping's path,
+ * so the longest matching path suffix wins when there is no exact match.
+ *
+ * @param {string} schemaPath - Schema path without module prefixes
+ * @param {Object} schemaInfo - Schema info with nodeTypes
+ * @returns {string|null} Node type, or null if unknown
+ */
+function findNodeType(schemaPath, schemaInfo) {
+  const nodeTypes = schemaInfo?.nodeTypes;
+  if (!nodeTypes) return null;
+
+  const exactMatch = nodeTypes.get(schemaPath);
+  if (exactMatch) return exactMatch;
+
+  let bestMatch = null;
+  let bestMatchLength = 0;
+  for (const [path, nodeType] of nodeTypes) {
+    if (schemaPath.endsWith(`/${path}`) && path.length > bestMatchLength) {
+      bestMatch = nodeType;
+      bestMatchLength = path.length;
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Splits an RFC 7951 member name into module and local name.
+ *
+ * @param {string} memberName - "module:name" or "name"
+ * @param {string|null} parentModule - Module of the parent node
+ * @returns {{moduleName: string|null, localName: string}}
+ */
+function splitMemberName(memberName, parentModule) {
+  const colon = memberName.indexOf(':');
+  if (colon === -1) {
+    return { moduleName: parentModule, localName: memberName };
+  }
+  return { moduleName: memberName.slice(0, colon), localName: memberName.slice(colon + 1) };
+}
+
+/**
+ * Converts a decoded RFC 7951 tree to NETCONF XML.
+ * Expects values in RFC 7951 JSON form (module-qualified identities,
+ * empty leaves as [null]), as produced by detransform(..., { json: true }).
+ *
+ * @param {Object} tree - RFC 7951 tree with module-prefixed top-level members
+ * @param {Object} schemaInfo - Schema info with namespaces and listKeys
+ * @returns {string} XML document
+ * @throws {Error} If a module has no known namespace
+ *
+ * @example
+ * convertRfc7951ToXml({
+ *   "ietf-interfaces:interfaces": { "interface": [{ "name": "1", "enabled": true }] }
+ * }, schemaInfo)
+ * // <data xmlns="urn:ietf:params:xml:ns:netconf:base:1.0">
+ * //   <interfaces xmlns="urn:ietf:params:xml:ns:yang:ietf-interfaces">
+ * //     <interface><name>1</name><enabled>true</enabled></interface> ...
+ */
+function convertRfc7951ToXml(tree, schemaInfo) {
+  const namespaces = schemaInfo?.namespaces || new Map();
+
+  const namespaceOf = (moduleName) => {
+    const namespace = namespaces.get(moduleName);
+    if (!namespace) {
+      throw new Error(`No XML namespace known for module "${moduleName}"`);
+    }
+    return namespace;
+  };
+
+  const buildLeaf = (value, attrs) => {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    // Identity value "module:name": declare the module prefix
+    const identity = text.match(/^([A-Za-z_][\w.-]*):([A-Za-z_][\w.-]*)$/);
+    if (identity && namespaces.has(identity[1])) {
+      attrs = { ...attrs, [`xmlns:${identity[1]}`]: namespaces.get(identity[1]) };
+    }
+
+    if (Object.keys(attrs).length === 0) {
+      return text;
+    }
+    return text === '' ? { $: attrs } : { _: text, $: attrs };
+  };
+
+  const buildNode = (node, moduleName, schemaPath, attrs) => {
+    const element = Object.keys(attrs).length > 0 ? { $: attrs } : {};
+
+    // List entries: key leaves first, in key statement order
+    let members = Object.entries(node);
+    const keys = findListKeys(schemaPath, schemaInfo);
+    if (keys) {
+      const keyMembers = keys.filter(key => key in node).map(key => [key, node[key]]);
+      members = [...keyMembers, ...members.filter(([name]) => !keys.includes(name))];
+    }
+
+    for (const [memberName, value] of members) {
+      const { moduleName: childModule, localName } = splitMemberName(memberName, moduleName);
+      if (!childModule) {
+        throw new Error(`Top-level node "${memberName}" must be prefixed with its module name (RFC 7951 §4)`);
+      }
+
+      const childPath = schemaPath ? `${schemaPath}/${localName}` : localName;
+      const childAttrs = childModule !== moduleName ? { xmlns: namespaceOf(childModule) } : {};
+
+      let children;
+      if (Array.isArray(value) && value.length === 1 && value[0] === null) {
+        // empty type (RFC 7951 §6.9)
+        children = [buildLeaf(null, childAttrs)];
+      } else if (Array.isArray(value)) {
+        // List entries or leaf-list values: one element each
+        children = value.map(item => (item !== null && typeof item === 'object'
+          ? buildNode(item, childModule, childPath, childAttrs)
+          : buildLeaf(item, childAttrs)));
+      } else if (value !== null && typeof value === 'object') {
+        children = [buildNode(value, childModule, childPath, childAttrs)];
+      } else {
+        children = [buildLeaf(value, childAttrs)];
+      }
+
+      // Same local name from different modules: xml2js needs one array
+      element[localName] = [...(element[localName] || []), ...children];
+    }
+
+    return element;
+  };
+
+  const root = buildNode(tree, null, '', { xmlns: NETCONF_BASE_NS });
+
+  const builder = new xml2js.Builder({
+    rootName: 'data',
+    renderOpts: { pretty: true, indent: '  ', newline: '\n' },
+    xmldec: { version: '1.0', encoding: 'UTF-8' }
+  });
+
+  return builder.buildObject(root) + '\n';
+}
+
+/**
+ * Converts NETCONF XML to an RFC 7951 tree.
+ * Lists and leaf-lists become arrays even with a single entry (node types
+ * come from the YANG schema), and identity values are rewritten from
+ * XML prefixes to module names. Leaf values stay strings; the value
+ * encoder converts them with the leaf's YANG type.
+ *
+ * @param {string} xml - XML document
+ * @param {Object} schemaInfo - Schema info with namespaces, nodeTypes and listKeys
+ * @returns {Promise<Object>} RFC 7951 tree
+ * @throws {Error} If the XML is malformed or uses an unknown namespace
+ */
+async function convertXmlToRfc7951(xml, schemaInfo) {
+  const moduleByNamespace = new Map();
+  for (const [moduleName, namespace] of schemaInfo?.namespaces || []) {
+    moduleByNamespace.set(namespace, moduleName);
+  }
+
+  const parser = new xml2js.Parser({
+    xmlns: true,
+    explicitArray: true,
+    explicitRoot: true,
+    trim: false,
+    normalize: false
+  });
+
+  let document;
+  try {
+    document = await parser.parseStringPromise(xml);
+  } catch (err) {
+    throw new Error(`Invalid XML: ${err.message}`);
+  }
+
+  // In-scope xmlns:prefix declarations (prefix → namespace)
+  const declarePrefixes = (element, scope) => {
+    const declared = Object.values(element.$ || {})
+      .filter(attr => attr.prefix === 'xmlns' && attr.local);
+    if (declared.length === 0) return scope;
+
+    const nested = new Map(scope);
+    for (const attr of declared) {
+      nested.set(attr.local, attr.value);
+    }
+    return nested;
+  };
+
+  // "prefix:name" identity values → "module:name"
+  const resolveIdentity = (text, scope) => {
+    const identity = text.trim().match(/^([A-Za-z_][\w.-]*):([A-Za-z_][\w.-]*)$/);
+    const moduleName = identity && scope.has(identity[1]) && moduleByNamespace.get(scope.get(identity[1]));
+    return moduleName ? `${moduleName}:${identity[2]}` : text;
+  };
+
+  const addChildren = (target, element, parentModule, parentPath, scope) => {
+    for (const [name, children] of Object.entries(element)) {
+      if (XML2JS_KEYS.has(name)) continue;
+
+      for (const child of children) {
+        const { uri, local } = child.$ns || { uri: '', local: name };
+        const moduleName = moduleByNamespace.get(uri);
+        if (!moduleName) {
+          throw new Error(`Unknown XML namespace "${uri}" for element <${local}>`);
+        }
+
+        const memberName = moduleName === parentModule ? local : `${moduleName}:${local}`;
+        const schemaPath = parentPath ? `${parentPath}/${local}` : local;
+        const childScope = declarePrefixes(child, scope);
+        const nodeType = findNodeType(schemaPath, schemaInfo);
+        const hasElements = Object.keys(child).some(key => !XML2JS_KEYS.has(key));
+
+        let value;
+        if (hasElements || nodeType === 'container' || nodeType === 'list') {
+          value = {};
+          addChildren(value, child, moduleName, schemaPath, childScope);
+        } else {
+          value = resolveIdentity(child._ ?? '', childScope);
+        }
+
+        if (nodeType === 'list' || nodeType === 'leaf-list') {
+          target[memberName] = [...(target[memberName] || []), value];
+        } else if (memberName in target) {
+          // Repeated element the schema does not know: keep every instance
+          target[memberName] = [].concat(target[memberName], value);
+        } else {
+          target[memberName] = value;
+        }
+      }
+    }
+  };
+
+  const [rootName] = Object.keys(document);
+  const root = document[rootName];
+  const rootNs = root.$ns || { uri: '', local: rootName };
+  const isWrapper = ['data', 'config'].includes(rootNs.local) && [NETCONF_BASE_NS, ''].includes(rootNs.uri);
+
+  const tree = {};
+  if (isWrapper) {
+    addChildren(tree, root, null, '', declarePrefixes(root, new Map()));
+  } else {
+    addChildren(tree, { [rootName]: [root] }, null, '', new Map());
+  }
+
+  return tree;
+}
+
+export {
+  NETCONF_BASE_NS,
+  findNodeType,
+  convertRfc7951ToXml,
+  convertXmlToRfc7951
+};
@@ -0,0 +1,80 @@
+/**
+ * Framing Adapter Base Class
+ *
+ * A framing adapter moves complete CoAP messages over one kind of link.
+ * It owns the link (socket, serial port, ...) and its framing; everything
+ * CoAP-specific is handled by the shared client engine (coap/client.js).
+ *
+ * Adapters must implement open(), close() and send(), and emit:
+ *   'message'  (coapFrame, endpoint) - one complete CoAP message received
+ *   'ready'                          - the device can accept requests
+ *   'trace'    ({data, message})     - device debug output (optional)
+ *   'capabilities' ({maxMessageSize, bert}) - peer limits (optional, RFC 8323)
+ *   'close'                          - link closed unexpectedly or by close()
+ *   'error'    (err)                 - link error
+ */
+
+import EventEmitter from 'events';
+
+class FramingAdapter extends EventEmitter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {boolean} options.verbose - Enable verbose logging
+   */
+  constructor(options = {}) {
+    super();
+    this.verbose = options.verbose || false;
+
+    // A reliable link (e.g. UART) needs no CoAP retransmission
+    this.reliable = false;
+
+    // An ordered link (e.g. TCP) needs no Observe reordering check (RFC 8323 §7.1)
+    this.ordered = false;
+  }
+
+  /**
+   * Open the link
+   * @param {Object} options - Connection options (varies by adapter)
+   * @returns {Promise<string>} Peer endpoint used for response matching
+   */
+  async open(options) {
+    throw new Error('open() must be implemented by subclass');
+  }
+
+  /**
+   * Close the link
+   * @returns {Promise<void>}
+   */
+  async close() {
+    throw new Error('close() must be implemented by subclass');
+  }
+
+  /**
+   * Send one complete CoAP message
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Promise<void>}
+   */
+  async send(coapFrame) {
+    throw new Error('send() must be implemented by subclass');
+  }
+
+  /**
+   * Get link details for Transport.getInfo()
+   * @returns {Object}
+   */
+  getInfo() {
+    return {};
+  }
+
+  /**
+   * Log message if verbose mode is enabled
+   * @param {...any} args
+   */
+  log(...args) {
+    if (this.verbose) {
+      console.log('[Transport]', ...args);
+    }
+  }
+}
+
+export { FramingAdapter };
@@ -0,0 +1,142 @@
+/**
+ * DTLS Framing Adapter
+ *
+ * CoAP over DTLS 1.2 with pre-shared keys ("coaps", RFC 7252 §9.1.3.1).
+ * Every datagram carries DTLS records; each application_data record holds
+ * one complete CoAP message.
+ */
+
+import { UdpAdapter } from './udp.js';
+import { DtlsSession } from '../../dtls/dtls.js';
+
+// Debug logging helper
+const DEBUG_ENABLED = process.env.DEBUG === 'true';
+const debugLog = (...args) => {
+  if (DEBUG_ENABLED) {
+    console.log(...args);
+  }
+};
+
+const DEFAULT_PORT = 5684;  // CoAP over DTLS default port
+
+class DtlsAdapter extends UdpAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {{identity: Buffer, key: Buffer}} options.credentials - PSK identity and key
+   * @param {number} options.localPort - Local port to bind (default: any free port)
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.credentials) {
+      throw new Error('DTLS adapter requires PSK credentials');
+    }
+
+    this.credentials = options.credentials;
+    this.session = null;
+    this.endpoint = null;
+  }
+
+  /**
+   * Open the UDP socket and run the DTLS handshake
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target host
+   * @param {number} options.port - Target UDP port (default: 5684)
+   * @param {number} options.localPort - Local port to bind
+   * @returns {Promise<string>} Peer "address:port"
+   */
+  async open(options = {}) {
+    return super.open({ ...options, port: options.port || DEFAULT_PORT });
+  }
+
+  /**
+   * Run the DTLS handshake; the socket is closed again if it fails
+   * @protected
+   * @param {string} endpoint - Peer "address:port"
+   * @returns {Promise<void>}
+   */
+  async _handshake(endpoint) {
+    this.endpoint = endpoint;
+    this.session = new DtlsSession((datagram) => this._sendDatagram(datagram), {
+      identity: this.credentials.identity,
+      key: this.credentials.key,
+      log: (...args) => this.log(...args)
+    });
+
+    this.session.on('error', (err) => this.emit('error', err));
+    this.session.on('close', () => {
+      this.log('DTLS session closed by peer');
+      this.close();
+    });
+
+    this.log(`DTLS handshake with ${endpoint} (PSK identity "${this.credentials.identity.toString('utf8')}")`);
+    try {
+      await this.session.handshake();
+    } catch (err) {
+      this.session = null;
+      await super.close();
+      throw err;
+    }
+  }
+
+  /**
+   * Send close_notify and close the UDP socket
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.session) {
+      const session = this.session;
+      this.session = null;
+      try {
+        await session.close();
+      } catch (err) {
+        debugLog(`[DTLS] close_notify not sent: ${err.message}`);
+      }
+    }
+
+    await super.close();
+  }
+
+  /**
+   * Protect a CoAP message as an application_data record
+   * @protected
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Buffer}
+   */
+  _encode(coapFrame) {
+    if (!this.session) {
+      throw new Error('DTLS session not established');
+    }
+    return this.session.wrap(coapFrame);
+  }
+
+  /**
+   * Handle a received datagram (DTLS records from the peer)
+   * @protected
+   * @param {Buffer} datagram - Received datagram
+   * @param {string} endpoint - Sender "address:port"
+   */
+  _receive(datagram, endpoint) {
+    if (!this.session || endpoint !== this.endpoint) {
+      debugLog(`[DTLS] Ignoring datagram from ${endpoint}`);
+      return;
+    }
+
+    for (const coapFrame of this.session.receive(datagram)) {
+      this.emit('message', coapFrame, endpoint);
+    }
+  }
+
+  /**
+   * Get link details
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      protocol: 'DTLS',
+      cipherSuite: this.session?.cipherSuite?.name || null
+    };
+  }
+}
+
+export { DtlsAdapter };
@@ -0,0 +1,203 @@
+/**
+ * MUP1-over-Serial Framing Adapter
+ *
+ * UART communication with the Microchip VelocityDRIVE-SP board.
+ * CoAP messages are wrapped in MUP1 frames; the board is ready once it
+ * answers our PING with an ANNOUNCE frame.
+ */
+
+import { SerialPort } from 'serialport';
+import { FrameBuffer, buildFrame, FrameType } from '../../serial/mup1-v2.js';
+import { FramingAdapter } from './base.js';
+import { routeMup1Frame } from './mup1.js';
+
+// Debug logging helper - controlled by DEBUG environment variable
+const DEBUG_ENABLED = process.env.DEBUG === 'true';
+const debugLog = (...args) => {
+  if (DEBUG_ENABLED) {
+    console.log(...args);
+  }
+};
+
+class Mup1SerialAdapter extends FramingAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.port = null;
+    this.frameBuffer = new FrameBuffer();
+
+    // UART is a reliable link, so CON messages are not retransmitted
+    this.reliable = true;
+  }
+
+  /**
+   * List available serial ports
+   * @returns {Promise<Array>} Array of port info
+   */
+  static async listPorts() {
+    const ports = await SerialPort.list();
+    return ports.map(port => ({
+      path: port.path,
+      manufacturer: port.manufacturer,
+      serialNumber: port.serialNumber,
+      pnpId: port.pnpId,
+      vendorId: port.vendorId,
+      productId: port.productId
+    }));
+  }
+
+  /**
+   * Open the serial port and start the MUP1 handshake
+   * @param {Object} options - Connection options
+   * @param {string} options.device - Serial device path (e.g., /dev/ttyACM0)
+   * @param {number} options.baudRate - Baud rate (default: 115200)
+   * @returns {Promise<string>} Port path
+   */
+  async open(options = {}) {
+    this.port = new SerialPort({
+      path: options.device,
+      baudRate: options.baudRate || 115200,
+      dataBits: options.dataBits || 8,
+      stopBits: options.stopBits || 1,
+      parity: options.parity || 'none',
+      autoOpen: false
+    });
+
+    // Set up event handlers
+    this.port.on('data', (data) => this._handleData(data, options.device));
+    this.port.on('error', (err) => this.emit('error', err));
+    this.port.on('close', () => this._handleClose());
+
+    return new Promise((resolve, reject) => {
+      this.port.open((err) => {
+        if (err) {
+          reject(new Error(`Failed to open port: ${err.message}`));
+          return;
+        }
+
+        resolve(options.device);
+
+        // Send PING to start handshake
+        this._sendPing().catch(pingErr => {
+          console.error('Failed to send initial PING:', pingErr);
+          this.emit('error', pingErr);
+        });
+      });
+    });
+  }
+
+  /**
+   * Close the serial port
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.port) {
+      return;
+    }
+
+    return new Promise((resolve) => {
+      this.port.close(() => {
+        this.port = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Send one CoAP message wrapped in a MUP1 frame
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Promise<void>}
+   */
+  async send(coapFrame) {
+    if (!this.port) {
+      throw new Error('Port not open');
+    }
+
+    const mup1Frame = buildFrame(coapFrame, {
+      type: FrameType.COAP  // Use 'c' (0x63) for CoAP
+    });
+
+    debugLog(`[DEBUG] Sending MUP1 frame (${mup1Frame.length} bytes):`);
+    debugLog(`  Hex: ${mup1Frame.toString('hex')}`);
+
+    return this._write(mup1Frame);
+  }
+
+  /**
+   * Send PING frame to initiate handshake
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _sendPing() {
+    this.log('[MUP1] Sending PING to initiate handshake...');
+
+    // Build an empty frame with PING_REQ type
+    const pingFrame = buildFrame(Buffer.alloc(0), {
+      type: FrameType.PING_REQ
+    });
+
+    await this._write(pingFrame);
+    this.log('[MUP1] PING frame sent successfully.');
+  }
+
+  /**
+   * Write raw bytes to the serial port
+   * @private
+   * @param {Buffer} data - Bytes to write
+   * @returns {Promise<void>}
+   */
+  _write(data) {
+    return new Promise((resolve, reject) => {
+      this.port.write(data, (err) => {
+        if (err) {
+          debugLog(`[DEBUG] Write failed: ${err.message}`);
+          reject(new Error(`Write failed: ${err.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle incoming serial data
+   * @private
+   * @param {Buffer} data - Received bytes
+   * @param {string} endpoint - Port path
+   */
+  _handleData(data, endpoint) {
+    debugLog(`[DEBUG] Received ${data.length} bytes from serial:`);
+    debugLog(`  Hex: ${data.toString('hex')}`);
+
+    for (const frame of this.frameBuffer.addData(data)) {
+      routeMup1Frame(this, frame, endpoint);
+    }
+  }
+
+  /**
+   * Handle serial port close
+   * @private
+   */
+  _handleClose() {
+    this.frameBuffer.clear();
+    this.emit('close');
+  }
+
+  /**
+   * Get link details
+   * @returns {Object}
+   */
+  getInfo() {
+    if (!this.port) {
+      return { port: null };
+    }
+    return {
+      port: {
+        path: this.port.path,
+        baudRate: this.port.baudRate,
+        isOpen: this.port.isOpen
+      }
+    };
+  }
+}
+
+export { Mup1SerialAdapter };
@@ -0,0 +1,54 @@
+/**
+ * MUP1-over-UDP Framing Adapter
+ *
+ * Transparent bridging via the ESP32 WiFi proxy: MUP1 frames are carried
+ * in UDP datagrams and forwarded to the board's UART unchanged.
+ *
+ *   Host --[WiFi/UDP: MUP1]--> Proxy (ESP32) --[Serial: MUP1]--> Target
+ */
+
+import { buildFrame, FrameBuffer, FrameType } from '../../serial/mup1-v2.js';
+import { UdpAdapter } from './udp.js';
+import { routeMup1Frame } from './mup1.js';
+
+class Mup1UdpAdapter extends UdpAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.frameBuffer = new FrameBuffer();
+  }
+
+  /**
+   * Close the UDP socket and drop partial frames
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await super.close();
+    this.frameBuffer.clear();
+  }
+
+  /**
+   * Wrap a CoAP message in a MUP1 frame
+   * @protected
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Buffer}
+   */
+  _encode(coapFrame) {
+    return buildFrame(coapFrame, { type: FrameType.COAP });
+  }
+
+  /**
+   * Handle a received datagram (MUP1 frames from ESP32)
+   * UDP delivers complete datagrams, but we still use FrameBuffer
+   * in case of any fragmentation at the MUP1 level.
+   * @protected
+   * @param {Buffer} datagram - Received datagram
+   * @param {string} endpoint - Sender "address:port"
+   */
+  _receive(datagram, endpoint) {
+    for (const frame of this.frameBuffer.addData(datagram)) {
+      routeMup1Frame(this, frame, endpoint);
+    }
+  }
+}
+
+export { Mup1UdpAdapter };
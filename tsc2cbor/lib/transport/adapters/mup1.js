@@ -0,0 +1,33 @@
+/**
+ * MUP1 Frame Routing
+ *
+ * Shared by the MUP1-over-serial and MUP1-over-UDP adapters: turns parsed
+ * MUP1 frames into adapter events.
+ */
+
+import { FrameType } from '../../serial/mup1-v2.js';
+
+/**
+ * Route a parsed MUP1 frame to the adapter's events
+ * @param {FramingAdapter} adapter - Adapter that received the frame
+ * @param {Object} frame - Parsed MUP1 frame
+ * @param {string} endpoint - Endpoint the frame came from
+ */
+function routeMup1Frame(adapter, frame, endpoint) {
+  // Accept both lowercase 'c' (0x63) and uppercase 'C' (0x43) for CoAP
+  if (frame.type === FrameType.COAP || frame.type === FrameType.COAP_RESPONSE) {
+    adapter.emit('message', frame.payload, endpoint);
+  } else if (frame.type === FrameType.ANNOUNCE) {
+    adapter.log('[MUP1] Announce frame received - Board is ready');
+    adapter.log(`      Payload: ${frame.payload.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}`);
+    adapter.emit('announce', { data: frame.payload });
+    adapter.emit('ready');
+  } else if (frame.type === FrameType.TRACE) {
+    const traceMessage = frame.payload.toString();
+    adapter.log('[MUP1] Trace frame received:', traceMessage);
+    // TRACE frames are debug output, not errors - just emit event without failing requests
+    adapter.emit('trace', { data: frame.payload, message: traceMessage });
+  }
+}
+
+export { routeMup1Frame };
@@ -0,0 +1,457 @@
+/**
+ * CoAP over TCP Framing Adapter (RFC 8323)
+ *
+ * Length-prefixed CoAP messages on a TCP stream, for sites where only TCP
+ * passes the firewall. Handles the signaling layer itself:
+ * - CSM exchange on connect; the peer's Max-Message-Size and BERT support
+ *   are reported through a 'capabilities' event (RFC 8323 §5.3)
+ * - Ping/Pong (§5.4), Release (§5.5) and Abort (§5.6)
+ *
+ * TCP is reliable and ordered, so the engine sends no retransmissions and
+ * empty ACK/RST messages are never put on the wire.
+ */
+
+import net from 'net';
+import dns from 'dns';
+import { FramingAdapter } from './base.js';
+import { parseResponse, generateToken } from '../../coap/coap.js';
+import {
+  SignalCode,
+  SignalOption,
+  DEFAULT_MAX_MESSAGE_SIZE,
+  toReliableMessage,
+  fromReliableMessage,
+  ReliableFrameBuffer,
+  buildSignal,
+  isSignal
+} from '../../coap/coap-tcp.js';
+
+// Debug logging helper
+const DEBUG_ENABLED = process.env.DEBUG === 'true';
+const debugLog = (...args) => {
+  if (DEBUG_ENABLED) {
+    console.log(...args);
+  }
+};
+
+const DEFAULT_PORT = 5683;               // coap+tcp default port
+const LOCAL_MAX_MESSAGE_SIZE = 65536;    // Advertised in our CSM
+const CSM_TIMEOUT = 5000;
+const PING_TIMEOUT = 5000;
+
+/**
+ * Read an unsigned integer option value
+ * @param {Buffer} value
+ * @returns {number}
+ */
+function readUint(value) {
+  let result = 0;
+  for (const byte of value) {
+    result = result * 256 + byte;
+  }
+  return result;
+}
+
+class TcpAdapter extends FramingAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.reliable = true;
+    this.ordered = true;
+    this.websocket = false;
+
+    this.socket = null;
+    this.host = null;
+    this.port = null;
+    this.endpoint = null;
+    this.frameBuffer = new ReliableFrameBuffer(LOCAL_MAX_MESSAGE_SIZE);
+
+    // RFC 7252 Message IDs for the engine's duplicate detection
+    this.messageId = 0;
+
+    // Peer settings from its CSM (RFC 8323 §5.3)
+    this.peerCsmReceived = false;
+    this.maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE;
+    this.bert = false;
+    this.csmWaiter = null;
+    this.pings = new Map();  // token hex -> {resolve, reject, timer}
+  }
+
+  /**
+   * Connect, exchange CSMs and report the peer's capabilities
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target host
+   * @param {number} options.port - Target port (default: 5683)
+   * @returns {Promise<string>} Peer "address:port"
+   */
+  async open(options = {}) {
+    this.host = options.host;
+    this.port = options.port || this._defaultPort();
+
+    const { address } = await dns.promises.lookup(this.host, { family: 4 });
+    this.endpoint = `${address}:${this.port}`;
+
+    // Register the CSM waiter before connecting: a WebSocket server's CSM
+    // can arrive in the same chunk as the upgrade response. The timeout
+    // starts once connected.
+    const csmReceived = new Promise((resolve, reject) => {
+      this.csmWaiter = { resolve, reject, timer: null };
+    });
+    csmReceived.catch(() => {});
+
+    try {
+      await this._connect(address);
+
+      const waiter = this.csmWaiter;
+      if (waiter) {
+        waiter.timer = setTimeout(() => {
+          this.csmWaiter = null;
+          waiter.reject(new Error('No CSM received from peer'));
+        }, CSM_TIMEOUT);
+      }
+
+      // The CSM must be the first message on the connection
+      await this._sendSignal(SignalCode.CSM, {
+        options: [
+          { number: SignalOption.MAX_MESSAGE_SIZE, value: LOCAL_MAX_MESSAGE_SIZE },
+          { number: SignalOption.BLOCK_WISE_TRANSFER, value: Buffer.alloc(0) }
+        ]
+      });
+      await csmReceived;
+    } catch (err) {
+      if (this.csmWaiter) {
+        clearTimeout(this.csmWaiter.timer);
+        this.csmWaiter = null;
+      }
+      await this._disconnect();
+      throw err;
+    }
+
+    this.log(`Peer CSM: Max-Message-Size=${this.maxMessageSize}, BERT=${this.bert}`);
+    this.emit('ready');
+    return this.endpoint;
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._disconnect();
+  }
+
+  /**
+   * Send one CoAP message
+   * Empty messages (ACK/RST) have no meaning on reliable transports and are dropped.
+   * @param {Buffer} coapFrame - Encoded RFC 7252 message
+   * @returns {Promise<void>}
+   */
+  async send(coapFrame) {
+    if (coapFrame[1] === 0x00) {
+      return;
+    }
+
+    const frame = toReliableMessage(coapFrame, { websocket: this.websocket });
+    if (frame.length > this.maxMessageSize) {
+      throw new Error(`Message of ${frame.length} bytes exceeds the peer's Max-Message-Size (${this.maxMessageSize})`);
+    }
+
+    await this._write(frame);
+  }
+
+  /**
+   * Check that the peer is alive (RFC 8323 §5.4)
+   * @param {number} timeout - Wait for Pong (ms)
+   * @returns {Promise<number>} Round-trip time in ms
+   */
+  async ping(timeout = PING_TIMEOUT) {
+    const token = generateToken();
+    const key = token.toString('hex');
+    const started = Date.now();
+
+    const pong = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pings.delete(key);
+        reject(new Error('Ping timeout (no Pong received)'));
+      }, timeout);
+      this.pings.set(key, { resolve, reject, timer });
+    });
+
+    await this._sendSignal(SignalCode.PING, { token });
+    await pong;
+    return Date.now() - started;
+  }
+
+  /**
+   * Get link details
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      protocol: 'TCP',
+      host: this.host,
+      port: this.port,
+      maxMessageSize: this.maxMessageSize,
+      bert: this.bert
+    };
+  }
+
+  /**
+   * Default port when none is given
+   * @protected
+   * @returns {number}
+   */
+  _defaultPort() {
+    return DEFAULT_PORT;
+  }
+
+  /**
+   * Open the TCP connection
+   * @protected
+   * @param {string} address - Resolved peer address
+   * @returns {Promise<void>}
+   */
+  _connect(address) {
+    return new Promise((resolve, reject) => {
+      let connected = false;
+      this.socket = net.connect({ host: address, port: this.port });
+      this.socket.setNoDelay(true);
+
+      this.socket.on('connect', () => {
+        connected = true;
+        this.log(`TCP connected to ${this.endpoint}`);
+        resolve();
+      });
+
+      this.socket.on('data', (chunk) => {
+        debugLog(`[TCP] Received ${chunk.length} bytes`);
+        let frames;
+        try {
+          frames = this.frameBuffer.addData(chunk);
+        } catch (err) {
+          this._abort(err.message);
+          return;
+        }
+        for (const frame of frames) {
+          this._receiveMessage(frame);
+        }
+      });
+
+      this.socket.on('error', (err) => {
+        if (connected) {
+          this.emit('error', err);
+        } else {
+          reject(err);
+        }
+      });
+
+      this.socket.on('close', () => {
+        this.socket = null;
+        this._handleLinkClose();
+      });
+    });
+  }
+
+  /**
+   * Write one framed message
+   * @protected
+   * @param {Buffer} frame - RFC 8323 message
+   * @returns {Promise<void>}
+   */
+  _write(frame) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Socket not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.write(frame, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the TCP connection
+   * @protected
+   * @returns {Promise<void>}
+   */
+  _disconnect() {
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+
+    const socket = this.socket;
+    return new Promise((resolve) => {
+      socket.once('close', resolve);
+      socket.end();
+      socket.setTimeout(2000, () => socket.destroy());
+    });
+  }
+
+  /**
+   * Handle one complete RFC 8323 message
+   * @protected
+   * @param {Buffer} frame - Received message
+   */
+  _receiveMessage(frame) {
+    let coapFrame;
+    let message;
+    try {
+      this.messageId = (this.messageId + 1) & 0xFFFF;
+      coapFrame = fromReliableMessage(frame, this.messageId, { websocket: this.websocket });
+      message = parseResponse(coapFrame);
+    } catch (err) {
+      this._abort(err.message);
+      return;
+    }
+
+    if (isSignal(message.code)) {
+      this._handleSignal(message);
+      return;
+    }
+
+    if (!this.peerCsmReceived) {
+      this._abort('First message was not a CSM');
+      return;
+    }
+
+    this.emit('message', coapFrame, this.endpoint);
+  }
+
+  /**
+   * Handle a signaling message
+   * @private
+   * @param {Object} message - Parsed signaling message
+   */
+  _handleSignal(message) {
+    switch (message.code) {
+      case SignalCode.CSM:
+        this._handleCsm(message);
+        break;
+
+      case SignalCode.PING:
+        this._sendSignal(SignalCode.PONG, { token: message.token })
+          .catch(err => this.log(`Failed to send Pong: ${err.message}`));
+        break;
+
+      case SignalCode.PONG: {
+        const key = message.token.toString('hex');
+        const ping = this.pings.get(key);
+        if (ping) {
+          clearTimeout(ping.timer);
+          this.pings.delete(key);
+          ping.resolve();
+        }
+        break;
+      }
+
+      case SignalCode.RELEASE:
+        this.log(`Peer released the connection${message.payload ? `: ${message.payload.toString('utf8')}` : ''}`);
+        this.close();
+        break;
+
+      case SignalCode.ABORT: {
+        const reason = message.payload ? message.payload.toString('utf8') : 'no diagnostic';
+        this.emit('error', new Error(`Connection aborted by peer: ${reason}`));
+        this.close();
+        break;
+      }
+
+      default:
+        this.log(`Ignoring unknown signal ${message.getCodeClass()}.${message.getCodeDetail().toString().padStart(2, '0')}`);
+    }
+  }
+
+  /**
+   * Apply the peer's CSM (RFC 8323 §5.3)
+   * @private
+   * @param {Object} message - Parsed CSM
+   */
+  _handleCsm(message) {
+    for (const option of message.options) {
+      if (option.number === SignalOption.MAX_MESSAGE_SIZE) {
+        this.maxMessageSize = readUint(option.value);
+      } else if (option.number === SignalOption.BLOCK_WISE_TRANSFER) {
+        this.bert = true;
+      } else if (option.number % 2 === 1) {
+        // Unknown critical option (RFC 8323 §5.3)
+        this._abort(`Unsupported critical CSM option ${option.number}`, option.number);
+        return;
+      }
+    }
+
+    this.peerCsmReceived = true;
+    this.emit('capabilities', { maxMessageSize: this.maxMessageSize, bert: this.bert });
+
+    if (this.csmWaiter) {
+      clearTimeout(this.csmWaiter.timer);
+      this.csmWaiter.resolve();
+      this.csmWaiter = null;
+    }
+  }
+
+  /**
+   * Send a signaling message
+   * @private
+   */
+  _sendSignal(code, options = {}) {
+    return this._write(toReliableMessage(buildSignal(code, options), { websocket: this.websocket }));
+  }
+
+  /**
+   * Send Abort and close the connection (RFC 8323 §5.6)
+   * @private
+   * @param {string} reason - Diagnostic payload
+   * @param {number} badCsmOption - Offending CSM option (optional)
+   */
+  _abort(reason, badCsmOption = null) {
+    this.log(`Aborting connection: ${reason}`);
+
+    const options = badCsmOption === null
+      ? []
+      : [{ number: SignalOption.BAD_CSM_OPTION, value: badCsmOption }];
+    this._sendSignal(SignalCode.ABORT, { options, payload: reason })
+      .catch(() => {})
+      .then(() => this.close());
+
+    const err = new Error(`Connection aborted: ${reason}`);
+    if (this.csmWaiter) {
+      clearTimeout(this.csmWaiter.timer);
+      this.csmWaiter.reject(err);
+      this.csmWaiter = null;
+    } else {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Reset per-connection state after the link closed
+   * @protected
+   */
+  _handleLinkClose() {
+    this.frameBuffer.clear();
+    this.peerCsmReceived = false;
+
+    const err = new Error('Connection closed');
+    if (this.csmWaiter) {
+      clearTimeout(this.csmWaiter.timer);
+      this.csmWaiter.reject(err);
+      this.csmWaiter = null;
+    }
+    for (const ping of this.pings.values()) {
+      clearTimeout(ping.timer);
+      ping.reject(err);
+    }
+    this.pings.clear();
+
+    this.emit('close');
+  }
+}
+
+export { TcpAdapter };
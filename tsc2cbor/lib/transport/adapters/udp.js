@@ -0,0 +1,180 @@
+/**
+ * Raw UDP Framing Adapter
+ *
+ * One CoAP message per datagram (RFC 7252 §3), no extra framing.
+ * Used for direct CoAP/UDP to the LAN9692 data plane.
+ */
+
+import dgram from 'dgram';
+import dns from 'dns';
+import { FramingAdapter } from './base.js';
+
+// Debug logging helper
+const DEBUG_ENABLED = process.env.DEBUG === 'true';
+const debugLog = (...args) => {
+  if (DEBUG_ENABLED) {
+    console.log(...args);
+  }
+};
+
+const DEFAULT_PORT = 5683;  // CoAP default port
+
+class UdpAdapter extends FramingAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {number} options.localPort - Local port to bind (default: any free port)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.socket = null;
+    this.host = null;
+    this.port = null;
+    this.localPort = options.localPort;
+  }
+
+  /**
+   * Open the UDP socket
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target host
+   * @param {number} options.port - Target UDP port (default: 5683)
+   * @param {number} options.localPort - Local port to bind
+   * @returns {Promise<string>} Peer "address:port"
+   */
+  async open(options = {}) {
+    this.host = options.host;
+    this.port = options.port || DEFAULT_PORT;
+
+    // Responses are matched on the numeric address they arrive from
+    const { address } = await dns.promises.lookup(this.host, { family: 4 });
+    const endpoint = `${address}:${this.port}`;
+
+    await new Promise((resolve, reject) => {
+      this.socket = dgram.createSocket('udp4');
+
+      this.socket.on('error', (err) => {
+        this.emit('error', err);
+        reject(err);
+      });
+
+      this.socket.on('message', (msg, rinfo) => {
+        debugLog(`[UDP] Received ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`);
+        this._receive(msg, `${rinfo.address}:${rinfo.port}`);
+      });
+
+      this.socket.on('listening', () => {
+        const local = this.socket.address();
+        this.log(`UDP socket listening on ${local.address}:${local.port}`);
+        resolve();
+      });
+
+      const localPort = options.localPort || this.localPort;
+      if (localPort) {
+        this.socket.bind({ port: localPort, exclusive: false });
+      } else {
+        this.socket.bind();
+      }
+    });
+
+    await this._handshake(endpoint);
+    this.emit('ready');
+    return endpoint;
+  }
+
+  /**
+   * Establish the session with the peer before the link is ready
+   * UDP is connectionless - no handshake needed.
+   * @protected
+   * @param {string} endpoint - Peer "address:port"
+   * @returns {Promise<void>}
+   */
+  async _handshake(endpoint) {
+  }
+
+  /**
+   * Close the UDP socket
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.socket) {
+      return;
+    }
+
+    return new Promise((resolve) => {
+      this.socket.close(() => {
+        this.socket = null;
+        this.emit('close');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Send one CoAP message
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Promise<void>}
+   */
+  async send(coapFrame) {
+    if (!this.socket) {
+      throw new Error('Socket not initialized');
+    }
+
+    return this._sendDatagram(this._encode(coapFrame));
+  }
+
+  /**
+   * Send one datagram to the peer
+   * @protected
+   * @param {Buffer} datagram - Datagram to send
+   * @returns {Promise<void>}
+   */
+  async _sendDatagram(datagram) {
+    if (!this.socket) {
+      throw new Error('Socket not initialized');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.send(datagram, this.port, this.host, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Wrap a CoAP message into a datagram
+   * @protected
+   * @param {Buffer} coapFrame - Encoded CoAP message
+   * @returns {Buffer}
+   */
+  _encode(coapFrame) {
+    return coapFrame;
+  }
+
+  /**
+   * Handle a received datagram
+   * UDP delivers complete datagrams - each datagram is a complete CoAP message.
+   * @protected
+   * @param {Buffer} datagram - Received datagram
+   * @param {string} endpoint - Sender "address:port"
+   */
+  _receive(datagram, endpoint) {
+    this.emit('message', datagram, endpoint);
+  }
+
+  /**
+   * Get link details
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      protocol: 'UDP',
+      host: this.host,
+      port: this.port
+    };
+  }
+}
+
+export { UdpAdapter };
@@ -0,0 +1,110 @@
+/**
+ * CoAP over WebSockets Framing Adapter (RFC 8323 §4)
+ *
+ * One CoAP message per binary WebSocket message, without the length field.
+ * The server is reached at ws://<host>:<port>/.well-known/coap with the
+ * "coap" subprotocol. Signaling is shared with the TCP adapter.
+ */
+
+import { TcpAdapter } from './tcp.js';
+import { WebSocketClient } from '../../websocket/websocket.js';
+
+const DEFAULT_PORT = 80;
+const COAP_WS_PATH = '/.well-known/coap';
+const COAP_WS_PROTOCOL = 'coap';
+const LOCAL_MAX_MESSAGE_SIZE = 65536;
+
+class WebSocketAdapter extends TcpAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.path - Resource path (default: /.well-known/coap)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.websocket = true;
+    this.path = options.path || COAP_WS_PATH;
+    this.client = null;
+  }
+
+  /**
+   * Get link details
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      protocol: 'WebSocket',
+      url: `ws://${this.host}:${this.port}${this.path}`
+    };
+  }
+
+  /**
+   * @protected
+   * @returns {number}
+   */
+  _defaultPort() {
+    return DEFAULT_PORT;
+  }
+
+  /**
+   * Open the WebSocket connection
+   * @protected
+   * @param {string} address - Resolved peer address
+   * @returns {Promise<void>}
+   */
+  async _connect(address) {
+    const client = new WebSocketClient({ maxMessageSize: LOCAL_MAX_MESSAGE_SIZE });
+
+    client.on('message', (frame) => this._receiveMessage(frame));
+    client.on('error', (err) => this.emit('error', err));
+    client.on('close', () => {
+      if (this.client === client) {
+        this.client = null;
+        this._handleLinkClose();
+      }
+    });
+
+    // Set before the handshake completes: frames in the same chunk as the
+    // upgrade response are handled (and answered) during connect()
+    this.client = client;
+    try {
+      await client.connect({
+        host: address,
+        port: this.port,
+        path: this.path,
+        protocol: COAP_WS_PROTOCOL
+      });
+    } catch (err) {
+      this.client = null;
+      throw err;
+    }
+
+    this.log(`WebSocket connected to ws://${this.endpoint}${this.path}`);
+  }
+
+  /**
+   * Send one CoAP message as a binary WebSocket message
+   * @protected
+   * @param {Buffer} frame - RFC 8323 WebSocket message
+   * @returns {Promise<void>}
+   */
+  _write(frame) {
+    if (!this.client) {
+      return Promise.reject(new Error('WebSocket not connected'));
+    }
+    return this.client.send(frame);
+  }
+
+  /**
+   * Close the WebSocket connection
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _disconnect() {
+    if (this.client) {
+      await this.client.close();
+    }
+  }
+}
+
+export { WebSocketAdapter };
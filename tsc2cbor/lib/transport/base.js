@@ -97,6 +97,37 @@ class Transport extends EventEmitter {
     throw new Error('sendPostRequest() must be implemented by subclass');
   }
 
+  /**
+   * Send DELETE request (remove a data node instance)
+   * @param {number|Array} target - SID or [SID, key1, ...]
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendDeleteRequest(target, options) {
+    throw new Error('sendDeleteRequest() must be implemented by subclass');
+  }
+
+  /**
+   * Register an Observe subscription (RFC 7641) for an iFETCH query
+   * The subscription stays open until cancelObserve() or disconnect().
+   * @param {Array} query - SID query entries
+   * @param {Function} onNotification - Called with each parsed notification
+   * @param {Object} options - Request options
+   * @returns {Promise<{response: Object, token: Buffer, registered: boolean}>}
+   */
+  async sendObserveRequest(query, onNotification, options) {
+    throw new Error('sendObserveRequest() must be implemented by subclass');
+  }
+
+  /**
+   * Deregister an Observe subscription
+   * @param {Buffer} token - Subscription token returned by sendObserveRequest()
+   * @returns {Promise<Object|null>} Deregistration response, or null if unknown
+   */
+  async cancelObserve(token) {
+    throw new Error('cancelObserve() must be implemented by subclass');
+  }
+
   /**
    * Get connection status
    * @returns {boolean}
@@ -0,0 +1,240 @@
+/**
+ * CoAP Transport
+ *
+ * Joins a framing adapter (link + framing) with the shared CoAP client engine
+ * (block-wise transfer, reliability, matching, Observe).
+ * The built-in Serial, WiFi and Ethernet transports are thin subclasses;
+ * third-party links only need to supply an adapter.
+ */
+
+import { Transport } from './base.js';
+import { CoapClient } from '../coap/client.js';
+import { OscoreContext } from '../coap/oscore.js';
+
+class CoapTransport extends Transport {
+  /**
+   * @param {FramingAdapter} adapter - Framing adapter for the link
+   * @param {Object} options - Transport options
+   * @param {boolean} options.verbose - Enable verbose logging
+   * @param {Object} options.transmission - RFC 7252 transmission parameters
+   * @param {number} options.requestTimeout - Response wait after an empty ACK
+   * @param {string|OscoreContext} options.oscore - OSCORE context file or context (optional)
+   */
+  constructor(adapter, options = {}) {
+    super(options);
+    this.adapter = adapter;
+    this.oscore = typeof options.oscore === 'string'
+      ? OscoreContext.fromFile(options.oscore)
+      : (options.oscore || null);
+    this.client = new CoapClient((frame) => this.adapter.send(frame), {
+      transmission: options.transmission,
+      reliable: adapter.reliable,
+      ordered: adapter.ordered,
+      requestTimeout: options.requestTimeout,
+      oscore: this.oscore,
+      log: (...args) => this.log(...args)
+    });
+
+    this._setupEventForwarding();
+  }
+
+  /**
+   * Wire adapter and engine events
+   * @private
+   */
+  _setupEventForwarding() {
+    this.adapter.on('message', (frame, endpoint) => this.client.receive(frame, endpoint));
+
+    this.adapter.on('ready', () => {
+      this.boardReady = true;
+    });
+
+    this.adapter.on('announce', (data) => this.emit('announce', data));
+    this.adapter.on('trace', (data) => this.emit('trace', data));
+    this.adapter.on('capabilities', (capabilities) => this.client.setPeerCapabilities(capabilities));
+    this.adapter.on('error', (err) => this._handleError(err));
+    this.adapter.on('close', () => this._handleClose());
+
+    this.client.on('response', (response) => this.emit('response', response));
+    this.client.on('notification', (notification) => this.emit('notification', notification));
+    this.client.on('error', (err) => this.emit('error', err));
+  }
+
+  /**
+   * Connect through the adapter
+   * @param {Object} options - Connection options (passed to the adapter)
+   * @returns {Promise<void>}
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      throw new Error('Already connected');
+    }
+
+    this.client.endpoint = await this.adapter.open(options);
+    this.isConnected = true;
+    this.emit('connected', this.adapter.getInfo());
+  }
+
+  /**
+   * Disconnect and fail all pending requests
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    this.client.cancelAll(new Error('Disconnected'));
+    await this.adapter.close();
+    this._handleClose();
+  }
+
+  /**
+   * Send iFETCH request
+   * @param {Buffer|Object} query - Query payload
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendiFetchRequest(query, options = {}) {
+    this._checkReady();
+    return this.client.sendiFetchRequest(query, options);
+  }
+
+  /**
+   * Send iPATCH request
+   * @param {Buffer} patch - CBOR encoded patch data
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendiPatchRequest(patch, options = {}) {
+    this._checkReady();
+    return this.client.sendiPatchRequest(patch, options);
+  }
+
+  /**
+   * Send GET request
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendGetRequest(options = {}) {
+    this._checkReady();
+    return this.client.sendGetRequest(options);
+  }
+
+  /**
+   * Send PUT request
+   * @param {Buffer} payload - Request payload
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendPutRequest(payload, options = {}) {
+    this._checkReady();
+    return this.client.sendPutRequest(payload, options);
+  }
+
+  /**
+   * Send POST request
+   * @param {Buffer} payload - Request payload
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendPostRequest(payload, options = {}) {
+    this._checkReady();
+    return this.client.sendPostRequest(payload, options);
+  }
+
+  /**
+   * Send DELETE request
+   * @param {number|Array} target - SID or [SID, key1, ...]
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object
+   */
+  async sendDeleteRequest(target, options = {}) {
+    this._checkReady();
+    return this.client.sendDeleteRequest(target, options);
+  }
+
+  /**
+   * Register an Observe subscription
+   * @param {Array} query - SID query entries
+   * @param {Function} onNotification - Notification callback
+   * @param {Object} options - Request options
+   * @returns {Promise<{response: Object, token: Buffer, registered: boolean}>}
+   */
+  async sendObserveRequest(query, onNotification, options = {}) {
+    this._checkReady();
+    return this.client.sendObserveRequest(query, onNotification, options);
+  }
+
+  /**
+   * Deregister an Observe subscription
+   * @param {Buffer} token - Subscription token
+   * @returns {Promise<Object|null>} Deregistration response
+   */
+  async cancelObserve(token) {
+    return this.client.cancelObserve(token);
+  }
+
+  /**
+   * Get transport info
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      type: this.getType(),
+      isConnected: this.isConnected,
+      boardReady: this.boardReady,
+      oscore: this.oscore !== null,
+      ...this.adapter.getInfo()
+    };
+  }
+
+  /**
+   * Set verbose mode
+   * @param {boolean} verbose
+   */
+  setVerbose(verbose) {
+    super.setVerbose(verbose);
+    this.adapter.verbose = verbose;
+  }
+
+  /**
+   * Reject requests until connected and the device is ready
+   * @private
+   */
+  _checkReady() {
+    if (!this.isConnected) {
+      throw new Error('Not connected');
+    }
+    if (!this.boardReady) {
+      throw new Error('Board not ready. ANNOUNCE frame not received yet.');
+    }
+  }
+
+  /**
+   * Handle link close (requested or unexpected)
+   * @private
+   */
+  _handleClose() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    this.client.cancelAll(new Error('Port closed'));
+    this.isConnected = false;
+    this.boardReady = false;
+    this.emit('disconnected');
+  }
+
+  /**
+   * Handle link error
+   * @private
+   * @param {Error} err
+   */
+  _handleError(err) {
+    console.error(`${this.getType()} transport error:`, err);
+    this.emit('error', err);
+  }
+}
+
+export { CoapTransport };
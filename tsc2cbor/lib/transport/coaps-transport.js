@@ -0,0 +1,63 @@
+/**
+ * CoAPS Transport (DTLS-secured CoAP, direct to the data plane)
+ *
+ * Same path as the Ethernet transport, but CoAP runs over DTLS 1.2 with a
+ * pre-shared key on port 5684, so the device's CoAP security mode can stay
+ * enabled (no setup/no-sec.yaml).
+ *
+ * Architecture:
+ *   Host (PC) --[Ethernet/UDP/DTLS/CoAP]--> Target (LAN9692 data plane)
+ */
+
+import { CoapTransport } from './coap-transport.js';
+import { DtlsAdapter } from './adapters/dtls.js';
+import { loadPskCredentials } from '../dtls/dtls.js';
+
+// Fixed local port for the same reason as the Ethernet transport:
+// the device tracks sessions per source IP:port pair.
+const DEFAULT_LOCAL_PORT = 15684;
+
+class CoapsTransport extends CoapTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string|Object} options.credentials - PSK credentials file or {identity, key}
+   */
+  constructor(options = {}) {
+    const credentials = typeof options.credentials === 'string'
+      ? loadPskCredentials(options.credentials)
+      : options.credentials;
+    if (!credentials) {
+      throw new Error('coaps transport requires PSK credentials (--credentials <file>)');
+    }
+
+    super(new DtlsAdapter({ localPort: DEFAULT_LOCAL_PORT, ...options, credentials }), options);
+  }
+
+  /**
+   * Connect to LAN9692 via DTLS (CoAP over DTLS/UDP)
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target IP address (LAN9692 data plane)
+   * @param {number} options.port - Target UDP port (default: 5684)
+   * @param {number} options.localPort - Local UDP port (default: 15684)
+   * @returns {Promise<void>}
+   */
+  async connect(options = {}) {
+    if (!options.host) {
+      throw new Error('Target host address is required');
+    }
+
+    this.log(`Connecting to ${options.host}:${options.port || 5684} via DTLS (CoAP over DTLS/UDP)`);
+
+    await super.connect(options);
+  }
+
+  /**
+   * Get transport type
+   * @returns {string}
+   */
+  getType() {
+    return 'coaps';
+  }
+}
+
+export { CoapsTransport };
@@ -2,42 +2,114 @@
  * Transport Factory
  *
  * Creates transport instances based on type (serial, wifi, etc.)
+ *
+ * Additional links can be plugged in without changing this module:
+ *
+ *   registerTransport('can', (options) => new CoapTransport(new MyCanAdapter(options), options));
+ *   const transport = createTransport('can', { verbose: true });
+ *
+ * keti-tsn imports such registering modules before checking its arguments
+ * (--transport-module <file> or KETI_TSN_TRANSPORT_MODULES).
  */
 
+import { Transport } from './base.js';
+import { CoapTransport } from './coap-transport.js';
 import { SerialTransport } from './serial-transport.js';
 import { WiFiTransport } from './wifi-transport.js';
 import { EthernetTransport } from './ethernet-transport.js';
+import { CoapsTransport } from './coaps-transport.js';
+import { TcpTransport } from './tcp-transport.js';
+import { WebSocketTransport } from './websocket-transport.js';
+import { FramingAdapter } from './adapters/base.js';
+import { UdpAdapter } from './adapters/udp.js';
+import { Mup1SerialAdapter } from './adapters/mup1-serial.js';
+import { Mup1UdpAdapter } from './adapters/mup1-udp.js';
+import { DtlsAdapter } from './adapters/dtls.js';
+import { TcpAdapter } from './adapters/tcp.js';
+import { WebSocketAdapter } from './adapters/websocket.js';
 
 /**
- * Available transport types
+ * Built-in transport types
  */
 const TransportType = {
   SERIAL: 'serial',
   WIFI: 'wifi',
-  ETHERNET: 'eth'
+  ETHERNET: 'eth',
+  COAPS: 'coaps',
+  TCP: 'tcp',
+  WEBSOCKET: 'ws'
 };
 
+/**
+ * Registered transports: type -> { factory: (options) => Transport, needsHost }
+ * needsHost: connected with { host, port } (network links) rather than { device }
+ */
+const registry = new Map([
+  [TransportType.SERIAL, { factory: (options) => new SerialTransport(options), needsHost: false }],
+  [TransportType.WIFI, { factory: (options) => new WiFiTransport(options), needsHost: true }],
+  [TransportType.ETHERNET, { factory: (options) => new EthernetTransport(options), needsHost: true }],
+  [TransportType.COAPS, { factory: (options) => new CoapsTransport(options), needsHost: true }],
+  [TransportType.TCP, { factory: (options) => new TcpTransport(options), needsHost: true }],
+  [TransportType.WEBSOCKET, { factory: (options) => new WebSocketTransport(options), needsHost: true }]
+]);
+
+/**
+ * Register a transport type
+ * @param {string} type - Transport type name (used with --transport)
+ * @param {Function} factory - (options) => Transport
+ * @param {Object} [info] - Transport properties
+ * @param {boolean} [info.needsHost=true] - Requires --host (network link);
+ *        false for links addressed by a device path
+ */
+function registerTransport(type, factory, { needsHost = true } = {}) {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new Error('Transport type must be a non-empty string');
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Transport factory for "${type}" must be a function`);
+  }
+  if (registry.has(type)) {
+    throw new Error(`Transport type already registered: ${type}`);
+  }
+  registry.set(type, { factory, needsHost });
+}
+
+/**
+ * Get all registered transport types
+ * @returns {string[]}
+ */
+function getTransportTypes() {
+  return [...registry.keys()];
+}
+
+/**
+ * Check whether a transport type is a network link that requires --host
+ * @param {string} type - Registered transport type
+ * @returns {boolean}
+ */
+function transportNeedsHost(type) {
+  const entry = registry.get(type);
+  return entry ? entry.needsHost : false;
+}
+
 /**
  * Create a transport instance based on type
- * @param {string} type - Transport type ('serial' or 'wifi')
+ * @param {string} type - Transport type ('serial', 'wifi', 'eth', 'coaps', 'tcp', 'ws' or a registered type)
  * @param {Object} options - Transport options
  * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.transmission - RFC 7252 transmission parameters
+ * @param {string} options.oscore - OSCORE context file (optional)
+ * @param {string} options.credentials - PSK credentials file (coaps)
  * @returns {Transport} Transport instance
  */
 function createTransport(type, options = {}) {
-  switch (type) {
-    case TransportType.SERIAL:
-      return new SerialTransport(options);
+  const entry = registry.get(type);
 
-    case TransportType.WIFI:
-      return new WiFiTransport(options);
-
-    case TransportType.ETHERNET:
-      return new EthernetTransport(options);
-
-    default:
-      throw new Error(`Unknown transport type: ${type}. Available types: ${Object.values(TransportType).join(', ')}`);
+  if (!entry) {
+    throw new Error(`Unknown transport type: ${type}. Available types: ${getTransportTypes().join(', ')}`);
   }
+
+  return entry.factory(options);
 }
 
 /**
@@ -50,9 +122,24 @@ function getDefaultTransportType() {
 
 export {
   createTransport,
+  registerTransport,
+  getTransportTypes,
+  transportNeedsHost,
   TransportType,
   getDefaultTransportType,
+  Transport,
+  CoapTransport,
   SerialTransport,
   WiFiTransport,
-  EthernetTransport
+  EthernetTransport,
+  CoapsTransport,
+  TcpTransport,
+  WebSocketTransport,
+  FramingAdapter,
+  UdpAdapter,
+  Mup1SerialAdapter,
+  Mup1UdpAdapter,
+  DtlsAdapter,
+  TcpAdapter,
+  WebSocketAdapter
 };
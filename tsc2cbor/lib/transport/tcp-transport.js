@@ -0,0 +1,54 @@
+/**
+ * TCP Transport (CoAP over TCP, RFC 8323)
+ *
+ * For sites where management traffic may only cross firewalls as TCP.
+ * Connects directly to the device's CoAP over TCP server.
+ *
+ * Architecture:
+ *   Host (PC) --[TCP/CoAP (RFC 8323)]--> Target (LAN9692 data plane)
+ */
+
+import { CoapTransport } from './coap-transport.js';
+import { TcpAdapter } from './adapters/tcp.js';
+
+class TcpTransport extends CoapTransport {
+  constructor(options = {}) {
+    super(new TcpAdapter(options), options);
+  }
+
+  /**
+   * Connect via CoAP over TCP
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target IP address
+   * @param {number} options.port - Target TCP port (default: 5683)
+   * @returns {Promise<void>}
+   */
+  async connect(options = {}) {
+    if (!options.host) {
+      throw new Error('Target host address is required');
+    }
+
+    this.log(`Connecting to ${options.host}:${options.port || 5683} via TCP (CoAP over TCP)`);
+
+    await super.connect(options);
+  }
+
+  /**
+   * Check that the device is alive (CoAP Ping/Pong)
+   * @returns {Promise<number>} Round-trip time in ms
+   */
+  async ping() {
+    this._checkReady();
+    return this.adapter.ping();
+  }
+
+  /**
+   * Get transport type
+   * @returns {string}
+   */
+  getType() {
+    return 'tcp';
+  }
+}
+
+export { TcpTransport };
@@ -0,0 +1,54 @@
+/**
+ * WebSocket Transport (CoAP over WebSockets, RFC 8323)
+ *
+ * For sites where only HTTP(S) ports are open. The device (or a gateway in
+ * front of it) serves CoAP at ws://<host>:<port>/.well-known/coap.
+ *
+ * Architecture:
+ *   Host (PC) --[TCP/WebSocket/CoAP (RFC 8323)]--> Target
+ */
+
+import { CoapTransport } from './coap-transport.js';
+import { WebSocketAdapter } from './adapters/websocket.js';
+
+class WebSocketTransport extends CoapTransport {
+  constructor(options = {}) {
+    super(new WebSocketAdapter(options), options);
+  }
+
+  /**
+   * Connect via CoAP over WebSockets
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Target IP address
+   * @param {number} options.port - Target TCP port (default: 80)
+   * @returns {Promise<void>}
+   */
+  async connect(options = {}) {
+    if (!options.host) {
+      throw new Error('Target host address is required');
+    }
+
+    this.log(`Connecting to ws://${options.host}:${options.port || 80}/.well-known/coap (CoAP over WebSockets)`);
+
+    await super.connect(options);
+  }
+
+  /**
+   * Check that the device is alive (CoAP Ping/Pong)
+   * @returns {Promise<number>} Round-trip time in ms
+   */
+  async ping() {
+    this._checkReady();
+    return this.adapter.ping();
+  }
+
+  /**
+   * Get transport type
+   * @returns {string}
+   */
+  getType() {
+    return 'ws';
+  }
+}
+
+export { WebSocketTransport };
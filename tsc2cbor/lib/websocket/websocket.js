@@ -0,0 +1,330 @@
+/**
+ * Minimal WebSocket Client (RFC 6455)
+ *
+ * Just enough of WebSocket for CoAP over WebSockets (RFC 8323 §4):
+ * - HTTP/1.1 opening handshake with subprotocol negotiation
+ * - Masked binary frames, fragmented message reassembly
+ * - Ping/Pong and closing handshake
+ *
+ * Events:
+ *   'message' (data: Buffer) - one complete binary message
+ *   'close'   ()             - connection closed
+ *   'error'   (err)          - protocol or socket error
+ */
+
+import crypto from 'crypto';
+import EventEmitter from 'events';
+import net from 'net';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const HANDSHAKE_TIMEOUT = 10000;
+const CLOSE_TIMEOUT = 2000;
+
+const Opcode = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+class WebSocketClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {number} options.maxMessageSize - Largest message accepted (bytes)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];     // Payloads of a fragmented message
+    this.fragmentSize = 0;
+    this.closing = false;
+    this.protocol = null;
+  }
+
+  /**
+   * Open the TCP connection and run the opening handshake (RFC 6455 §4.1)
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server port
+   * @param {string} options.path - Request path (default: '/')
+   * @param {string} options.protocol - Required subprotocol (Sec-WebSocket-Protocol)
+   * @returns {Promise<void>}
+   */
+  connect(options = {}) {
+    const { host, port, path = '/', protocol } = options;
+    const key = crypto.randomBytes(16).toString('base64');
+    const expectedAccept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+
+    return new Promise((resolve, reject) => {
+      let handshakeDone = false;
+      const fail = (err) => {
+        if (!handshakeDone) {
+          handshakeDone = true;
+          clearTimeout(timer);
+          this.socket.destroy();
+          reject(err);
+        }
+      };
+      const timer = setTimeout(() => fail(new Error('WebSocket handshake timeout')), HANDSHAKE_TIMEOUT);
+
+      this.socket = net.connect({ host, port });
+      this.socket.setNoDelay(true);
+
+      this.socket.on('connect', () => {
+        const lines = [
+          `GET ${path} HTTP/1.1`,
+          `Host: ${host}:${port}`,
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          `Sec-WebSocket-Key: ${key}`,
+          'Sec-WebSocket-Version: 13'
+        ];
+        if (protocol) {
+          lines.push(`Sec-WebSocket-Protocol: ${protocol}`);
+        }
+        this.socket.write(lines.join('\r\n') + '\r\n\r\n');
+      });
+
+      this.socket.on('data', (chunk) => {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        if (handshakeDone) {
+          this._processFrames();
+          return;
+        }
+
+        const end = this.buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+          return;
+        }
+
+        const [statusLine, ...headerLines] = this.buffer.slice(0, end).toString('latin1').split('\r\n');
+        this.buffer = this.buffer.slice(end + 4);
+
+        const headers = {};
+        for (const line of headerLines) {
+          const colon = line.indexOf(':');
+          if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+          }
+        }
+
+        if (!/^HTTP\/1\.1 101\b/.test(statusLine)) {
+          fail(new Error(`WebSocket upgrade rejected: ${statusLine}`));
+          return;
+        }
+        if (headers['sec-websocket-accept'] !== expectedAccept) {
+          fail(new Error('WebSocket upgrade failed: invalid Sec-WebSocket-Accept'));
+          return;
+        }
+        if (protocol && headers['sec-websocket-protocol'] !== protocol) {
+          fail(new Error(`WebSocket upgrade failed: server did not accept subprotocol "${protocol}"`));
+          return;
+        }
+
+        handshakeDone = true;
+        clearTimeout(timer);
+        this.protocol = headers['sec-websocket-protocol'] || null;
+        resolve();
+        this._processFrames();
+      });
+
+      this.socket.on('error', (err) => {
+        if (handshakeDone) {
+          this.emit('error', err);
+        } else {
+          fail(err);
+        }
+      });
+
+      this.socket.on('close', () => {
+        if (!handshakeDone) {
+          fail(new Error('WebSocket connection closed during handshake'));
+          return;
+        }
+        this.socket = null;
+        this.emit('close');
+      });
+    });
+  }
+
+  /**
+   * Send one binary message
+   * @param {Buffer} data - Message
+   * @returns {Promise<void>}
+   */
+  send(data) {
+    return this._writeFrame(Opcode.BINARY, data);
+  }
+
+  /**
+   * Run the closing handshake (RFC 6455 §7) and close the connection
+   * @param {number} code - Status code (default: 1000 normal closure)
+   * @returns {Promise<void>}
+   */
+  async close(code = 1000) {
+    if (!this.socket) {
+      return;
+    }
+
+    const socket = this.socket;
+    const closed = new Promise((resolve) => socket.once('close', resolve));
+
+    if (!this.closing) {
+      this.closing = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      await this._writeFrame(Opcode.CLOSE, payload).catch(() => {});
+    }
+
+    // The server closes the TCP connection after echoing the Close frame
+    const timer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT);
+    await closed;
+    clearTimeout(timer);
+  }
+
+  /**
+   * Write a single masked frame
+   * @private
+   */
+  _writeFrame(opcode, payload) {
+    if (!this.socket) {
+      return Promise.reject(new Error('WebSocket not connected'));
+    }
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 0x80 | 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 0x80 | 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    // Client-to-server frames are always masked (RFC 6455 §5.3)
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.alloc(payload.length);
+    for (let i = 0; i < payload.length; i++) {
+      masked[i] = payload[i] ^ mask[i & 3];
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.write(Buffer.concat([header, mask, masked]), (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Parse all complete frames in the receive buffer
+   * @private
+   */
+  _processFrames() {
+    while (this.socket && this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0F;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7F;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (masked) {
+        this._protocolError('server frames must not be masked');
+        return;
+      }
+      if (length > this.maxMessageSize) {
+        this._protocolError(`frame exceeds ${this.maxMessageSize} bytes`);
+        return;
+      }
+      if (this.buffer.length < offset + length) {
+        return;
+      }
+
+      const payload = this.buffer.slice(offset, offset + length);
+      this.buffer = this.buffer.slice(offset + length);
+      this._handleFrame(fin, opcode, payload);
+    }
+  }
+
+  /**
+   * Handle one frame
+   * @private
+   */
+  _handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case Opcode.BINARY:
+      case Opcode.CONTINUATION:
+        if ((opcode === Opcode.BINARY) !== (this.fragments.length === 0)) {
+          this._protocolError('unexpected continuation frame');
+          return;
+        }
+        this.fragments.push(payload);
+        this.fragmentSize += payload.length;
+        if (this.fragmentSize > this.maxMessageSize) {
+          this._protocolError(`message exceeds ${this.maxMessageSize} bytes`);
+          return;
+        }
+        if (fin) {
+          const message = Buffer.concat(this.fragments);
+          this.fragments = [];
+          this.fragmentSize = 0;
+          this.emit('message', message);
+        }
+        break;
+
+      case Opcode.PING:
+        this._writeFrame(Opcode.PONG, payload).catch(() => {});
+        break;
+
+      case Opcode.PONG:
+        break;
+
+      case Opcode.CLOSE:
+        if (!this.closing) {
+          // Echo the Close frame, then wait for the server to close TCP
+          this.closing = true;
+          this._writeFrame(Opcode.CLOSE, payload.slice(0, 2)).catch(() => {});
+        }
+        this.socket.end();
+        break;
+
+      default:
+        this._protocolError(`unsupported opcode ${opcode}`);
+    }
+  }
+
+  /**
+   * Fail the connection (RFC 6455 §7.1.7)
+   * @private
+   */
+  _protocolError(reason) {
+    this.emit('error', new Error(`WebSocket protocol error: ${reason}`));
+    this.close(1002);
+  }
+}
+
+export { WebSocketClient };
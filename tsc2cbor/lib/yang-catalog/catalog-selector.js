@@ -0,0 +1,147 @@
+/**
+ * Catalog Selector Module
+ *
+ * Chooses the YANG catalog a command encodes and decodes with:
+ * 1. -c <dir>: that directory
+ * 2. --catalog <checksum>: that cached catalog (a unique prefix is enough)
+ * 3. Device commands: the catalog matching the device's checksum
+ *    (SID 29304). The checksum is queried once per device and remembered
+ *    in .yang-cache/devices.json; "keti-tsn checksum" refreshes it, e.g.
+ *    after a firmware update.
+ * 4. Offline commands: the default catalog ("keti-tsn catalog default"),
+ *    otherwise the first cached catalog
+ *
+ * A device whose catalog is not cached is an error rather than a fallback
+ * to another catalog, which would encode and decode with the wrong SIDs.
+ */
+
+import fs from 'fs';
+import { YangCatalogManager } from './yang-catalog.js';
+import { createTransport, transportNeedsHost } from '../transport/index.js';
+
+/**
+ * Key under which a device's checksum is remembered
+ * @param {object} options - Command options (transport, device, host, port)
+ * @returns {string} e.g. "serial:/dev/ttyACM0", "eth://192.168.1.10:5683"
+ */
+export function deviceKey(options) {
+  const transportType = options.transport || 'serial';
+  return transportNeedsHost(transportType)
+    ? `${transportType}://${options.host}:${options.port}`
+    : `${transportType}:${options.device}`;
+}
+
+/**
+ * Query the catalog checksum over a connection of its own
+ * @param {YangCatalogManager} yangCatalog - Catalog manager
+ * @param {object} options - Command options (transport settings)
+ * @returns {Promise<string>} Hex checksum
+ */
+async function queryDeviceChecksum(yangCatalog, options) {
+  const transportType = options.transport || 'serial';
+  const transport = createTransport(transportType, {
+    verbose: options.verbose,
+    transmission: options.transmission,
+    oscore: options.oscore,
+    credentials: options.credentials
+  });
+
+  try {
+    if (transportNeedsHost(transportType)) {
+      await transport.connect({ host: options.host, port: options.port });
+    } else {
+      await transport.connect({ device: options.device });
+    }
+    await transport.waitForReady(5000);
+
+    return await yangCatalog.queryChecksumFromDevice(transport);
+  } finally {
+    if (transport.getConnectionStatus()) {
+      await transport.disconnect();
+    }
+  }
+}
+
+/**
+ * Find the YANG cache directory for a command
+ * @param {object} options - Command options
+ * @param {string} [options.cache] - YANG cache directory (-c)
+ * @param {string} [options.catalog] - Catalog checksum or prefix (--catalog)
+ * @param {object} [selection] - { device: true } for commands that talk to a device
+ * @returns {Promise<string>} Path to YANG cache directory
+ * @throws {Error} When no catalog matches
+ */
+export async function findYangCache(options, selection = {}) {
+  // 1. Explicit cache directory
+  if (options.cache) {
+    if (!fs.existsSync(options.cache)) {
+      throw new Error(`Cache directory not found: ${options.cache}`);
+    }
+    return options.cache;
+  }
+
+  const yangCatalog = new YangCatalogManager();
+
+  // 2. Explicit catalog
+  if (options.catalog) {
+    const catalog = yangCatalog.findCatalog(options.catalog);
+    if (!catalog) {
+      throw new Error(`Catalog not found: ${options.catalog} (see "keti-tsn list")`);
+    }
+    return catalog.path;
+  }
+
+  const catalogs = yangCatalog.listCachedCatalogs();
+  if (catalogs.length === 0) {
+    throw new Error(
+      'No YANG catalog found. Please run "keti-tsn download" first, or specify -c <cache_dir>'
+    );
+  }
+
+  // 3. The device's catalog, by remembered or queried checksum
+  if (selection.device) {
+    const key = deviceKey(options);
+    let checksum = yangCatalog.getDeviceChecksum(key);
+
+    if (!checksum || !yangCatalog.getCatalogInfo(checksum)) {
+      try {
+        checksum = await queryDeviceChecksum(yangCatalog, options);
+      } catch (err) {
+        throw new Error(`Cannot read the YANG catalog checksum of ${key}: ${err.message}\n` +
+          'Choose the catalog with --catalog <checksum> or -c <cache_dir>');
+      }
+      yangCatalog.rememberDeviceChecksum(key, checksum);
+    } else if (options.verbose) {
+      console.log(`Using catalog ${checksum} (remembered for ${key})`);
+    }
+
+    const catalog = yangCatalog.getCatalogInfo(checksum);
+    if (!catalog) {
+      throw new Error(`Device ${key} uses YANG catalog ${checksum}, which is not cached.\n` +
+        'Run "keti-tsn download" (or "keti-tsn catalog import <file>"), or choose a catalog with --catalog <checksum>');
+    }
+    return catalog.path;
+  }
+
+  // 4. Offline: default catalog, otherwise the first cached one
+  const defaultChecksum = yangCatalog.getDefaultCatalog();
+  if (defaultChecksum) {
+    const catalog = yangCatalog.getCatalogInfo(defaultChecksum);
+    if (!catalog) {
+      throw new Error(`Default catalog ${defaultChecksum} is not cached; ` +
+        'set another with "keti-tsn catalog default <checksum>" or use --catalog <checksum>');
+    }
+    return catalog.path;
+  }
+
+  if (catalogs.length > 1) {
+    console.warn(`Warning: ${catalogs.length} catalogs cached, using ${catalogs[0].checksum}; ` +
+      'choose one with --catalog <checksum> or "keti-tsn catalog default <checksum>"');
+  }
+  return catalogs[0].path;
+}
+
+export default {
+  deviceKey,
+  findYangCache
+};
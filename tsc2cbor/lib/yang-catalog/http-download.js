@@ -0,0 +1,224 @@
+/**
+ * HTTP Download Module
+ *
+ * Downloads catalog tarballs over HTTP(S):
+ * - HTTP(S)_PROXY / NO_PROXY (HTTPS through a CONNECT tunnel)
+ * - Resumable: data goes to <dest>.part, continued with a Range request
+ *   on the next attempt, and is renamed to <dest> only when complete
+ */
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Read an environment variable, lower case first (curl convention)
+ */
+function getEnv(name) {
+  return process.env[name.toLowerCase()] || process.env[name.toUpperCase()] || '';
+}
+
+/**
+ * Check a host against NO_PROXY ("host", ".domain", "*.domain", "host:port", "*")
+ */
+function isNoProxy(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return getEnv('no_proxy').split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    let [host, entryPort] = entry.toLowerCase().split(/:(?=\d+$)/);
+    if (entryPort && entryPort !== port) return false;
+    host = host.replace(/^\*?\./, '');
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+/**
+ * Proxy for a URL from HTTPS_PROXY / HTTP_PROXY, honoring NO_PROXY
+ * @param {string} url - Target URL
+ * @returns {URL|null} Proxy URL, or null for a direct connection
+ * @throws {Error} On a malformed proxy variable
+ */
+export function getProxyForUrl(url) {
+  const target = new URL(url);
+  const proxy = getEnv(target.protocol === 'https:' ? 'https_proxy' : 'http_proxy');
+  if (!proxy || isNoProxy(target)) return null;
+
+  try {
+    return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+  } catch {
+    throw new Error(`Invalid proxy URL: ${proxy}`);
+  }
+}
+
+/**
+ * Proxy-Authorization header for credentials in the proxy URL
+ */
+function proxyAuthHeaders(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * Open a CONNECT tunnel through a proxy
+ * @returns {Promise<net.Socket>}
+ */
+function openTunnel(proxy, target) {
+  return new Promise((resolve, reject) => {
+    const protocol = proxy.protocol === 'https:' ? https : http;
+    const authority = `${target.hostname}:${target.port || 443}`;
+
+    const request = protocol.request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: authority,
+      headers: { Host: authority, ...proxyAuthHeaders(proxy) }
+    });
+
+    request.setTimeout(REQUEST_TIMEOUT, () => request.destroy(new Error('Proxy connection timed out')));
+    request.on('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`Proxy ${proxy.host} refused the tunnel: HTTP ${response.statusCode}`));
+      }
+    });
+    request.on('error', err => reject(new Error(`Proxy ${proxy.host}: ${err.message}`)));
+    request.end();
+  });
+}
+
+/**
+ * Send a GET request, directly or through the proxy
+ * @returns {Promise<http.IncomingMessage>}
+ */
+async function get(url, headers) {
+  const target = new URL(url);
+  const proxy = getProxyForUrl(url);
+  let options;
+
+  if (!proxy) {
+    options = { headers };
+  } else if (target.protocol === 'https:') {
+    const socket = await openTunnel(proxy, target);
+    options = {
+      headers,
+      createConnection: () => tls.connect({ socket, servername: target.hostname })
+    };
+  } else {
+    // Plain HTTP: absolute URL in the request line
+    return request(http, {
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      path: target.href,
+      headers: { ...headers, Host: target.host, ...proxyAuthHeaders(proxy) }
+    });
+  }
+
+  return request(target.protocol === 'https:' ? https : http, { ...urlOptions(target), ...options });
+}
+
+function urlOptions(target) {
+  return {
+    protocol: target.protocol,
+    hostname: target.hostname.replace(/^\[|\]$/g, ''),
+    port: target.port,
+    path: `${target.pathname}${target.search}`
+  };
+}
+
+function request(protocol, options) {
+  return new Promise((resolve, reject) => {
+    const req = protocol.get(options, resolve);
+    req.setTimeout(REQUEST_TIMEOUT, () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a response body to the .part file
+ * @returns {Promise<number>} Bytes received
+ */
+function saveBody(response, partPath, append) {
+  return new Promise((resolve, reject) => {
+    const file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+    let received = 0;
+
+    response.on('data', chunk => { received += chunk.length; });
+    response.on('aborted', () => file.destroy(new Error('Connection closed during download')));
+    response.on('error', err => file.destroy(err));
+    file.on('error', err => {
+      response.destroy();
+      reject(err);
+    });
+    file.on('finish', () => resolve(received));
+    response.pipe(file);
+  });
+}
+
+/**
+ * Download a file, resuming an earlier partial download
+ * @param {string} url - http:// or https:// URL
+ * @param {string} dest - Destination path; written only when the download is complete
+ * @returns {Promise<{size: number, resumedFrom: number}>}
+ * @throws {Error} On HTTP errors, timeouts and incomplete downloads (the
+ *         partial file is kept for the next attempt)
+ */
+export async function downloadFile(url, dest) {
+  const partPath = `${dest}.part`;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const response = await get(url, offset > 0 ? { Range: `bytes=${offset}-` } : {});
+    const { statusCode, headers } = response;
+
+    if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+      response.resume();
+      url = new URL(headers.location, url).href;
+      continue;
+    }
+
+    if (statusCode === 416 && offset > 0) {
+      // Range past the end: the partial file is either complete or stale
+      response.resume();
+      const total = Number((headers['content-range'] || '').split('/')[1]);
+      if (total !== offset) {
+        fs.unlinkSync(partPath);
+        continue;
+      }
+      fs.renameSync(partPath, dest);
+      return { size: offset, resumedFrom: offset };
+    }
+
+    const resumed = statusCode === 206 && (headers['content-range'] || '').startsWith(`bytes ${offset}-`);
+    if (statusCode !== 200 && !resumed) {
+      response.resume();
+      throw new Error(`HTTP ${statusCode}: ${response.statusMessage}`);
+    }
+
+    const expected = headers['content-length'] !== undefined ? Number(headers['content-length']) : null;
+    const received = await saveBody(response, partPath, resumed);
+    if (expected !== null && received !== expected) {
+      throw new Error(`Incomplete download: ${received} of ${expected} bytes (resumed on the next attempt)`);
+    }
+
+    const size = fs.statSync(partPath).size;
+    fs.renameSync(partPath, dest);
+    return { size, resumedFrom: resumed ? offset : 0 };
+  }
+
+  throw new Error(`Too many redirects: ${url}`);
+}
+
+export default {
+  getProxyForUrl,
+  downloadFile
+};
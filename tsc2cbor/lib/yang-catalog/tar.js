@@ -0,0 +1,191 @@
+/**
+ * Tar Archive Module
+ *
+ * Minimal reader and writer for the tar.gz catalogs (POSIX ustar, with the
+ * GNU long-name and pax path extensions on reading), so catalogs can be
+ * extracted and packed without an external tar program.
+ */
+
+import zlib from 'zlib';
+
+const BLOCK_SIZE = 512;
+
+const ENTRY_TYPES = {
+  '0': 'file', '\0': 'file', '7': 'file',
+  '5': 'directory',
+  '1': 'link', '2': 'symlink'
+};
+
+/**
+ * Read a NUL-terminated string field of a header
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric header field: octal text, or base-256 when the high bit is set
+ */
+function readNumber(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + field[i];
+    return value;
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function headerChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Paths of a pax extended header ("<length> path=<value>\n" records)
+ */
+function readPaxPath(data) {
+  const text = data.toString('utf8');
+  let offset = 0;
+  while (offset < text.length) {
+    const space = text.indexOf(' ', offset);
+    const length = parseInt(text.slice(offset, space), 10);
+    if (space === -1 || !length) break;
+    const record = text.slice(space + 1, offset + length - 1);
+    if (record.startsWith('path=')) return record.slice(5);
+    offset += length;
+  }
+  return null;
+}
+
+/**
+ * Read the entries of a tar or tar.gz archive
+ * @param {Buffer} buffer - Archive contents (gzip is detected by its magic bytes)
+ * @returns {Array<{name: string, type: string, data: Buffer, mtime: number}>}
+ *          type: 'file', 'directory', 'link', 'symlink' or 'other'
+ * @throws {Error} On a corrupt gzip stream or tar header
+ */
+export function readTar(buffer) {
+  let tar = buffer;
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      tar = zlib.gunzipSync(buffer);
+    } catch (err) {
+      throw new Error(`Invalid gzip data: ${err.message}`);
+    }
+  }
+
+  const entries = [];
+  let longName = null;
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    if (readNumber(header, 148, 8) !== headerChecksum(header)) {
+      throw new Error(`Corrupt tar header at offset ${offset}`);
+    }
+
+    const size = readNumber(header, 124, 12);
+    const typeFlag = String.fromCharCode(header[156]);
+    const dataStart = offset + BLOCK_SIZE;
+    if (dataStart + size > tar.length) {
+      throw new Error(`Truncated tar archive: entry at offset ${offset} needs ${size} bytes`);
+    }
+    const data = tar.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (typeFlag === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (typeFlag === 'x') {
+      longName = readPaxPath(data) || longName;
+      continue;
+    }
+    if (typeFlag === 'g') continue;
+
+    let name = readString(header, 0, 100);
+    const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+    if (prefix) name = `${prefix}/${name}`;
+    if (longName) {
+      name = longName;
+      longName = null;
+    }
+
+    entries.push({
+      name,
+      type: ENTRY_TYPES[typeFlag] || 'other',
+      data: Buffer.from(data),
+      mtime: readNumber(header, 136, 12)
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Write a numeric header field as octal text
+ */
+function writeNumber(header, offset, length, value) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+/**
+ * Split a path into ustar name (100 bytes) and prefix (155 bytes)
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { name: rest, prefix };
+  }
+  throw new Error(`File name too long for tar: ${name}`);
+}
+
+/**
+ * Pack files into a tar.gz archive (regular files only)
+ * @param {Array<{name: string, data: Buffer, mtime?: number}>} files - Relative
+ *        path, contents and modification time in seconds
+ * @returns {Buffer} gzip-compressed ustar archive
+ */
+export function writeTarGz(files) {
+  const blocks = [];
+
+  for (const file of files) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const { name, prefix } = splitName(file.name);
+
+    header.write(name, 0, 100, 'utf8');
+    writeNumber(header, 100, 8, 0o644);
+    writeNumber(header, 108, 8, 0);
+    writeNumber(header, 116, 8, 0);
+    writeNumber(header, 124, 12, file.data.length);
+    writeNumber(header, 136, 12, Math.floor(file.mtime ?? Date.now() / 1000));
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+    header.write(headerChecksum(header).toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    blocks.push(header, file.data);
+    const padding = (BLOCK_SIZE - (file.data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+export default {
+  readTar,
+  writeTarGz
+};
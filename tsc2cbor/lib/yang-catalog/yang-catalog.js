@@ -3,28 +3,30 @@
  *
  * Automatically discovers and downloads YANG/SID files from VelocityDRIVE-SP board
  * using ietf-constrained-yang-library checksum mechanism.
+ * Catalogs can also be imported from and exported to tar.gz files (offline).
  */
 
 import fs from 'fs';
 import path from 'path';
-import https from 'https';
-import http from 'http';
-import { exec } from 'child_process';
-import util from 'util';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { readTar, writeTarGz } from './tar.js';
+import { downloadFile } from './http-download.js';
+import { parseYang } from '../common/yang-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const execPromise = util.promisify(exec);
-
 // SID for ietf-constrained-yang-library:yang-library/checksum
 // Using specific SID for checksum query (not root SID 1)
 // SID 1 queries entire device config and causes timeout on large modules (ieee802-dot1q-bridge)
 const SID_CHECKSUM = 29304; // ietf-constrained-yang-library:yang-library/checksum
 
-// Remote YANG catalog URLs (from mup1cc)
+// Module whose yang-library data lists the modules (and revisions) of the device
+const LIBRARY_MODULE = 'ietf-constrained-yang-library';
+
+// Remote YANG catalog URLs (from mup1cc); replaced by the "mirrors" list of
+// settings.json or by KETI_TSN_MIRRORS
 const REMOTE_CATALOGS = [
   'http://mscc-ent-open-source.s3-website-eu-west-1.amazonaws.com/public_root/velocitydrivesp/yang-by-sha',
   'https://artifacts.microchip.com/artifactory/UNGE-generic-local/lmstax/yang-by-sha'
@@ -33,6 +35,26 @@ const REMOTE_CATALOGS = [
 // Local cache directory (project root level, not inside lib/)
 const CACHE_DIR = path.join(__dirname, '../../.yang-cache');
 
+// Device → catalog checksum of earlier runs (in the cache directory)
+const DEVICES_FILE = 'devices.json';
+
+// Persistent settings such as the default catalog (in the cache directory)
+const SETTINGS_FILE = 'settings.json';
+
+// Mirror list override: URLs separated by commas or whitespace
+const MIRRORS_ENV = 'KETI_TSN_MIRRORS';
+
+// Catalog checksum: 16 bytes as hex (catalog directory and tarball names)
+const CHECKSUM_PATTERN = /^[0-9a-f]{32}$/i;
+
+/**
+ * Check that an archive entry path stays inside the extraction directory
+ */
+function isSafeEntryPath(name) {
+  const normalized = path.posix.normalize(name);
+  return !path.posix.isAbsolute(normalized) && !normalized.startsWith('../') && normalized !== '..';
+}
+
 /**
  * YANG Catalog Manager
  */
@@ -53,11 +75,11 @@ class YangCatalogManager {
 
   /**
    * Query YANG library checksum from device
-   * @param {Object} serialManager - SerialManager instance
+   * @param {Transport} transport - Connected transport
    * @returns {Promise<string>} Checksum as hex string
    */
-  async queryChecksumFromDevice(serialManager) {
-    if (!serialManager.getConnectionStatus()) {
+  async queryChecksumFromDevice(transport) {
+    if (!transport.getConnectionStatus()) {
       throw new Error('Not connected to device');
     }
 
@@ -67,7 +89,7 @@ class YangCatalogManager {
     // RFC 9254: iFETCH query must be CBOR array of SIDs, not a map
     // Correct format: [29304] → 81197278 (CBOR array with integer)
     const query = [SID_CHECKSUM];
-    const response = await serialManager.sendiFetchRequest(query);
+    const response = await transport.sendiFetchRequest(query);
 
     if (!response.isSuccess()) {
       throw new Error(`Failed to query checksum: CoAP code ${response.code}`);
@@ -100,100 +122,261 @@ class YangCatalogManager {
     return checksumHex;
   }
 
+  /**
+   * Catalog mirrors, in the order they are tried
+   * @returns {{mirrors: Array<string>, source: string}} Base URLs and where
+   *          they come from (environment, settings.json or built-in)
+   * @throws {Error} On a URL that is not http:// or https://
+   */
+  getMirrors() {
+    let mirrors = REMOTE_CATALOGS;
+    let source = 'built-in';
+
+    const settings = this._readSettings();
+    if (process.env[MIRRORS_ENV]) {
+      mirrors = process.env[MIRRORS_ENV].split(/[\s,]+/).filter(Boolean);
+      source = MIRRORS_ENV;
+    } else if (Array.isArray(settings.mirrors) && settings.mirrors.length > 0) {
+      mirrors = settings.mirrors;
+      source = path.join(this.cacheDir, SETTINGS_FILE);
+    }
+
+    for (const mirror of mirrors) {
+      if (!/^https?:\/\/[^/]/.test(mirror)) {
+        throw new Error(`Invalid catalog mirror in ${source}: ${mirror} (http:// or https:// URL expected)`);
+      }
+    }
+    return { mirrors: mirrors.map(mirror => mirror.replace(/\/+$/, '')), source };
+  }
+
+  /**
+   * Query the modules the device implements from its yang-library
+   *
+   * The catalog checksum cannot be recomputed from the files, so the module
+   * set is what ties a catalog to a device. The SIDs of the yang-library
+   * lists (entries with name and revision, e.g. module, import-only-module)
+   * come from the catalog's own ietf-constrained-yang-library SID file.
+   * @param {Transport} transport - Connected transport
+   * @param {Array<{name: string, data: Buffer}>} files - Catalog files
+   * @returns {Promise<Array<{name: string, revision: string|null}>>}
+   * @throws {Error} When the catalog has no yang-library SIDs or the device
+   *         does not return its module list
+   */
+  async queryModulesFromDevice(transport, files) {
+    if (!transport.getConnectionStatus()) {
+      throw new Error('Not connected to device');
+    }
+
+    const sidFile = files
+      .filter(file => file.name.endsWith('.sid'))
+      .map(file => JSON.parse(file.data.toString('utf8')))
+      .map(sidData => sidData['ietf-sid-file:sid-file'] || sidData)
+      .find(sidData => sidData['module-name'] === LIBRARY_MODULE);
+    if (!sidFile) {
+      throw new Error(`catalog has no ${LIBRARY_MODULE} SID file`);
+    }
+
+    const sids = new Map((sidFile.item || sidFile.items).map(item => [item.identifier, Number(item.sid)]));
+    const root = `/${LIBRARY_MODULE}:yang-library/`;
+    const candidates = [...sids.keys()]
+      .filter(id => id.startsWith(root) && sids.has(`${id}/name`) && sids.has(`${id}/revision`));
+    // Submodule lists sit inside the module list
+    const lists = candidates.filter(id => !candidates.some(other => id.startsWith(`${other}/`)));
+    if (lists.length === 0) {
+      throw new Error(`no module list in the ${LIBRARY_MODULE} SID file`);
+    }
+
+    console.log('Querying the module list of the device...');
+
+    const modules = [];
+    for (const list of lists) {
+      const listSid = sids.get(list);
+      const response = await transport.sendiFetchRequest([listSid]);
+      if (!response.isSuccess()) {
+        throw new Error(`${list}: CoAP code ${response.code}`);
+      }
+
+      const data = response.getPayloadAsCBOR();
+      const value = data instanceof Map ? data.get(listSid) : data?.[listSid];
+      const entries = Array.isArray(value) ? value : value ? [value] : [];
+
+      // Entry members are Delta-SIDs from the list (absolute SIDs accepted too)
+      const field = (entry, sid) => (entry instanceof Map
+        ? entry.get(sid - listSid) ?? entry.get(sid)
+        : entry[sid - listSid] ?? entry[sid]);
+      for (const entry of entries) {
+        const name = field(entry, sids.get(`${list}/name`));
+        if (typeof name === 'string') {
+          modules.push({ name, revision: field(entry, sids.get(`${list}/revision`)) || null });
+        }
+      }
+    }
+
+    if (modules.length === 0) {
+      throw new Error('the device returned no modules');
+    }
+    return modules;
+  }
+
+  /**
+   * Check a catalog against the module set the device reports
+   * @private
+   * @param {Transport} transport - Connected transport
+   * @param {{files: Array, modules: Map<string, string|null>}} catalog - Catalog read by _readCatalogArchive
+   * @throws {Error} When a device module is missing or has another revision
+   */
+  async _verifyModuleSet(transport, catalog) {
+    let deviceModules;
+    try {
+      deviceModules = await this.queryModulesFromDevice(transport, catalog.files);
+    } catch (err) {
+      console.warn(`Warning: cannot read the module list of the device (${err.message}); ` +
+        'the catalog was checked for format and consistency only');
+      return;
+    }
+
+    const errors = [];
+    for (const { name, revision } of deviceModules) {
+      if (!catalog.modules.has(name)) {
+        errors.push(`${name}${revision ? `@${revision}` : ''} is missing`);
+      } else if (revision && catalog.modules.get(name) && revision !== catalog.modules.get(name)) {
+        errors.push(`${name}: device has revision ${revision}, catalog has ${catalog.modules.get(name)}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 10);
+      if (errors.length > shown.length) shown.push(`... ${errors.length - shown.length} more`);
+      throw new Error(`module set differs from the device:\n  ${shown.join('\n  ')}`);
+    }
+    console.log(`  Module set matches the device (${deviceModules.length} modules)`);
+  }
+
   /**
    * Download YANG catalog from remote servers
+   *
+   * The tarball is downloaded to <checksum>.tar.gz.part (resumed when an
+   * earlier download was interrupted) and renamed once complete and verified,
+   * so a cached tarball is always a whole, valid catalog.
+   *
+   * What is verified: the archive is an intact tar.gz; its top-level
+   * directory, if named like a checksum, is the requested one; the YANG and
+   * SID files parse and each SID file matches its module's revision; and,
+   * with a connected device, every module (and revision) the device's
+   * yang-library lists is in the catalog. The checksum itself cannot be
+   * recomputed, so without a device (download --checksum) a wrong catalog
+   * served under the right name is only caught by the consistency checks.
    * @param {string} checksum - Hex checksum
+   * @param {object} [options] - Download options
+   * @param {Transport} [options.transport] - Connected device the catalog is for
    * @returns {Promise<string>} Path to downloaded tar.gz file
    */
-  async downloadCatalog(checksum) {
+  async downloadCatalog(checksum, options = {}) {
+    if (!CHECKSUM_PATTERN.test(checksum)) {
+      throw new Error(`Invalid checksum: ${checksum} (expected 32 hex digits)`);
+    }
+
     const filename = `${checksum}.tar.gz`;
     const localPath = path.join(this.cacheDir, filename);
 
+    const verify = async (tarPath) => {
+      const catalog = this._readCatalogArchive(tarPath, checksum);
+      if (options.transport) {
+        await this._verifyModuleSet(options.transport, catalog);
+      }
+    };
+
     // Check if already cached
     if (fs.existsSync(localPath)) {
-      console.log(`Catalog already cached: ${localPath}`);
-      return localPath;
+      try {
+        await verify(localPath);
+        console.log(`Catalog already cached: ${localPath}`);
+        return localPath;
+      } catch (err) {
+        console.log(`Cached tarball is invalid, downloading again: ${err.message}`);
+        fs.unlinkSync(localPath);
+      }
     }
 
     console.log(`Downloading YANG catalog: ${checksum}...`);
 
-    // Try each remote catalog URL
-    for (const baseUrl of REMOTE_CATALOGS) {
+    // Try each mirror
+    const { mirrors } = this.getMirrors();
+    for (const baseUrl of mirrors) {
       const url = `${baseUrl}/${filename}`;
 
       try {
         await this._downloadFile(url, localPath);
-        console.log(`Downloaded from: ${baseUrl}`);
-        return localPath;
       } catch (err) {
         console.log(`  Failed from ${baseUrl}: ${err.message}`);
-        // Try next URL
+        continue;
+      }
+
+      try {
+        await verify(localPath);
+      } catch (err) {
+        console.log(`  Rejected catalog from ${baseUrl}: ${err.message}`);
+        fs.unlinkSync(localPath);
+        continue;
+      }
+
+      console.log(`Downloaded from: ${baseUrl}`);
+      if (!options.transport) {
+        console.warn('Warning: no device connected; the catalog was not checked against a device module list');
       }
+      return localPath;
     }
 
     throw new Error(`Failed to download catalog ${checksum} from all sources`);
   }
 
   /**
-   * Download file from URL
+   * Download file from URL (HTTP(S)_PROXY aware, resumable)
    * @private
    * @param {string} url - URL to download
-   * @param {string} dest - Destination path
+   * @param {string} dest - Destination path, written only when complete
    * @returns {Promise<void>}
    */
   async _downloadFile(url, dest) {
-    return new Promise((resolve, reject) => {
-      const protocol = url.startsWith('https') ? https : http;
-
-      const file = fs.createWriteStream(dest);
-
-      const request = protocol.get(url, (response) => {
-        if (response.statusCode === 200) {
-          response.pipe(file);
-
-          file.on('finish', () => {
-            file.close();
-            resolve();
-          });
-        } else if (response.statusCode === 302 || response.statusCode === 301) {
-          // Handle redirect
-          file.close();
-          fs.unlinkSync(dest);
-          this._downloadFile(response.headers.location, dest)
-            .then(resolve)
-            .catch(reject);
-        } else {
-          file.close();
-          fs.unlinkSync(dest);
-          reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-        }
-      });
+    const { size, resumedFrom } = await downloadFile(url, dest);
+    if (resumedFrom > 0) {
+      console.log(`  Resumed at ${resumedFrom} of ${size} bytes`);
+    }
+  }
 
-      request.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(dest)) {
-          fs.unlinkSync(dest);
-        }
-        reject(err);
-      });
+  /**
+   * Read and verify a downloaded catalog tarball
+   * @private
+   * @param {string} tarPath - Path to tar.gz file
+   * @param {string} checksum - Checksum the catalog was requested for
+   * @returns {{files: Array<{name: string, data: Buffer}>, warnings: Array<string>,
+   *          modules: Map<string, string|null>}} YANG and SID files at the catalog
+   *          root, and module name → revision
+   * @throws {Error} When the archive is corrupt, is labeled with another
+   *         checksum, or its modules do not form a consistent catalog
+   */
+  _readCatalogArchive(tarPath, checksum) {
+    const { files, topDir } = this._catalogRootFiles(this._readCatalogSource(tarPath));
 
-      file.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(dest)) {
-          fs.unlinkSync(dest);
-        }
-        reject(err);
-      });
-    });
+    if (topDir && CHECKSUM_PATTERN.test(topDir) && topDir.toLowerCase() !== checksum.toLowerCase()) {
+      throw new Error(`archive holds catalog ${topDir}, not ${checksum}`);
+    }
+
+    const { errors, warnings, modules } = this._validateCatalogFiles(files);
+    if (errors.length > 0) {
+      throw new Error(`invalid catalog:\n  ${errors.join('\n  ')}`);
+    }
+    return { files, warnings, modules };
   }
 
   /**
    * Extract YANG catalog tar.gz
    * @param {string} tarPath - Path to tar.gz file
+   * @param {string} [checksum] - Catalog checksum (default: from the file name)
    * @returns {Promise<string>} Path to extracted directory
+   * @throws {Error} When the archive fails verification
    */
-  async extractCatalog(tarPath) {
-    const checksum = path.basename(tarPath, '.tar.gz');
+  async extractCatalog(tarPath, checksum = path.basename(tarPath, '.tar.gz')) {
     const extractDir = path.join(this.cacheDir, checksum);
 
     // Check if already extracted
@@ -204,17 +387,280 @@ class YangCatalogManager {
 
     console.log(`Extracting catalog...`);
 
-    // Create extraction directory
-    fs.mkdirSync(extractDir, { recursive: true });
-
+    let catalog;
     try {
-      // Extract tar.gz
-      await execPromise(`tar -xzf "${tarPath}" -C "${extractDir}"`);
-      console.log(`Extracted to: ${extractDir}`);
-      return extractDir;
+      catalog = this._readCatalogArchive(tarPath, checksum);
     } catch (err) {
       throw new Error(`Failed to extract catalog: ${err.message}`);
     }
+    for (const warning of catalog.warnings) {
+      console.warn(`Warning: ${warning}`);
+    }
+
+    this._installCatalog(checksum, catalog.files);
+
+    console.log(`Extracted to: ${extractDir}`);
+    return extractDir;
+  }
+
+  /**
+   * Read the files of a catalog archive or directory
+   * @private
+   * @param {string} source - .tar.gz/.tgz/.tar file or directory
+   * @returns {Array<{name: string, data: Buffer}>} Regular files, relative paths
+   */
+  _readCatalogSource(source) {
+    if (fs.statSync(source).isDirectory()) {
+      const files = [];
+      const scan = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            scan(fullPath);
+          } else if (entry.isFile()) {
+            files.push({ name: path.relative(source, fullPath).split(path.sep).join('/'), data: fs.readFileSync(fullPath) });
+          }
+        }
+      };
+      scan(source);
+      return files;
+    }
+
+    let entries;
+    try {
+      entries = readTar(fs.readFileSync(source));
+    } catch (err) {
+      throw new Error(`${path.basename(source)}: ${err.message}`);
+    }
+
+    const unsafe = entries.filter(entry => !isSafeEntryPath(entry.name));
+    if (unsafe.length > 0) {
+      throw new Error(`${path.basename(source)}: entries outside the archive root: ${unsafe.map(entry => entry.name).join(', ')}`);
+    }
+    return entries.filter(entry => entry.type === 'file').map(({ name, data }) => ({ name: path.posix.normalize(name), data }));
+  }
+
+  /**
+   * Checksum of an imported catalog: given, or taken from the archive or
+   * directory name, or from the single top-level directory of its files
+   * @private
+   */
+  _detectChecksum(source, files, checksum) {
+    if (checksum) {
+      if (!CHECKSUM_PATTERN.test(checksum)) {
+        throw new Error(`Invalid checksum: ${checksum} (expected 32 hex digits)`);
+      }
+      return checksum.toLowerCase();
+    }
+
+    const baseName = path.basename(source).replace(/\.(tar\.gz|tgz|tar)$/, '');
+    if (CHECKSUM_PATTERN.test(baseName)) {
+      return baseName.toLowerCase();
+    }
+
+    const topDirs = new Set(files.map(file => file.name.split('/')[0]));
+    const [topDir] = topDirs;
+    if (topDirs.size === 1 && CHECKSUM_PATTERN.test(topDir) && files.every(file => file.name.includes('/'))) {
+      return topDir.toLowerCase();
+    }
+
+    throw new Error(`Cannot detect the catalog checksum of ${path.basename(source)}; pass --checksum <hex>`);
+  }
+
+  /**
+   * Check the YANG and SID files of a catalog: syntax, and that the SID files
+   * belong to the module revisions present (a mismatch means files from
+   * different catalogs). Imports missing from the catalog are warnings.
+   * @private
+   * @param {Array<{name: string, data: Buffer}>} files - Files at the catalog root
+   * @returns {{errors: Array<string>, warnings: Array<string>, modules: Map<string, string|null>}}
+   *          modules: module name → revision
+   */
+  _validateCatalogFiles(files) {
+    const errors = [];
+    const warnings = [];
+    const modules = new Map();
+    const imports = [];
+    const sidModules = [];
+
+    for (const { name, data } of files) {
+      if (name.endsWith('.yang')) {
+        try {
+          const top = parseYang(data.toString('utf8'), name);
+          if (!['module', 'submodule'].includes(top.keyword)) {
+            errors.push(`${name}: not a YANG module or submodule`);
+            continue;
+          }
+          const fileModule = name.replace(/(@[^@]*)?\.yang$/, '');
+          if (fileModule !== top.argument) {
+            warnings.push(`${name}: file name does not match ${top.keyword} "${top.argument}"`);
+          }
+          const revision = top.children.filter(child => child.keyword === 'revision').map(child => child.argument).sort().pop();
+          modules.set(top.argument, revision || null);
+          for (const child of top.children) {
+            if (child.keyword === 'import' || child.keyword === 'include') {
+              imports.push({ name, module: child.argument });
+            }
+          }
+        } catch (err) {
+          errors.push(err.message);
+        }
+      } else if (name.endsWith('.sid')) {
+        try {
+          const sidData = JSON.parse(data.toString('utf8'));
+          const sidFile = sidData['ietf-sid-file:sid-file'] || sidData;
+          if (!sidFile['module-name'] || !Array.isArray(sidFile.item || sidFile.items)) {
+            errors.push(`${name}: not a SID file (module-name and items expected)`);
+            continue;
+          }
+          sidModules.push({ name, module: sidFile['module-name'], revision: sidFile['module-revision'] || null });
+        } catch (err) {
+          errors.push(`${name}: invalid JSON (${err.message})`);
+        }
+      }
+    }
+
+    if (modules.size === 0) errors.push('no YANG files');
+    if (sidModules.length === 0) errors.push('no SID files');
+
+    for (const { name, module, revision } of sidModules) {
+      if (modules.size > 0 && !modules.has(module)) {
+        warnings.push(`${name}: module "${module}" has no YANG file`);
+      } else if (revision && modules.get(module) && revision !== modules.get(module)) {
+        errors.push(`${name}: SIDs of ${module}@${revision}, but the YANG file is revision ${modules.get(module)}`);
+      }
+    }
+
+    const missing = new Set(imports.filter(({ module }) => !modules.has(module)).map(({ module }) => module));
+    if (modules.size > 0 && missing.size > 0) {
+      warnings.push(`modules not in the catalog: ${[...missing].sort().join(', ')}`);
+    }
+
+    return { errors, warnings, modules };
+  }
+
+  /**
+   * Import a catalog from a tar.gz archive or a directory (offline install)
+   * @param {string} source - .tar.gz/.tgz/.tar file or directory with .yang and .sid files
+   * @param {object} options - Import options
+   * @param {string} [options.checksum] - Catalog checksum, when the name does not carry it
+   * @returns {Object} Catalog info with `warnings`, `skipped` (files not installed)
+   *          and `alreadyInstalled`
+   * @throws {Error} When the files are not a valid catalog
+   */
+  importCatalog(source, options = {}) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Catalog source not found: ${source}`);
+    }
+
+    const sourceFiles = this._readCatalogSource(source);
+    const checksum = this._detectChecksum(source, sourceFiles, options.checksum);
+    const { files, skipped, topDir } = this._catalogRootFiles(sourceFiles);
+    if (topDir && CHECKSUM_PATTERN.test(topDir) && topDir.toLowerCase() !== checksum) {
+      throw new Error(`${path.basename(source)} holds catalog ${topDir}, not ${checksum}`);
+    }
+
+    const { errors, warnings } = this._validateCatalogFiles(files);
+    if (errors.length > 0) {
+      throw new Error(`Invalid catalog ${path.basename(source)}:\n  ${errors.join('\n  ')}`);
+    }
+
+    const existing = this.getCatalogInfo(checksum);
+    if (existing) {
+      return { ...existing, warnings, skipped, alreadyInstalled: true };
+    }
+
+    this._installCatalog(checksum, files);
+
+    return { ...this.getCatalogInfo(checksum), warnings, skipped, alreadyInstalled: false };
+  }
+
+  /**
+   * Catalog files sit at the root; a single top-level directory is stripped
+   * @private
+   * @param {Array<{name: string, data: Buffer}>} files - Archive or directory files
+   * @returns {{files: Array, skipped: Array<string>, topDir: string|null}} Root
+   *          .yang/.sid files, other file names, and the stripped directory
+   */
+  _catalogRootFiles(files) {
+    let topDir = null;
+    const topDirs = new Set(files.map(file => file.name.split('/')[0]));
+    if (topDirs.size === 1 && files.every(file => file.name.includes('/'))) {
+      [topDir] = topDirs;
+      files = files.map(file => ({ ...file, name: file.name.slice(topDir.length + 1) }));
+    }
+
+    const isCatalogFile = (file) => !file.name.includes('/') && /\.(yang|sid)$/.test(file.name);
+    return {
+      files: files.filter(isCatalogFile),
+      skipped: files.filter(file => !isCatalogFile(file)).map(file => file.name),
+      topDir
+    };
+  }
+
+  /**
+   * Install catalog files as <cacheDir>/<checksum>
+   * @private
+   */
+  _installCatalog(checksum, files) {
+    // Write to a temporary directory first, so a failure leaves nothing behind
+    const catalogDir = path.join(this.cacheDir, checksum);
+    const tempDir = path.join(this.cacheDir, `.import-${checksum}-${process.pid}`);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+    try {
+      for (const file of files) {
+        fs.writeFileSync(path.join(tempDir, file.name), file.data);
+      }
+      fs.renameSync(tempDir, catalogDir);
+    } catch (err) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      throw new Error(`Failed to install catalog: ${err.message}`);
+    }
+  }
+
+  /**
+   * Export a cached catalog as a tar.gz archive (the YANG and SID files at its root)
+   * @param {string} checksum - Catalog checksum (or a unique prefix)
+   * @param {string} destPath - Output .tar.gz path
+   * @returns {Object} Catalog info with `output` and `size` (bytes)
+   */
+  exportCatalog(checksum, destPath) {
+    const catalog = this.findCatalog(checksum);
+    if (!catalog) {
+      throw new Error(`Catalog not found: ${checksum} (see "keti-tsn list")`);
+    }
+
+    const files = [...catalog.yangFiles, ...catalog.sidFiles]
+      .map(filePath => ({
+        name: path.relative(catalog.path, filePath).split(path.sep).join('/'),
+        data: fs.readFileSync(filePath),
+        mtime: fs.statSync(filePath).mtimeMs / 1000
+      }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const archive = writeTarGz(files);
+    fs.writeFileSync(destPath, archive);
+
+    return { ...catalog, output: destPath, size: archive.length };
+  }
+
+  /**
+   * Find a cached catalog by checksum or unique checksum prefix
+   * @param {string} checksum - Checksum or prefix
+   * @returns {Object|null} Catalog info
+   * @throws {Error} When the prefix matches several catalogs
+   */
+  findCatalog(checksum) {
+    const exact = this.getCatalogInfo(String(checksum).toLowerCase());
+    if (exact && CHECKSUM_PATTERN.test(exact.checksum)) return exact;
+
+    const matches = this.listCachedCatalogs()
+      .filter(catalog => catalog.checksum.startsWith(String(checksum).toLowerCase()));
+    if (matches.length > 1) {
+      throw new Error(`Checksum prefix "${checksum}" matches ${matches.length} catalogs: ${matches.map(catalog => catalog.checksum).join(', ')}`);
+    }
+    return matches[0] || null;
   }
 
   /**
@@ -291,7 +737,7 @@ class YangCatalogManager {
     const catalogs = [];
 
     for (const entry of entries) {
-      if (entry.isDirectory() && /^[0-9a-f]{32}$/i.test(entry.name)) {
+      if (entry.isDirectory() && CHECKSUM_PATTERN.test(entry.name)) {
         const info = this.getCatalogInfo(entry.name);
         if (info) {
           catalogs.push(info);
@@ -304,14 +750,14 @@ class YangCatalogManager {
 
   /**
    * Full workflow: Query device, download, and extract catalog
-   * @param {Object} serialManager - SerialManager instance
+   * @param {Transport} transport - Connected transport
    * @returns {Promise<Object>} Catalog info
    */
-  async discoverAndLoadCatalog(serialManager) {
+  async discoverAndLoadCatalog(transport) {
     console.log('\n=== YANG Catalog Auto-Discovery ===\n');
 
     // Step 1: Query checksum from device
-    const checksum = await this.queryChecksumFromDevice(serialManager);
+    const checksum = await this.queryChecksumFromDevice(transport);
 
     // Step 2: Check if already cached
     let catalogInfo = this.getCatalogInfo(checksum);
@@ -321,7 +767,7 @@ class YangCatalogManager {
     }
 
     // Step 3: Download catalog
-    const tarPath = await this.downloadCatalog(checksum);
+    const tarPath = await this.downloadCatalog(checksum, { transport });
 
     // Step 4: Extract catalog
     const catalogDir = await this.extractCatalog(tarPath);
@@ -339,19 +785,220 @@ class YangCatalogManager {
   }
 
   /**
-   * Delete cached catalog
+   * Read the remembered device → checksum map
+   * @private
+   * @returns {Object} Device key → { checksum, updated }
+   */
+  _readDeviceMap() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.cacheDir, DEVICES_FILE), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Catalog checksum a device reported in an earlier run
+   * @param {string} deviceKey - e.g. "serial:/dev/ttyACM0", "eth://192.168.1.10:5683"
+   * @returns {string|null} Checksum
+   */
+  getDeviceChecksum(deviceKey) {
+    return this._readDeviceMap()[deviceKey]?.checksum || null;
+  }
+
+  /**
+   * Remember the catalog checksum a device reported
+   * @param {string} deviceKey - Device key (see getDeviceChecksum)
+   * @param {string} checksum - Hex checksum
+   */
+  rememberDeviceChecksum(deviceKey, checksum) {
+    const devices = this._readDeviceMap();
+    devices[deviceKey] = { checksum, updated: new Date().toISOString() };
+    this._writeJson(DEVICES_FILE, devices);
+  }
+
+  /**
+   * Write a JSON file in the cache directory (temp file + rename)
+   * @private
+   */
+  _writeJson(fileName, data) {
+    const filePath = path.join(this.cacheDir, fileName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Read the persistent settings
+   * @private
+   * @returns {Object} { defaultCatalog, ... }
+   */
+  _readSettings() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.cacheDir, SETTINGS_FILE), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Catalog used by offline commands when none is given
+   * @returns {string|null} Checksum
+   */
+  getDefaultCatalog() {
+    return this._readSettings().defaultCatalog || null;
+  }
+
+  /**
+   * Set (or with null, clear) the catalog used by offline commands
+   * @param {string|null} checksum - Hex checksum of a cached catalog
+   */
+  setDefaultCatalog(checksum) {
+    const settings = this._readSettings();
+    if (checksum) {
+      settings.defaultCatalog = checksum;
+    } else {
+      delete settings.defaultCatalog;
+    }
+    this._writeJson(SETTINGS_FILE, settings);
+  }
+
+  /**
+   * Summary of a cached catalog: modules, SID ranges and compiled cache
+   * @param {string} checksum - Hex checksum
+   * @returns {Promise<Object|null>} Catalog info with `modules` ({ name, revision,
+   *          submodule, sid: { ranges, items, min, max } | null }), `compiledCache`,
+   *          `size` (bytes), `isDefault` and `devices`
+   */
+  async describeCatalog(checksum) {
+    const catalog = this.getCatalogInfo(checksum);
+    if (!catalog) return null;
+
+    const { getCompiledCacheStatus } = await import('../common/input-loader.js');
+
+    const sidByModule = new Map();
+    for (const sidPath of catalog.sidFiles) {
+      try {
+        const sidData = JSON.parse(fs.readFileSync(sidPath, 'utf8'));
+        const sidFile = sidData['ietf-sid-file:sid-file'] || sidData;
+        const sids = (sidFile.item || sidFile.items || []).map(item => Number(item.sid));
+        sidByModule.set(sidFile['module-name'], {
+          ranges: (sidFile['assignment-range'] || sidFile['assignment-ranges'] || [])
+            .map(range => ({ entryPoint: Number(range['entry-point']), size: Number(range.size) })),
+          items: sids.length,
+          min: sids.length > 0 ? Math.min(...sids) : null,
+          max: sids.length > 0 ? Math.max(...sids) : null
+        });
+      } catch {
+        // Unreadable SID files show up as modules without SIDs
+      }
+    }
+
+    const modules = catalog.yangFiles.map(yangPath => {
+      const fileName = path.basename(yangPath, '.yang');
+      let name = fileName.split('@')[0];
+      let revision = fileName.includes('@') ? fileName.split('@')[1] : null;
+      let submodule = false;
+      try {
+        const top = parseYang(fs.readFileSync(yangPath, 'utf8'), path.basename(yangPath));
+        name = top.argument;
+        revision = top.children.filter(child => child.keyword === 'revision').map(child => child.argument).sort().pop() || revision;
+        submodule = top.keyword === 'submodule';
+      } catch {
+        // Name and revision from the file name
+      }
+      return { name, revision, submodule, sid: sidByModule.get(name) || null };
+    }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const size = [...catalog.yangFiles, ...catalog.sidFiles]
+      .reduce((total, filePath) => total + fs.statSync(filePath).size, 0);
+    const devices = Object.entries(this._readDeviceMap())
+      .filter(([, entry]) => entry.checksum === catalog.checksum)
+      .map(([key]) => key);
+
+    return {
+      ...catalog,
+      modules,
+      size,
+      compiledCache: await getCompiledCacheStatus(catalog.path),
+      isDefault: this.getDefaultCatalog() === catalog.checksum,
+      devices
+    };
+  }
+
+  /**
+   * Remove what the cache no longer needs: downloaded tarballs, compiled
+   * caches (*.cache.json) of deleted catalogs or of an older format or
+   * sources, and leftovers of interrupted imports and downloads
+   * @returns {Promise<Array<{path: string, reason: string, size: number}>>} Removed entries
+   */
+  async pruneCache() {
+    const { getCompiledCacheStatus } = await import('../common/input-loader.js');
+    const removed = [];
+
+    const remove = (entryPath, reason) => {
+      const stat = fs.statSync(entryPath);
+      const size = stat.isDirectory()
+        ? fs.readdirSync(entryPath).reduce((total, name) => total + fs.statSync(path.join(entryPath, name)).size, 0)
+        : stat.size;
+      fs.rmSync(entryPath, { recursive: true, force: true });
+      removed.push({ path: entryPath, reason, size });
+    };
+
+    for (const entry of fs.readdirSync(this.cacheDir, { withFileTypes: true })) {
+      const entryPath = path.join(this.cacheDir, entry.name);
+
+      if (entry.isFile() && /\.(tar\.gz|tgz)$/.test(entry.name)) {
+        remove(entryPath, 'tarball');
+      } else if (entry.name.startsWith('.import-') || /\.\d+\.tmp$/.test(entry.name)) {
+        remove(entryPath, 'interrupted import');
+      } else if (entry.isFile() && entry.name.endsWith('.part')) {
+        remove(entryPath, 'interrupted download');
+      } else if (entry.isFile() && entry.name.endsWith('.cache.json')) {
+        const catalogDir = path.join(this.cacheDir, entry.name.slice(0, -'.cache.json'.length));
+        if (!fs.existsSync(catalogDir)) {
+          remove(entryPath, 'catalog deleted');
+          continue;
+        }
+        const status = await getCompiledCacheStatus(catalogDir);
+        if (!status.upToDate) {
+          remove(entryPath, status.reason === 'version' ? `cache version ${status.version}` : 'stale');
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete cached catalog with its compiled cache; devices remembered with
+   * it and the default setting are forgotten
    * @param {string} checksum - Hex checksum
    */
   deleteCatalog(checksum) {
     const catalogDir = path.join(this.cacheDir, checksum);
     const tarPath = path.join(this.cacheDir, `${checksum}.tar.gz`);
+    const partPath = `${tarPath}.part`;
+    const compiledPath = path.join(this.cacheDir, `${checksum}.cache.json`);
 
     if (fs.existsSync(catalogDir)) {
       fs.rmSync(catalogDir, { recursive: true, force: true });
     }
 
-    if (fs.existsSync(tarPath)) {
-      fs.unlinkSync(tarPath);
+    for (const filePath of [tarPath, partPath, compiledPath]) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    const devices = this._readDeviceMap();
+    const remaining = Object.fromEntries(Object.entries(devices).filter(([, entry]) => entry.checksum !== checksum));
+    if (Object.keys(remaining).length !== Object.keys(devices).length) {
+      this._writeJson(DEVICES_FILE, remaining);
+    }
+
+    if (this.getDefaultCatalog() === checksum) {
+      this.setDefaultCatalog(null);
     }
   }
 
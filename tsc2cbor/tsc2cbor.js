@@ -1,18 +1,17 @@
 /**
  * TSC2CBOR - TSN Switch Configuration to CBOR Converter
  *
- * Pure library module for YAML → CBOR conversion
- * Converts TSC YAML to CBOR with RFC 9254 Delta-SID encoding
+ * Pure library module for YAML/JSON/XML → CBOR conversion
+ * Converts TSC YAML, RFC 7951 JSON or NETCONF XML to CBOR with RFC 9254 Delta-SID encoding
  *
  * Full Pipeline:
  * 1. YANG → Type Table (yang-type-extractor.js)
  * 2. SID File → SID Tree (sid-resolver.js)
- * 3. YAML → JSON (js-yaml)
- * 4. JSON → Delta-SID Object (transformer.js)
+ * 3. YAML/JSON/XML → JavaScript Object (data-format.js, xml-converter.js)
+ * 4. JSON → Instance-identifier items → Delta-SID Object (transformer-instance-id.js)
  * 5. JavaScript Object → CBOR Binary (cbor-encoder.js)
  */
 
-import yaml from 'js-yaml';
 import { loadYangInputs } from './lib/common/input-loader.js';
 import { transform, getTransformStats } from './lib/encoder/transformer-delta.js';
 import {
@@ -28,6 +27,9 @@ import {
   verifyRoundTrip
 } from './lib/common/cbor-encoder.js';
 import { getDeltaSidStats } from './lib/encoder/delta-sid-encoder.js';
+import { convertRfc7951ToInstanceIdentifier } from './lib/parser/instance-id-converter.js';
+import { convertXmlToRfc7951 } from './lib/parser/xml-converter.js';
+import { DataFormat, formatForFile, parseData } from './lib/common/data-format.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -73,8 +75,65 @@ class Tsc2CborConverter {
   }
 
   /**
-   * Convert YAML file to CBOR
-   * @param {string} yamlPath - Path to YAML file
+   * Normalize parsed input to instance-identifier items
+   * RFC 7951 trees (the output of get/decode) are split into one item per node.
+   * @param {*} data - Parsed YAML/JSON data (instance-identifier or RFC 7951 tree)
+   * @param {object} options - Options
+   * @param {boolean} [options.verbose=false] - Verbose output
+   * @returns {Promise<Array<Object>>} Instance-identifier items
+   */
+  async toInstanceIdentifier(data, options = {}) {
+    const verbose = options.verbose || false;
+
+    if (isInstanceIdentifierFormat(data)) {
+      if (verbose) {
+        console.log('\nDetected instance-identifier format (RFC 8072 style)');
+      }
+      return data;
+    }
+
+    await this.loadInputs(verbose);
+
+    const items = convertRfc7951ToInstanceIdentifier(data, this.schemaInfo);
+    if (verbose) {
+      console.log(`\nDetected tree format (RFC 7951), split into ${items.length} instance-identifier items`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse YAML, JSON or NETCONF XML input
+   * XML needs the YANG namespaces and node types, so it is parsed here
+   * rather than in data-format.js.
+   * @param {string} text - Input document
+   * @param {string} [format='yaml'] - 'yaml', 'json' or 'xml'
+   * @param {object} options - { verbose, source: name used in error messages }
+   * @returns {Promise<*>} Parsed data (XML becomes an RFC 7951 tree)
+   */
+  async parseInput(text, format = DataFormat.YAML, options = {}) {
+    if (format !== DataFormat.XML) {
+      return parseData(text, format, options.source);
+    }
+
+    await this.loadInputs(options.verbose || false);
+    return convertXmlToRfc7951(text, this.schemaInfo);
+  }
+
+  /**
+   * Read and parse a YAML, JSON or XML file (format chosen by extension)
+   * @param {string} file - Input file path
+   * @param {object} options - { verbose }
+   * @returns {Promise<*>} Parsed data
+   */
+  async loadFile(file, options = {}) {
+    const text = fs.readFileSync(file, 'utf8');
+    return this.parseInput(text, formatForFile(file), { ...options, source: file });
+  }
+
+  /**
+   * Convert YAML, JSON or XML file to CBOR (format chosen by extension)
+   * @param {string} yamlPath - Path to YAML, JSON or XML file
    * @param {object} options - Conversion options
    * @param {string} [options.outputFile] - Output CBOR file path (optional)
    * @param {boolean} [options.verbose=false] - Verbose output
@@ -91,17 +150,18 @@ class Tsc2CborConverter {
     await this.loadInputs(verbose);
 
     if (verbose) {
-      console.log(`\nLoading YAML file: ${yamlPath}`);
+      console.log(`\nLoading input file: ${yamlPath}`);
     }
 
     const yamlContent = fs.readFileSync(yamlPath, 'utf8');
-    return this.convertString(yamlContent, options);
+    return this.convertString(yamlContent, { inputFormat: formatForFile(yamlPath), ...options });
   }
 
   /**
-   * Convert YAML string to CBOR
-   * @param {string} yamlString - YAML content as string
+   * Convert YAML, JSON or XML string to CBOR
+   * @param {string} yamlString - YAML, JSON or XML content as string
    * @param {object} options - Conversion options
+   * @param {string} [options.inputFormat='yaml'] - 'yaml', 'json' (RFC 7951) or 'xml' (NETCONF)
    * @param {string} [options.outputFile] - Output CBOR file path (optional)
    * @param {boolean} [options.verbose=false] - Verbose output
    * @param {boolean} [options.compatible=true] - Compatible mode (indefinite-length, no Tag 259)
@@ -121,41 +181,29 @@ class Tsc2CborConverter {
     // Load YANG/SID inputs (cached after first call)
     await this.loadInputs(verbose);
 
-    // Step 1: Parse YAML
-    const jsonData = yaml.load(yamlString);
+    // Step 1: Parse YAML, JSON or XML
+    const jsonData = await this.parseInput(yamlString, options.inputFormat || DataFormat.YAML, { verbose });
 
-    // Step 2: Detect format and transform accordingly
-    let transformed;
-    let transformStats;
-    const isInstanceId = isInstanceIdentifierFormat(jsonData);
+    // Step 2: Split RFC 7951 trees into instance-identifier items
+    // (the target device only accepts instance-identifier iPATCH items)
+    const instanceIdData = await this.toInstanceIdentifier(jsonData, { verbose });
 
-    if (isInstanceId) {
-      // Instance-identifier format (RFC 8072 style) - direct parsing
-      if (verbose) {
-        console.log('\nDetected instance-identifier format (RFC 8072 style)');
-        console.log('Direct transformation: Instance-ID -> Delta-SID Object...');
-      }
+    // Instance-identifier format (RFC 8072 style) - direct parsing
+    if (verbose) {
+      console.log('\nDirect transformation: Instance-ID -> Delta-SID Object...');
+    }
 
-      transformed = transformInstanceIdentifier(jsonData, this.typeTable, this.sidInfo, this.schemaInfo, {
-        useMap: true,
-        sortMode,
-        verbose
-      });
+    const transformed = transformInstanceIdentifier(instanceIdData, this.typeTable, this.sidInfo, this.schemaInfo, {
+      useMap: true,
+      sortMode,
+      verbose
+    });
 
-      transformStats = getInstanceIdTransformStats(jsonData, transformed);
+    const transformStats = getInstanceIdTransformStats(instanceIdData, transformed);
 
-      if (verbose) {
-        console.log(`  Input paths: ${transformStats.inputPaths}`);
-        console.log(`  Output entries: ${transformStats.outputEntries}`);
-      }
-    } else {
-      // RFC 7951 Tree format is not supported (target device cannot receive it)
-      throw new Error(
-        'Tree format (RFC 7951) is not supported.\n' +
-        'Please use instance-identifier format instead.\n' +
-        'Example:\n' +
-        '  - /module:container/list[key=\'value\']/leaf: value'
-      );
+    if (verbose) {
+      console.log(`  Input paths: ${transformStats.inputPaths}`);
+      console.log(`  Output entries: ${transformStats.outputEntries}`);
     }
 
     // Step 3: Encode to CBOR
@@ -221,7 +269,7 @@ class Tsc2CborConverter {
     // Generate diagnostic output
     if (diagnostic && outputFile) {
       const diagPath = outputFile.replace(/\.cbor$/, '.diag.txt');
-      const diagContent = getCborDiagnostic(cbor);
+      const diagContent = getCborDiagnostic(cbor, { typeTable: this.typeTable, sidInfo: this.sidInfo });
       fs.writeFileSync(diagPath, diagContent);
       if (verbose) {
         console.log(`Diagnostic written to: ${diagPath}`);